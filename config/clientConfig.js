@@ -41,6 +41,8 @@ try {
     rendering: {
       playerGlyph: '@',
       playerColor: '00FF00',
+      itGlyph: '☺',
+      itColor: 'FF0000',
       spaceGlyph: '.',
       wallGlyph: '#',
       centerBoard: true,
@@ -48,11 +50,40 @@ try {
       remoteDisplayEasing: true
     },
     prediction: {
-      enabled: true,
-      reconciliationInterval: 5000
+      enabled: true
     },
     statusBar: {
       widthThreshold: 25
+    },
+    reconnect: {
+      enabled: true,
+      initialDelayMs: 500,
+      maxDelayMs: 8000,
+      maxAttempts: 10
+    },
+    netStats: {
+      showOverlay: false,
+      pingIntervalMs: 2000,
+      logIntervalMs: 5000
+    },
+    bot: {
+      tickIntervalMs: 100
+    },
+    access: {
+      code: null
+    },
+    player: {
+      name: null,
+      color: null,
+      glyph: null
+    },
+    servers: [],
+    keymap: {
+      preset: 'wasd+hjkl',
+      bindings: {}
+    },
+    chat: {
+      panelLines: 5
     }
   };
 }
@@ -36,6 +36,60 @@ try {
     },
     input: {
       keyRepeatIntervalMs: 100
+    },
+    game: {
+      mode: 'free'
+    },
+    tag: {
+      tagBackCooldownMs: 1000,
+      pointsPerSecond: 1
+    },
+    match: {
+      enabled: false,
+      warmupSeconds: 10,
+      durationSeconds: 180,
+      endedSeconds: 3,
+      intermissionSeconds: 10
+    },
+    stateSync: {
+      keyframeInterval: 20
+    },
+    simulation: {
+      tickRateHz: 20,
+      bulletSpeed: 4,
+      seed: null
+    },
+    broadcast: {
+      rateHz: 4
+    },
+    reconnect: {
+      gracePeriodSeconds: 30
+    },
+    heartbeat: {
+      intervalSeconds: 10,
+      maxMissedPongs: 2
+    },
+    afk: {
+      timeoutSeconds: 300
+    },
+    replay: {
+      enabled: false,
+      directory: 'replays'
+    },
+    bots: {
+      count: 0,
+      difficulty: 'normal'
+    },
+    rooms: {
+      maxRooms: 8
+    },
+    access: {
+      password: null
+    },
+    chat: {
+      maxLength: 200,
+      maxMessages: 5,
+      windowSeconds: 10
     }
   };
 }
@@ -1,11 +1,11 @@
 #!/usr/bin/env node
 import { fileURLToPath } from 'url';
 import { resolve, dirname, join } from 'path';
-import { readFileSync } from 'fs';
+import { readFileSync, existsSync } from 'fs';
 
 /**
  * CLI entry for @dcvezzani/ascii-tag.
- * Parses argv and delegates to client, server, or init.
+ * Parses argv and delegates to client, server, init, replay, bot, loadtest, or rooms.
  * Node 22+ required; --version and --help handled here.
  */
 
@@ -30,33 +30,82 @@ function checkNodeVersion() {
 }
 
 /**
- * Parse argv into subcommand and optional --board path.
+ * Parse argv into subcommand, optional --board path, replay file, bot script, client --spectate flag,
+ * client/bot --room and --code (and client --board, the board for a new room, --private and --name), rooms --code and
+ * loadtest --clients / --duration / --out / --code.
  * @param {string[]} argv - e.g. process.argv
- * @returns {{ subcommand: 'client'|'server'|'init', boardPath?: string }}
+ * @returns {{ subcommand: 'client'|'server'|'init'|'replay'|'bot'|'loadtest'|'rooms', boardPath?: string, replayPath?: string, scriptPath?: string, spectate: boolean, room?: string, roomBoard?: string, code?: string, private?: boolean, name?: string, clients?: number, durationSeconds?: number, outPath?: string }}
+ *   clients / durationSeconds are NaN when given but not numbers
  */
 function parseArgs(argv) {
   const args = argv.slice(2);
   const first = args[0];
   const subcommand =
-    first === 'server' ? 'server' : first === 'init' ? 'init' : 'client';
+    ['server', 'init', 'replay', 'bot', 'loadtest', 'rooms'].includes(first) ? first : 'client';
+  const option = (name) => {
+    const idx = args.indexOf(name);
+    return idx !== -1 && idx + 1 < args.length ? args[idx + 1] : undefined;
+  };
 
-  let boardPath;
-  if (subcommand === 'server') {
-    const idx = args.indexOf('--board');
-    if (idx !== -1 && idx + 1 < args.length) {
-      boardPath = args[idx + 1];
-    }
+  const boardPath = subcommand === 'server' ? option('--board') : undefined;
+
+  let replayPath;
+  if (subcommand === 'replay' && args[1] && !args[1].startsWith('--')) {
+    replayPath = args[1];
+  }
+
+  let scriptPath;
+  if (subcommand === 'bot' && args[1] && !args[1].startsWith('--')) {
+    scriptPath = args[1];
   }
 
-  return { subcommand, boardPath };
+  const spectate = subcommand === 'client' && args.includes('--spectate');
+
+  const parsed = { subcommand, boardPath, replayPath, scriptPath, spectate };
+  if (subcommand === 'client' || subcommand === 'bot') {
+    parsed.room = option('--room');
+    parsed.code = option('--code');
+  }
+  if (subcommand === 'client') {
+    parsed.roomBoard = option('--board');
+    parsed.private = args.includes('--private');
+    parsed.name = option('--name');
+  }
+  if (subcommand === 'rooms' || subcommand === 'loadtest') {
+    parsed.code = option('--code');
+  }
+  if (subcommand === 'loadtest') {
+    parsed.clients = Number(option('--clients') ?? 10);
+    parsed.durationSeconds = Number(option('--duration') ?? 30);
+    parsed.outPath = option('--out');
+  }
+  return parsed;
 }
 
-async function runClient() {
-  const { ensureClientConfig } = await import('./cli/ensureConfig.js');
+async function runClient({ spectate, room, roomBoard, code, private: makePrivate, name }) {
+  const { ensureClientConfig, clientConfigPath } = await import('./cli/ensureConfig.js');
+  const { loadKeymap } = await import('./input/keymap.js');
   const { startClient } = await import('./index.js');
   const cwd = process.cwd();
   const config = ensureClientConfig(cwd);
-  await startClient(config);
+  try {
+    loadKeymap(config.keymap);
+  } catch (err) {
+    process.stderr.write(`Invalid keymap in .ascii-tag/client.json: ${err.message}\n`);
+    process.exit(1);
+  }
+  if (name !== undefined) {
+    // For this run only; client.json keeps its player.name
+    config.player = { ...config.player, name };
+  }
+  await startClient(config, {
+    spectate,
+    room,
+    board: roomBoard,
+    code,
+    private: makePrivate,
+    configPath: clientConfigPath(cwd)
+  });
 }
 
 async function runServer(boardPath) {
@@ -90,13 +139,88 @@ async function runServer(boardPath) {
   await startServer(port, pathToUse, config);
 }
 
+async function runReplay(replayPath) {
+  if (!replayPath) {
+    process.stderr.write('Usage: ascii-tag replay <file>\n');
+    process.exit(1);
+  }
+  const { ensureClientConfig } = await import('./cli/ensureConfig.js');
+  const { configureLogger, default: logger } = await import('./utils/logger.js');
+  const { replayMode } = await import('./modes/replayMode.js');
+  const cwd = process.cwd();
+  const config = ensureClientConfig(cwd);
+  configureLogger('client');
+  logger.level = config.logging.level;
+  const path = resolve(cwd, replayPath);
+  if (!existsSync(path)) {
+    process.stderr.write(`Replay file not found: ${replayPath}\n`);
+    process.exit(1);
+  }
+  await replayMode(path, config);
+  process.exit(0);
+}
+
+async function runBot(scriptPath, { room, code }) {
+  if (!scriptPath) {
+    process.stderr.write('Usage: ascii-tag bot <script.js>\n');
+    process.exit(1);
+  }
+  const { ensureClientConfig } = await import('./cli/ensureConfig.js');
+  const { configureLogger, default: logger } = await import('./utils/logger.js');
+  const { botMode } = await import('./modes/botMode.js');
+  const cwd = process.cwd();
+  const config = ensureClientConfig(cwd);
+  configureLogger('client');
+  logger.level = config.logging.level;
+  const path = resolve(cwd, scriptPath);
+  if (!existsSync(path)) {
+    process.stderr.write(`Bot script not found: ${scriptPath}\n`);
+    process.exit(1);
+  }
+  await botMode(path, config, { room, code });
+  process.exit(0);
+}
+
+async function runLoadTest({ clients, durationSeconds, outPath, code }) {
+  if (!Number.isInteger(clients) || clients < 1 || !(durationSeconds > 0)) {
+    process.stderr.write('Usage: ascii-tag loadtest [--clients N] [--duration SECONDS] [--out report.json] [--code CODE]\n');
+    process.exit(1);
+  }
+  const { ensureClientConfig } = await import('./cli/ensureConfig.js');
+  const { configureLogger, default: logger } = await import('./utils/logger.js');
+  const { loadtestMode } = await import('./modes/loadtestMode.js');
+  const cwd = process.cwd();
+  const config = ensureClientConfig(cwd);
+  configureLogger('client');
+  logger.level = config.logging.level;
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  await loadtestMode(config, {
+    clients,
+    durationSeconds,
+    outPath: resolve(cwd, outPath ?? `loadtest-${stamp}.json`),
+    code
+  });
+  process.exit(0);
+}
+
+async function runRooms({ code }) {
+  const { ensureClientConfig } = await import('./cli/ensureConfig.js');
+  const { configureLogger, default: logger } = await import('./utils/logger.js');
+  const { roomsMode } = await import('./modes/roomsMode.js');
+  const config = ensureClientConfig(process.cwd());
+  configureLogger('client');
+  logger.level = config.logging.level;
+  await roomsMode(config, { code });
+  process.exit(0);
+}
+
 function runInit() {
   import('./cli/init.js').then(({ runInit: doInit }) => {
     doInit(process.cwd());
   });
 }
 
-const VALID_SUBCOMMANDS = ['client', 'server', 'init'];
+const VALID_SUBCOMMANDS = ['client', 'server', 'init', 'replay', 'bot', 'loadtest', 'rooms'];
 
 function run(argv = process.argv) {
   checkNodeVersion();
@@ -108,23 +232,28 @@ function run(argv = process.argv) {
   }
   if (args.includes('--help')) {
     process.stdout.write(
-      'Usage: ascii-tag [client|server|init] [options]\n' +
-        '  client  - Run the game client (default)\n' +
-        '  server  - Run the game server\n' +
-        '  init    - Create default config in .ascii-tag/\n'
+      'Usage: ascii-tag [client|server|init|replay|bot|loadtest|rooms] [options]\n' +
+        '  client         - Run the game client (default; --spectate to watch, --room NAME [--board NAME] [--private], --code CODE, --name NAME)\n' +
+        '  server         - Run the game server\n' +
+        '  init           - Create default config in .ascii-tag/\n' +
+        '  replay <file>  - Play back a recorded match\n' +
+        '  bot <script>   - Run a scripted player (no terminal UI; --room NAME, --code CODE)\n' +
+        '  loadtest       - Simulate many clients (--clients N --duration SECONDS [--out file] [--code CODE])\n' +
+        '  rooms          - List the rooms on the server (--code CODE)\n'
     );
     process.exit(0);
   }
 
-  const { subcommand, boardPath } = parseArgs(argv);
+  const parsed = parseArgs(argv);
+  const { subcommand, boardPath, replayPath, scriptPath } = parsed;
   const firstArg = args[0];
-  if (firstArg && !VALID_SUBCOMMANDS.includes(firstArg)) {
+  if (firstArg && !firstArg.startsWith('--') && !VALID_SUBCOMMANDS.includes(firstArg)) {
     process.stderr.write(`Unknown command: ${firstArg}\n`);
     process.exit(1);
   }
 
   if (subcommand === 'client') {
-    runClient().catch((err) => {
+    runClient(parsed).catch((err) => {
       console.error(err);
       process.exit(1);
     });
@@ -133,6 +262,26 @@ function run(argv = process.argv) {
       console.error(err);
       process.exit(1);
     });
+  } else if (subcommand === 'replay') {
+    runReplay(replayPath).catch((err) => {
+      console.error(err.message ?? err);
+      process.exit(1);
+    });
+  } else if (subcommand === 'bot') {
+    runBot(scriptPath, parsed).catch((err) => {
+      console.error(err.message ?? err);
+      process.exit(1);
+    });
+  } else if (subcommand === 'loadtest') {
+    runLoadTest(parsed).catch((err) => {
+      console.error(err.message ?? err);
+      process.exit(1);
+    });
+  } else if (subcommand === 'rooms') {
+    runRooms(parsed).catch((err) => {
+      console.error(err.message ?? err);
+      process.exit(1);
+    });
   } else if (subcommand === 'init') runInit();
 }
 
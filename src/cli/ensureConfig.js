@@ -6,6 +6,15 @@ const CONFIG_DIR = '.ascii-tag';
 const CLIENT_CONFIG_FILE = 'client.json';
 const SERVER_CONFIG_FILE = 'server.json';
 
+/**
+ * Path of the client config file for cwd
+ * @param {string} cwd - Current working directory
+ * @returns {string}
+ */
+export function clientConfigPath(cwd) {
+  return join(cwd, CONFIG_DIR, CLIENT_CONFIG_FILE);
+}
+
 /**
  * Ensure client config exists in cwd; create with defaults if missing.
  * @param {string} cwd - Current working directory
@@ -15,7 +24,7 @@ const SERVER_CONFIG_FILE = 'server.json';
 export function ensureClientConfig(cwd, opts = {}) {
   const stderr = opts.stderr ?? process.stderr;
   const dir = join(cwd, CONFIG_DIR);
-  const path = join(dir, CLIENT_CONFIG_FILE);
+  const path = clientConfigPath(cwd);
   if (existsSync(path)) {
     try {
       return JSON.parse(readFileSync(path, 'utf-8'));
@@ -0,0 +1,92 @@
+import { readFileSync, writeFileSync } from 'fs';
+
+/**
+ * Client options the settings screen can change, in display order. Each is config[section][key];
+ * default is what the client uses when the key is missing.
+ * @type {ReadonlyArray<{ section: string, key: string, label: string, type: 'glyph'|'color'|'boolean'|'number', default: unknown, min?: number, max?: number, step?: number }>}
+ */
+export const SETTINGS_FIELDS = Object.freeze([
+  { section: 'rendering', key: 'playerGlyph', label: 'Player glyph', type: 'glyph', default: '☻' },
+  { section: 'rendering', key: 'playerColor', label: 'Player color', type: 'color', default: '00FF00' },
+  { section: 'rendering', key: 'itGlyph', label: 'It glyph', type: 'glyph', default: '☺' },
+  { section: 'rendering', key: 'itColor', label: 'It color', type: 'color', default: 'FF0000' },
+  { section: 'rendering', key: 'bulletGlyph', label: 'Bullet glyph', type: 'glyph', default: '•' },
+  { section: 'rendering', key: 'bulletColor', label: 'Bullet color', type: 'color', default: 'FFFF00' },
+  { section: 'rendering', key: 'wallGlyph', label: 'Wall glyph', type: 'glyph', default: '#' },
+  { section: 'rendering', key: 'spaceGlyph', label: 'Space glyph', type: 'glyph', default: '.' },
+  { section: 'rendering', key: 'centerBoard', label: 'Center board', type: 'boolean', default: true },
+  { section: 'rendering', key: 'remoteDisplayEasing', label: 'Smooth other players', type: 'boolean', default: true },
+  { section: 'rendering', key: 'resizeDebounceMs', label: 'Resize debounce ms', type: 'number', default: 200, min: 1, max: 5000, step: 50 },
+  { section: 'prediction', key: 'enabled', label: 'Prediction', type: 'boolean', default: true },
+  { section: 'statusBar', key: 'widthThreshold', label: 'Status bar threshold', type: 'number', default: 25, min: 0, max: 200, step: 5 }
+].map((field) => Object.freeze(field)));
+
+/**
+ * Current value of a setting (its default when the config does not set it)
+ * @param {object} config - Client config
+ * @param {(typeof SETTINGS_FIELDS)[number]} field
+ * @returns {unknown}
+ */
+export function readSetting(config, field) {
+  return config?.[field.section]?.[field.key] ?? field.default;
+}
+
+/**
+ * Setting value for typed text (pure)
+ * @param {(typeof SETTINGS_FIELDS)[number]} field
+ * @param {string} text
+ * @returns {{ value: unknown } | { error: string }}
+ */
+export function parseSettingValue(field, text) {
+  const trimmed = String(text).trim();
+  if (field.type === 'glyph') {
+    // A space glyph is allowed (blank floor), so only a lone space is not trimmed away
+    const glyph = text === ' ' ? ' ' : trimmed;
+    return [...glyph].length === 1 ? { value: glyph } : { error: `${field.label} must be one character` };
+  }
+  if (field.type === 'color') {
+    const hex = trimmed.replace(/^#/, '');
+    return /^[0-9A-Fa-f]{6}$/.test(hex) ? { value: hex.toUpperCase() } : { error: `${field.label} must be a hex color like FF8800` };
+  }
+  if (field.type === 'boolean') {
+    if (/^(on|true|yes)$/i.test(trimmed)) return { value: true };
+    if (/^(off|false|no)$/i.test(trimmed)) return { value: false };
+    return { error: `${field.label} must be on or off` };
+  }
+  const n = Number(trimmed);
+  if (trimmed === '' || !Number.isInteger(n) || n < field.min || n > field.max) {
+    return { error: `${field.label} must be a whole number from ${field.min} to ${field.max}` };
+  }
+  return { value: n };
+}
+
+/**
+ * Set a setting on an in-memory config, in place so every holder of the section sees it
+ * (creates the section if needed)
+ * @param {object} config - Client config (mutated)
+ * @param {(typeof SETTINGS_FIELDS)[number]} field
+ * @param {unknown} value
+ */
+export function applySetting(config, field, value) {
+  config[field.section] ??= {};
+  config[field.section][field.key] = value;
+}
+
+/**
+ * Write one setting into a client.json file, keeping every other key (including ones this
+ * version does not know) as it is on disk
+ * @param {string} path - Client config file (e.g. .ascii-tag/client.json)
+ * @param {(typeof SETTINGS_FIELDS)[number]} field
+ * @param {unknown} value
+ * @throws {Error} When the file cannot be read, is not valid JSON or cannot be written
+ */
+export function saveSetting(path, field, value) {
+  let fileConfig;
+  try {
+    fileConfig = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read ${path}: ${err.message}`);
+  }
+  applySetting(fileConfig, field, value);
+  writeFileSync(path, JSON.stringify(fileConfig, null, 2));
+}
@@ -15,7 +15,27 @@ export function getDefaultServerConfig() {
       clearRadius: 3,
       waitMessage:
         'Thank you for waiting. A spawn point is being selected for you.'
-    }
+    },
+    game: { mode: 'free' },
+    tag: { tagBackCooldownMs: 1000, pointsPerSecond: 1 },
+    match: {
+      enabled: false,
+      warmupSeconds: 10,
+      durationSeconds: 180,
+      endedSeconds: 3,
+      intermissionSeconds: 10
+    },
+    stateSync: { keyframeInterval: 20 },
+    simulation: { tickRateHz: 20, bulletSpeed: 4, seed: null },
+    broadcast: { rateHz: 4 },
+    reconnect: { gracePeriodSeconds: 30 },
+    heartbeat: { intervalSeconds: 10, maxMissedPongs: 2 },
+    afk: { timeoutSeconds: 300 },
+    replay: { enabled: false, directory: 'replays' },
+    bots: { count: 0, difficulty: 'normal' },
+    rooms: { maxRooms: 8 },
+    access: { password: null },
+    chat: { maxLength: 200, maxMessages: 5, windowSeconds: 10 }
   };
 }
 
@@ -29,10 +49,20 @@ export function getDefaultClientConfig() {
       spaceGlyph: ' ',
       wallGlyph: '#',
       playerColor: '00FF00',
+      itGlyph: '☺',
+      itColor: 'FF0000',
       centerBoard: true,
       resizeDebounceMs: 200
     },
-    prediction: { enabled: true, reconciliationInterval: 5000 },
-    statusBar: { widthThreshold: 25 }
+    prediction: { enabled: true },
+    statusBar: { widthThreshold: 25 },
+    reconnect: { enabled: true, initialDelayMs: 500, maxDelayMs: 8000, maxAttempts: 10 },
+    netStats: { showOverlay: false, pingIntervalMs: 2000, logIntervalMs: 5000 },
+    bot: { tickIntervalMs: 100 },
+    access: { code: null },
+    player: { name: null, color: null, glyph: null },
+    servers: [],
+    keymap: { preset: 'wasd+hjkl', bindings: {} },
+    chat: { panelLines: 5 }
   };
 }
@@ -0,0 +1,154 @@
+/**
+ * Game rules shared by the server (authoritative) and the client (prediction).
+ * Everything here is pure and environment-agnostic: no logging, timers or I/O, and nothing is mutated.
+ *
+ * Boards are anything with `width`, `height` and `getCell(x, y)` (a Board, or createBoardView() over
+ * a serialized board). Players are `{ playerId, x, y }` (x/y null while waiting to spawn).
+ */
+
+/** Board cell that blocks movement, bullets and spawns */
+export const WALL_CELL = '#';
+
+/**
+ * Read-only board over serialized board data; getCell returns null outside the grid.
+ * @param {{ width: number, height: number, grid: string[][] }} boardData - Serialized board (CONNECT / BOARD_UPDATE)
+ * @returns {{ width: number, height: number, getCell: (x: number, y: number) => string|null }}
+ */
+export function createBoardView(boardData) {
+  return {
+    width: boardData.width,
+    height: boardData.height,
+    getCell: (x, y) => {
+      if (y < 0 || y >= boardData.grid.length) return null;
+      if (x < 0 || x >= boardData.grid[y].length) return null;
+      return boardData.grid[y][x];
+    }
+  };
+}
+
+/**
+ * Validate if position is within board bounds.
+ */
+export function validateBounds(x, y, board) {
+  if (!board) return false;
+  return x >= 0 && x < board.width && y >= 0 && y < board.height;
+}
+
+/**
+ * Validate if position is not a wall (call after validateBounds for boards that throw out of range).
+ */
+export function validateWall(x, y, board) {
+  if (!board || !board.getCell) return false;
+  const cell = board.getCell(x, y);
+  if (cell === null) return false;
+  return cell !== WALL_CELL;
+}
+
+/**
+ * Validate if no solid entity at position.
+ */
+export function validateEntityCollision(x, y, entities) {
+  if (!entities || entities.length === 0) return true;
+  const solidEntity = entities.find(
+    e => e.x === x && e.y === y && e.solid === true
+  );
+  return !solidEntity;
+}
+
+/**
+ * Validate if no other player at position.
+ */
+export function validatePlayerCollision(x, y, players, excludePlayerId) {
+  if (!players || players.length === 0) return true;
+  const otherPlayer = players.find(
+    p => p.playerId !== excludePlayerId && p.x === x && p.y === y
+  );
+  return !otherPlayer;
+}
+
+/**
+ * Whether a player may move onto a cell: in bounds, not a wall, no solid entity, no other player.
+ * @param {number} x - Target X coordinate
+ * @param {number} y - Target Y coordinate
+ * @param {{ board: object, players?: Array<object>, entities?: Array<object> }} world - Board, all players, entities
+ * @param {string|null} playerId - Moving player (ignored for player collision)
+ * @returns {boolean}
+ */
+export function canMoveTo(x, y, world, playerId) {
+  const { board, players = [], entities = [] } = world;
+  if (!validateBounds(x, y, board)) return false;
+  if (!validateWall(x, y, board)) return false;
+  if (!validateEntityCollision(x, y, entities)) return false;
+  if (!validatePlayerCollision(x, y, players, playerId)) return false;
+  return true;
+}
+
+/**
+ * Outcome of moving a bullet one cell.
+ * @param {{ playerId: string, x: number, y: number, dx: number, dy: number }} bullet - Bullet (owner, position, direction)
+ * @param {object} board - Board
+ * @param {Array<object>} players - All players
+ * @returns {{ x: number, y: number, blocked?: boolean, victimId?: string }} Next cell; blocked when it would leave
+ *   the board or hit a wall or its owner (the bullet is destroyed); victimId when it hits another player
+ */
+export function stepBullet(bullet, board, players) {
+  const x = bullet.x + bullet.dx;
+  const y = bullet.y + bullet.dy;
+
+  if (!validateBounds(x, y, board) || !validateWall(x, y, board)) {
+    return { x, y, blocked: true };
+  }
+
+  const hitPlayer = players.find(p => p.x === x && p.y === y);
+  if (hitPlayer) {
+    if (hitPlayer.playerId === bullet.playerId) {
+      return { x, y, blocked: true };
+    }
+    return { x, y, victimId: hitPlayer.playerId };
+  }
+
+  return { x, y };
+}
+
+/**
+ * Check if a spawn point is available: the spawn cell must not be a wall, and
+ * every cell within Manhattan distance R of the spawn must be free of other players.
+ * Walls elsewhere in the radius are allowed; only the spawn point itself cannot be on a wall.
+ * @param {{ x: number, y: number }} spawn - Spawn coordinates
+ * @param {{ width: number, height: number, getCell: (x: number, y: number) => string }} board - Board with getCell
+ * @param {Array<{ playerId: string, x: number | null, y: number | null }>} players - All players (spawned and waiting)
+ * @param {number} clearRadius - Manhattan radius (cells with |dx|+|dy| <= clearRadius must have no other players)
+ * @returns {boolean} True if spawn is available
+ */
+export function isSpawnAvailable(spawn, board, players, clearRadius) {
+  const { x: sx, y: sy } = spawn;
+  const width = board.width;
+  const height = board.height;
+
+  if (sx < 0 || sx >= width || sy < 0 || sy >= height) return false;
+  if (board.getCell(sx, sy) === WALL_CELL) return false;
+
+  for (let y = sy - clearRadius; y <= sy + clearRadius; y++) {
+    for (let x = sx - clearRadius; x <= sx + clearRadius; x++) {
+      if (Math.abs(x - sx) + Math.abs(y - sy) > clearRadius) continue;
+      if (x < 0 || x >= width || y < 0 || y >= height) return false;
+      const occupied = players.some(
+        (p) => p.x !== null && p.y !== null && p.x === x && p.y === y
+      );
+      if (occupied) return false;
+    }
+  }
+  return true;
+}
+
+export default {
+  WALL_CELL,
+  createBoardView,
+  validateBounds,
+  validateWall,
+  validateEntityCollision,
+  validatePlayerCollision,
+  canMoveTo,
+  stepBullet,
+  isSpawnAvailable
+};
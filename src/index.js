@@ -2,15 +2,29 @@ import clientConfig from '../config/clientConfig.js';
 import { configureLogger } from './utils/logger.js';
 import logger from './utils/logger.js';
 import networkedMode from './modes/networkedMode.js';
+import menuMode from './modes/menuMode.js';
 
 // Configure logger for client mode (files only, no console)
 configureLogger('client');
 
+/**
+ * Whether client options already say what to join (so the main menu is skipped)
+ * @param {object} options - startClient options
+ * @returns {boolean}
+ */
+function hasSessionOptions(options) {
+  return Boolean(options.spectate || options.room || options.board || options.code || options.private);
+}
+
 /**
  * Start the client. When config is provided (e.g. from CLI with cwd config), use it; otherwise use repo config.
+ * Opens the main menu (menuMode) in a terminal; connects straight away when stdin is not a TTY or
+ * options pick a session (spectate, room, board, code, private).
  * @param {object} [config] - Optional config (when provided, used instead of repo clientConfig)
+ * @param {{ spectate?: boolean, room?: string, board?: string, code?: string, private?: boolean, configPath?: string }} [options] - Passed to
+ *   networkedMode; configPath is the client.json that settings changes are saved to
  */
-async function startClient(config) {
+async function startClient(config, options = {}) {
   const cfg = config ?? clientConfig;
   logger.level = cfg.logging.level;
 
@@ -24,7 +38,15 @@ async function startClient(config) {
   process.on('SIGTERM', shutdown);
 
   try {
-    await networkedMode(cfg);
+    if (process.stdin.isTTY && !hasSessionOptions(options)) {
+      await menuMode(cfg, { configPath: options.configPath });
+    } else {
+      const { reason, showReason } = await networkedMode(cfg, options);
+      if (showReason) {
+        process.stdout.write(`${reason}\n`);
+      }
+    }
+    process.exit(0);
   } catch (error) {
     logger.error('Failed to start client:', error);
     process.exit(1);
@@ -1,17 +1,34 @@
 import process from 'process';
 import logger from '../utils/logger.js';
+import { loadKeymap } from './keymap.js';
+
+/** (dx, dy) for the move and fire actions */
+const MOVE_DIRECTIONS = { moveUp: [0, -1], moveDown: [0, 1], moveLeft: [-1, 0], moveRight: [1, 0] };
+const FIRE_DIRECTIONS = { fireUp: [0, -1], fireDown: [0, 1], fireLeft: [-1, 0], fireRight: [1, 0] };
+
+/** During text entry arrow keys move, whatever the keymap binds them to */
+const ARROW_ACTIONS = { '\x1b[A': 'moveUp', '\x1b[B': 'moveDown', '\x1b[D': 'moveLeft', '\x1b[C': 'moveRight' };
 
 /**
- * InputHandler class for capturing keyboard input
+ * InputHandler class for capturing keyboard input and turning keys into actions through a keymap
+ * @param {import('./keymap.js').Keymap} [keymap] - Key bindings (default: the default preset)
  */
 export class InputHandler {
-  constructor() {
+  constructor(keymap = loadKeymap()) {
+    this.keymap = keymap;
     this.moveCallback = null;
     this.quitCallback = null;
     this.renderCallback = null;
     this.fireCallback = null;
+    this.toggleNetStatsCallback = null;
+    this.keyCallback = null;
+    this.settingsCallback = null;
+    this.helpCallback = null;
+    this.chatCallback = null;
+    this.scoreboardCallback = null;
     this.dataHandler = null;
     this.running = false;
+    this.textEntry = false;
   }
 
   /**
@@ -79,51 +96,115 @@ export class InputHandler {
     this.fireCallback = callback;
   }
 
+  /**
+   * Register network stats overlay toggle callback
+   * @param {Function} callback - Callback function
+   */
+  onToggleNetStats(callback) {
+    this.toggleNetStatsCallback = callback;
+  }
+
+  /**
+   * Register settings callback (settings key, O by default)
+   * @param {Function} callback - Callback function
+   */
+  onSettings(callback) {
+    this.settingsCallback = callback;
+  }
+
+  /**
+   * Register help callback (help key, ? by default)
+   * @param {Function} callback - Callback function
+   */
+  onHelp(callback) {
+    this.helpCallback = callback;
+  }
+
+  /**
+   * Register chat callback (chat key, Enter by default). Without one the chat key reaches the key
+   * callback like an unbound key, so Enter still selects in menus.
+   * @param {Function} callback - Callback function (key: raw key string)
+   */
+  onChat(callback) {
+    this.chatCallback = callback;
+  }
+
+  /**
+   * Register scoreboard callback (scoreboard key, P by default). Called for every press, including
+   * the terminal's key repeats while the key is held.
+   * @param {Function} callback - Callback function
+   */
+  onScoreboard(callback) {
+    this.scoreboardCallback = callback;
+  }
+
+  /**
+   * Register callback for keys without a binding in the keymap (e.g. space, +, -)
+   * @param {Function} callback - Callback function (key: raw key string)
+   */
+  onKey(callback) {
+    this.keyCallback = callback;
+  }
+
+  /**
+   * Route typed keys to the key callback (text fields, e.g. the menu's host:port or a chat message)
+   * instead of their move/fire/quit meanings; arrow keys still move
+   * @param {boolean} enabled
+   */
+  setTextEntry(enabled) {
+    this.textEntry = enabled;
+  }
+
   /**
    * Handle raw input data
    * @param {Buffer|string} data - Raw input data
    */
   handleInput(data) {
     const str = data.toString();
+    const isArrow = str === '\x1b[A' || str === '\x1b[B' || str === '\x1b[C' || str === '\x1b[D';
 
-    // Arrow keys
-    if (str === '\x1b[A') { // Up
-      this.triggerMove(0, -1);
-    } else if (str === '\x1b[B') { // Down
-      this.triggerMove(0, 1);
-    } else if (str === '\x1b[D') { // Left
-      this.triggerMove(-1, 0);
-    } else if (str === '\x1b[C') { // Right
-      this.triggerMove(1, 0);
-    }
-    // WASD keys
-    else if (str === 'w' || str === 'W') {
-      this.triggerMove(0, -1);
-    } else if (str === 's' || str === 'S') {
-      this.triggerMove(0, 1);
-    } else if (str === 'a' || str === 'A') {
-      this.triggerMove(-1, 0);
-    } else if (str === 'd' || str === 'D') {
-      this.triggerMove(1, 0);
+    if (this.textEntry && !isArrow) {
+      this.triggerKey(str);
+      return;
     }
-    // Quit keys
-    else if (str === 'q' || str === 'Q' || str === '\x1b') { // Q or ESC
+
+    const action = this.textEntry ? ARROW_ACTIONS[str] : this.keymap.actionFor(str);
+    if (MOVE_DIRECTIONS[action]) {
+      this.triggerMove(...MOVE_DIRECTIONS[action]);
+    } else if (FIRE_DIRECTIONS[action]) {
+      this.triggerFire(...FIRE_DIRECTIONS[action]);
+    } else if (action === 'quit') {
       this.triggerQuit();
-    }
-    else if (str === 'r' || str === 'R') { // R
+    } else if (action === 'redraw') {
       this.triggerRender();
+    } else if (action === 'netStats') {
+      this.triggerToggleNetStats();
+    } else if (action === 'settings') {
+      this.triggerCallback(this.settingsCallback, 'settings');
+    } else if (action === 'help') {
+      this.triggerCallback(this.helpCallback, 'help');
+    } else if (action === 'chat' && this.chatCallback) {
+      this.triggerCallback(this.chatCallback, 'chat', str);
+    } else if (action === 'scoreboard' && this.scoreboardCallback) {
+      this.triggerCallback(this.scoreboardCallback, 'scoreboard');
+    } else {
+      this.triggerKey(str);
     }
-    else if (str === 'k' || str === 'K') { // Fire up
-      this.triggerFire(0, -1);
-    }
-    else if (str === 'j' || str === 'J') { // Fire down
-      this.triggerFire(0, 1);
-    }
-    else if (str === 'h' || str === 'H') { // Fire left
-      this.triggerFire(-1, 0);
-    }
-    else if (str === 'l' || str === 'L') { // Fire right
-      this.triggerFire(1, 0);
+  }
+
+  /**
+   * Call a callback, logging (not throwing) its errors
+   * @param {Function|null} callback
+   * @param {string} name - For the log message
+   * @param {...unknown} args - Passed to the callback
+   */
+  triggerCallback(callback, name, ...args) {
+    if (callback) {
+      try {
+        callback(...args);
+      } catch (error) {
+        logger.error(`Error in ${name} callback:`, error);
+      }
     }
   }
 
@@ -168,6 +249,33 @@ export class InputHandler {
     }
   }
 
+  /**
+   * Trigger network stats overlay toggle callback
+   */
+  triggerToggleNetStats() {
+    if (this.toggleNetStatsCallback) {
+      try {
+        this.toggleNetStatsCallback();
+      } catch (error) {
+        logger.error('Error in net stats toggle callback:', error);
+      }
+    }
+  }
+
+  /**
+   * Trigger callback for an unmapped key
+   * @param {string} key - Raw key string
+   */
+  triggerKey(key) {
+    if (this.keyCallback) {
+      try {
+        this.keyCallback(key);
+      } catch (error) {
+        logger.error('Error in key callback:', error);
+      }
+    }
+  }
+
   triggerFire(dx, dy) {
     if (this.fireCallback) {
       try {
@@ -0,0 +1,187 @@
+/**
+ * Key bindings: which keys trigger which game action. Loaded from the client config's `keymap`
+ * section (a preset plus per-action overrides) and checked for conflicts before the game starts.
+ */
+
+/** Bindable actions, in help order, with their help labels */
+export const ACTIONS = Object.freeze({
+  moveUp: 'Move up',
+  moveDown: 'Move down',
+  moveLeft: 'Move left',
+  moveRight: 'Move right',
+  fireUp: 'Fire up',
+  fireDown: 'Fire down',
+  fireLeft: 'Fire left',
+  fireRight: 'Fire right',
+  chat: 'Chat',
+  scoreboard: 'Scoreboard (hold)',
+  quit: 'Quit',
+  redraw: 'Redraw',
+  netStats: 'Network stats',
+  settings: 'Settings',
+  help: 'Help'
+});
+
+/** Named keys and the sequences the terminal sends for them */
+export const KEY_NAMES = Object.freeze({
+  up: '\x1b[A',
+  down: '\x1b[B',
+  right: '\x1b[C',
+  left: '\x1b[D',
+  esc: '\x1b',
+  tab: '\t',
+  space: ' ',
+  enter: '\r'
+});
+
+/** Built-in binding sets; every action is bound in each */
+export const PRESETS = Object.freeze({
+  'wasd+hjkl': Object.freeze({
+    moveUp: ['up', 'w'],
+    moveDown: ['down', 's'],
+    moveLeft: ['left', 'a'],
+    moveRight: ['right', 'd'],
+    fireUp: ['k'],
+    fireDown: ['j'],
+    fireLeft: ['h'],
+    fireRight: ['l'],
+    chat: ['enter'],
+    scoreboard: ['p'],
+    quit: ['q', 'esc'],
+    redraw: ['r'],
+    netStats: ['n'],
+    settings: ['o'],
+    help: ['?']
+  }),
+  'arrows+ijkl': Object.freeze({
+    moveUp: ['up'],
+    moveDown: ['down'],
+    moveLeft: ['left'],
+    moveRight: ['right'],
+    fireUp: ['i'],
+    fireDown: ['k'],
+    fireLeft: ['j'],
+    fireRight: ['l'],
+    chat: ['enter'],
+    scoreboard: ['p'],
+    quit: ['q', 'esc'],
+    redraw: ['r'],
+    netStats: ['n'],
+    settings: ['o'],
+    help: ['h', '?']
+  })
+});
+
+export const DEFAULT_PRESET = 'wasd+hjkl';
+
+/**
+ * Sequence for a key name: a KEY_NAMES entry or one character (letters match either case, so
+ * they are stored lowercase)
+ * @param {string} name - e.g. "up", "esc", "w", "?"
+ * @returns {string}
+ * @throws {Error} For anything else
+ */
+export function parseKey(name) {
+  if (typeof name !== 'string') {
+    throw new Error(`Invalid key: ${JSON.stringify(name)}`);
+  }
+  const named = KEY_NAMES[name.toLowerCase()];
+  if (named) return named;
+  if ([...name].length === 1 && name >= ' ') return name.toLowerCase();
+  throw new Error(`Unknown key "${name}" (use one character or one of: ${Object.keys(KEY_NAMES).join(', ')})`);
+}
+
+/**
+ * Display label for a key name (e.g. "Up", "Esc", "W", "?")
+ * @param {string} name
+ * @returns {string}
+ */
+export function keyLabel(name) {
+  if (KEY_NAMES[name.toLowerCase()]) return name[0].toUpperCase() + name.slice(1).toLowerCase();
+  return name.toUpperCase();
+}
+
+/**
+ * Active key bindings with a lookup from input sequences to actions. Build with loadKeymap.
+ * @param {Record<string, string[]>} bindings - Action → key names (already validated)
+ */
+export class Keymap {
+  constructor(bindings) {
+    this.bindings = bindings;
+    this.lookup = new Map();
+    for (const [action, names] of Object.entries(bindings)) {
+      for (const name of names) {
+        this.lookup.set(parseKey(name), action);
+      }
+    }
+  }
+
+  /**
+   * Action bound to raw input, or null
+   * @param {string} input - Raw key string from stdin
+   * @returns {string|null}
+   */
+  actionFor(input) {
+    const key = [...input].length === 1 ? input.toLowerCase() : input;
+    return this.lookup.get(key) ?? null;
+  }
+
+  /**
+   * Help entries for the bound actions, in ACTIONS order
+   * @returns {Array<{ label: string, keys: string }>}
+   */
+  describe() {
+    return Object.keys(ACTIONS)
+      .filter((action) => this.bindings[action]?.length > 0)
+      .map((action) => ({
+        label: ACTIONS[action],
+        keys: this.bindings[action].map(keyLabel).join(' / ')
+      }));
+  }
+}
+
+/**
+ * Build the keymap from the client config's `keymap` section: the preset's bindings, with any
+ * action listed in `bindings` replaced (a key name or a list; [] unbinds the action)
+ * @param {{ preset?: string, bindings?: Record<string, string|string[]> }} [keymapConfig]
+ * @returns {Keymap}
+ * @throws {Error} On an unknown preset, action or key, or a key bound to two actions
+ */
+export function loadKeymap(keymapConfig = {}) {
+  const presetName = keymapConfig?.preset ?? DEFAULT_PRESET;
+  const preset = PRESETS[presetName];
+  if (!preset) {
+    throw new Error(`Unknown keymap preset "${presetName}" (available: ${Object.keys(PRESETS).join(', ')})`);
+  }
+
+  const bindings = {};
+  for (const action of Object.keys(ACTIONS)) {
+    bindings[action] = [...preset[action]];
+  }
+  for (const [action, keys] of Object.entries(keymapConfig?.bindings ?? {})) {
+    if (!ACTIONS[action]) {
+      throw new Error(`Unknown keymap action "${action}" (available: ${Object.keys(ACTIONS).join(', ')})`);
+    }
+    bindings[action] = Array.isArray(keys) ? [...keys] : [keys];
+  }
+
+  const owners = new Map(); // sequence → { action, name }
+  const conflicts = [];
+  for (const [action, names] of Object.entries(bindings)) {
+    for (const name of names) {
+      const sequence = parseKey(name);
+      const owner = owners.get(sequence);
+      if (owner && owner.action !== action) {
+        conflicts.push(`"${name}" is bound to both ${owner.action} and ${action}`);
+      } else {
+        owners.set(sequence, { action, name });
+      }
+    }
+  }
+  if (conflicts.length > 0) {
+    throw new Error(`Keymap conflict: ${conflicts.join('; ')}`);
+  }
+  return new Keymap(bindings);
+}
+
+export default loadKeymap;
@@ -0,0 +1,262 @@
+import BotClient from '../network/BotClient.js';
+import WebSocketClient from '../network/WebSocketClient.js';
+import MessageHandler from '../network/MessageHandler.js';
+import MessageTypes from '../network/MessageTypes.js';
+import { formatBytes } from '../network/NetworkStats.js';
+import { createRandom } from '../utils/random.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_INPUT_INTERVAL_MS = 100;
+const DEFAULT_STATS_INTERVAL_MS = 1000;
+const FIRE_SHARE = 0.2; // Share of simulated inputs that are FIREs rather than MOVEs
+
+const DIRECTIONS = [
+  { dx: 0, dy: -1 },
+  { dx: 1, dy: 0 },
+  { dx: 0, dy: 1 },
+  { dx: -1, dy: 0 }
+];
+
+/**
+ * Nearest-rank percentile of sorted values (pure)
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} null when there are no values
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Count, average, percentiles and maximum of a sample (pure)
+ * @param {number[]} values
+ * @returns {{ samples: number, avg: number|null, p50: number|null, p95: number|null, p99: number|null, max: number|null }}
+ */
+export function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+  return {
+    samples: sorted.length,
+    avg: round(sorted.length === 0 ? null : sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted.length === 0 ? null : sorted[sorted.length - 1])
+  };
+}
+
+/**
+ * Server figures from successive SERVER_STATS samples (pure)
+ * @param {Array<ReturnType<import('../server/server.js').Server['getServerStats']>>} samples - In the order received
+ * @returns {{ cpuPercentAvg: number, cpuPercentMax: number, rssBytesMax: number, heapUsedBytesMax: number, broadcastAvgMs: number, broadcastMaxMs: number } | null}
+ *   null with fewer than two samples (CPU needs an interval)
+ */
+export function summarizeServerStats(samples) {
+  if (samples.length < 2) return null;
+  const round = (value) => Math.round(value * 10) / 10;
+  const cpuMicros = (sample) => sample.cpuUserMicros + sample.cpuSystemMicros;
+  const cpuPercents = [];
+  for (let i = 1; i < samples.length; i++) {
+    const elapsedMs = samples[i].uptimeMs - samples[i - 1].uptimeMs;
+    if (elapsedMs > 0) {
+      cpuPercents.push(((cpuMicros(samples[i]) - cpuMicros(samples[i - 1])) / 1000 / elapsedMs) * 100);
+    }
+  }
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const elapsedMs = last.uptimeMs - first.uptimeMs;
+  const windowBroadcasts = last.broadcasts - first.broadcasts;
+  return {
+    cpuPercentAvg: round(elapsedMs > 0 ? ((cpuMicros(last) - cpuMicros(first)) / 1000 / elapsedMs) * 100 : 0),
+    cpuPercentMax: round(Math.max(0, ...cpuPercents)),
+    rssBytesMax: Math.max(...samples.map((s) => s.rssBytes)),
+    heapUsedBytesMax: Math.max(...samples.map((s) => s.heapUsedBytes)),
+    // Average over the test window (cumulative figures differenced); the max is since the server started
+    broadcastAvgMs: round(
+      windowBroadcasts > 0
+        ? (last.broadcastAvgMs * last.broadcasts - first.broadcastAvgMs * first.broadcasts) / windowBroadcasts
+        : last.broadcastAvgMs
+    ),
+    broadcastMaxMs: round(last.broadcastMaxMs)
+  };
+}
+
+/**
+ * Summary table lines for a load test report (pure)
+ * @param {object} report - LoadTest report (see LoadTest.run)
+ * @returns {string[]}
+ */
+export function formatLoadTestTable(report) {
+  const ms = (value) => (value === null ? '--' : `${value} ms`);
+  const bytes = (value) => (value === null ? '--' : formatBytes(Math.round(value)));
+  const { connections, inputs, broadcastLatencyMs: latency, stateUpdateBytes: size, server } = report;
+  const rows = [
+    ['Target', `${report.url}, ${report.clients} clients for ${report.durationSeconds} s`],
+    ['Connections', `${connections.connected} connected, ${connections.spawned} spawned, ${connections.failed} failed, ${connections.dropped} dropped`],
+    ['Inputs sent', `${inputs.moves} MOVE, ${inputs.fires} FIRE`],
+    ['Broadcast latency', `p50 ${ms(latency.p50)}, p95 ${ms(latency.p95)}, p99 ${ms(latency.p99)}, max ${ms(latency.max)} (${latency.samples} updates)`],
+    ['STATE_UPDATE size', `avg ${bytes(size.avg)}, p95 ${bytes(size.p95)}, max ${bytes(size.max)} (total ${formatBytes(size.totalBytes)})`]
+  ];
+  if (server) {
+    rows.push(
+      ['Server CPU', `avg ${server.cpuPercentAvg}%, max ${server.cpuPercentMax}%`],
+      ['Server memory', `RSS max ${formatBytes(server.rssBytesMax)}, heap max ${formatBytes(server.heapUsedBytesMax)}`],
+      ['Server broadcast', `avg ${ms(server.broadcastAvgMs)}, max ${ms(server.broadcastMaxMs)} per STATE_UPDATE round`]
+    );
+  } else {
+    rows.push(['Server', 'no SERVER_STATS received']);
+  }
+
+  const labelWidth = Math.max(...rows.map(([label]) => label.length));
+  return rows.map(([label, value]) => `${label.padEnd(labelWidth)}  ${value}`);
+}
+
+/**
+ * Opens `clients` simulated players against a server and sends random MOVE/FIRE traffic at the
+ * server's keyRepeatIntervalMs, measuring broadcast latency (receive time minus the STATE_UPDATE
+ * timestamp, so run it on the server's machine or one with a synced clock), STATE_UPDATE sizes and
+ * dropped connections. A separate control connection polls SERVER_STATS for server CPU, memory and
+ * broadcast timings.
+ * @param {string} url - Server URL
+ * @param {{ clients?: number, durationMs?: number, statsIntervalMs?: number, random?: object, code?: string|null, createClient?: (url: string) => BotClient, createControlClient?: (url: string) => WebSocketClient }} [options]
+ *   Number of clients (default 10), test length (default 30 s), SERVER_STATS poll interval, random source for inputs,
+ *   the server password (sent with every CONNECT and SERVER_STATS), and factories for the simulated and control
+ *   connections (no reconnects by default, so drops are counted)
+ */
+export class LoadTest {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.clientCount = options.clients ?? 10;
+    this.durationMs = options.durationMs ?? 30000;
+    this.statsIntervalMs = options.statsIntervalMs ?? DEFAULT_STATS_INTERVAL_MS;
+    this.random = options.random ?? createRandom();
+    this.code = options.code ?? null;
+    this.createClient = options.createClient ??
+      ((clientUrl) => new BotClient(clientUrl, { reconnect: { enabled: false }, pingIntervalMs: 0, code: this.code }));
+    this.createControlClient = options.createControlClient ??
+      ((clientUrl) => new WebSocketClient(clientUrl, { reconnect: { enabled: false }, pingIntervalMs: 0 }));
+
+    this.sims = [];
+    this.latencies = [];
+    this.sizes = [];
+    this.serverSamples = [];
+    this.inputs = { moves: 0, fires: 0 };
+    this.stopping = false;
+    this.timers = new Set();
+  }
+
+  /**
+   * Run the test for durationMs, then disconnect everything
+   * @returns {Promise<object>} Report: url, clients, durationSeconds, connections { connected, spawned, failed, dropped },
+   *   inputs { moves, fires }, broadcastLatencyMs and stateUpdateBytes (summarize() plus totalBytes), server (summarizeServerStats())
+   */
+  async run() {
+    logger.info(`Load test: ${this.clientCount} clients against ${this.url} for ${this.durationMs} ms`);
+    const control = this._startControl();
+    for (let i = 0; i < this.clientCount; i++) {
+      this.sims.push(this._startClient());
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, this.durationMs));
+
+    this.stopping = true;
+    this.timers.forEach((timer) => clearInterval(timer));
+    this.timers.clear();
+    this.sims.forEach((sim) => sim.bot.disconnect());
+    control.disconnect();
+    return this.report();
+  }
+
+  /**
+   * Report for what has been measured so far (see run)
+   * @returns {object}
+   */
+  report() {
+    return {
+      url: this.url,
+      clients: this.clientCount,
+      durationSeconds: this.durationMs / 1000,
+      connections: {
+        connected: this.sims.filter((sim) => sim.connected).length,
+        spawned: this.sims.filter((sim) => sim.spawned).length,
+        failed: this.sims.filter((sim) => sim.failed).length,
+        dropped: this.sims.filter((sim) => sim.dropped).length
+      },
+      inputs: { ...this.inputs },
+      broadcastLatencyMs: summarize(this.latencies),
+      stateUpdateBytes: { ...summarize(this.sizes), totalBytes: this.sizes.reduce((sum, v) => sum + v, 0) },
+      server: summarizeServerStats(this.serverSamples)
+    };
+  }
+
+  _startClient() {
+    const bot = this.createClient(this.url);
+    const sim = { bot, connected: false, spawned: false, failed: false, dropped: false, started: false };
+
+    bot.client.on('connect', () => {
+      sim.connected = true;
+    });
+    bot.client.on('message', (message) => {
+      if (message.type !== MessageTypes.STATE_UPDATE || this.stopping) return;
+      this.latencies.push(Math.max(0, Date.now() - message.timestamp));
+      this.sizes.push(Buffer.byteLength(JSON.stringify(message)));
+    });
+    bot.on('spawned', () => {
+      sim.spawned = true;
+      this._startInputs(sim);
+    });
+    bot.on('close', () => {
+      if (this.stopping) return;
+      if (sim.connected) sim.dropped = true;
+      else sim.failed = true;
+    });
+
+    bot.connect();
+    return sim;
+  }
+
+  /**
+   * Random MOVE/FIRE every keyRepeatIntervalMs, starting at a random offset so clients do not send in lockstep
+   */
+  _startInputs(sim) {
+    if (sim.started) return;
+    sim.started = true;
+    const intervalMs = sim.bot.keyRepeatIntervalMs > 0 ? sim.bot.keyRepeatIntervalMs : DEFAULT_INPUT_INTERVAL_MS;
+    const sendInput = () => {
+      const { dx, dy } = DIRECTIONS[this.random.int(DIRECTIONS.length)];
+      if (this.random.next() < FIRE_SHARE) {
+        if (sim.bot.fire(dx, dy)) this.inputs.fires += 1;
+      } else if (sim.bot.move(dx, dy)) {
+        this.inputs.moves += 1;
+      }
+    };
+    const offset = setTimeout(() => {
+      this.timers.delete(offset);
+      if (this.stopping) return;
+      const timer = setInterval(sendInput, intervalMs);
+      this.timers.add(timer);
+    }, this.random.int(intervalMs));
+    this.timers.add(offset);
+  }
+
+  _startControl() {
+    const control = this.createControlClient(this.url);
+    control.on('connect', () => {
+      const payload = this.code ? { code: this.code } : {};
+      const poll = () => control.send(MessageHandler.createMessage(MessageTypes.SERVER_STATS, payload));
+      poll();
+      this.timers.add(setInterval(poll, this.statsIntervalMs));
+    });
+    control.on('message', (message) => {
+      if (message.type === MessageTypes.SERVER_STATS && !this.stopping) {
+        this.serverSamples.push(message.payload);
+      }
+    });
+    control.connect();
+    return control;
+  }
+}
+
+export default LoadTest;
@@ -0,0 +1,278 @@
+import SettingsEditor from './SettingsEditor.js';
+import { loadKeymap } from '../input/keymap.js';
+
+/** Main menu entries, in display order */
+export const MAIN_MENU_ITEMS = ['Connect', 'Spectate', 'Settings', 'Help', 'Quit'];
+
+/** Longest host:port (or URL) the address field accepts */
+const MAX_ADDRESS_LENGTH = 100;
+
+/** Bare addresses: host:port, IPv6 hosts in brackets */
+const HOST_PORT_PATTERN = /^(\[[0-9A-Fa-f:.]+\]|[A-Za-z0-9.-]+):(\d{1,5})$/;
+
+const MENU_TITLE = '=== ASCII Tag ===';
+const SELECTED_COLOR = '00FFFF';
+const TEXT_COLOR = 'FFFFFF';
+const HINT_COLOR = '808080';
+const NOTICE_COLOR = 'FFFF00';
+const ERROR_COLOR = 'FF0000';
+
+const HELP_NOTES = [
+  'Quit in a game comes back to this menu.',
+  'Spectating: the move keys or Tab follow the next player.',
+  'Connect plays on a server; Spectate only watches it.',
+  'Change keys with keymap in .ascii-tag/client.json.'
+];
+
+/**
+ * WebSocket URL for what was typed in the address field (pure)
+ * @param {string} input - host:port, or a full ws:// / wss:// URL
+ * @returns {string|null} null when the address is not usable
+ */
+export function normalizeServerAddress(input) {
+  const text = String(input ?? '').trim();
+  if (/^wss?:\/\//i.test(text)) {
+    try {
+      return new URL(text).hostname ? text : null;
+    } catch {
+      return null;
+    }
+  }
+  const match = HOST_PORT_PATTERN.exec(text);
+  if (!match) return null;
+  const port = Number(match[2]);
+  return port >= 1 && port <= 65535 ? `ws://${text}` : null;
+}
+
+/**
+ * Servers offered under Connect / Spectate: the configured websocket.url first, then the saved
+ * `servers` entries (without repeats)
+ * @param {object} config - Client config (websocket.url, servers: [{ name, url }])
+ * @returns {Array<{ name: string, url: string }>}
+ */
+export function savedServers(config) {
+  const servers = [];
+  const add = (name, url) => {
+    if (typeof url === 'string' && url && !servers.some((s) => s.url === url)) {
+      servers.push({ name: name || url, url });
+    }
+  };
+  add('Default', config.websocket?.url);
+  for (const server of config.servers ?? []) {
+    add(server?.name, server?.url);
+  }
+  return servers;
+}
+
+/**
+ * Client main menu shown before connecting and after every disconnect: Connect and Spectate
+ * (pick a saved server or type host:port), Settings (a SettingsEditor), Help and Quit. Pure state;
+ * menuMode feeds it keys and draws view().
+ * Input methods return an action for menuMode, or null:
+ *   { type: 'connect', url, spectate } - start a session
+ *   { type: 'setting', field, value }  - a setting changed (already applied to config; save it)
+ *   { type: 'quit' }                   - leave the client
+ * @param {object} config - Client config (websocket.url, servers, rendering, ...)
+ * @param {{ notice?: string|null, keymap?: import('../input/keymap.js').Keymap }} [options] - notice: line shown under the menu
+ *   (e.g. why the last session ended); keymap: bindings listed under Help (default: from config.keymap)
+ */
+export class MainMenu {
+  constructor(config, options = {}) {
+    this.config = config;
+    this.servers = savedServers(config);
+    this.screen = 'main'; // 'main' | 'servers' | 'address' | 'settings' | 'help'
+    this.selected = 0;
+    this.spectate = false; // Servers screen was opened from Spectate
+    this.address = '';
+    this.error = null;
+    this.notice = options.notice ?? null;
+    this.settings = null; // SettingsEditor on the settings screen
+    this.keymap = options.keymap ?? loadKeymap(config.keymap);
+  }
+
+  /**
+   * Whether typed keys are text (the host:port field or a settings value) rather than navigation
+   * @returns {boolean}
+   */
+  get textEntry() {
+    return this.screen === 'address' || (this.screen === 'settings' && this.settings.textEntry);
+  }
+
+  /**
+   * Move the selection up (dy < 0) or down (dy > 0), wrapping around
+   * @param {number} dy
+   */
+  move(dy) {
+    if (this.screen === 'settings') {
+      this.settings.move(dy);
+      return;
+    }
+    const count = this._entries().length;
+    if (dy === 0 || count === 0) return;
+    this.selected = (this.selected + Math.sign(dy) + count) % count;
+  }
+
+  /**
+   * Left (dx < 0) / Right (dx > 0): change the selected setting on the settings screen
+   * @param {number} dx
+   * @returns {object|null} Action
+   */
+  adjust(dx) {
+    return this.screen === 'settings' ? this._settingsAction(this.settings.adjust(dx)) : null;
+  }
+
+  /**
+   * Go back one screen (Q / ESC); on the main screen this quits
+   * @returns {object|null} Action
+   */
+  back() {
+    if (this.screen === 'main') return { type: 'quit' };
+    if (this.screen === 'settings') return this._settingsAction(this.settings.back());
+    const returnTo = this.screen === 'address' ? 'servers' : 'main';
+    const selected = returnTo === 'main' ? MAIN_MENU_ITEMS.indexOf(this._openedFrom()) : 0;
+    this._show(returnTo, Math.max(0, selected));
+    return null;
+  }
+
+  /**
+   * Handle a key without a navigation meaning: Enter / Space select, Ctrl+C quits, and on the
+   * address screen printable keys edit the field (Backspace deletes, ESC goes back)
+   * @param {string} key - Raw key string
+   * @returns {object|null} Action
+   */
+  key(key) {
+    if (key === '\x03') return { type: 'quit' };
+    if (this.screen === 'settings') return this._settingsAction(this.settings.key(key));
+    if (this.textEntry) return this._editAddress(key);
+    if (key === '\r' || key === '\n' || key === ' ') return this._select();
+    if (key === '\x1b') return this.back();
+    return null;
+  }
+
+  /**
+   * What to draw: a title and text lines (each with a color)
+   * @returns {{ title: string, lines: Array<{ text: string, color: string }> }}
+   */
+  view() {
+    const lines = [];
+    const text = (value, color = TEXT_COLOR) => lines.push({ text: value, color });
+
+    if (this.screen === 'address') {
+      text(this.spectate ? 'Spectate: server address' : 'Connect: server address');
+      text('');
+      text(`> ${this.address}_`, SELECTED_COLOR);
+      text('');
+      text('host:port or ws://host:port', HINT_COLOR);
+    } else if (this.screen === 'settings') {
+      // The editor brings its own status and hint lines
+      for (const line of this.settings.lines()) text(line, line.startsWith('>') ? SELECTED_COLOR : TEXT_COLOR);
+      return { title: MENU_TITLE, lines };
+    } else if (this.screen === 'help') {
+      for (const line of this._helpLines()) text(line);
+    } else {
+      if (this.screen === 'servers') {
+        text(this.spectate ? 'Spectate: pick a server' : 'Connect: pick a server');
+        text('');
+      }
+      this._entries().forEach((label, i) => {
+        const selected = i === this.selected;
+        text(`${selected ? '>' : ' '} ${label}`, selected ? SELECTED_COLOR : TEXT_COLOR);
+      });
+    }
+
+    text('');
+    if (this.error) text(this.error, ERROR_COLOR);
+    else if (this.notice && this.screen === 'main') text(this.notice, NOTICE_COLOR);
+    text(this._hint(), HINT_COLOR);
+    return { title: MENU_TITLE, lines };
+  }
+
+  _entries() {
+    if (this.screen === 'main') return MAIN_MENU_ITEMS;
+    if (this.screen === 'servers') {
+      return [...this.servers.map((s) => (s.name === s.url ? s.url : `${s.name}  ${s.url}`)), 'Enter host:port...'];
+    }
+    return [];
+  }
+
+  _hint() {
+    if (this.screen === 'address') return 'Enter connect | ESC back';
+    if (this.screen === 'main') return 'Up/Down choose | Enter select | Q quit';
+    if (this.screen === 'servers') return 'Up/Down choose | Enter select | Q back';
+    return 'Q or ESC back';
+  }
+
+  _openedFrom() {
+    if (this.screen === 'servers' || this.screen === 'address') return this.spectate ? 'Spectate' : 'Connect';
+    return this.screen === 'settings' ? 'Settings' : 'Help';
+  }
+
+  _show(screen, selected = 0) {
+    this.screen = screen;
+    this.selected = selected;
+    this.error = null;
+  }
+
+  _select() {
+    if (this.screen === 'main') {
+      const item = MAIN_MENU_ITEMS[this.selected];
+      if (item === 'Connect' || item === 'Spectate') {
+        this.spectate = item === 'Spectate';
+        this._show('servers');
+      } else if (item === 'Settings') {
+        this.settings = new SettingsEditor(this.config);
+        this._show('settings');
+      } else if (item === 'Help') {
+        this._show('help');
+      } else {
+        return { type: 'quit' };
+      }
+      return null;
+    }
+    if (this.screen === 'servers') {
+      const server = this.servers[this.selected];
+      if (server) return { type: 'connect', url: server.url, spectate: this.spectate };
+      this.address = '';
+      this._show('address');
+    }
+    return null;
+  }
+
+  _editAddress(key) {
+    if (key === '\r' || key === '\n') {
+      const url = normalizeServerAddress(this.address);
+      if (!url) {
+        this.error = `Not a server address: ${this.address || '(empty)'}`;
+        return null;
+      }
+      return { type: 'connect', url, spectate: this.spectate };
+    }
+    if (key === '\x1b') return this.back();
+    if (key === '\x7f' || key === '\b') {
+      this.address = this.address.slice(0, -1);
+    } else {
+      const printable = key.replace(/[^\x21-\x7e]/g, '');
+      this.address = (this.address + printable).slice(0, MAX_ADDRESS_LENGTH);
+    }
+    this.error = null;
+    return null;
+  }
+
+  _helpLines() {
+    const entries = this.keymap.describe();
+    const labelWidth = Math.max(...entries.map((entry) => entry.label.length));
+    return [...entries.map((entry) => `${entry.label.padEnd(labelWidth)}  ${entry.keys}`), '', ...HELP_NOTES];
+  }
+
+  _settingsAction(action) {
+    if (action?.type === 'close') {
+      this.settings = null;
+      this._show('main', MAIN_MENU_ITEMS.indexOf('Settings'));
+      return null;
+    }
+    if (action?.type === 'change') return { type: 'setting', field: action.field, value: action.value };
+    return null;
+  }
+}
+
+export default MainMenu;
@@ -0,0 +1,157 @@
+import { SETTINGS_FIELDS, readSetting, parseSettingValue, applySetting } from '../config/clientSettings.js';
+
+/** Longest text the value field accepts */
+const MAX_VALUE_LENGTH = 16;
+
+/**
+ * Display text for a setting value
+ * @param {(typeof SETTINGS_FIELDS)[number]} field
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function formatSettingValue(field, value) {
+  if (field.type === 'boolean') return value ? 'on' : 'off';
+  if (field.type === 'glyph' && value === ' ') return '(space)';
+  return String(value);
+}
+
+/**
+ * Settings list shared by the in-game overlay and the main menu's Settings screen: pick an option
+ * with Up/Down, Left/Right or Enter toggles on/off and steps numbers, Enter on a glyph, color or
+ * number opens a text field (Enter keeps the typed value, ESC cancels). Changes are applied to the
+ * config straight away; the caller re-renders and saves them. Pure state, like MainMenu.
+ * Input methods return an action, or null:
+ *   { type: 'change', field, value } - config[field.section][field.key] is now value
+ *   { type: 'close' }                - leave the settings
+ * @param {object} config - Client config (mutated by changes)
+ */
+export class SettingsEditor {
+  constructor(config) {
+    this.config = config;
+    this.selected = 0;
+    this.editing = null; // Text typed so far while a value field is open
+    this.error = null;
+    this.status = null; // e.g. "Saved to …" or a save error, set by the caller
+  }
+
+  /**
+   * Whether typed keys are text (a value field is open)
+   * @returns {boolean}
+   */
+  get textEntry() {
+    return this.editing !== null;
+  }
+
+  /** The selected field */
+  get field() {
+    return SETTINGS_FIELDS[this.selected];
+  }
+
+  /**
+   * Move the selection up (dy < 0) or down (dy > 0), wrapping around; ignored while typing
+   * @param {number} dy
+   */
+  move(dy) {
+    if (this.textEntry || dy === 0) return;
+    this.selected = (this.selected + Math.sign(dy) + SETTINGS_FIELDS.length) % SETTINGS_FIELDS.length;
+    this.error = null;
+  }
+
+  /**
+   * Left (dx < 0) / Right (dx > 0): toggle on/off, step numbers
+   * @param {number} dx
+   * @returns {object|null} Action
+   */
+  adjust(dx) {
+    const { field } = this;
+    if (this.textEntry || dx === 0) return null;
+    const value = readSetting(this.config, field);
+    if (field.type === 'boolean') return this._change(!value);
+    if (field.type === 'number') {
+      const next = Math.min(field.max, Math.max(field.min, value + Math.sign(dx) * field.step));
+      return next === value ? null : this._change(next);
+    }
+    return null;
+  }
+
+  /**
+   * Close the value field, or the settings (Q / ESC)
+   * @returns {object|null} Action
+   */
+  back() {
+    if (this.textEntry) {
+      this.editing = null;
+      this.error = null;
+      return null;
+    }
+    return { type: 'close' };
+  }
+
+  /**
+   * Handle a key: Enter / Space select, and while a value field is open printable keys edit it
+   * (Backspace deletes, ESC cancels)
+   * @param {string} key - Raw key string
+   * @returns {object|null} Action
+   */
+  key(key) {
+    if (this.textEntry) return this._editValue(key);
+    if (key === '\x1b') return this.back();
+    if (key !== '\r' && key !== '\n' && key !== ' ') return null;
+    if (this.field.type === 'boolean') return this._change(!readSetting(this.config, this.field));
+    this.editing = '';
+    this.error = null;
+    return null;
+  }
+
+  /**
+   * Text lines for the overlay or menu screen
+   * @returns {string[]}
+   */
+  lines() {
+    const labelWidth = Math.max(...SETTINGS_FIELDS.map((field) => field.label.length));
+    const lines = ['Settings', ''];
+    SETTINGS_FIELDS.forEach((field, i) => {
+      const selected = i === this.selected;
+      const value = selected && this.textEntry
+        ? `[${this.editing}_]`
+        : formatSettingValue(field, readSetting(this.config, field));
+      lines.push(`${selected ? '>' : ' '} ${field.label.padEnd(labelWidth)}  ${value}`);
+    });
+    lines.push('');
+    lines.push(this.error ?? this.status ?? '');
+    lines.push(this.textEntry
+      ? 'Type a value | Enter keep | ESC cancel'
+      : 'Up/Down choose | Left/Right or Enter change | Q back');
+    return lines;
+  }
+
+  _change(value) {
+    applySetting(this.config, this.field, value);
+    this.error = null;
+    this.status = null;
+    return { type: 'change', field: this.field, value };
+  }
+
+  _editValue(key) {
+    if (key === '\x1b') return this.back();
+    if (key === '\r' || key === '\n') {
+      if (this.editing === '') return this.back();
+      const parsed = parseSettingValue(this.field, this.editing);
+      if (parsed.error) {
+        this.error = parsed.error;
+        return null;
+      }
+      this.editing = null;
+      return this._change(parsed.value);
+    }
+    if (key === '\x7f' || key === '\b') {
+      this.editing = [...this.editing].slice(0, -1).join('');
+    } else if (!/[\x00-\x1f\x7f]/.test(key)) {
+      this.editing = [...(this.editing + key)].slice(0, MAX_VALUE_LENGTH).join('');
+    }
+    this.error = null;
+    return null;
+  }
+}
+
+export default SettingsEditor;
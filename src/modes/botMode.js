@@ -0,0 +1,140 @@
+import { pathToFileURL } from 'url';
+import BotClient from '../network/BotClient.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_TICK_INTERVAL_MS = 100;
+
+/**
+ * Load a bot script: its default export (or a named `tick` export) is the per-tick decision function;
+ * an optional `setup(bot)` export runs once before connecting (e.g. to subscribe to events).
+ * @param {string} scriptPath - Absolute path of the script module
+ * @returns {Promise<{ decide: Function, setup: Function|null }>}
+ * @throws {Error} When the module exports no decision function
+ */
+export async function loadBotScript(scriptPath) {
+  const module = await import(pathToFileURL(scriptPath).href);
+  const decide = typeof module.default === 'function' ? module.default : module.tick;
+  if (typeof decide !== 'function') {
+    throw new Error(`Bot script must export a default (or "tick") function: ${scriptPath}`);
+  }
+  return { decide, setup: typeof module.setup === 'function' ? module.setup : null };
+}
+
+/**
+ * Calls a decision function on a timer while the bot is on the board.
+ * The function gets `({ state, me, board, playerId, tick }, bot)` and may act through `bot.move` / `bot.fire`
+ * or return `{ move: { dx, dy }, fire: { dx, dy } }` (either part optional). Ticks are skipped while the
+ * previous (possibly async) decision is still running; a throwing decision is logged and the bot keeps going.
+ * @param {BotClient} bot - Connected bot client
+ * @param {Function} decide - Decision function
+ * @param {{ tickIntervalMs?: number }} [options] - Time between decisions (default 100 ms)
+ */
+export class BotRunner {
+  constructor(bot, decide, options = {}) {
+    this.bot = bot;
+    this.decide = decide;
+    this.tickIntervalMs = options.tickIntervalMs ?? DEFAULT_TICK_INTERVAL_MS;
+    this.tickCount = 0;
+    this.busy = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start ticking
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickIntervalMs);
+  }
+
+  /**
+   * Stop ticking
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run one decision (no-op while the bot is not on the board or the last decision is pending)
+   * @returns {Promise<boolean>} true if the decision function ran
+   */
+  async tick() {
+    const me = this.bot.me;
+    if (this.busy || !this.bot.spawned || !me || me.x === null || me.y === null) return false;
+
+    this.busy = true;
+    this.tickCount += 1;
+    try {
+      const view = {
+        state: this.bot.state,
+        me,
+        board: this.bot.board,
+        playerId: this.bot.playerId,
+        tick: this.tickCount
+      };
+      const action = await this.decide(view, this.bot);
+      if (action?.move) this.bot.move(action.move.dx, action.move.dy);
+      if (action?.fire) this.bot.fire(action.fire.dx, action.fire.dy);
+    } catch (error) {
+      logger.error('Bot decision failed:', error);
+    } finally {
+      this.busy = false;
+    }
+    return true;
+  }
+}
+
+/**
+ * Bot mode - runs a user script as a headless player against the configured server (no terminal UI).
+ * Prints joins and disconnects to stdout; details go to the client log.
+ * @param {string} scriptPath - Absolute path of the bot script (see loadBotScript)
+ * @param {object} config - Client config (websocket.url, reconnect, netStats.pingIntervalMs, bot.tickIntervalMs, access.code)
+ * @param {{ room?: string, code?: string }} [options] - Room to join (default: the server's default room); password or join code (default access.code)
+ * @returns {Promise<{ code: number, reason: string }>} Resolves when the connection closes for good
+ */
+export async function botMode(scriptPath, config, options = {}) {
+  const { decide, setup } = await loadBotScript(scriptPath);
+  const bot = new BotClient(config.websocket.url, {
+    reconnect: config.reconnect,
+    pingIntervalMs: config.netStats?.pingIntervalMs,
+    room: options.room,
+    code: options.code ?? config.access?.code
+  });
+  const runner = new BotRunner(bot, decide, { tickIntervalMs: config.bot?.tickIntervalMs });
+
+  bot.on('spawned', ({ playerName, playerId }) => {
+    process.stdout.write(`Playing as ${playerName} (${playerId})\n`);
+  });
+  bot.on('waiting', ({ message }) => {
+    process.stdout.write(`${message ?? 'Waiting for a spawn point...'}\n`);
+  });
+  if (setup) {
+    await setup(bot);
+  }
+
+  return new Promise((resolve) => {
+    const stop = () => {
+      runner.stop();
+      bot.disconnect();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    bot.on('close', (info) => {
+      runner.stop();
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+      process.stdout.write(`Disconnected${info?.reason ? `: ${info.reason}` : ''}\n`);
+      resolve(info ?? { code: 1000, reason: '' });
+    });
+
+    logger.info(`Bot script ${scriptPath} connecting to ${config.websocket.url}`);
+    bot.connect();
+    runner.start();
+  });
+}
+
+export default botMode;
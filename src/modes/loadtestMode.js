@@ -0,0 +1,31 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import LoadTest, { formatLoadTestTable } from '../loadtest/LoadTest.js';
+
+/**
+ * Load test mode - runs a LoadTest against the configured server, prints the summary table
+ * and writes the full report as JSON.
+ * @param {object} config - Client config (websocket.url, access.code)
+ * @param {{ clients: number, durationSeconds: number, outPath: string, code?: string }} options - Simulated clients, test length,
+ *   JSON report path and server password (default access.code)
+ * @returns {Promise<object>} The report
+ */
+export async function loadtestMode(config, options) {
+  const { clients, durationSeconds, outPath } = options;
+  process.stdout.write(`Running ${clients} clients against ${config.websocket.url} for ${durationSeconds} s...\n`);
+
+  const loadTest = new LoadTest(config.websocket.url, {
+    clients,
+    durationMs: durationSeconds * 1000,
+    code: options.code ?? config.access?.code
+  });
+  const report = await loadTest.run();
+
+  process.stdout.write(`\n${formatLoadTestTable(report).join('\n')}\n\n`);
+  mkdirSync(dirname(outPath), { recursive: true });
+  writeFileSync(outPath, `${JSON.stringify(report, null, 2)}\n`);
+  process.stdout.write(`JSON report: ${outPath}\n`);
+  return report;
+}
+
+export default loadtestMode;
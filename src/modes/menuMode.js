@@ -0,0 +1,142 @@
+import process from 'process';
+import Renderer from '../render/Renderer.js';
+import Canvas from '../render/Canvas.js';
+import InputHandler from '../input/InputHandler.js';
+import { loadKeymap } from '../input/keymap.js';
+import MainMenu from '../menu/MainMenu.js';
+import { saveSetting } from '../config/clientSettings.js';
+import networkedMode from './networkedMode.js';
+import logger from '../utils/logger.js';
+import { startupClear } from '../utils/terminal.js';
+
+/**
+ * Menu line for how the last session ended
+ * @param {{ reason: string } | undefined} result - What networkedMode resolved with
+ * @returns {string|null}
+ */
+export function sessionNotice(result) {
+  if (!result?.reason || result.reason === 'Quit by user') return null;
+  return `Last session: ${result.reason}`;
+}
+
+/**
+ * Menu mode - the client's main menu. Connect and Spectate run networkedMode against the chosen
+ * server; when that session ends (quit, kick, disconnect) the menu comes back with the reason
+ * instead of the process exiting. Quit (or Q / ESC on the main screen) leaves. Settings changes
+ * are saved to configPath and carried into the following sessions.
+ * @param {object} config - Client config (websocket.url, servers, rendering, ...)
+ * @param {{ configPath?: string|null, runSession?: Function, inputHandler?: InputHandler, renderer?: Renderer }} [options]
+ *   configPath is the client.json to save settings to (also passed to sessions); runSession replaces
+ *   networkedMode (config, { spectate, configPath }); inputHandler / renderer replace the terminal ones
+ * @returns {Promise<void>} Resolves when the user quits
+ */
+export async function menuMode(config, options = {}) {
+  const runSession = options.runSession ?? networkedMode;
+  const renderer = options.renderer ?? new Renderer({ logger });
+  const canvas = new Canvas({
+    ...config.rendering,
+    statusBar: config.statusBar,
+    logger
+  });
+  const keymap = loadKeymap(config.keymap);
+  const inputHandler = options.inputHandler ?? new InputHandler(keymap);
+  const configPath = options.configPath ?? null;
+
+  let menu = new MainMenu(config, { keymap });
+
+  function render() {
+    const { title, lines } = menu.view();
+    canvas.renderTextScreen(title, lines);
+    renderer.render(canvas);
+  }
+
+  /**
+   * Save a setting changed on the Settings screen and say how that went
+   * @param {{ field: object, value: unknown }} action
+   */
+  function saveMenuSetting({ field, value }) {
+    if (!configPath) {
+      menu.settings.status = 'Applied (no config file to save to)';
+      return;
+    }
+    try {
+      saveSetting(configPath, field, value);
+      menu.settings.status = 'Saved to client.json';
+    } catch (error) {
+      logger.warn(`Could not save settings: ${error.message}`);
+      menu.settings.status = 'Applied, but could not save client.json';
+    }
+  }
+
+  function onResize() {
+    renderer.clearScreen();
+    render();
+  }
+
+  /**
+   * Show the menu until the user picks a server or quits
+   * @returns {Promise<object>} The connect or quit action
+   */
+  function chooseAction() {
+    return new Promise((resolve) => {
+      const handle = (action) => {
+        inputHandler.setTextEntry(menu.textEntry);
+        if (action?.type === 'setting') {
+          saveMenuSetting(action);
+        }
+        if (!action || action.type === 'setting') {
+          render();
+          return;
+        }
+        inputHandler.stop();
+        if (process.stdout.isTTY) {
+          process.stdout.removeListener('resize', onResize);
+        }
+        renderer.clearScreen();
+        renderer.showCursor();
+        resolve(action);
+      };
+
+      const move = (dx, dy) => {
+        if (dy !== 0) {
+          menu.move(dy);
+          handle(null);
+        } else {
+          handle(menu.adjust(dx));
+        }
+      };
+      inputHandler.onMove(move);
+      inputHandler.onFire(move); // Fire keys steer like the move keys
+      inputHandler.onQuit(() => handle(menu.back()));
+      inputHandler.onKey((key) => handle(menu.key(key)));
+      inputHandler.onRender(() => onResize());
+      inputHandler.onToggleNetStats(() => {});
+
+      renderer.hideCursor();
+      inputHandler.setTextEntry(menu.textEntry);
+      inputHandler.start();
+      if (process.stdout.isTTY) {
+        process.stdout.on('resize', onResize);
+      }
+      render();
+    });
+  }
+
+  await startupClear(process.stdout);
+  for (;;) {
+    const action = await chooseAction();
+    if (action.type === 'quit') {
+      logger.info('Quit from main menu');
+      return;
+    }
+
+    logger.info(`Main menu: ${action.spectate ? 'spectating' : 'connecting to'} ${action.url}`);
+    const result = await runSession(
+      { ...config, websocket: { ...config.websocket, url: action.url } },
+      { spectate: action.spectate, configPath }
+    );
+    menu = new MainMenu(config, { keymap, notice: sessionNotice(result) });
+  }
+}
+
+export default menuMode;
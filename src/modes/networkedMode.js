@@ -1,16 +1,22 @@
 import clientConfig from '../../config/clientConfig.js';
 import { resolveRenderingConfig } from '../config/resolveRendering.js';
+import { saveSetting } from '../config/clientSettings.js';
+import SettingsEditor from '../menu/SettingsEditor.js';
 import WebSocketClient from '../network/WebSocketClient.js';
 import Renderer from '../render/Renderer.js';
 import Canvas from '../render/Canvas.js';
 import InputHandler from '../input/InputHandler.js';
+import { loadKeymap } from '../input/keymap.js';
 import MessageHandler from '../network/MessageHandler.js';
 import MessageTypes from '../network/MessageTypes.js';
+import StateReceiver from '../network/StateReceiver.js';
+import { formatNetStatsLines } from '../network/NetworkStats.js';
+import { canMoveTo, createBoardView } from '../game/rules.js';
 import logger from '../utils/logger.js';
 import { checkTerminalSize, getTerminalSize, startupClear } from '../utils/terminal.js';
 import compareStates from '../utils/stateComparison.js';
 import { computeLayout, getContentRegionFromLayout } from '../render/layout.js';
-import { getStatusBarHeight } from '../render/statusBarUtils.js';
+import { getStatusBarHeight, formatMatchClock } from '../render/statusBarUtils.js';
 import Message from '../render/Message.js';
 
 /**
@@ -28,47 +34,32 @@ export function getServerPlayerPosition(currentState, localPlayerId) {
 }
 
 /**
- * Validate if position is within board bounds (pure).
- */
-export function validateBounds(x, y, board) {
-  if (!board) return false;
-  return x >= 0 && x < board.width && y >= 0 && y < board.height;
-}
-
-/**
- * Validate if position is not a wall (pure).
- */
-export function validateWall(x, y, board) {
-  if (!board || !board.getCell) return false;
-  const cell = board.getCell(x, y);
-  if (cell === null) return false;
-  return cell !== '#';
-}
-
-/**
- * Validate if no solid entity at position (pure).
+ * Get the local player's score from the server scores map (pure).
+ * @param {object|null} state - Game state (STATE_UPDATE payload)
+ * @param {string|null} localPlayerId - Local player ID
+ * @returns {number} Score, or 0 when unknown
  */
-export function validateEntityCollision(x, y, entities) {
-  if (!entities || entities.length === 0) return true;
-  const solidEntity = entities.find(
-    e => e.x === x && e.y === y && e.solid === true
-  );
-  return !solidEntity;
+export function getLocalScore(state, localPlayerId) {
+  if (!state) return 0;
+  if (state.scores && localPlayerId && typeof state.scores[localPlayerId] === 'number') {
+    return state.scores[localPlayerId];
+  }
+  return state.score ?? 0;
 }
 
 /**
- * Validate if no other player at position (pure).
+ * Whether the match in the given state has ended (results / intermission), so play is frozen (pure).
+ * @param {object|null} state - Game state
+ * @returns {boolean}
  */
-export function validatePlayerCollision(x, y, players, excludePlayerId) {
-  if (!players || players.length === 0) return true;
-  const otherPlayer = players.find(
-    p => p.playerId !== excludePlayerId && p.x === x && p.y === y
-  );
-  return !otherPlayer;
+export function isMatchOver(state) {
+  const phase = state?.match?.phase;
+  return phase === 'ended' || phase === 'intermission';
 }
 
 /**
- * Validate movement (all checks) (pure).
+ * Validate movement of the local player against the latest server state (pure).
+ * Uses the shared rules module, so prediction matches the server.
  * @param {number} x - X coordinate
  * @param {number} y - Y coordinate
  * @param {object} currentState - Current game state
@@ -77,51 +68,166 @@ export function validatePlayerCollision(x, y, players, excludePlayerId) {
  */
 export function validateMovement(x, y, currentState, localPlayerId) {
   if (!currentState || !currentState.board) return false;
+  return canMoveTo(x, y, {
+    board: createBoardView(currentState.board),
+    players: currentState.players || [],
+    entities: currentState.entities || []
+  }, localPlayerId);
+}
 
-  const board = {
-    width: currentState.board.width,
-    height: currentState.board.height,
-    getCell: (x, y) => {
-      if (y < 0 || y >= currentState.board.grid.length) return null;
-      if (x < 0 || x >= currentState.board.grid[y].length) return null;
-      return currentState.board.grid[y][x];
+/**
+ * Server reconciliation (pure): drop inputs the server has already processed and replay the
+ * rest on top of the authoritative position, skipping any the client would reject.
+ * @param {{ x: number, y: number }} serverPos - Local player's position in the latest server state
+ * @param {number|undefined} lastInputSeq - Highest MOVE seq the server has processed (undefined: server does not report it)
+ * @param {Array<{ seq: number, dx: number, dy: number }>} pendingInputs - Inputs sent but not yet acknowledged, oldest first
+ * @param {object} currentState - Latest server state (with board)
+ * @param {string|null} localPlayerId - Local player ID
+ * @returns {{ position: { x: number, y: number }, pendingInputs: Array<{ seq: number, dx: number, dy: number }> }}
+ */
+export function reconcileInputs(serverPos, lastInputSeq, pendingInputs, currentState, localPlayerId) {
+  const remaining = typeof lastInputSeq === 'number'
+    ? pendingInputs.filter(input => input.seq > lastInputSeq)
+    : [];
+  let position = { x: serverPos.x, y: serverPos.y };
+  for (const input of remaining) {
+    const x = position.x + input.dx;
+    const y = position.y + input.dy;
+    if (validateMovement(x, y, currentState, localPlayerId)) {
+      position = { x, y };
     }
-  };
+  }
+  return { position, pendingInputs: remaining };
+}
 
-  const otherPlayers = (currentState.players || []).filter(
-    p => p.playerId !== localPlayerId
-  );
-  const entities = currentState.entities || [];
+/**
+ * Next player for the spectator follow-camera (pure). Cycles through players on the board in state order.
+ * @param {Array<{ playerId: string, x: number|null, y: number|null }>} players - Players from the latest state
+ * @param {string|null} currentId - Player followed now (null: none yet)
+ * @param {number} step - 1 for the next player, -1 for the previous one, 0 to keep the current one if still on the board
+ * @returns {string|null} Player to follow, or null when nobody is on the board
+ */
+export function nextFollowTarget(players, currentId, step) {
+  const onBoard = (players || []).filter(p => p.x !== null && p.y !== null);
+  if (onBoard.length === 0) return null;
+  const index = onBoard.findIndex(p => p.playerId === currentId);
+  if (index === -1) return onBoard[0].playerId;
+  return onBoard[(index + step + onBoard.length) % onBoard.length].playerId;
+}
+
+/** Chat line colors: server notices, our own messages, spectators, the line being typed */
+const CHAT_NOTICE_COLOR = 'FFFF00';
+const CHAT_OWN_COLOR = '00FF00';
+const CHAT_SPECTATOR_COLOR = '808080';
+const CHAT_DRAFT_COLOR = '00FFFF';
 
-  if (!validateBounds(x, y, board)) return false;
-  if (!validateWall(x, y, board)) return false;
-  if (!validateEntityCollision(x, y, entities)) return false;
-  if (!validatePlayerCollision(x, y, otherPlayers, localPlayerId)) return false;
+/**
+ * Chat panel lines (pure): each message as "name: text" (server notices as "* text"), then the
+ * message being typed, if any
+ * @param {Array<{ playerId?: string, playerName?: string, text: string, system?: boolean, spectator?: boolean }>} messages - CHAT payloads, oldest first
+ * @param {string|null} localPlayerId - Our player (or spectator) ID, for coloring our own lines
+ * @param {string|null} draft - Text typed so far while the chat line is open, or null
+ * @returns {Array<{ text: string, color?: string }>}
+ */
+export function formatChatLines(messages, localPlayerId, draft) {
+  const lines = messages.map((message) => {
+    if (message.system) return { text: `* ${message.text}`, color: CHAT_NOTICE_COLOR };
+    const line = { text: `${message.playerName}: ${message.text}` };
+    if (localPlayerId && message.playerId === localPlayerId) line.color = CHAT_OWN_COLOR;
+    else if (message.spectator) line.color = CHAT_SPECTATOR_COLOR;
+    return line;
+  });
+  if (draft !== null) {
+    lines.push({ text: `Say: ${draft}_`, color: CHAT_DRAFT_COLOR });
+  }
+  return lines;
+}
 
-  return true;
+/**
+ * Scoreboard rows (pure): every player in the state, highest score first (ties: more kills first)
+ * @param {object|null} state - Latest game state (players, scores, pings)
+ * @returns {Array<{ playerId: string, playerName: string, score: number, kills: number, deaths: number, pingMs: number|null, isBot: boolean }>}
+ */
+export function scoreboardEntries(state) {
+  return (state?.players || [])
+    .map((p) => ({
+      playerId: p.playerId,
+      playerName: p.playerName ?? p.playerId,
+      score: state.scores?.[p.playerId] ?? 0,
+      kills: p.kills ?? 0,
+      deaths: p.deaths ?? 0,
+      pingMs: state.pings?.[p.playerId] ?? null,
+      isBot: p.isBot === true
+    }))
+    .sort((a, b) => b.score - a.score || b.kills - a.kills);
+}
+
+/** Kill feed line colors: kills we made, and our deaths */
+const KILL_FEED_OWN_KILL_COLOR = '00FF00';
+const KILL_FEED_OWN_DEATH_COLOR = 'FF0000';
+
+/**
+ * Kill feed line for a PLAYER_KILL (pure): "A shot B", green when we shot, red when we were shot
+ * @param {{ killerId: string, killerName?: string|null, victimId: string, victimName?: string|null }} kill - PLAYER_KILL payload
+ * @param {string|null} localPlayerId - Our player ID
+ * @returns {{ text: string, color?: string }}
+ */
+export function formatKillFeedLine(kill, localPlayerId) {
+  const line = { text: `${kill.killerName ?? kill.killerId} shot ${kill.victimName ?? kill.victimId}` };
+  if (localPlayerId && kill.killerId === localPlayerId) line.color = KILL_FEED_OWN_KILL_COLOR;
+  else if (localPlayerId && kill.victimId === localPlayerId) line.color = KILL_FEED_OWN_DEATH_COLOR;
+  return line;
+}
+
+/**
+ * Lines of the box shown while we wait to respawn (pure)
+ * @param {string|null} killerName - Who shot us
+ * @param {number} remainingMs - Time left until the server puts us back (may run past 0 if no spawn is free)
+ * @returns {string[]}
+ */
+export function respawnCountdownLines(killerName, remainingMs) {
+  const seconds = Math.ceil(remainingMs / 1000);
+  return [
+    killerName ? `Shot by ${killerName}` : 'You were shot',
+    seconds > 0 ? `Respawning in ${seconds}s` : 'Respawning...'
+  ];
 }
 
 /**
  * Networked game mode - connects to server and plays multiplayer game.
  * @param {object} [injectedConfig] - Optional config (when provided, used instead of repo clientConfig; used by CLI)
+ * @param {{ spectate?: boolean, room?: string, board?: string, code?: string, private?: boolean }} [options] - spectate joins as a spectator: no player,
+ *   follow-camera between players; room joins (or creates) a named room on the server and board picks the board when it creates one;
+ *   code is the server password or a private room's join code (default access.code from config); private creates a private room;
+ *   configPath is the client.json that settings changes (O) are saved to
+ * @returns {Promise<{ reason: string, showReason: boolean }>} Resolves when the session ends (quit, kick, disconnect);
+ *   showReason: the reason is worth showing to the player
  */
-export async function networkedMode(injectedConfig) {
+export async function networkedMode(injectedConfig, options = {}) {
   const config = injectedConfig ?? clientConfig;
-  const wsClient = new WebSocketClient(config.websocket.url);
+  const wsClient = new WebSocketClient(config.websocket.url, {
+    reconnect: config.reconnect,
+    pingIntervalMs: config.netStats?.pingIntervalMs
+  });
   const renderer = new Renderer({logger})
   const canvas = new Canvas({
     ...config.rendering,
     statusBar: config.statusBar,
     logger: logger
   });
-  const inputHandler = new InputHandler();
+  const keymap = loadKeymap(config.keymap);
+  const inputHandler = new InputHandler(keymap);
 
   let currentState = null;
+  let cachedBoard = null; // Static board from CONNECT / BOARD_UPDATE (STATE_UPDATE does not carry it)
+  const stateReceiver = new StateReceiver(); // Rebuilds full state from keyframe/delta STATE_UPDATEs
   let previousState = null; // Track previous state for change detection
   let localPlayerId = null;
   let localPlayerPredictedPosition = { x: null, y: null }; // Predicted position for client-side prediction
   let previousPredictedPosition = null; // Track previous predicted position for rendering
-  let reconciliationTimer = null; // Timer for periodic reconciliation
+  let inputSeq = 0; // Sequence number of the last MOVE sent
+  let pendingInputs = []; // MOVEs not yet acknowledged by the server ({ seq, dx, dy }), replayed on each update
+  const MAX_PENDING_INPUTS = 64; // Bound for servers that never acknowledge inputs
   let running = true;
   let displayEmptyDuringResize = false;
   let resizeDebounceTimer = null;
@@ -130,6 +236,50 @@ export async function networkedMode(injectedConfig) {
   let wasTooSmall = false;
   let waitingForSpawn = false;
   let spawnWaitMessage = null;
+  let matchResults = null; // MATCH_END payload while the results screen is shown
+  let resumeToken = null; // From CONNECT; presented on reconnect to resume the same player
+  let joinCode = null; // From CONNECT when our room is private; shown in the status bar and used to rejoin
+  const accessCode = options.code ?? config.access?.code ?? null;
+  let reconnecting = null; // { attempt, delayMs } while the connection is being re-established
+  let showNetStats = config.netStats?.showOverlay === true; // Toggled with N
+  let netStatsLines = null; // Last formatted stats (refreshed every second)
+  let netStatsTimer = null;
+  let lastNetStatsLogAt = 0;
+  let lastFrameCount = 0;
+  const spectating = options.spectate === true; // Joined without a player (see nextFollowTarget)
+  let followedPlayerId = null; // Spectator follow-camera target
+  let settings = null; // SettingsEditor while the settings overlay is open (O)
+  let showHelp = false; // Key bindings overlay (?); the next key closes it
+  const chatMessages = []; // CHAT payloads received, oldest first (at most CHAT_LOG_SIZE)
+  const CHAT_LOG_SIZE = 50;
+  const CHAT_MAX_LENGTH = 200; // The server may refuse less (chat.maxLength)
+  let chatDraft = null; // Text being typed while the chat line is open (Enter), else null
+  let chatPlayerId = null; // Our player or spectator ID as chat senders see it
+  let showScoreboard = false; // Shown while the scoreboard key is held (P)
+  let scoreboardTimer = null;
+  // Terminals send no key release: the scoreboard stays up while key repeats keep arriving. Longer
+  // than the usual delay before a held key starts repeating.
+  const SCOREBOARD_HOLD_MS = 750;
+  const killFeed = []; // { text, color, at } from PLAYER_KILL, oldest first
+  const KILL_FEED_SIZE = 4;
+  const KILL_FEED_MS = 5000;
+  let killFeedTimer = null;
+  // Immediate feedback from the event messages (BULLET_*, PLAYER_KILL, PLAYER_RESPAWN)
+  const HIT_MARKER_MS = 400;
+  const HIT_MARKER_GLYPH = 'X';
+  const HIT_MARKER_COLOR = 'FF0000';
+  const DEATH_FLASH_MS = 300;
+  const DEATH_FLASH_COLOR = 'FF0000';
+  const FEEDBACK_TICK_MS = 100;
+  let hitMarkers = []; // { x, y, until } where a bullet killed someone
+  let deathFlashUntil = 0; // Board tinted red until then after we are shot
+  let respawn = null; // { killerName, at } while we wait to respawn
+  let feedbackTimer = null;
+  const configPath = options.configPath ?? null;
+  let endSession = null;
+  const sessionEnded = new Promise((resolve) => {
+    endSession = resolve;
+  });
 
   // Remote entity interpolation (smooth other players between server updates)
   const INTERPOLATION_DELAY_MS = 150;
@@ -141,7 +291,6 @@ export async function networkedMode(injectedConfig) {
   const lastDrawnInterpolatedPositions = {}; // { [playerId]: { x, y } }
   let interpolationTickTimer = null;
   const debugRemoteRender = process.env.REMOTE_RENDER_DEBUG === '1';
-  const remoteDisplayEasing = clientConfig.rendering?.remoteDisplayEasing !== false;
   let interpolationTickCount = 0;
   let keyRepeatIntervalMs = 0;
   let lastMove = null;
@@ -149,17 +298,58 @@ export async function networkedMode(injectedConfig) {
   // Set up WebSocket event handlers
   wsClient.on('connect', () => {
     logger.info('Connected to server');
-    // Send CONNECT message to request joining the game
-    const connectMessage = MessageHandler.createMessage(MessageTypes.CONNECT, {});
+    if (reconnecting) {
+      // Redraw from scratch once the resumed CONNECT arrives
+      reconnecting = null;
+      previousState = null;
+    }
+    // Send CONNECT message to request joining the game (or resuming our player)
+    let connectPayload = {};
+    if (options.room) connectPayload.room = options.room;
+    if (options.board) connectPayload.board = options.board;
+    if (joinCode || accessCode) connectPayload.code = joinCode ?? accessCode;
+    if (options.private === true && !joinCode) connectPayload.private = true;
+    for (const key of ['name', 'color', 'glyph']) {
+      if (config.player?.[key]) connectPayload[key] = config.player[key];
+    }
+    if (spectating) {
+      connectPayload.spectator = true;
+    } else if (resumeToken) {
+      connectPayload.resumeToken = resumeToken;
+    }
+    const connectMessage = MessageHandler.createMessage(MessageTypes.CONNECT, connectPayload);
     wsClient.send(connectMessage);
   });
 
+  wsClient.on('reconnecting', ({ attempt, delayMs }) => {
+    logger.info(`Connection lost, reconnecting (attempt ${attempt}, ${delayMs}ms)`);
+    reconnecting = { attempt, delayMs };
+    stateReceiver.reset();
+    renderReconnecting();
+  });
+
   wsClient.on('message', (message) => {
     try {
       if (message.type === MessageTypes.CONNECT) {
         handleConnect(message);
       } else if (message.type === MessageTypes.STATE_UPDATE) {
         handleStateUpdate(message);
+      } else if (message.type === MessageTypes.MATCH_END) {
+        handleMatchEnd(message);
+      } else if (message.type === MessageTypes.BOARD_UPDATE) {
+        handleBoardUpdate(message);
+      } else if (message.type === MessageTypes.KICK) {
+        handleKick(message);
+      } else if (message.type === MessageTypes.CHAT) {
+        handleChat(message);
+      } else if (message.type === MessageTypes.PLAYER_KILL) {
+        handlePlayerKill(message);
+      } else if (message.type === MessageTypes.PLAYER_RESPAWN) {
+        handlePlayerRespawn(message);
+      } else if (message.type === MessageTypes.BULLET_CREATE) {
+        handleBulletCreate(message);
+      } else if (message.type === MessageTypes.BULLET_DESTROY) {
+        handleBulletDestroy(message);
       }
     } catch (error) {
       logger.error('Error handling message:', error);
@@ -171,16 +361,30 @@ export async function networkedMode(injectedConfig) {
     // Don't shutdown immediately on error - let close handler handle it
   });
 
-  wsClient.on('close', () => {
+  wsClient.on('close', (info) => {
     if (running) {
       logger.info('Disconnected from server');
-      shutdown('Disconnected from server');
+      if (info?.reason) {
+        shutdown(`Disconnected from server: ${info.reason}`, { showReason: true });
+      } else {
+        shutdown('Disconnected from server');
+      }
     }
   });
 
   // Set up input handlers
   inputHandler.onMove((dx, dy) => {
-    if (!wsClient.isConnected() || !localPlayerId) {
+    if (closeHelp()) return;
+    if (chatDraft !== null) return; // Typing: arrows do not move
+    if (settings) {
+      moveInSettings(dx, dy);
+      return;
+    }
+    if (spectating) {
+      cycleFollow(dx + dy > 0 ? 1 : -1);
+      return;
+    }
+    if (!wsClient.isConnected() || !localPlayerId || isMatchOver(currentState)) {
       return;
     }
 
@@ -244,12 +448,7 @@ export async function networkedMode(injectedConfig) {
 
         // Render immediately
         canvas.restoreCellContent(oldPos.x, oldPos.y, board, otherPlayers, entities);
-        canvas.updateCell(
-          newX,
-          newY,
-          canvas.config.playerGlyph,
-          canvas.config.playerColor
-        );
+        drawLocalPlayer(newX, newY);
 
         // Update status bar with new position
         if (cachedLayout) {
@@ -258,14 +457,17 @@ export async function networkedMode(injectedConfig) {
             { x: newX, y: newY },
             60,
             currentState.board.height,
-            cachedLayout
+            cachedLayout,
+            getStatusInfo()
           );
         } else {
           canvas.renderStatusBar(
             currentState.score || 0,
             { x: newX, y: newY },
             currentState.board.width,
-            currentState.board.height
+            currentState.board.height,
+            null,
+            getStatusInfo()
           );
         }
 
@@ -278,11 +480,81 @@ export async function networkedMode(injectedConfig) {
   });
 
   inputHandler.onQuit(() => {
+    if (closeHelp()) return;
+    if (settings) {
+      handleSettingsAction(settings.back());
+      return;
+    }
     shutdown('Quit by user');
   });
 
+  inputHandler.onToggleNetStats(() => {
+    if (closeHelp()) return;
+    showNetStats = !showNetStats;
+    logger.info(`Network stats overlay ${showNetStats ? 'on' : 'off'}`);
+    if (showNetStats) {
+      renderOverlays();
+    } else {
+      // Full redraw wipes the overlay
+      previousState = null;
+      render();
+    }
+  });
+
+  inputHandler.onKey((key) => {
+    if (closeHelp()) return;
+    if (chatDraft !== null) {
+      editChatDraft(key);
+    } else if (settings) {
+      handleSettingsAction(settings.key(key));
+    } else if (spectating && key === '\t') {
+      cycleFollow(1);
+    }
+  });
+
+  inputHandler.onSettings(() => {
+    if (closeHelp()) return;
+    if (settings) {
+      closeSettings();
+    } else {
+      openSettings();
+    }
+  });
+
+  inputHandler.onHelp(() => {
+    if (closeHelp() || settings) return;
+    showHelp = true;
+    renderOverlays();
+  });
+
+  inputHandler.onChat((key) => {
+    if (closeHelp()) return;
+    if (settings) {
+      handleSettingsAction(settings.key(key));
+      return;
+    }
+    chatDraft = '';
+    inputHandler.setTextEntry(true);
+    renderChat();
+  });
+
+  inputHandler.onScoreboard(() => {
+    if (closeHelp() || settings) return;
+    if (scoreboardTimer) clearTimeout(scoreboardTimer);
+    scoreboardTimer = setTimeout(hideScoreboard, SCOREBOARD_HOLD_MS);
+    if (!showScoreboard) {
+      showScoreboard = true;
+      renderOverlays();
+    }
+  });
+
   inputHandler.onFire((dx, dy) => {
-    if (!wsClient.isConnected() || !localPlayerId) {
+    if (closeHelp()) return;
+    if (settings) {
+      moveInSettings(dx, dy); // Fire keys steer the settings list like the move keys
+      return;
+    }
+    if (!wsClient.isConnected() || !localPlayerId || isMatchOver(currentState)) {
       return;
     }
 
@@ -290,6 +562,99 @@ export async function networkedMode(injectedConfig) {
     wsClient.send(fireMessage);
   });
 
+  /**
+   * Whether the given player is "it" in the current state (tag mode)
+   * @param {string} playerId - Player identifier
+   * @returns {boolean}
+   */
+  function isItPlayer(playerId) {
+    return currentState?.itPlayerId != null && currentState.itPlayerId === playerId;
+  }
+
+  /**
+   * What Canvas.getPlayerAppearance needs to draw a remote player: "it", and their own color and glyph
+   * @param {string} playerId - Player identifier
+   * @returns {{ isIt: boolean, color?: string|null, glyph?: string|null }}
+   */
+  function remoteAppearance(playerId) {
+    const player = currentState?.players?.find(p => p.playerId === playerId);
+    return { isIt: isItPlayer(playerId), color: player?.color, glyph: player?.glyph };
+  }
+
+  /**
+   * Player whose score and position the status bar shows: the local player, or the followed one when spectating
+   * @returns {string|null}
+   */
+  function getViewedPlayerId() {
+    return spectating ? followedPlayerId : localPlayerId;
+  }
+
+  /**
+   * Position for the status bar: the local player's (predicted) position, or the followed player's when spectating
+   * @param {{ x: number, y: number }|null} position - Local player position
+   * @returns {{ x: number, y: number }|null}
+   */
+  function getStatusPosition(position) {
+    if (!spectating) return position;
+    const followed = getServerPlayerPosition(currentState, followedPlayerId);
+    return followed && followed.x !== null ? followed : null;
+  }
+
+  /**
+   * Follow the next (step 1) or previous (step -1) player and redraw
+   * @param {number} step - Direction
+   */
+  function cycleFollow(step) {
+    if (!currentState) return;
+    const target = nextFollowTarget(currentState.players, followedPlayerId, step);
+    if (target === followedPlayerId) return;
+    followedPlayerId = target;
+    currentState = { ...currentState, score: getLocalScore(currentState, followedPlayerId) };
+    const name = currentState.players.find(p => p.playerId === followedPlayerId)?.playerName;
+    logger.info(`Following ${name ?? 'nobody'}`);
+    previousState = null;
+    render();
+  }
+
+  /**
+   * Status bar label for the "it" player, or null when not in tag mode
+   * @returns {string|null}
+   */
+  function getItLabel() {
+    if (!currentState || currentState.mode !== 'tag') return null;
+    if (!currentState.itPlayerId) return '-';
+    if (currentState.itPlayerId === localPlayerId) return 'YOU';
+    const itPlayer = (currentState.players || []).find(p => p.playerId === currentState.itPlayerId);
+    return itPlayer?.playerName ?? '-';
+  }
+
+  /**
+   * Extra status bar info: "it" player (tag mode), match clock and, when spectating, the followed player
+   * @returns {{ itLabel: string|null, timeLabel: string|null, watchingLabel?: string }}
+   */
+  function getStatusInfo() {
+    const info = {
+      itLabel: getItLabel(),
+      timeLabel: formatMatchClock(currentState?.match),
+      joinCodeLabel: joinCode
+    };
+    if (spectating) {
+      const followed = (currentState?.players || []).find(p => p.playerId === followedPlayerId);
+      info.watchingLabel = followed?.playerName ?? '-';
+    }
+    return info;
+  }
+
+  /**
+   * Draw the local player (it glyph/color when the local player is "it")
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   */
+  function drawLocalPlayer(x, y) {
+    const { character, color } = canvas.getPlayerAppearance({ isIt: isItPlayer(localPlayerId) });
+    canvas.updateCell(x, y, character, color);
+  }
+
   /**
    * Send MOVE message to server
    * @param {number} dx - Delta X (-1, 0, or 1)
@@ -297,7 +662,12 @@ export async function networkedMode(injectedConfig) {
    */
   function sendMoveToServer(dx, dy) {
     try {
-      const moveMessage = MessageHandler.createMessage(MessageTypes.MOVE, { dx, dy });
+      inputSeq += 1;
+      if (config.prediction?.enabled !== false) {
+        pendingInputs.push({ seq: inputSeq, dx, dy });
+        if (pendingInputs.length > MAX_PENDING_INPUTS) pendingInputs.shift();
+      }
+      const moveMessage = MessageHandler.createMessage(MessageTypes.MOVE, { dx, dy, seq: inputSeq });
       wsClient.send(moveMessage);
       // logger.info(`Sent MOVE message: (${dx}, ${dy})`);
     } catch (error) {
@@ -306,7 +676,8 @@ export async function networkedMode(injectedConfig) {
   }
 
   /**
-   * Reconcile predicted position with server position
+   * Reconcile predicted position with the latest server state: authoritative position plus
+   * replayed unacknowledged inputs. Redraws the local player if the prediction was wrong.
    */
   function reconcilePosition() {
     // Check prerequisites
@@ -329,16 +700,24 @@ export async function networkedMode(injectedConfig) {
       return;
     }
 
-    const serverPos = { x: serverPlayer.x, y: serverPlayer.y };
+    const reconciled = reconcileInputs(
+      { x: serverPlayer.x, y: serverPlayer.y },
+      serverPlayer.lastInputSeq,
+      pendingInputs,
+      currentState,
+      localPlayerId
+    );
+    pendingInputs = reconciled.pendingInputs;
+    const correctedPos = reconciled.position;
     const predictedPos = localPlayerPredictedPosition;
 
     // Compare positions
-    if (serverPos.x !== predictedPos.x || serverPos.y !== predictedPos.y) {
-      // Mismatch detected - correct to server position
-      const distance = Math.abs(serverPos.x - predictedPos.x) + Math.abs(serverPos.y - predictedPos.y);
+    if (correctedPos.x !== predictedPos.x || correctedPos.y !== predictedPos.y) {
+      // Misprediction (server rejected or altered a move) - correct now
+      const distance = Math.abs(correctedPos.x - predictedPos.x) + Math.abs(correctedPos.y - predictedPos.y);
       // Only log if the difference is significant (more than 1 tile)
       if (distance > 1) {
-        logger.debug(`Reconciliation: correcting position from (${predictedPos.x}, ${predictedPos.y}) to (${serverPos.x}, ${serverPos.y}) [distance: ${distance}]`);
+        logger.debug(`Reconciliation: correcting position from (${predictedPos.x}, ${predictedPos.y}) to (${correctedPos.x}, ${correctedPos.y}) [distance: ${distance}]`);
       }
 
       // Create board adapter
@@ -372,61 +751,35 @@ export async function networkedMode(injectedConfig) {
         entities
       );
 
-      // Update predicted position to server position
-      localPlayerPredictedPosition = { x: serverPos.x, y: serverPos.y };
+      // Update predicted position to the corrected position
+      localPlayerPredictedPosition = { x: correctedPos.x, y: correctedPos.y };
 
-      // Draw player at server position
-      canvas.updateCell(
-        serverPos.x,
-        serverPos.y,
-        canvas.config.playerGlyph,
-        canvas.config.playerColor
-      );
+      // Draw player at corrected position
+      drawLocalPlayer(correctedPos.x, correctedPos.y);
 
       // Update status bar
       if (cachedLayout) {
         canvas.renderStatusBar(
           currentState.score || 0,
-          serverPos,
+          correctedPos,
           60,
           currentState.board.height,
-          cachedLayout
+          cachedLayout,
+          getStatusInfo()
         );
       } else {
         canvas.renderStatusBar(
           currentState.score || 0,
-          serverPos,
+          correctedPos,
           currentState.board.width,
-          currentState.board.height
+          currentState.board.height,
+          null,
+          getStatusInfo()
         );
       }
     }
   }
 
-  /**
-   * Start reconciliation timer
-   */
-  function startReconciliationTimer() {
-    if (reconciliationTimer) {
-      clearInterval(reconciliationTimer);
-    }
-
-    const interval = config.prediction?.reconciliationInterval || 5000;
-    reconciliationTimer = setInterval(() => {
-      reconcilePosition();
-    }, interval);
-  }
-
-  /**
-   * Stop reconciliation timer
-   */
-  function stopReconciliationTimer() {
-    if (reconciliationTimer) {
-      clearInterval(reconciliationTimer);
-      reconciliationTimer = null;
-    }
-  }
-
   /**
    * Compute interpolated or extrapolated position for one entity from its buffer.
    * When board is provided, clamps to latest position if computed position is inside a wall.
@@ -506,11 +859,12 @@ export async function networkedMode(injectedConfig) {
         remoteEntityInterpolated[playerId] = pos;
       }
     }
-    const otherPlayersAtInterpolated = Object.values(remoteEntityInterpolated)
-      .filter(o => o && typeof o.x === 'number' && typeof o.y === 'number')
-      .map(o => ({ x: Math.round(o.x), y: Math.round(o.y) }));
+    const otherPlayersAtInterpolated = Object.entries(remoteEntityInterpolated)
+      .filter(([, o]) => o && typeof o.x === 'number' && typeof o.y === 'number')
+      .map(([playerId, o]) => ({ x: Math.round(o.x), y: Math.round(o.y), ...remoteAppearance(playerId) }));
     let anyChanged = false;
     interpolationTickCount += 1;
+    const remoteDisplayEasing = config.rendering?.remoteDisplayEasing !== false;
     for (const [playerId, interp] of Object.entries(remoteEntityInterpolated)) {
       const targetX = Math.round(interp.x);
       const targetY = Math.round(interp.y);
@@ -540,7 +894,8 @@ export async function networkedMode(injectedConfig) {
             entities
           );
         }
-        canvas.updateCell(displayX, displayY, canvas.config.playerGlyph, canvas.config.playerColor);
+        const appearance = canvas.getPlayerAppearance(remoteAppearance(playerId));
+        canvas.updateCell(displayX, displayY, appearance.character, appearance.color);
         lastDrawnInterpolatedPositions[playerId] = { x: displayX, y: displayY };
         if (debugRemoteRender) {
           logger.info(`[REMOTE_RENDER] POS playerId=${playerId} target=(${targetX},${targetY}) display=(${displayX},${displayY}) src=tick ts=${Date.now()}`);
@@ -558,17 +913,18 @@ export async function networkedMode(injectedConfig) {
       }
     }
     if (anyChanged) {
+      drawOverlays();
       renderer.render(canvas);
     }
   }
 
   /**
-   * Start interpolation tick (runs when we have state and localPlayerId)
+   * Start interpolation tick (runs when we have state and a local player, or when spectating)
    */
   function startInterpolationTick() {
     if (interpolationTickTimer) return;
     interpolationTickTimer = setInterval(() => {
-      if (running && currentState && localPlayerId) {
+      if (running && currentState && (localPlayerId || spectating) && !reconnecting) {
         runInterpolationTick();
       }
     }, INTERPOLATION_TICK_MS);
@@ -584,106 +940,6 @@ export async function networkedMode(injectedConfig) {
     }
   }
 
-  /**
-   * Validate if position is within board bounds
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {object} board - Board object with width and height
-   * @returns {boolean} True if within bounds
-   */
-  function validateBounds(x, y, board) {
-    if (!board) return false;
-    return x >= 0 && x < board.width && y >= 0 && y < board.height;
-  }
-
-  /**
-   * Validate if position is not a wall
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {object} board - Board object with getCell method
-   * @returns {boolean} True if not a wall
-   */
-  function validateWall(x, y, board) {
-    if (!board || !board.getCell) return false;
-    const cell = board.getCell(x, y);
-    // If cell is null (out of bounds), it's not a valid position
-    if (cell === null) return false;
-    return cell !== '#';
-  }
-
-  /**
-   * Validate if no solid entity at position
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {Array} entities - Array of entity objects
-   * @returns {boolean} True if no solid entity at position
-   */
-  function validateEntityCollision(x, y, entities) {
-    if (!entities || entities.length === 0) return true;
-    
-    // Check for solid entities at position
-    const solidEntity = entities.find(
-      e => e.x === x && e.y === y && e.solid === true
-    );
-    return !solidEntity;
-  }
-
-  /**
-   * Validate if no other player at position
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {Array} players - Array of player objects
-   * @param {string} excludePlayerId - Player ID to exclude from check
-   * @returns {boolean} True if no other player at position
-   */
-  function validatePlayerCollision(x, y, players, excludePlayerId) {
-    if (!players || players.length === 0) return true;
-    
-    // Check for other players at position
-    const otherPlayer = players.find(
-      p => p.playerId !== excludePlayerId && p.x === x && p.y === y
-    );
-    return !otherPlayer;
-  }
-
-  /**
-   * Validate movement (all checks)
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {object} currentState - Current game state
-   * @returns {boolean} True if movement is valid
-   */
-  function validateMovement(x, y, currentState) {
-    if (!currentState || !currentState.board) return false;
-
-    // Create board adapter
-    const board = {
-      width: currentState.board.width,
-      height: currentState.board.height,
-      getCell: (x, y) => {
-        if (y < 0 || y >= currentState.board.grid.length) return null;
-        if (x < 0 || x >= currentState.board.grid[y].length) return null;
-        return currentState.board.grid[y][x];
-      }
-    };
-
-    // Get other players (exclude local player)
-    const otherPlayers = (currentState.players || []).filter(
-      p => p.playerId !== localPlayerId
-    );
-
-    // Get entities
-    const entities = currentState.entities || [];
-
-    // Validate all checks
-    if (!validateBounds(x, y, board)) return false;
-    if (!validateWall(x, y, board)) return false;
-    if (!validateEntityCollision(x, y, entities)) return false;
-    if (!validatePlayerCollision(x, y, otherPlayers, localPlayerId)) return false;
-
-    return true;
-  }
-
   /**
    * Handle CONNECT response
    */
@@ -691,14 +947,29 @@ export async function networkedMode(injectedConfig) {
     try {
       const { clientId, playerId, playerName, gameState, waitingForSpawn: payloadWaiting, message: payloadMessage } = message.payload;
 
+      if (message.payload.joinCode) {
+        joinCode = message.payload.joinCode;
+      }
+      if (message.payload.spectator === true) {
+        handleSpectatorConnect(message.payload);
+        return;
+      }
+
       if (!playerId) {
         logger.debug('Received CONNECT message without playerId, ignoring');
         return;
       }
+      if (message.payload.resumeToken) {
+        resumeToken = message.payload.resumeToken;
+      }
+      if (message.payload.resumed) {
+        logger.info(`Resumed session as ${playerName} (${playerId})`);
+      }
 
       // Waiting-for-spawn: server holds connection and sends wait message; no gameState yet
       if (payloadWaiting === true && (gameState == null || gameState === undefined)) {
         localPlayerId = playerId;
+        chatPlayerId = playerId;
         waitingForSpawn = true;
         spawnWaitMessage = payloadMessage || 'Waiting for a spawn point...';
         logger.info(`Waiting for spawn (${playerId}): ${spawnWaitMessage}`);
@@ -714,24 +985,29 @@ export async function networkedMode(injectedConfig) {
 
       waitingForSpawn = false;
       spawnWaitMessage = null;
+      respawn = null; // Back on the board (respawn, new match or resumed session)
       localPlayerId = playerId;
-      currentState = gameState;
+      chatPlayerId = playerId;
+      if (gameState.board) {
+        cachedBoard = gameState.board;
+      }
+      currentState = { ...gameState, board: cachedBoard, score: getLocalScore(gameState, localPlayerId) };
       const payloadKeyRepeat = message.payload.keyRepeatIntervalMs;
       if (typeof payloadKeyRepeat === 'number' && payloadKeyRepeat >= 0) {
         keyRepeatIntervalMs = payloadKeyRepeat;
       }
 
-      // Initialize prediction from server position
+      // Initialize prediction from server position; inputs sent before this CONNECT are not replayed
+      pendingInputs = [];
       if (gameState.players) {
         const localPlayer = gameState.players.find(p => p.playerId === localPlayerId);
         if (localPlayer) {
           localPlayerPredictedPosition = { x: localPlayer.x, y: localPlayer.y };
           logger.debug(`Initialized prediction position: (${localPlayer.x}, ${localPlayer.y})`);
-          startReconciliationTimer(); // Start reconciliation timer
         }
       }
 
-      logger.info(`Joined as ${playerName} (${playerId})`);
+      logger.info(`Joined as ${playerName} (${playerId}) in room ${message.payload.room ?? 'default'}${joinCode ? ` (join code ${joinCode})` : ''}`);
       
       startInterpolationTick();
       // Initial render
@@ -742,6 +1018,27 @@ export async function networkedMode(injectedConfig) {
     }
   }
 
+  /**
+   * Handle CONNECT response for a spectator: full state, no local player; follow the first player on the board
+   * @param {object} payload - CONNECT payload (spectator: true)
+   */
+  function handleSpectatorConnect(payload) {
+    const { gameState } = payload;
+    if (!gameState) {
+      logger.debug('Received spectator CONNECT without gameState, ignoring');
+      return;
+    }
+    if (gameState.board) {
+      cachedBoard = gameState.board;
+    }
+    followedPlayerId = nextFollowTarget(gameState.players, followedPlayerId, 0);
+    chatPlayerId = payload.spectatorId ?? null;
+    currentState = { ...gameState, board: cachedBoard, score: getLocalScore(gameState, followedPlayerId) };
+    logger.info(`Spectating as ${payload.playerName} (${payload.spectatorId})`);
+    startInterpolationTick();
+    render();
+  }
+
   /**
    * Handle STATE_UPDATE
    */
@@ -751,12 +1048,43 @@ export async function networkedMode(injectedConfig) {
         logger.warn('Invalid STATE_UPDATE: missing payload');
         return;
       }
+
+      const received = stateReceiver.receive(message.payload);
+      if (received.needKeyframe) {
+        logger.debug('STATE_UPDATE delta base missing, requesting keyframe');
+        wsClient.send(MessageHandler.createMessage(MessageTypes.KEYFRAME_REQUEST, {}));
+        return;
+      }
+      if (!received.state) {
+        return;
+      }
+      if (received.seq != null) {
+        wsClient.send(MessageHandler.createMessage(MessageTypes.STATE_ACK, { seq: received.seq }));
+      }
+      const gameState = received.state;
+
+      // The board arrives once (CONNECT / BOARD_UPDATE); ignore updates until we have it
+      if (!cachedBoard) {
+        return;
+      }
       
       // Get server position before updating state
       const serverPlayerBefore = currentState?.players?.find(p => p.playerId === localPlayerId);
       const serverPosBefore = serverPlayerBefore ? { x: serverPlayerBefore.x, y: serverPlayerBefore.y } : null;
       
-      currentState = message.payload; //dcv
+      if (spectating) {
+        // Keep following the same player; move on when they leave or are off the board
+        const target = nextFollowTarget(gameState.players, followedPlayerId, 0);
+        if (target !== followedPlayerId) {
+          followedPlayerId = target;
+          previousState = null; // Full redraw for the new status bar
+        }
+      }
+      currentState = {
+        ...gameState,
+        board: cachedBoard,
+        score: getLocalScore(gameState, getViewedPlayerId())
+      };
       
       // Push remote player positions to interpolation buffers (use message timestamp)
       const timestamp = typeof message.timestamp === 'number' ? message.timestamp : Date.now();
@@ -794,9 +1122,9 @@ export async function networkedMode(injectedConfig) {
             isWall: () => false,
             serialize: () => currentState.board.grid
           };
-          const otherPlayersHere = Object.values(remoteEntityInterpolated)
-            .filter(o => o && typeof o.x === 'number' && typeof o.y === 'number')
-            .map(o => ({ x: Math.round(o.x), y: Math.round(o.y) }));
+          const otherPlayersHere = Object.entries(remoteEntityInterpolated)
+            .filter(([, o]) => o && typeof o.x === 'number' && typeof o.y === 'number')
+            .map(([id, o]) => ({ x: Math.round(o.x), y: Math.round(o.y), ...remoteAppearance(id) }));
           canvas.restoreCellContent(lastPos.x, lastPos.y, board, otherPlayersHere, currentState.entities || []);
         }
         delete remoteEntityBuffers[playerId];
@@ -822,11 +1150,9 @@ export async function networkedMode(injectedConfig) {
         if (localPlayer) {
           localPlayerPredictedPosition = { x: localPlayer.x, y: localPlayer.y };
           logger.debug(`Initialized prediction position from STATE_UPDATE: (${localPlayer.x}, ${localPlayer.y})`);
-          startReconciliationTimer(); // Start reconciliation timer (for periodic checks)
         }
       } else if (localPlayerPredictedPosition.x !== null && localPlayerId && currentState.players) {
-        // Reconcile on every STATE_UPDATE to catch server rejections immediately
-        // This prevents large position drifts when server rejects moves
+        // Reconcile on every STATE_UPDATE: server position plus replayed unacknowledged inputs
         reconcilePosition();
       }
       
@@ -836,8 +1162,520 @@ export async function networkedMode(injectedConfig) {
     }
   }
 
+  /**
+   * Handle MATCH_END: keep final standings for the results screen shown until the next match starts
+   */
+  function handleMatchEnd(message) {
+    if (!message.payload) {
+      logger.warn('Invalid MATCH_END: missing payload');
+      return;
+    }
+    matchResults = message.payload;
+    logger.info(`Match ${matchResults.matchNumber} ended`);
+    render();
+  }
+
+  /**
+   * Handle KICK: the server is about to close the connection; leave with its reason
+   * (rejected: the server turned down our CONNECT, e.g. a bad room name)
+   */
+  function handleKick(message) {
+    const reason = message.payload?.reason || 'Removed by server';
+    const summary = message.payload?.rejected === true ? `Could not join: ${reason}` : `Kicked by server: ${reason}`;
+    logger.warn(summary);
+    shutdown(summary, { showReason: true });
+  }
+
+  /**
+   * Handle BOARD_UPDATE: replace the cached board and redraw everything
+   */
+  function handleBoardUpdate(message) {
+    const board = message.payload?.board;
+    if (!board || !Array.isArray(board.grid)) {
+      logger.warn('Invalid BOARD_UPDATE: missing board');
+      return;
+    }
+    cachedBoard = board;
+    logger.info(`Board changed (${board.width}x${board.height})`);
+    if (!currentState) return;
+    currentState = { ...currentState, board: cachedBoard };
+    previousState = null;
+    render();
+  }
+
+  /**
+   * Handle CHAT: add the message (or server notice) to the chat log and redraw the panel
+   */
+  function handleChat(message) {
+    const payload = message.payload;
+    if (typeof payload?.text !== 'string') {
+      logger.warn('Invalid CHAT: missing text');
+      return;
+    }
+    logger.info(payload.system ? `[CHAT] * ${payload.text}` : `[CHAT] ${payload.playerName}: ${payload.text}`);
+    chatMessages.push(payload);
+    if (chatMessages.length > CHAT_LOG_SIZE) chatMessages.shift();
+    renderChat();
+  }
+
+  /**
+   * Edit the open chat line: Enter sends it, ESC (or Ctrl+C) cancels, Backspace deletes
+   * @param {string} key - Raw key string
+   */
+  function editChatDraft(key) {
+    if (key === '\r' || key === '\n') {
+      const text = chatDraft.trim();
+      if (text && wsClient.isConnected()) {
+        wsClient.send(MessageHandler.createMessage(MessageTypes.CHAT, { text }));
+      }
+      closeChat();
+    } else if (key === '\x1b' || key === '\x03') {
+      closeChat();
+    } else if (key === '\x7f' || key === '\b') {
+      chatDraft = chatDraft.slice(0, -1);
+      renderChat();
+    } else if (!key.startsWith('\x1b')) {
+      chatDraft = (chatDraft + key.replace(/[\x00-\x1f\x7f]/g, '')).slice(0, CHAT_MAX_LENGTH);
+      renderChat();
+    }
+  }
+
+  function closeChat() {
+    chatDraft = null;
+    inputHandler.setTextEntry(false);
+    renderChat();
+  }
+
+  /**
+   * Handle PLAYER_KILL: add "A shot B" to the kill feed (it drops out after KILL_FEED_MS), take the
+   * victim off the board with a hit marker where they stood and, when the victim is us, flash the
+   * board and count down to the respawn
+   */
+  function handlePlayerKill(message) {
+    const kill = message.payload;
+    if (!kill?.killerId || !kill?.victimId) {
+      logger.warn('Invalid PLAYER_KILL: missing killerId or victimId');
+      return;
+    }
+    const line = formatKillFeedLine(kill, localPlayerId);
+    logger.info(`[KILL] ${line.text}`);
+    const now = Date.now();
+    killFeed.push({ ...line, at: now });
+    if (killFeed.length > KILL_FEED_SIZE) killFeed.shift();
+    if (!killFeedTimer) scheduleKillFeedExpiry();
+
+    const hitAt = getDrawnPosition(kill.victimId);
+    if (hitAt) hitMarkers.push({ ...hitAt, until: now + HIT_MARKER_MS });
+    setPlayerPosition(kill.victimId, null, null);
+    if (kill.victimId === localPlayerId) {
+      deathFlashUntil = now + DEATH_FLASH_MS;
+      respawn = { killerName: kill.killerName ?? null, at: now + (kill.respawnInMs ?? 0) };
+    }
+    startFeedbackTimer();
+    // Full redraw drops the victim from the board
+    previousState = null;
+    render();
+  }
+
+  /**
+   * Handle PLAYER_RESPAWN: put the player back on the board now rather than with the next state
+   */
+  function handlePlayerRespawn(message) {
+    const { playerId, x, y } = message.payload ?? {};
+    if (!playerId || typeof x !== 'number' || typeof y !== 'number') {
+      logger.warn('Invalid PLAYER_RESPAWN: missing playerId or position');
+      return;
+    }
+    if (playerId === localPlayerId) {
+      logger.info(`Respawned at (${x}, ${y})`);
+      respawn = null; // The countdown stays at "Respawning..." until now
+    }
+    if (!currentState) return;
+    setPlayerPosition(playerId, x, y, message.timestamp);
+    previousState = null;
+    render();
+  }
+
+  /**
+   * Handle BULLET_CREATE: draw the new bullet before the next state arrives
+   */
+  function handleBulletCreate(message) {
+    const bullet = message.payload;
+    if (!bullet?.bulletId || typeof bullet.x !== 'number' || typeof bullet.y !== 'number') {
+      logger.warn('Invalid BULLET_CREATE: missing bulletId or position');
+      return;
+    }
+    if (!currentState) return;
+    const others = (currentState.bullets || []).filter((b) => b.bulletId !== bullet.bulletId);
+    currentState = { ...currentState, bullets: [...others, bullet] };
+    render();
+  }
+
+  /**
+   * Handle BULLET_DESTROY: erase the bullet before the next state arrives
+   */
+  function handleBulletDestroy(message) {
+    const bulletId = message.payload?.bulletId;
+    if (!currentState?.bullets?.some((b) => b.bulletId === bulletId)) return;
+    currentState = { ...currentState, bullets: currentState.bullets.filter((b) => b.bulletId !== bulletId) };
+    render();
+  }
+
+  /**
+   * Where a player is drawn now: our predicted position, a remote player's interpolated one, else the state's
+   * @param {string} playerId - Player identifier
+   * @returns {{ x: number, y: number }|null}
+   */
+  function getDrawnPosition(playerId) {
+    if (playerId === localPlayerId && localPlayerPredictedPosition.x !== null) {
+      return { x: localPlayerPredictedPosition.x, y: localPlayerPredictedPosition.y };
+    }
+    if (lastDrawnInterpolatedPositions[playerId]) return { ...lastDrawnInterpolatedPositions[playerId] };
+    const player = currentState?.players?.find((p) => p.playerId === playerId);
+    return player && typeof player.x === 'number' && typeof player.y === 'number' ? { x: player.x, y: player.y } : null;
+  }
+
+  /**
+   * Move a player in currentState (x null: off the board) ahead of the next state update. Our own
+   * prediction restarts from there; a remote player's interpolation buffer restarts at the new
+   * position so they do not slide across the board to it.
+   * @param {string} playerId - Player identifier
+   * @param {number|null} x
+   * @param {number|null} y
+   * @param {number} [timestamp] - Server time of the message (for the interpolation buffer)
+   */
+  function setPlayerPosition(playerId, x, y, timestamp = Date.now()) {
+    if (!currentState) return;
+    currentState = {
+      ...currentState,
+      players: (currentState.players || []).map((p) => (p.playerId === playerId ? { ...p, x, y } : p))
+    };
+    if (playerId === localPlayerId) {
+      localPlayerPredictedPosition = { x, y };
+      pendingInputs = [];
+      return;
+    }
+    delete remoteEntityInterpolated[playerId];
+    delete lastDrawnInterpolatedPositions[playerId];
+    if (x === null) {
+      delete remoteEntityBuffers[playerId];
+    } else {
+      const playerName = currentState.players.find((p) => p.playerId === playerId)?.playerName;
+      remoteEntityBuffers[playerId] = [{ t: timestamp, x, y, playerName }];
+    }
+  }
+
+  /**
+   * Tick the short-lived feedback (hit markers, death flash, respawn countdown) until none is left
+   */
+  function startFeedbackTimer() {
+    if (feedbackTimer) return;
+    let shownSeconds = respawn ? Math.max(0, Math.ceil((respawn.at - Date.now()) / 1000)) : null;
+    feedbackTimer = setInterval(() => {
+      const now = Date.now();
+      const markerCount = hitMarkers.length;
+      hitMarkers = hitMarkers.filter((marker) => marker.until > now);
+      const flashEnded = deathFlashUntil !== 0 && deathFlashUntil <= now;
+      if (flashEnded) deathFlashUntil = 0;
+      if (!respawn && hitMarkers.length === 0 && deathFlashUntil === 0) {
+        clearInterval(feedbackTimer);
+        feedbackTimer = null;
+      }
+      const seconds = respawn ? Math.max(0, Math.ceil((respawn.at - now) / 1000)) : null;
+      if (flashEnded || hitMarkers.length !== markerCount || seconds !== shownSeconds) {
+        // Full redraw wipes the markers, the tint and the previous countdown box
+        shownSeconds = seconds;
+        previousState = null;
+        render();
+      }
+    }, FEEDBACK_TICK_MS);
+  }
+
+  /**
+   * Drop kill feed lines once they are KILL_FEED_MS old (with a full redraw to wipe them)
+   */
+  function scheduleKillFeedExpiry() {
+    if (killFeed.length === 0) return;
+    killFeedTimer = setTimeout(() => {
+      killFeedTimer = null;
+      const now = Date.now();
+      while (killFeed.length > 0 && now - killFeed[0].at >= KILL_FEED_MS) killFeed.shift();
+      previousState = null;
+      render();
+      scheduleKillFeedExpiry();
+    }, Math.max(0, killFeed[0].at + KILL_FEED_MS - Date.now()));
+  }
+
+  /**
+   * Whether the game board is on screen (not a spawn wait, results or reconnect screen)
+   * @returns {boolean}
+   */
+  function isBoardShown() {
+    return Boolean(currentState && !waitingForSpawn && !matchResults && !reconnecting && !wasTooSmall && !displayEmptyDuringResize);
+  }
+
+  /**
+   * Redraw the chat panel under the status bar (it is kept through later status bar redraws)
+   */
+  function renderChat() {
+    const lines = formatChatLines(chatMessages, chatPlayerId, chatDraft);
+    const options = { rows: config.chat?.panelLines ?? 5 };
+    if (!isBoardShown()) {
+      canvas.setChatPanel(lines, options); // Drawn with the board's next status bar
+      return;
+    }
+    if (canvas.renderChatPanel(lines, options)) {
+      renderer.render(canvas);
+      renderOverlays();
+    }
+  }
+
+  /**
+   * Draw the results screen (standings + countdown to the next match)
+   */
+  function renderMatchResults() {
+    const { columns, rows } = getTerminalSize();
+    Message.applyMatchResults(canvas, {
+      matchNumber: matchResults.matchNumber,
+      standings: matchResults.standings,
+      spectators: matchResults.spectators,
+      localPlayerId,
+      remainingMs: currentState?.match?.nextMatchInMs ?? 0,
+      terminalColumns: columns,
+      terminalRows: rows
+    });
+    renderer.render(canvas);
+  }
+
+  /**
+   * Draw the "Reconnecting…" overlay over whatever is on screen
+   */
+  function renderReconnecting() {
+    if (!reconnecting) return;
+    if (!canvas.grid || canvas.grid.length === 0) {
+      // Nothing drawn yet: overlay a blank terminal-sized grid
+      const { columns, rows } = getTerminalSize();
+      canvas.grid = Array.from({ length: rows }, () =>
+        Array.from({ length: columns }, () => ({ character: ' ', color: 'FFFFFF' }))
+      );
+    }
+    const seconds = Math.ceil(reconnecting.delayMs / 1000);
+    canvas.renderOverlay([
+      'Reconnecting…',
+      `attempt ${reconnecting.attempt}, retrying in ${seconds}s`
+    ]);
+    renderer.render(canvas);
+  }
+
+  /**
+   * Sample network stats once a second: refresh the overlay and write them to the client log
+   * every netStats.logIntervalMs
+   */
+  function sampleNetStats() {
+    const now = Date.now();
+    const fps = renderer.framesRendered - lastFrameCount;
+    lastFrameCount = renderer.framesRendered;
+    const stats = wsClient.stats.snapshot(now);
+    netStatsLines = formatNetStatsLines(stats, fps);
+
+    const logIntervalMs = config.netStats?.logIntervalMs ?? 5000;
+    if (logIntervalMs > 0 && now - lastNetStatsLogAt >= logIntervalMs) {
+      lastNetStatsLogAt = now;
+      logger.info(
+        `[NET] rtt=${stats.rttMs ?? '-'}ms jitter=${stats.jitterMs}ms updates=${stats.updatesPerSec}/s ` +
+        `fps=${fps} rx=${stats.bytesPerSec}B/s total=${stats.bytesReceived}B`
+      );
+    }
+    renderOverlays();
+  }
+
+  /**
+   * Draw the network stats box into the canvas (top-right corner) when enabled
+   * @returns {boolean} true if drawn
+   */
+  function drawNetStatsBox() {
+    if (!showNetStats || !netStatsLines || displayEmptyDuringResize) return false;
+    return canvas.renderOverlay(netStatsLines, { anchor: 'top-right', color: '00FFFF' });
+  }
+
+  /**
+   * Draw the settings box into the canvas (centered) while it is open
+   * @returns {boolean} true if drawn
+   */
+  function drawSettingsBox() {
+    if (!settings || displayEmptyDuringResize) return false;
+    return canvas.renderOverlay(settings.lines(), { color: 'FFFFFF' });
+  }
+
+  /**
+   * Draw the key bindings box into the canvas (centered) while it is shown
+   * @returns {boolean} true if drawn
+   */
+  function drawHelpBox() {
+    if (!showHelp || displayEmptyDuringResize) return false;
+    return canvas.renderHelpOverlay(keymap.describe());
+  }
+
+  /**
+   * Draw the scoreboard box into the canvas (centered) while the scoreboard key is held
+   * @returns {boolean} true if drawn
+   */
+  function drawScoreboardBox() {
+    if (!showScoreboard || displayEmptyDuringResize) return false;
+    return canvas.renderScoreboardOverlay(scoreboardEntries(currentState), { localPlayerId });
+  }
+
+  /**
+   * Draw the kill feed over the board's top-left corner while it has recent kills
+   * @returns {boolean} true if drawn
+   */
+  function drawKillFeed() {
+    if (killFeed.length === 0 || !isBoardShown()) return false;
+    return canvas.renderKillFeed(killFeed);
+  }
+
+  /**
+   * Tint the board while the death flash lasts and draw the hit markers
+   * @returns {boolean} true if anything was drawn
+   */
+  function drawBoardFeedback() {
+    if (!isBoardShown()) return false;
+    const flashDrawn = deathFlashUntil > Date.now() && canvas.tintBoard(DEATH_FLASH_COLOR);
+    for (const marker of hitMarkers) {
+      canvas.updateCell(marker.x, marker.y, HIT_MARKER_GLYPH, HIT_MARKER_COLOR);
+    }
+    return flashDrawn || hitMarkers.length > 0;
+  }
+
+  /**
+   * Draw the respawn countdown box (centered) while we wait to respawn
+   * @returns {boolean} true if drawn
+   */
+  function drawRespawnBox() {
+    if (!respawn || !isBoardShown()) return false;
+    return canvas.renderOverlay(respawnCountdownLines(respawn.killerName, respawn.at - Date.now()), { color: 'FF0000' });
+  }
+
+  /**
+   * Draw the board feedback, the kill feed and overlay boxes (network stats, the respawn
+   * countdown, the scoreboard, then help or settings on top) into the canvas
+   * @returns {boolean} true if any was drawn
+   */
+  function drawOverlays() {
+    const feedbackDrawn = drawBoardFeedback();
+    const killFeedDrawn = drawKillFeed();
+    const netStatsDrawn = drawNetStatsBox();
+    const respawnDrawn = drawRespawnBox();
+    const scoreboardDrawn = drawScoreboardBox();
+    const helpDrawn = drawHelpBox();
+    return drawSettingsBox() || helpDrawn || scoreboardDrawn || respawnDrawn || netStatsDrawn || killFeedDrawn || feedbackDrawn;
+  }
+
+  function hideScoreboard() {
+    scoreboardTimer = null;
+    showScoreboard = false;
+    // Full redraw wipes the overlay
+    previousState = null;
+    render();
+  }
+
+  /**
+   * Hide the help box if it is shown (any key does that)
+   * @returns {boolean} true if it was shown, so the key is used up
+   */
+  function closeHelp() {
+    if (!showHelp) return false;
+    showHelp = false;
+    // Full redraw wipes the overlay
+    previousState = null;
+    render();
+    return true;
+  }
+
+  /**
+   * Draw the overlay boxes and write them to the terminal
+   */
+  function renderOverlays() {
+    if (drawOverlays()) {
+      renderer.render(canvas);
+    }
+  }
+
+  function openSettings() {
+    settings = new SettingsEditor(config);
+    inputHandler.setTextEntry(false);
+    renderOverlays();
+  }
+
+  function closeSettings() {
+    settings = null;
+    inputHandler.setTextEntry(false);
+    // Full redraw wipes the overlay
+    previousState = null;
+    render();
+  }
+
+  function moveInSettings(dx, dy) {
+    if (dy !== 0) {
+      settings.move(dy);
+      handleSettingsAction(null);
+    } else {
+      handleSettingsAction(settings.adjust(dx));
+    }
+  }
+
+  /**
+   * Act on what the settings overlay returned: close it, or apply a change live, save it to
+   * configPath and redraw with it
+   * @param {object|null} action - SettingsEditor action
+   */
+  function handleSettingsAction(action) {
+    if (action?.type === 'close') {
+      closeSettings();
+      return;
+    }
+    inputHandler.setTextEntry(settings.textEntry);
+    if (action?.type === 'change') {
+      applySettingChange(action.field, action.value);
+      canvas.clearScreen();
+      runNormalRenderPath();
+    }
+    renderOverlays();
+  }
+
+  /**
+   * Make a settings change take effect (the config is already updated) and save it
+   * @param {object} field - SETTINGS_FIELDS entry
+   * @param {unknown} value
+   */
+  function applySettingChange(field, value) {
+    if (field.section === 'rendering') {
+      canvas.config[field.key] = value;
+    } else if (field.section === 'statusBar') {
+      canvas.config.statusBar = config.statusBar;
+    }
+    if (field.key === 'resizeDebounceMs') {
+      renderingConfig = resolveRenderingConfig(config);
+    }
+    logger.info(`Setting ${field.section}.${field.key} = ${JSON.stringify(value)}`);
+
+    if (!configPath) {
+      settings.status = 'Applied (no config file to save to)';
+      return;
+    }
+    try {
+      saveSetting(configPath, field, value);
+      settings.status = 'Saved to client.json';
+    } catch (error) {
+      logger.warn(`Could not save settings: ${error.message}`);
+      settings.status = 'Applied, but could not save client.json';
+    }
+  }
+
   inputHandler.onRender(() => {
     runNormalRenderPath();
+    renderReconnecting();
+    renderOverlays();
   });
 
   /**
@@ -877,9 +1715,9 @@ export async function networkedMode(injectedConfig) {
     const otherPlayers = remotePlayersFromState.map((p) => {
       const interp = remoteEntityInterpolated[p.playerId];
       if (interp != null && typeof interp.x === 'number' && typeof interp.y === 'number') {
-        return { x: Math.round(interp.x), y: Math.round(interp.y), playerName: interp.playerName };
+        return { playerId: p.playerId, x: Math.round(interp.x), y: Math.round(interp.y), playerName: interp.playerName, isIt: p.isIt, color: p.color, glyph: p.glyph };
       }
-      return { x: p.x, y: p.y, playerName: p.playerName };
+      return { playerId: p.playerId, x: p.x, y: p.y, playerName: p.playerName, isIt: p.isIt, color: p.color, glyph: p.glyph };
     });
 
     const centerBoard = config.rendering?.centerBoard !== false;
@@ -890,8 +1728,10 @@ export async function networkedMode(injectedConfig) {
       const { columns, rows } = getTerminalSize();
       const statusBarHeight = getStatusBarHeight(
         currentState.score || 0,
-        position,
-        60
+        getStatusPosition(position),
+        60,
+        undefined,
+        getStatusInfo()
       );
       layout = computeLayout(
         columns,
@@ -925,23 +1765,26 @@ export async function networkedMode(injectedConfig) {
       canvas.renderBoard(board, otherPlayers, null, bullets);
     }
     if (position) {
-      canvas.updateCell(position.x, position.y, canvas.config.playerGlyph, canvas.config.playerColor);
+      drawLocalPlayer(position.x, position.y);
     }
     
     if (layout) {
       canvas.renderStatusBar(
         currentState.score || 0,
-        position,
+        getStatusPosition(position),
         60,
         currentState.board.height,
-        layout
+        layout,
+        getStatusInfo()
       );
     } else {
       canvas.renderStatusBar(
         currentState.score || 0,
-        position,
+        getStatusPosition(position),
         currentState.board.width,
-        currentState.board.height
+        currentState.board.height,
+        null,
+        getStatusInfo()
       );
     }
     lastContentRegion = layout ? getContentRegionFromLayout(layout) : null;
@@ -952,11 +1795,24 @@ export async function networkedMode(injectedConfig) {
   }
 
   /**
-   * Render the game
+   * Render the game, then any overlays
    */
   function render() {
+    renderFrame();
+    renderOverlays();
+  }
+
+  /**
+   * Render the current screen (spawn wait, results, reconnecting or the game)
+   */
+  function renderFrame() {
     if (displayEmptyDuringResize) return;
 
+    if (reconnecting) {
+      renderReconnecting();
+      return;
+    }
+
     // Waiting for spawn: show only the wait message (no board), centered in terminal
     if (waitingForSpawn) {
       const { columns, rows } = getTerminalSize();
@@ -969,9 +1825,19 @@ export async function networkedMode(injectedConfig) {
       return;
     }
 
+    if (matchResults) {
+      if (isMatchOver(currentState)) {
+        renderMatchResults();
+        return;
+      }
+      // Next match started: drop the results screen and redraw the board from scratch
+      matchResults = null;
+      previousState = null;
+    }
+
     if (
       !currentState
-      || !changesSinceLastRender(previousState, currentState)
+      || (previousState !== null && !changesSinceLastRender(previousState, currentState))
     ) {
       return;
     }
@@ -1014,8 +1880,10 @@ export async function networkedMode(injectedConfig) {
         const { columns, rows } = getTerminalSize();
         const statusBarHeight = getStatusBarHeight(
           currentState.score || 0,
-          position,
-          60
+          getStatusPosition(position),
+          60,
+          undefined,
+          getStatusInfo()
         );
         layout = computeLayout(
           columns,
@@ -1052,8 +1920,8 @@ export async function networkedMode(injectedConfig) {
         changes.players.joined.length +
         changes.players.left.length;
 
-      // Fallback to full render if too many changes (use normal render path)
-      if (totalChanges > 10) {
+      // Fallback to full render if too many changes, or "it" moved to another player (use normal render path)
+      if (totalChanges > 10 || changes.itChanged) {
         runNormalRenderPath();
         previousState = currentState;
         previousPredictedPosition = position ? { ...position } : null;
@@ -1102,31 +1970,35 @@ export async function networkedMode(injectedConfig) {
             otherPlayers,
             currentState.entities || []
           );
-          canvas.updateCell(position.x, position.y, canvas.config.playerGlyph, canvas.config.playerColor);
+          drawLocalPlayer(position.x, position.y);
           positionChanged = true;
         }
       } else if (position && !previousPredictedPosition) {
         // Local player just joined - draw at position
-        canvas.updateCell(position.x, position.y, canvas.config.playerGlyph, canvas.config.playerColor);
+        drawLocalPlayer(position.x, position.y);
         positionChanged = true;
       }
 
-      // Update status bar if score changed or position changed
-      if (changes.scoreChanged || positionChanged) {
+      // Update status bar if score, position or match clock changed
+      const followedMoved = spectating && changes.players.moved.some(m => m.playerId === followedPlayerId);
+      if (changes.scoreChanged || positionChanged || followedMoved || changes.matchChanged) {
         if (layout) {
           canvas.renderStatusBar(
             currentState.score || 0,
-            position,
+            getStatusPosition(position),
             60,
             currentState.board.height,
-            layout
+            layout,
+            getStatusInfo()
           );
         } else {
           canvas.renderStatusBar(
             currentState.score || 0,
-            position,
+            getStatusPosition(position),
             currentState.board.width,
-            currentState.board.height
+            currentState.board.height,
+            null,
+            getStatusInfo()
           );
         }
       }
@@ -1168,9 +2040,9 @@ export async function networkedMode(injectedConfig) {
         const otherPlayersFallback = remotePlayersFromStateFallback.map((p) => {
           const interp = remoteEntityInterpolated[p.playerId];
           if (interp != null && typeof interp.x === 'number' && typeof interp.y === 'number') {
-            return { x: Math.round(interp.x), y: Math.round(interp.y), playerName: interp.playerName };
+            return { playerId: p.playerId, x: Math.round(interp.x), y: Math.round(interp.y), playerName: interp.playerName, isIt: p.isIt, color: p.color, glyph: p.glyph };
           }
-          return { x: p.x, y: p.y, playerName: p.playerName };
+          return { playerId: p.playerId, x: p.x, y: p.y, playerName: p.playerName, isIt: p.isIt, color: p.color, glyph: p.glyph };
         });
 
         canvas.clearContentRegion(lastContentRegion);
@@ -1180,7 +2052,7 @@ export async function networkedMode(injectedConfig) {
           getTerminalSize().rows,
           currentState.board.width,
           currentState.board.height,
-          getStatusBarHeight(currentState.score || 0, position, 60),
+          getStatusBarHeight(currentState.score || 0, getStatusPosition(position), 60, undefined, getStatusInfo()),
           { centerBoard: true }
         ) : null;
         if (fallbackLayout?.fitsInTerminal) {
@@ -1194,22 +2066,25 @@ export async function networkedMode(injectedConfig) {
         }
         // Render local player separately using predicted/server position
         if (position) {
-          canvas.updateCell(position.x, position.y, canvas.config.playerGlyph, canvas.config.playerColor);
+          drawLocalPlayer(position.x, position.y);
         }
         if (fallbackLayout?.fitsInTerminal) {
           canvas.renderStatusBar(
             currentState.score || 0,
-            position,
+            getStatusPosition(position),
             60,
             currentState.board.height,
-            fallbackLayout
+            fallbackLayout,
+            getStatusInfo()
           );
         } else {
           canvas.renderStatusBar(
             currentState.score || 0,
-            position,
+            getStatusPosition(position),
             currentState.board.width,
-            currentState.board.height
+            currentState.board.height,
+            null,
+            getStatusInfo()
           );
         }
         lastContentRegion = fallbackLayout ? getContentRegionFromLayout(fallbackLayout) : null;
@@ -1223,13 +2098,15 @@ export async function networkedMode(injectedConfig) {
 
   function changesSinceLastRender(previousState, currentState) {
     const changes = compareStates(previousState, currentState);
-    return changes.players.moved.length > 0 || changes.players.joined.length > 0 || changes.players.left.length > 0 || changes.bullets.moved.length > 0 || changes.bullets.created.length > 0 || changes.bullets.destroyed.length > 0 || changes.scoreChanged;
+    return changes.players.moved.length > 0 || changes.players.joined.length > 0 || changes.players.left.length > 0 || changes.bullets.moved.length > 0 || changes.bullets.created.length > 0 || changes.bullets.destroyed.length > 0 || changes.scoreChanged || changes.itChanged || changes.matchChanged;
   } 
 
   /**
    * Shutdown and cleanup
+   * @param {string} reason - Logged reason
+   * @param {{ showReason?: boolean }} [options] - showReason prints the reason once the screen is cleared
    */
-  function shutdown(reason) {
+  function shutdown(reason, options = {}) {
     if (!running) {
       return;
     }
@@ -1239,49 +2116,70 @@ export async function networkedMode(injectedConfig) {
     running = false;
     logger.info(`Shutting down: ${reason}`);
 
-    // Stop reconciliation timer
-    stopReconciliationTimer();
     stopInterpolationTick();
+    if (netStatsTimer) {
+      clearInterval(netStatsTimer);
+      netStatsTimer = null;
+    }
+    for (const timer of [scoreboardTimer, killFeedTimer]) {
+      if (timer) clearTimeout(timer);
+    }
+    scoreboardTimer = null;
+    killFeedTimer = null;
+    if (feedbackTimer) {
+      clearInterval(feedbackTimer);
+      feedbackTimer = null;
+    }
 
     // Reset prediction state
     localPlayerPredictedPosition = { x: null, y: null };
     previousPredictedPosition = null;
+    pendingInputs = [];
 
     try {
       inputHandler.stop();
       renderer.showCursor();
       canvas.clearScreen();
       wsClient.disconnect();
+      if (process.stdout.isTTY) {
+        process.stdout.removeListener('resize', onResize);
+      }
+      if (resizeDebounceTimer) {
+        clearTimeout(resizeDebounceTimer);
+        resizeDebounceTimer = null;
+      }
     } catch (error) {
       logger.error('Error during shutdown:', error);
     }
 
-    process.exit(0);
+    endSession({ reason, showReason: options.showReason === true });
   }
 
   // Resize handling: clear during resize, full re-render when debounce fires
-  const renderingConfig = resolveRenderingConfig(config);
-  if (process.stdout.isTTY) {
-    process.stdout.on('resize', () => {
-      displayEmptyDuringResize = true;
-      renderer.clearScreen();
-      if (resizeDebounceTimer) {
-        clearTimeout(resizeDebounceTimer);
+  let renderingConfig = resolveRenderingConfig(config);
+  function onResize() {
+    displayEmptyDuringResize = true;
+    renderer.clearScreen();
+    if (resizeDebounceTimer) {
+      clearTimeout(resizeDebounceTimer);
+    }
+    const debounceMs = renderingConfig.resizeDebounceMs;
+    resizeDebounceTimer = setTimeout(() => {
+      resizeDebounceTimer = null;
+      displayEmptyDuringResize = false;
+      runNormalRenderPath();
+      renderOverlays();
+      if (currentState) {
+        previousState = currentState;
+        const pos = localPlayerPredictedPosition.x !== null
+          ? localPlayerPredictedPosition
+          : (currentState.players?.find(p => p.playerId === localPlayerId) || {});
+        previousPredictedPosition = pos && pos.x != null ? { ...pos } : null;
       }
-      const debounceMs = renderingConfig.resizeDebounceMs;
-      resizeDebounceTimer = setTimeout(() => {
-        resizeDebounceTimer = null;
-        displayEmptyDuringResize = false;
-        runNormalRenderPath();
-        if (currentState) {
-          previousState = currentState;
-          const pos = localPlayerPredictedPosition.x !== null
-            ? localPlayerPredictedPosition
-            : (currentState.players?.find(p => p.playerId === localPlayerId) || {});
-          previousPredictedPosition = pos && pos.x != null ? { ...pos } : null;
-        }
-      }, debounceMs);
-    });
+    }, debounceMs);
+  }
+  if (process.stdout.isTTY) {
+    process.stdout.on('resize', onResize);
   }
 
   // Start
@@ -1299,6 +2197,7 @@ export async function networkedMode(injectedConfig) {
 
     logger.info(`Connecting to ${config.websocket.url}...`);
     wsClient.connect();
+    netStatsTimer = setInterval(sampleNetStats, 1000);
 
     // Keep process alive
     // The game runs until quit or disconnect
@@ -1306,6 +2205,8 @@ export async function networkedMode(injectedConfig) {
     logger.error('Error starting networked mode:', error);
     shutdown('Startup error');
   }
+
+  return sessionEnded;
 }
 
 export default networkedMode;
@@ -0,0 +1,121 @@
+import { readFileSync } from 'fs';
+import Renderer from '../render/Renderer.js';
+import Canvas from '../render/Canvas.js';
+import InputHandler from '../input/InputHandler.js';
+import { loadKeymap } from '../input/keymap.js';
+import Board from '../game/Board.js';
+import ReplayPlayer, { parseReplay, formatPlaybackTime } from '../replay/ReplayPlayer.js';
+import logger from '../utils/logger.js';
+import { startupClear } from '../utils/terminal.js';
+
+const PLAYBACK_TICK_MS = 50;
+const SEEK_STEP_MS = 5000;
+
+const CONTROLS_LINES = [
+  'Paused',
+  '',
+  'Space      play / pause',
+  'Left/Right seek 5 s',
+  'Up/Down    speed (also + / -)',
+  '0          restart',
+  'Q / ESC    quit'
+];
+
+/**
+ * Title line with playback state
+ * @param {ReplayPlayer} player
+ * @returns {string}
+ */
+export function formatReplayTitle(player) {
+  const icon = player.playing ? '>' : '||';
+  const time = `${formatPlaybackTime(player.positionMs)} / ${formatPlaybackTime(player.durationMs)}`;
+  return `=== Replay ${icon} ${player.speed}x ${time} ===`;
+}
+
+/**
+ * Replay mode - plays a recorded match file through the normal Canvas/Renderer pipeline.
+ * Space pauses, Left/Right seek, Up/Down (or + / -) change speed, Q quits.
+ * @param {string} filePath - Replay file (NDJSON from the server's replay recorder)
+ * @param {object} config - Client config (rendering, keymap)
+ * @returns {Promise<void>} Resolves when the user quits
+ */
+export async function replayMode(filePath, config) {
+  const replay = parseReplay(readFileSync(filePath, 'utf-8'));
+  const player = new ReplayPlayer(replay);
+  const renderer = new Renderer({ logger });
+  const canvas = new Canvas({
+    ...config.rendering,
+    statusBar: config.statusBar,
+    logger
+  });
+  const inputHandler = new InputHandler(loadKeymap(config.keymap));
+
+  let boardData = null;
+  let board = null;
+  let lastTickAt = Date.now();
+  let timer = null;
+  let running = true;
+
+  /**
+   * Draw the frame at the current position (and the controls while paused)
+   */
+  function render() {
+    const frame = player.currentFrame();
+    if (frame.board !== boardData) {
+      boardData = frame.board;
+      board = new Board(boardData);
+    }
+    canvas.renderTitle(formatReplayTitle(player));
+    canvas.renderBoard(board, frame.state.players || [], null, frame.state.bullets || []);
+    if (!player.playing) {
+      canvas.renderOverlay(CONTROLS_LINES);
+    }
+    renderer.render(canvas);
+  }
+
+  return new Promise((resolve) => {
+    function shutdown() {
+      if (!running) return;
+      running = false;
+      clearInterval(timer);
+      inputHandler.stop();
+      renderer.clearScreen();
+      renderer.showCursor();
+      resolve();
+    }
+
+    inputHandler.onQuit(shutdown);
+    inputHandler.onMove((dx, dy) => {
+      if (dx !== 0) player.seekBy(dx * SEEK_STEP_MS);
+      if (dy < 0) player.faster();
+      if (dy > 0) player.slower();
+      render();
+    });
+    inputHandler.onKey((key) => {
+      if (key === ' ') player.togglePause();
+      else if (key === '+' || key === '=') player.faster();
+      else if (key === '-') player.slower();
+      else if (key === '0') player.seekTo(0);
+      else return;
+      render();
+    });
+
+    renderer.hideCursor();
+    inputHandler.start();
+    startupClear(process.stdout).then(() => {
+      if (!running) return;
+      logger.info(`Replaying ${filePath} (${replay.frames.length} states, ${formatPlaybackTime(player.durationMs)})`);
+      render();
+      lastTickAt = Date.now();
+      timer = setInterval(() => {
+        const now = Date.now();
+        const wasPlaying = player.playing;
+        player.update(now - lastTickAt);
+        lastTickAt = now;
+        if (wasPlaying) render();
+      }, PLAYBACK_TICK_MS);
+    });
+  });
+}
+
+export default replayMode;
@@ -0,0 +1,77 @@
+import WebSocketClient from '../network/WebSocketClient.js';
+import MessageHandler from '../network/MessageHandler.js';
+import MessageTypes from '../network/MessageTypes.js';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Table lines for a LIST_ROOMS reply (pure)
+ * @param {Array<{ name: string, board: string|null, mode: string, private?: boolean, players: number, bots: number, spectators: number, phase: string|null }>} rooms
+ * @returns {string[]}
+ */
+export function formatRoomList(rooms) {
+  const rows = [
+    ['ROOM', 'BOARD', 'MODE', 'PLAYERS', 'BOTS', 'WATCHING', 'PHASE'],
+    ...rooms.map((room) => [
+      room.private ? `${room.name} (private)` : room.name,
+      room.board ?? '--',
+      room.mode,
+      String(room.players),
+      String(room.bots),
+      String(room.spectators),
+      room.phase ?? '--'
+    ])
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+  return rows.map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+}
+
+/**
+ * Ask a server for its rooms (LIST_ROOMS) without joining one
+ * @param {string} url - Server URL
+ * @param {{ timeoutMs?: number, code?: string|null, client?: object }} [options] - Give up after timeoutMs (default 5 s); code is the
+ *   server password, if it has one; client replaces the WebSocketClient
+ * @returns {Promise<{ rooms: object[], maxRooms: number }>}
+ * @throws {Error} When the server cannot be reached or does not answer in time
+ */
+export function fetchRooms(url, options = {}) {
+  const client = options.client ?? new WebSocketClient(url, { reconnect: { enabled: false }, pingIntervalMs: 0 });
+  return new Promise((resolve, reject) => {
+    let done = false;
+    const finish = (error, result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      client.disconnect();
+      if (error) reject(error);
+      else resolve(result);
+    };
+    const timer = setTimeout(
+      () => finish(new Error(`No room list from ${url}`)),
+      options.timeoutMs ?? DEFAULT_TIMEOUT_MS
+    );
+    client.on('connect', () => {
+      client.send(MessageHandler.createMessage(MessageTypes.LIST_ROOMS, options.code ? { code: options.code } : {}));
+    });
+    client.on('message', (message) => {
+      if (message.type === MessageTypes.LIST_ROOMS) finish(null, message.payload);
+    });
+    client.on('close', () => finish(new Error(`Could not reach ${url}`)));
+    client.connect();
+  });
+}
+
+/**
+ * Rooms mode - prints the configured server's rooms
+ * @param {object} config - Client config (websocket.url, access.code)
+ * @param {{ code?: string }} [options] - Server password (default access.code)
+ * @returns {Promise<object[]>} The rooms
+ */
+export async function roomsMode(config, options = {}) {
+  const { rooms, maxRooms } = await fetchRooms(config.websocket.url, { code: options.code ?? config.access?.code });
+  process.stdout.write(`${formatRoomList(rooms).join('\n')}\n`);
+  process.stdout.write(`${rooms.length} of ${maxRooms} rooms in use on ${config.websocket.url}\n`);
+  return rooms;
+}
+
+export default roomsMode;
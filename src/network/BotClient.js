@@ -0,0 +1,260 @@
+import WebSocketClient from './WebSocketClient.js';
+import MessageHandler from './MessageHandler.js';
+import MessageTypes from './MessageTypes.js';
+import StateReceiver from './StateReceiver.js';
+import { createBoardView } from '../game/rules.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Whether a player is on the board
+ * @param {object|undefined} player
+ * @returns {boolean}
+ */
+function isPlaced(player) {
+  return !!player && player.x !== null && player.y !== null;
+}
+
+/**
+ * Kill and respawn events between two states, derived from players leaving and re-entering the board (pure).
+ * @param {object|null} previous - Previous state (null for the first one)
+ * @param {object} next - New state
+ * @returns {{ kills: Array<{ playerId: string, x: number, y: number }>, respawns: Array<{ playerId: string, x: number, y: number }> }}
+ *   kills carry the last position on the board, respawns the new one
+ */
+export function diffPlayerEvents(previous, next) {
+  const kills = [];
+  const respawns = [];
+  if (!previous?.players || !next?.players) return { kills, respawns };
+
+  const before = new Map(previous.players.map((p) => [p.playerId, p]));
+  for (const player of next.players) {
+    const old = before.get(player.playerId);
+    if (!old) continue;
+    if (isPlaced(old) && !isPlaced(player)) {
+      kills.push({ playerId: player.playerId, x: old.x, y: old.y });
+    } else if (!isPlaced(old) && isPlaced(player)) {
+      respawns.push({ playerId: player.playerId, x: player.x, y: player.y });
+    }
+  }
+  return { kills, respawns };
+}
+
+/**
+ * Headless game client for scripted players: connects like the terminal client (CONNECT, delta
+ * STATE_UPDATEs with acks, BOARD_UPDATE, resume after reconnect) without InputHandler or Renderer.
+ *
+ * Events (register with on()):
+ * - 'spawned' ({ playerId, playerName, state }): the bot is on the board (after joining, or once a spawn point was free)
+ * - 'waiting' ({ playerId, message }): joined, but no spawn point is free yet
+ * - 'state' (state): every full game state, with `board` attached
+ * - 'kill' ({ playerId, x, y, self }): a player was hit and left the board (self: it was this bot)
+ * - 'respawn' ({ playerId, x, y, self }): a player came back on the board
+ * - 'matchEnd' (payload): MATCH_END results
+ * - 'close' ({ code, reason }): the connection is gone for good (see WebSocketClient)
+ *
+ * @param {string} url - Server URL
+ * @param {{ reconnect?: object, pingIntervalMs?: number, room?: string, code?: string, client?: object }} [options] - WebSocketClient options;
+ *   room joins (or creates) a named room on the server; code is the server password or a private room's join code; client replaces the WebSocketClient (anything with connect/disconnect/send/on/isConnected, e.g. a test double)
+ */
+export class BotClient {
+  constructor(url, options = {}) {
+    this.client = options.client ?? new WebSocketClient(url, {
+      reconnect: options.reconnect,
+      pingIntervalMs: options.pingIntervalMs
+    });
+    this.room = options.room ?? null;
+    this.code = options.code ?? null;
+    this.eventHandlers = new Map();
+    this.stateReceiver = new StateReceiver();
+    this.playerId = null;
+    this.playerName = null;
+    this.resumeToken = null;
+    this.spawned = false;
+    this.boardData = null;
+    this.board = null;
+    this.state = null;
+    this.inputSeq = 0;
+    this.keyRepeatIntervalMs = null; // Input rate the server asks clients to keep to (from CONNECT)
+
+    this.client.on('connect', () => this._sendConnect());
+    this.client.on('reconnecting', () => this.stateReceiver.reset());
+    this.client.on('message', (message) => this._handleMessage(message));
+    this.client.on('close', (info) => this.emit('close', info));
+  }
+
+  /**
+   * Connect and join the game
+   */
+  connect() {
+    this.client.connect();
+  }
+
+  /**
+   * Leave the game and close the connection
+   */
+  disconnect() {
+    this.client.disconnect();
+  }
+
+  /**
+   * Whether the connection is open
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.client.isConnected();
+  }
+
+  /**
+   * This bot's player in the latest state (null before joining)
+   * @returns {object|null}
+   */
+  get me() {
+    return this.state?.players?.find((p) => p.playerId === this.playerId) ?? null;
+  }
+
+  /**
+   * Move one cell. Ignored until the bot has spawned.
+   * @param {number} dx - -1, 0 or 1
+   * @param {number} dy - -1, 0 or 1
+   * @returns {boolean} true if the MOVE was sent
+   */
+  move(dx, dy) {
+    if (!this.spawned) return false;
+    this.inputSeq += 1;
+    this.client.send(MessageHandler.createMessage(MessageTypes.MOVE, { dx, dy, seq: this.inputSeq }));
+    return true;
+  }
+
+  /**
+   * Fire a bullet (the server allows one bullet in flight per player). Ignored until the bot has spawned.
+   * @param {number} dx - -1, 0 or 1
+   * @param {number} dy - -1, 0 or 1
+   * @returns {boolean} true if the FIRE was sent
+   */
+  fire(dx, dy) {
+    if (!this.spawned) return false;
+    this.client.send(MessageHandler.createMessage(MessageTypes.FIRE, { dx, dy }));
+    return true;
+  }
+
+  /**
+   * Register an event handler
+   * @param {string} event - Event name (see class docs)
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(callback);
+  }
+
+  /**
+   * Emit an event to registered handlers
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  emit(event, data) {
+    const handlers = this.eventHandlers.get(event);
+    if (handlers) {
+      handlers.forEach((handler) => {
+        try {
+          handler(data);
+        } catch (error) {
+          logger.error(`Error in bot event handler for ${event}:`, error);
+        }
+      });
+    }
+  }
+
+  _sendConnect() {
+    const payload = this.resumeToken ? { resumeToken: this.resumeToken } : {};
+    if (this.room) payload.room = this.room;
+    if (this.code) payload.code = this.code;
+    this.client.send(MessageHandler.createMessage(MessageTypes.CONNECT, payload));
+  }
+
+  _handleMessage(message) {
+    try {
+      if (message.type === MessageTypes.CONNECT) {
+        this._handleConnect(message.payload);
+      } else if (message.type === MessageTypes.STATE_UPDATE) {
+        this._handleStateUpdate(message.payload);
+      } else if (message.type === MessageTypes.BOARD_UPDATE) {
+        this._setBoard(message.payload?.board);
+      } else if (message.type === MessageTypes.MATCH_END) {
+        this.emit('matchEnd', message.payload);
+      }
+    } catch (error) {
+      logger.error('Error handling message in bot client:', error);
+    }
+  }
+
+  _handleConnect(payload) {
+    if (!payload?.playerId) return;
+    this.playerId = payload.playerId;
+    this.playerName = payload.playerName;
+    if (payload.resumeToken) {
+      this.resumeToken = payload.resumeToken;
+    }
+    if (typeof payload.keyRepeatIntervalMs === 'number') {
+      this.keyRepeatIntervalMs = payload.keyRepeatIntervalMs;
+    }
+
+    if (!payload.gameState) {
+      this.spawned = false;
+      this.emit('waiting', { playerId: this.playerId, message: payload.message ?? null });
+      return;
+    }
+
+    // A fresh start (join, spawn after waiting or resume): no kill/respawn events against the old state
+    this._setBoard(payload.gameState.board);
+    this.spawned = true;
+    this.state = this._withBoard(payload.gameState);
+    this.emit('spawned', { playerId: this.playerId, playerName: this.playerName, state: this.state });
+    this.emit('state', this.state);
+  }
+
+  _handleStateUpdate(payload) {
+    if (!payload) return;
+    const received = this.stateReceiver.receive(payload);
+    if (received.needKeyframe) {
+      this.client.send(MessageHandler.createMessage(MessageTypes.KEYFRAME_REQUEST, {}));
+      return;
+    }
+    if (!received.state) return;
+    if (received.seq != null) {
+      this.client.send(MessageHandler.createMessage(MessageTypes.STATE_ACK, { seq: received.seq }));
+    }
+    // Until CONNECT brings the board (and our player), states are not usable
+    if (!this.boardData || !this.spawned) return;
+    this._setState(received.state);
+  }
+
+  _setBoard(boardData) {
+    if (!boardData || boardData === this.boardData) return;
+    this.boardData = boardData;
+    this.board = createBoardView(boardData);
+  }
+
+  _withBoard(gameState) {
+    const { board: _board, ...rest } = gameState;
+    return { ...rest, board: this.boardData };
+  }
+
+  _setState(gameState) {
+    const previous = this.state;
+    this.state = this._withBoard(gameState);
+
+    const { kills, respawns } = diffPlayerEvents(previous, this.state);
+    for (const kill of kills) {
+      this.emit('kill', { ...kill, self: kill.playerId === this.playerId });
+    }
+    for (const respawn of respawns) {
+      this.emit('respawn', { ...respawn, self: respawn.playerId === this.playerId });
+    }
+    this.emit('state', this.state);
+  }
+}
+
+export default BotClient;
@@ -9,5 +9,15 @@ export default {
   BULLET_CREATE: 'BULLET_CREATE',
   BULLET_DESTROY: 'BULLET_DESTROY',
   PLAYER_KILL: 'PLAYER_KILL',
-  PLAYER_RESPAWN: 'PLAYER_RESPAWN'
+  PLAYER_RESPAWN: 'PLAYER_RESPAWN',
+  MATCH_END: 'MATCH_END',
+  BOARD_UPDATE: 'BOARD_UPDATE',
+  STATE_ACK: 'STATE_ACK',
+  KEYFRAME_REQUEST: 'KEYFRAME_REQUEST',
+  KICK: 'KICK',
+  PING: 'PING',
+  PONG: 'PONG',
+  SERVER_STATS: 'SERVER_STATS',
+  LIST_ROOMS: 'LIST_ROOMS',
+  CHAT: 'CHAT'
 };
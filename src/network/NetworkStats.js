@@ -0,0 +1,101 @@
+import MessageTypes from './MessageTypes.js';
+
+const RATE_WINDOW_MS = 1000;
+const SMOOTHING = 1 / 8; // Weight of a new RTT sample in the smoothed RTT
+const JITTER_SMOOTHING = 1 / 16; // As in RFC 3550
+
+/**
+ * Client-side network statistics: round-trip time and jitter from PING/PONG,
+ * message and STATE_UPDATE rates, and bytes received.
+ * Time is passed in by the caller.
+ */
+export class NetworkStats {
+  constructor() {
+    this.rttMs = null; // Latest sample
+    this.smoothedRttMs = null;
+    this.jitterMs = 0;
+    this.bytesReceived = 0;
+    this.messagesReceived = 0;
+    this._recent = []; // [{ t, bytes, isStateUpdate }] within RATE_WINDOW_MS
+  }
+
+  /**
+   * Record a received message
+   * @param {number} bytes - Size of the raw message
+   * @param {string} type - Message type
+   * @param {number} now - Current time in ms
+   */
+  recordMessage(bytes, type, now) {
+    this.bytesReceived += bytes;
+    this.messagesReceived += 1;
+    this._recent.push({ t: now, bytes, isStateUpdate: type === MessageTypes.STATE_UPDATE });
+    this._prune(now);
+  }
+
+  /**
+   * Record a round-trip time sample (PONG received)
+   * @param {number} rttMs - Measured round-trip time
+   */
+  recordRtt(rttMs) {
+    if (typeof rttMs !== 'number' || rttMs < 0) return;
+    if (this.rttMs !== null) {
+      this.jitterMs += (Math.abs(rttMs - this.rttMs) - this.jitterMs) * JITTER_SMOOTHING;
+    }
+    this.rttMs = rttMs;
+    this.smoothedRttMs =
+      this.smoothedRttMs === null ? rttMs : this.smoothedRttMs + (rttMs - this.smoothedRttMs) * SMOOTHING;
+  }
+
+  _prune(now) {
+    while (this._recent.length > 0 && now - this._recent[0].t >= RATE_WINDOW_MS) {
+      this._recent.shift();
+    }
+  }
+
+  /**
+   * Current figures
+   * @param {number} now - Current time in ms
+   * @returns {{ rttMs: number|null, jitterMs: number, updatesPerSec: number, messagesPerSec: number, bytesPerSec: number, bytesReceived: number }}
+   *   rttMs is the smoothed round-trip time (null before the first PONG); rates cover the last second
+   */
+  snapshot(now) {
+    this._prune(now);
+    return {
+      rttMs: this.smoothedRttMs === null ? null : Math.round(this.smoothedRttMs),
+      jitterMs: Math.round(this.jitterMs),
+      updatesPerSec: this._recent.filter((m) => m.isStateUpdate).length,
+      messagesPerSec: this._recent.length,
+      bytesPerSec: this._recent.reduce((sum, m) => sum + m.bytes, 0),
+      bytesReceived: this.bytesReceived
+    };
+  }
+}
+
+/**
+ * Format a byte count for display (B, KB, MB)
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Overlay / log lines for a snapshot plus render FPS
+ * @param {ReturnType<NetworkStats['snapshot']>} stats
+ * @param {number} fps - Frames rendered in the last second
+ * @returns {string[]}
+ */
+export function formatNetStatsLines(stats, fps) {
+  return [
+    `RTT     ${stats.rttMs === null ? '--' : `${stats.rttMs} ms`}`,
+    `Jitter  ${stats.jitterMs} ms`,
+    `Updates ${stats.updatesPerSec}/s`,
+    `FPS     ${fps}`,
+    `Recv    ${formatBytes(stats.bytesPerSec)}/s (${formatBytes(stats.bytesReceived)})`
+  ];
+}
+
+export default NetworkStats;
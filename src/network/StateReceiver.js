@@ -0,0 +1,70 @@
+import { applyDelta } from './stateDelta.js';
+
+const DEFAULT_HISTORY_SIZE = 32;
+
+/**
+ * Client side of delta-compressed STATE_UPDATEs.
+ * Rebuilds full states from keyframes and deltas and keeps recent states by seq, since the
+ * server diffs against the last seq the client acknowledged (which may be a few updates back).
+ * @param {{ historySize?: number }} [options] - Number of reconstructed states kept as delta bases
+ */
+export class StateReceiver {
+  constructor(options = {}) {
+    this.historySize = options.historySize ?? DEFAULT_HISTORY_SIZE;
+    this.history = new Map(); // seq -> state
+    this.latestSeq = null;
+    this.awaitingKeyframe = false;
+  }
+
+  /**
+   * Process a STATE_UPDATE payload.
+   * @param {object} payload - Keyframe (`{ ...state, seq, keyframe: true }`), delta (`{ seq, baseSeq, delta }`) or a plain state without seq
+   * @returns {{ state?: object, seq?: number, stale?: boolean, needKeyframe?: boolean }}
+   *   state (+ seq to acknowledge) when applied; stale for out-of-order updates; needKeyframe when the delta base is missing
+   *   (request one keyframe); an empty object while that keyframe is still on its way
+   */
+  receive(payload) {
+    if (typeof payload.seq !== 'number') {
+      // Plain full state (no delta sync)
+      return { state: payload };
+    }
+
+    const { seq } = payload;
+    if (this.latestSeq !== null && seq <= this.latestSeq) {
+      return { stale: true };
+    }
+
+    let state;
+    if (payload.keyframe) {
+      const { seq: _seq, keyframe: _keyframe, ...rest } = payload;
+      state = rest;
+      this.awaitingKeyframe = false;
+    } else {
+      const base = this.history.get(payload.baseSeq);
+      if (!base) {
+        if (this.awaitingKeyframe) return {};
+        this.awaitingKeyframe = true;
+        return { needKeyframe: true };
+      }
+      state = applyDelta(base, payload.delta ?? {});
+    }
+
+    this.latestSeq = seq;
+    this.history.set(seq, state);
+    while (this.history.size > this.historySize) {
+      this.history.delete(this.history.keys().next().value);
+    }
+    return { state, seq };
+  }
+
+  /**
+   * Forget all states (e.g. after reconnecting to a server)
+   */
+  reset() {
+    this.history.clear();
+    this.latestSeq = null;
+    this.awaitingKeyframe = false;
+  }
+}
+
+export default StateReceiver;
@@ -1,16 +1,42 @@
 import { WebSocket } from 'ws';
 import logger from '../utils/logger.js';
+import { isServerCloseCode } from './closeCodes.js';
+import MessageHandler from './MessageHandler.js';
+import MessageTypes from './MessageTypes.js';
+import NetworkStats from './NetworkStats.js';
+
+const DEFAULT_RECONNECT_CONFIG = {
+  enabled: true,
+  initialDelayMs: 500,
+  maxDelayMs: 8000,
+  maxAttempts: 10
+};
 
 /**
- * WebSocket Client class for connecting to the game server
+ * WebSocket Client class for connecting to the game server.
+ * After a connection that was open drops, it reconnects with exponential backoff, emitting
+ * 'reconnecting' ({ attempt, delayMs }) before each attempt and 'connect' again on success;
+ * 'close' ({ code, reason }) is emitted only once it gives up, after disconnect(), or when the server
+ * closed the connection on purpose (application close code, e.g. a kick).
+ * @param {string} url - Server URL
+ * While connected it sends a PING every pingIntervalMs and tracks RTT, jitter and receive rates in `stats`.
+ * @param {{ reconnect?: { enabled?: boolean, initialDelayMs?: number, maxDelayMs?: number, maxAttempts?: number }, pingIntervalMs?: number }} [options] - Reconnect backoff settings; PING interval (0 disables)
  */
 export class WebSocketClient {
-  constructor(url) {
+  constructor(url, options = {}) {
     this.url = url;
     this.ws = null;
     this.connected = false;
     this.eventHandlers = new Map();
     this.messageQueue = []; // Queue for messages when socket is not ready
+    this.reconnectConfig = { ...DEFAULT_RECONNECT_CONFIG, ...options.reconnect };
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.hasConnected = false; // Only reconnect after a connection was established once
+    this.closedByClient = false;
+    this.stats = new NetworkStats();
+    this.pingIntervalMs = options.pingIntervalMs ?? 2000;
+    this.pingTimer = null;
   }
 
   /**
@@ -22,19 +48,29 @@ export class WebSocketClient {
       return;
     }
 
+    this.closedByClient = false;
     this.ws = new WebSocket(this.url);
 
     this.ws.on('open', () => {
       this.connected = true;
+      this.hasConnected = true;
+      this.reconnectAttempts = 0;
       logger.info('Connected to server');
       // Flush queued messages when connection opens
       this.flushMessageQueue();
+      this.startPing();
       this.emit('connect');
     });
 
     this.ws.on('message', (data) => {
       try {
-        const message = JSON.parse(data.toString());
+        const raw = data.toString();
+        const message = JSON.parse(raw);
+        const now = Date.now();
+        this.stats.recordMessage(Buffer.byteLength(raw), message.type, now);
+        if (message.type === MessageTypes.PONG && typeof message.payload?.sentAt === 'number') {
+          this.stats.recordRtt(now - message.payload.sentAt);
+        }
         this.emit('message', message);
       } catch (error) {
         logger.error('Error parsing message:', error);
@@ -47,13 +83,89 @@ export class WebSocketClient {
       this.emit('error', error);
     });
 
-    this.ws.on('close', () => {
+    this.ws.on('close', (code, reason) => {
       this.connected = false;
-      logger.info('Disconnected from server');
-      this.emit('close');
+      this.stopPing();
+      logger.info(`Disconnected from server (code ${code})`);
+      if (!isServerCloseCode(code) && this.shouldReconnect()) {
+        this.scheduleReconnect();
+        return;
+      }
+      this.emit('close', { code, reason: reason ? reason.toString() : '' });
     });
   }
 
+  /**
+   * Start sending PINGs (the last smoothed RTT rides along so the server knows our latency)
+   */
+  startPing() {
+    if (this.pingTimer || this.pingIntervalMs <= 0) return;
+    this.sendPing();
+    this.pingTimer = setInterval(() => this.sendPing(), this.pingIntervalMs);
+  }
+
+  /**
+   * Stop sending PINGs
+   */
+  stopPing() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+  }
+
+  /**
+   * Send one PING; the server echoes sentAt in its PONG
+   */
+  sendPing() {
+    if (!this.isConnected()) return;
+    this.send(MessageHandler.createMessage(MessageTypes.PING, {
+      sentAt: Date.now(),
+      rttMs: this.stats.snapshot(Date.now()).rttMs
+    }));
+  }
+
+  /**
+   * Whether a dropped connection should be retried
+   * @returns {boolean}
+   */
+  shouldReconnect() {
+    return (
+      this.reconnectConfig.enabled &&
+      this.hasConnected &&
+      !this.closedByClient &&
+      this.reconnectAttempts < this.reconnectConfig.maxAttempts
+    );
+  }
+
+  /**
+   * Backoff delay before a reconnect attempt: initialDelayMs doubled per attempt, capped at maxDelayMs
+   * @param {number} attempt - Attempt number (1-based)
+   * @returns {number} Delay in ms
+   */
+  getReconnectDelay(attempt) {
+    const { initialDelayMs, maxDelayMs } = this.reconnectConfig;
+    return Math.min(maxDelayMs, initialDelayMs * 2 ** (attempt - 1));
+  }
+
+  /**
+   * Schedule the next reconnect attempt. Messages queued while disconnected are dropped
+   * (stale input must not be replayed into the resumed session).
+   */
+  scheduleReconnect() {
+    this.reconnectAttempts += 1;
+    const attempt = this.reconnectAttempts;
+    const delayMs = this.getReconnectDelay(attempt);
+    this.messageQueue = [];
+    logger.info(`Reconnecting in ${delayMs}ms (attempt ${attempt}/${this.reconnectConfig.maxAttempts})`);
+    this.emit('reconnecting', { attempt, delayMs });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.ws = null;
+      this.connect();
+    }, delayMs);
+  }
+
   /**
    * Send a message to the server
    * @param {object} message - Message object to send
@@ -125,7 +237,7 @@ export class WebSocketClient {
 
   /**
    * Register an event handler
-   * @param {string} event - Event name (connect, message, error, close)
+   * @param {string} event - Event name (connect, message, error, reconnecting, close)
    * @param {Function} callback - Callback function
    */
   on(event, callback) {
@@ -157,6 +269,12 @@ export class WebSocketClient {
    * Disconnect from the server
    */
   disconnect() {
+    this.closedByClient = true;
+    this.stopPing();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
     if (this.ws) {
       this.ws.close();
       this.ws = null;
@@ -0,0 +1,20 @@
+/**
+ * Application WebSocket close codes (4000-4999 are reserved for applications).
+ * The client does not try to reconnect after a close with one of these codes.
+ */
+export const CLOSE_CODES = Object.freeze({
+  KICKED: 4000,
+  REJECTED: 4001, // CONNECT turned away (e.g. bad room name, room limit)
+  UNAUTHORIZED: 4002 // CONNECT without the server password or a private room's join code
+});
+
+/**
+ * Whether a close code was sent deliberately by the server (no reconnect)
+ * @param {number} code - WebSocket close code
+ * @returns {boolean}
+ */
+export function isServerCloseCode(code) {
+  return typeof code === 'number' && code >= 4000 && code <= 4999;
+}
+
+export default CLOSE_CODES;
@@ -0,0 +1,163 @@
+/**
+ * Delta encoding for STATE_UPDATE payloads.
+ * A delta describes how to turn a base state into the next state:
+ * players/bullets joined or changed (full entity) and removed (by id), score changes,
+ * and any other top-level field (mode, itPlayerId, match, ...) whose value changed.
+ */
+
+const ENTITY_KEYS = {
+  players: 'playerId',
+  bullets: 'bulletId'
+};
+
+/**
+ * Structural equality for JSON-like values
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isSameValue(a[key], b[key]));
+}
+
+/**
+ * Diff two entity lists keyed by id
+ * @returns {{ changed?: object[], removed?: string[] } | null} null when nothing changed
+ */
+function diffEntities(baseList = [], nextList = [], idKey) {
+  const baseById = new Map(baseList.map((entity) => [entity[idKey], entity]));
+  const nextIds = new Set();
+  const changed = [];
+  for (const entity of nextList) {
+    nextIds.add(entity[idKey]);
+    const previous = baseById.get(entity[idKey]);
+    if (!previous || !isSameValue(previous, entity)) {
+      changed.push(entity);
+    }
+  }
+  const removed = baseList.map((entity) => entity[idKey]).filter((id) => !nextIds.has(id));
+
+  if (changed.length === 0 && removed.length === 0) return null;
+  const diff = {};
+  if (changed.length > 0) diff.changed = changed;
+  if (removed.length > 0) diff.removed = removed;
+  return diff;
+}
+
+/**
+ * Diff two scores maps (playerId -> score)
+ * @returns {{ changed?: object, removed?: string[] } | null} null when nothing changed
+ */
+function diffScores(baseScores = {}, nextScores = {}) {
+  const changed = {};
+  for (const [playerId, score] of Object.entries(nextScores)) {
+    if (baseScores[playerId] !== score) {
+      changed[playerId] = score;
+    }
+  }
+  const removed = Object.keys(baseScores).filter((playerId) => !(playerId in nextScores));
+
+  if (Object.keys(changed).length === 0 && removed.length === 0) return null;
+  const diff = {};
+  if (Object.keys(changed).length > 0) diff.changed = changed;
+  if (removed.length > 0) diff.removed = removed;
+  return diff;
+}
+
+/**
+ * Compute the delta that turns base into next (pure).
+ * @param {object} base - State the client already has
+ * @param {object} next - New state
+ * @returns {{ players?: object, bullets?: object, scores?: object, fields?: object, removedFields?: string[] }} Empty object when nothing changed
+ */
+export function diffStates(base, next) {
+  const delta = {};
+
+  for (const [collection, idKey] of Object.entries(ENTITY_KEYS)) {
+    const diff = diffEntities(base[collection], next[collection], idKey);
+    if (diff) delta[collection] = diff;
+  }
+
+  const scores = diffScores(base.scores, next.scores);
+  if (scores) delta.scores = scores;
+
+  const fields = {};
+  for (const [key, value] of Object.entries(next)) {
+    if (key in ENTITY_KEYS || key === 'scores') continue;
+    if (!isSameValue(base[key], value)) {
+      fields[key] = value;
+    }
+  }
+  if (Object.keys(fields).length > 0) delta.fields = fields;
+
+  const removedFields = Object.keys(base).filter(
+    (key) => !(key in ENTITY_KEYS) && key !== 'scores' && !(key in next)
+  );
+  if (removedFields.length > 0) delta.removedFields = removedFields;
+
+  return delta;
+}
+
+/**
+ * Apply entity changes: existing entities keep their order, new ones are appended
+ */
+function applyEntities(baseList = [], diff, idKey) {
+  if (!diff) return baseList;
+  const removed = new Set(diff.removed ?? []);
+  const changedById = new Map((diff.changed ?? []).map((entity) => [entity[idKey], entity]));
+  const result = [];
+  for (const entity of baseList) {
+    const id = entity[idKey];
+    if (removed.has(id)) continue;
+    if (changedById.has(id)) {
+      result.push(changedById.get(id));
+      changedById.delete(id);
+    } else {
+      result.push(entity);
+    }
+  }
+  result.push(...changedById.values());
+  return result;
+}
+
+/**
+ * Apply a delta from diffStates() to a base state (pure; base is not mutated).
+ * @param {object} base - State the delta was computed against
+ * @param {object} delta - Delta from diffStates()
+ * @returns {object} The reconstructed next state
+ */
+export function applyDelta(base, delta) {
+  const next = { ...base, ...(delta.fields ?? {}) };
+  for (const key of delta.removedFields ?? []) {
+    delete next[key];
+  }
+
+  for (const [collection, idKey] of Object.entries(ENTITY_KEYS)) {
+    if (delta[collection] || base[collection]) {
+      next[collection] = applyEntities(base[collection], delta[collection], idKey);
+    }
+  }
+
+  if (delta.scores) {
+    const scores = { ...(base.scores ?? {}), ...(delta.scores.changed ?? {}) };
+    for (const playerId of delta.scores.removed ?? []) {
+      delete scores[playerId];
+    }
+    next.scores = scores;
+  }
+
+  return next;
+}
+
+export default {
+  diffStates,
+  applyDelta
+};
@@ -34,6 +34,7 @@ export class Canvas {
         this.emptyGrid = null;
         this.logger = config?.logger ?? null;
         this._statusBarStartRow = null;
+        this._chatPanel = null; // { lines, rows, terminalRows } shown under the status bar
     }
 
     /** Default cell when clearing (space, white) */
@@ -136,6 +137,26 @@ export class Canvas {
             : titleRows;
     }
 
+    /**
+     * Render a text screen (e.g. the main menu) into this.grid: the title row, a blank row, then the
+     * lines centered in the title width. Replaces any board and status bar. Does not write to the terminal.
+     * @param {string} titleString - Title text
+     * @param {Array<{ text: string, color?: string }>} lines - Text rows (white by default)
+     */
+    renderTextScreen(titleString, lines) {
+        this.grid = null;
+        this.renderTitle(titleString);
+        const width = this.grid[0].length;
+        const textWidth = Math.min(width, Math.max(0, ...lines.map((line) => line.text.length)));
+        const startCol = Math.max(0, Math.floor((width - textWidth) / 2));
+        const rows = lines.map(({ text, color = 'FFFFFF' }) => {
+            const padded = (' '.repeat(startCol) + text).slice(0, width).padEnd(width);
+            return padded.split('').map((character) => ({ character, color }));
+        });
+        this.grid.push(...rows);
+        this._statusBarStartRow = null;
+    }
+
     /**
      * Render the board into this.grid.
      * Does not write to the terminal.
@@ -175,8 +196,9 @@ export class Canvas {
      * @param {number} boardWidth - Board width (for format selection and box width)
      * @param {number} boardHeight - Board height (for vertical positioning)
      * @param {object} [layout] - Optional layout { startRow, startColumn }; when provided, use box width 60
+     * @param {{ itLabel?: string|null, timeLabel?: string|null }} [info] - Extra line 1 status: "it" player (tag mode) and match clock
      */
-    renderStatusBar(score, position, boardWidth = 80, boardHeight = 20, layout) {
+    renderStatusBar(score, position, boardWidth = 80, boardHeight = 20, layout, info = {}) {
         const effectiveWidth = layout ? 60 : boardWidth;
         const threshold = this.config?.statusBar?.widthThreshold ?? 25;
         const fullFormat = effectiveWidth > threshold;
@@ -187,8 +209,8 @@ export class Canvas {
         let segments2;
 
         if (fullFormat) {
-            const line1Str = buildLine1(score, position);
-            const line2Str = buildLine2();
+            const line1Str = buildLine1(score, position, info);
+            const line2Str = buildLine2(info);
             segments1 = wrapAtSpaces(line1Str, contentWidth);
             segments2 = wrapAtSpaces(line2Str, contentWidth);
             logicalContents = [line1Str, line2Str];
@@ -227,6 +249,226 @@ export class Canvas {
         this._lastStatusBarRowCount = boxedRows.length;
         this._lastStatusBarBoardWidth = effectiveWidth;
         this._lastStatusBarBoardHeight = boardHeight;
+        this._appendChatPanel();
+    }
+
+    /** Hex color for overlay boxes (yellow) when stored in grid */
+    static OVERLAY_COLOR = 'FFFF00';
+
+    /**
+     * Draw a boxed message over the current contents of this.grid (e.g. "Reconnecting…" centered,
+     * network stats in the top-right corner). Cells outside the box are left as they are.
+     * Does not write to the terminal.
+     * @param {string[]} lines - Message lines (truncated to fit the grid width)
+     * @param {{ color?: string, anchor?: 'center'|'top-right' }} [options] - Box/text color; where to place the box
+     * @returns {boolean} false when there is no grid to draw over
+     */
+    renderOverlay(lines, options = {}) {
+        const { color = Canvas.OVERLAY_COLOR, anchor = 'center' } = options;
+        if (!this.grid || this.grid.length === 0 || lines.length === 0) {
+            return false;
+        }
+        const gridWidth = Math.max(...this.grid.map((row) => row?.length ?? 0));
+        const boxWidth = Math.min(gridWidth, Math.max(...lines.map((line) => line.length)) + 4);
+        if (boxWidth < 5) {
+            return false;
+        }
+        const boxRows = [
+            formatBoxTopBottom(boxWidth),
+            ...lines.map((line) => formatBoxRow(line.slice(0, boxWidth - 4), boxWidth)),
+            formatBoxTopBottom(boxWidth)
+        ].slice(0, this.grid.length);
+
+        const topRight = anchor === 'top-right';
+        const startRow = topRight ? 0 : Math.max(0, Math.floor((this.grid.length - boxRows.length) / 2));
+        const startCol = topRight ? gridWidth - boxWidth : Math.max(0, Math.floor((gridWidth - boxWidth) / 2));
+        boxRows.forEach((text, i) => {
+            const row = this.grid[startRow + i];
+            if (!row) return;
+            for (let c = 0; c < text.length; c++) {
+                if (startCol + c < row.length) {
+                    row[startCol + c] = { character: text[c], color };
+                }
+            }
+        });
+        return true;
+    }
+
+    /** Hex color for the help overlay (white) when stored in grid */
+    static HELP_COLOR = 'FFFFFF';
+
+    /**
+     * Draw the key bindings help box centered over this.grid (see renderOverlay).
+     * Does not write to the terminal.
+     * @param {Array<{ label: string, keys: string }>} entries - Bound actions (Keymap.describe())
+     * @param {{ footer?: string }} [options] - Last line (default: how to close the box)
+     * @returns {boolean} false when there is no grid to draw over
+     */
+    renderHelpOverlay(entries, options = {}) {
+        const labelWidth = Math.max(0, ...entries.map((entry) => entry.label.length));
+        const lines = [
+            'Keys',
+            '',
+            ...entries.map((entry) => `${entry.label.padEnd(labelWidth)}  ${entry.keys}`),
+            '',
+            options.footer ?? 'Press any key to close'
+        ];
+        return this.renderOverlay(lines, { color: Canvas.HELP_COLOR });
+    }
+
+    /** Hex color for the scoreboard overlay (white) when stored in grid */
+    static SCOREBOARD_COLOR = 'FFFFFF';
+
+    /**
+     * Draw the scoreboard box centered over this.grid (see renderOverlay): one row per player in
+     * the order given, our own marked with '>'. Does not write to the terminal.
+     * @param {Array<{ playerId: string, playerName: string, score: number, kills: number, deaths: number, pingMs: number|null, isBot?: boolean }>} entries - Players, best first
+     * @param {{ localPlayerId?: string|null }} [options] - Player to mark
+     * @returns {boolean} false when there is no grid to draw over
+     */
+    renderScoreboardOverlay(entries, options = {}) {
+        const nameWidth = Math.max(4, ...entries.map((entry) => entry.playerName.length));
+        const row = (marker, name, score, kills, deaths, ping) =>
+            `${marker} ${name.padEnd(nameWidth)}  ${score.padStart(5)}  ${kills.padStart(5)}  ${deaths.padStart(6)}  ${ping.padStart(5)}`;
+        const lines = [
+            'Scoreboard',
+            '',
+            row(' ', 'Name', 'Score', 'Kills', 'Deaths', 'Ping'),
+            ...entries.map((entry) => row(
+                entry.playerId === options.localPlayerId ? '>' : ' ',
+                entry.playerName,
+                String(entry.score),
+                String(entry.kills),
+                String(entry.deaths),
+                entry.isBot ? 'bot' : entry.pingMs === null || entry.pingMs === undefined ? '--' : `${entry.pingMs}ms`
+            ))
+        ];
+        if (entries.length === 0) lines.push('No players yet');
+        return this.renderOverlay(lines, { color: Canvas.SCOREBOARD_COLOR });
+    }
+
+    /** Hex color for kill feed lines without their own color (white) when stored in grid */
+    static KILL_FEED_COLOR = 'FFFFFF';
+
+    /**
+     * Write kill feed lines ("A shot B") over the top-left corner of the board, one cell in from
+     * the edge so a surrounding wall stays visible. Board cells under them return on the next
+     * full redraw. Does not write to the terminal.
+     * @param {Array<{ text: string, color?: string }>} lines - Oldest first
+     * @returns {boolean} false when there is no board to draw over
+     */
+    renderKillFeed(lines) {
+        if (!this.grid || this._boardOffset == null || lines.length === 0) {
+            return false;
+        }
+        lines.forEach(({ text, color = Canvas.KILL_FEED_COLOR }, i) => {
+            const row = this.grid[this._boardOffset + 1 + i];
+            if (!row) return;
+            const cells = ` ${text} `.slice(0, Math.max(0, row.length - 2));
+            for (let c = 0; c < cells.length; c++) {
+                row[1 + c] = { character: cells[c], color };
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Recolor every board cell (e.g. a red flash when the local player is shot); characters stay.
+     * The board's own colors return on the next full redraw. Does not write to the terminal.
+     * @param {string} color - Hex color
+     * @returns {boolean} false when there is no board to tint
+     */
+    tintBoard(color) {
+        if (!this.grid || this._boardOffset == null) {
+            return false;
+        }
+        const end = this._statusBarStartRow ?? this.grid.length;
+        for (let r = this._boardOffset; r < end; r++) {
+            this.grid[r] = this.grid[r].map((cell) => ({ character: cell.character, color }));
+        }
+        return true;
+    }
+
+    /** Hex color for chat lines without their own color (white) when stored in grid */
+    static CHAT_COLOR = 'FFFFFF';
+
+    /**
+     * Show chat lines in a box under the status bar, as wide as the status bar. Long lines wrap and
+     * the newest rows are kept; the box keeps its height (rows, or what fits in terminalRows) so the
+     * board does not jump as lines arrive. The panel stays when the status bar is redrawn; [] removes it.
+     * Does not write to the terminal.
+     * @param {Array<{ text: string, color?: string }>} lines - Oldest first
+     * @param {{ rows?: number, terminalRows?: number }} [options] - Text rows (default 5); terminal height
+     *   (default: stdout rows)
+     * @returns {boolean} false when there is no status bar to draw under yet
+     */
+    renderChatPanel(lines, options = {}) {
+        this.setChatPanel(lines, options);
+        if (!this.grid || this._statusBarStartRow === null) {
+            return false;
+        }
+        this.grid = this.grid.slice(0, this._statusBarStartRow + this._lastStatusBarRowCount);
+        this._appendChatPanel();
+        return true;
+    }
+
+    /**
+     * Keep chat lines for the next status bar redraw without drawing them now (e.g. while a
+     * full-screen message replaces the board); arguments as for renderChatPanel
+     * @param {Array<{ text: string, color?: string }>} lines
+     * @param {{ rows?: number, terminalRows?: number }} [options]
+     */
+    setChatPanel(lines, options = {}) {
+        this._chatPanel = lines.length > 0
+            ? { lines, rows: options.rows ?? 5, terminalRows: options.terminalRows ?? null }
+            : null;
+    }
+
+    /**
+     * Append the chat panel rows (see renderChatPanel) after the status bar rows
+     */
+    _appendChatPanel() {
+        if (!this._chatPanel) return;
+        const { lines, rows, terminalRows } = this._chatPanel;
+        const width = this._lastStatusBarBoardWidth;
+        const available = (terminalRows ?? this.stdout?.rows ?? Infinity) - this.grid.length - 2;
+        const textRows = Math.min(rows, available);
+        if (textRows < 1 || width < 5) return;
+
+        const wrapped = lines.flatMap(({ text, color = Canvas.CHAT_COLOR }) =>
+            wrapAtSpaces(text, width - 4).map((segment) => ({ text: segment, color }))
+        );
+        const shown = wrapped.slice(-textRows);
+        while (shown.length < textRows) shown.push({ text: '', color: Canvas.CHAT_COLOR });
+
+        const gray = Canvas.STATUS_BAR_COLOR;
+        const border = () => formatBoxTopBottom(width).split('').map((character) => ({ character, color: gray }));
+        const textRowCells = shown.map(({ text, color }) =>
+            formatBoxRow(text, width).split('').map((character, i) => ({
+                character,
+                color: i < 2 || i >= width - 2 ? gray : color
+            }))
+        );
+        this.grid.push(border(), ...textRowCells, border());
+    }
+
+    /**
+     * Glyph and color for a player: the "it" player (tag mode) uses itGlyph/itColor; other players
+     * their own glyph and color from the server when they have one, else playerGlyph/playerColor.
+     * @param {{ isIt?: boolean, color?: string|null, glyph?: string|null } | null} [player] - Player object
+     * @returns {{ character: string, color: string }}
+     */
+    getPlayerAppearance(player) {
+        if (player?.isIt) {
+            return {
+                character: this.config.itGlyph || '☺',
+                color: this.config.itColor || 'FF0000'
+            };
+        }
+        return {
+            character: player?.glyph || this.config.playerGlyph,
+            color: player?.color || this.config.playerColor
+        };
     }
 
     /**
@@ -249,10 +491,7 @@ export class Canvas {
 
         const player = players.find(p => p.x === x && p.y === y);
         if (player) {
-            return {
-                character: this.config.playerGlyph,
-                color: this.config.playerColor
-            };
+            return this.getPlayerAppearance(player);
         }
 
         // Return board cell
@@ -314,7 +553,8 @@ export class Canvas {
         // Check for other players at position
         const otherPlayer = players.find(p => p.x === x && p.y === y);
         if (otherPlayer) {
-            this.updateCell(x, y, this.config.playerGlyph, this.config.playerColor);
+            const { character, color } = this.getPlayerAppearance(otherPlayer);
+            this.updateCell(x, y, character, color);
             return;
         }
 
@@ -368,11 +608,14 @@ export class Canvas {
                 entities
             );
 
+            const movedAppearance = this.getPlayerAppearance(
+                players.find(p => p.playerId === moved.playerId)
+            );
             this.updateCell(
                 moved.newPos.x,
                 moved.newPos.y,
-                this.config.playerGlyph,
-                this.config.playerColor
+                movedAppearance.character,
+                movedAppearance.color
             );
         }
 
@@ -381,11 +624,14 @@ export class Canvas {
                 continue;
             }
 
+            const joinedAppearance = this.getPlayerAppearance(
+                players.find(p => p.playerId === joined.playerId)
+            );
             this.updateCell(
                 joined.pos.x,
                 joined.pos.y,
-                this.config.playerGlyph,
-                this.config.playerColor
+                joinedAppearance.character,
+                joinedAppearance.color
             );
         }
 
@@ -82,6 +82,76 @@ export class Message {
         }
         canvas._boardOffset = null;
     }
+
+    /** Hex colors for the match results screen */
+    static RESULTS_TITLE_COLOR = '00FFFF';
+    static RESULTS_ROW_COLOR = 'FFFFFF';
+    static RESULTS_LOCAL_ROW_COLOR = '00FF00';
+
+    /**
+     * Render the end-of-match results screen into canvas.grid (centered standings table,
+     * spectators listed on their own line below it).
+     * Does not write to the terminal. Grid size is terminalRows x terminalColumns.
+     * @param {object} canvas - Canvas instance
+     * @param {{ matchNumber?: number, standings?: Array<{ rank: number, playerId: string, playerName: string, score: number }>, spectators?: Array<{ spectatorId: string, name: string }>, localPlayerId?: string|null, remainingMs?: number, terminalColumns: number, terminalRows: number }} options
+     */
+    static applyMatchResults(canvas, options = {}) {
+        const {
+            matchNumber,
+            standings = [],
+            spectators = [],
+            localPlayerId = null,
+            remainingMs = 0,
+            terminalColumns,
+            terminalRows
+        } = options;
+        const cols = Math.max(1, terminalColumns);
+        const rows = Math.max(1, terminalRows);
+
+        const title = matchNumber != null ? `=== Match ${matchNumber} results ===` : '=== Match results ===';
+        const nameWidth = 20;
+        const lines = [{ text: title, color: Message.RESULTS_TITLE_COLOR }, { text: '', color: Message.RESULTS_ROW_COLOR }];
+        if (standings.length === 0) {
+            lines.push({ text: 'No players', color: Message.RESULTS_ROW_COLOR });
+        }
+        for (const entry of standings) {
+            const marker = entry.playerId === localPlayerId ? '>' : ' ';
+            const name = String(entry.playerName ?? '').slice(0, nameWidth).padEnd(nameWidth);
+            lines.push({
+                text: `${marker}${String(entry.rank).padStart(2)}. ${name} ${String(entry.score).padStart(5)}`,
+                color: entry.playerId === localPlayerId ? Message.RESULTS_LOCAL_ROW_COLOR : Message.RESULTS_ROW_COLOR
+            });
+        }
+        if (spectators.length > 0) {
+            lines.push({ text: '', color: Message.RESULTS_ROW_COLOR });
+            lines.push({
+                text: `Spectators: ${spectators.map((s) => s.name).join(', ')}`,
+                color: Message.RESULTS_ROW_COLOR
+            });
+        }
+        lines.push({ text: '', color: Message.RESULTS_ROW_COLOR });
+        lines.push({
+            text: `Next match in ${Math.ceil(Math.max(0, remainingMs) / 1000)}s`,
+            color: Message.TERMINAL_TOO_SMALL_COLOR
+        });
+
+        const visible = lines.slice(0, rows);
+        const startRow = Math.max(0, Math.floor((rows - visible.length) / 2));
+        const emptyCell = () => ({ character: ' ', color: 'FFFFFF' });
+        canvas.grid = [];
+        for (let y = 0; y < rows; y++) {
+            canvas.grid[y] = Array.from({ length: cols }, emptyCell);
+        }
+        const blockWidth = Math.max(...visible.map((l) => l.text.length));
+        const startCol = Math.max(0, Math.floor((cols - blockWidth) / 2));
+        visible.forEach((line, i) => {
+            const lineStart = i === 0 ? Math.max(0, Math.floor((cols - line.text.length) / 2)) : startCol;
+            for (let c = 0; c < line.text.length && lineStart + c < cols; c++) {
+                canvas.grid[startRow + i][lineStart + c] = { character: line.text[c], color: line.color };
+            }
+        });
+        canvas._boardOffset = null;
+    }
 }
 
-export default Message;
\ No newline at end of file
+export default Message;
@@ -53,6 +53,8 @@ export class Renderer {
     /** @type {Array<Array<{character: string, color: string}>|null} */
     this._lastRenderedGrid = null;
     this.horizOffset = 0;
+    /** Frames actually written to the terminal (for FPS) */
+    this.framesRendered = 0;
   }
 
   /**
@@ -223,6 +225,7 @@ export class Renderer {
     // No previous frame: always full render (avoids calling hasLittleToNoChanges with undefined)
     if (!this._lastRenderedGrid) {
       this.renderFull(canvas);
+      this.framesRendered += 1;
       return;
     }
 
@@ -231,6 +234,7 @@ export class Renderer {
       this.logger.debug("No changes, skipping render");
       return;
     }
+    this.framesRendered += 1;
     if (canvas.hasFewChanges(prevCanvas, canvas)) {
       this.renderIncremental(canvas);
     } else {
@@ -34,25 +34,60 @@ export function wrapAtSpaces(str, maxWidth) {
 }
 
 /**
- * Build line 1 content (score + position) for full status bar format.
+ * Optional extra status shown on line 1.
+ * @typedef {{ itLabel?: string | null, timeLabel?: string | null, watchingLabel?: string | null, joinCodeLabel?: string | null }} StatusInfo
+ *   watchingLabel is set when spectating (name of the followed player); it also switches line 2 to spectator controls.
+ *   joinCodeLabel is the private room's join code, shown at the start of line 2 so players can pass it on
+ */
+
+/**
+ * Format a match clock for the status bar, e.g. "Time 2:05" or "Warmup 0:08".
+ * @param {{ phase: string | null, remainingMs: number } | null | undefined} match - match field of STATE_UPDATE
+ * @returns {string | null} Label, or null when there is no match lifecycle
+ */
+export function formatMatchClock(match) {
+  if (!match || !match.phase) return null;
+  const totalSeconds = Math.ceil(Math.max(0, match.remainingMs) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  const prefix = {
+    warmup: 'Warmup',
+    in_progress: 'Time',
+    ended: 'Match over',
+    intermission: 'Next match'
+  }[match.phase] ?? 'Time';
+  return `${prefix} ${minutes}:${seconds}`;
+}
+
+/**
+ * Build line 1 content (score + position, plus who is "it" and the match clock when present) for full status bar format.
  * @param {number} score - Current score
  * @param {{ x: number, y: number } | null | undefined} position - Player position
+ * @param {StatusInfo} [info] - itLabel: name of the "it" player (or "YOU"); timeLabel: match clock
  * @returns {string}
  */
-export function buildLine1(score, position) {
+export function buildLine1(score, position, info = {}) {
   const posStr =
     position != null
       ? `Position: (${position.x}, ${position.y})`
       : 'Position: (?, ?)';
-  return `Score: ${score} | ${posStr}`;
+  const watchingStr = info?.watchingLabel != null ? `Watching: ${info.watchingLabel} | ` : '';
+  const itStr = info?.itLabel != null ? ` | IT: ${info.itLabel}` : '';
+  const timeStr = info?.timeLabel != null ? ` | ${info.timeLabel}` : '';
+  return `${watchingStr}Score: ${score} | ${posStr}${itStr}${timeStr}`;
 }
 
 /**
- * Build line 2 content (instructions) for full status bar format. Static for MVP.
+ * Build line 2 content (instructions) for full status bar format.
+ * @param {StatusInfo} [info] - Spectators (watchingLabel set) get the follow-camera controls; joinCodeLabel is shown first
  * @returns {string}
  */
-export function buildLine2() {
-  return 'Arrow keys/WASD to move, Q/ESC to quit';
+export function buildLine2(info = {}) {
+  const codeStr = info?.joinCodeLabel != null ? `Join code: ${info.joinCodeLabel} | ` : '';
+  if (info?.watchingLabel != null) {
+    return `${codeStr}Arrow keys/WASD/Tab to switch player, Q/ESC to quit`;
+  }
+  return `${codeStr}Arrow keys/WASD to move, Q/ESC to quit`;
 }
 
 /**
@@ -110,16 +145,17 @@ const WIDTH_THRESHOLD_DEFAULT = 25;
  * @param {{ x: number, y: number } | null | undefined} position - Player position
  * @param {number} width - Box width (e.g. 60)
  * @param {number} [widthThreshold=25] - Threshold for full vs simplified format
+ * @param {StatusInfo} [info] - Extra line 1 status (it player, match clock)
  * @returns {number} Number of lines (top border + content rows + bottom border)
  */
-export function getStatusBarHeight(score, position, width, widthThreshold = WIDTH_THRESHOLD_DEFAULT) {
+export function getStatusBarHeight(score, position, width, widthThreshold = WIDTH_THRESHOLD_DEFAULT, info = {}) {
   const contentWidth = Math.max(1, width - 4);
   const fullFormat = width > widthThreshold;
   let segments1;
   let segments2;
   if (fullFormat) {
-    const line1Str = buildLine1(score, position);
-    const line2Str = buildLine2();
+    const line1Str = buildLine1(score, position, info);
+    const line2Str = buildLine2(info);
     segments1 = wrapAtSpaces(line1Str, contentWidth);
     segments2 = wrapAtSpaces(line2Str, contentWidth);
   } else {
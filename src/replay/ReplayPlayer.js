@@ -0,0 +1,174 @@
+/**
+ * Playback of replay files written by the server's ReplayRecorder.
+ * Pure: the caller advances time, so playback can be driven by a timer or by tests.
+ */
+
+/** Playback speeds, slowest to fastest */
+export const REPLAY_SPEEDS = Object.freeze([0.25, 0.5, 1, 2, 4, 8]);
+
+/**
+ * Parse an NDJSON replay file
+ * @param {string} text - File contents
+ * @returns {{ header: object|null, frames: Array<{ offsetMs: number, seq: number, state: object, board: object }>, inbound: Array<{ offsetMs: number, clientId: string, message: object }> }}
+ *   frames are the recorded states (each with the board in play at that time); offsets are relative to the first state
+ * @throws {Error} When a line is not valid JSON or the file has no states
+ */
+export function parseReplay(text) {
+  const entries = text
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line.length > 0)
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`Invalid replay file: line ${number} is not valid JSON`);
+      }
+    });
+
+  let header = null;
+  let board = null;
+  const states = [];
+  const inbound = [];
+  for (const entry of entries) {
+    if (entry.kind === 'header') {
+      header = entry;
+    } else if (entry.kind === 'board') {
+      board = entry.board;
+    } else if (entry.kind === 'state' && board) {
+      states.push({ t: entry.t, seq: entry.seq, state: entry.state, board });
+    } else if (entry.kind === 'in') {
+      inbound.push(entry);
+    }
+  }
+
+  if (states.length === 0) {
+    throw new Error('Invalid replay file: no recorded states');
+  }
+
+  const startT = states[0].t;
+  return {
+    header,
+    frames: states.map(({ t, seq, state, board: frameBoard }) => ({
+      offsetMs: t - startT,
+      seq,
+      state,
+      board: frameBoard
+    })),
+    inbound: inbound.map(({ t, clientId, message }) => ({ offsetMs: t - startT, clientId, message }))
+  };
+}
+
+/**
+ * Replay timeline with play/pause, speed and seeking
+ * @param {ReturnType<typeof parseReplay>} replay - Parsed replay
+ */
+export class ReplayPlayer {
+  constructor(replay) {
+    this.frames = replay.frames;
+    this.durationMs = this.frames[this.frames.length - 1].offsetMs;
+    this.positionMs = 0;
+    this.playing = true;
+    this.speedIndex = REPLAY_SPEEDS.indexOf(1);
+  }
+
+  /**
+   * Current playback speed multiplier
+   * @returns {number}
+   */
+  get speed() {
+    return REPLAY_SPEEDS[this.speedIndex];
+  }
+
+  /**
+   * Advance playback by real elapsed time (scaled by speed). Pauses at the end.
+   * @param {number} elapsedMs - Real time since the last update
+   */
+  update(elapsedMs) {
+    if (!this.playing) return;
+    this.positionMs = Math.min(this.durationMs, this.positionMs + elapsedMs * this.speed);
+    if (this.positionMs >= this.durationMs) {
+      this.playing = false;
+    }
+  }
+
+  /**
+   * Toggle play/pause; playing from the end restarts from the beginning
+   */
+  togglePause() {
+    if (!this.playing && this.positionMs >= this.durationMs) {
+      this.positionMs = 0;
+    }
+    this.playing = !this.playing;
+  }
+
+  /**
+   * Jump to a position (clamped to the recording)
+   * @param {number} positionMs - Target position in ms
+   */
+  seekTo(positionMs) {
+    this.positionMs = Math.max(0, Math.min(this.durationMs, positionMs));
+  }
+
+  /**
+   * Jump forward or back
+   * @param {number} deltaMs - Offset in ms (negative to rewind)
+   */
+  seekBy(deltaMs) {
+    this.seekTo(this.positionMs + deltaMs);
+  }
+
+  /**
+   * Next faster speed (stays at the fastest)
+   */
+  faster() {
+    this.speedIndex = Math.min(REPLAY_SPEEDS.length - 1, this.speedIndex + 1);
+  }
+
+  /**
+   * Next slower speed (stays at the slowest)
+   */
+  slower() {
+    this.speedIndex = Math.max(0, this.speedIndex - 1);
+  }
+
+  /**
+   * Index of the last frame at or before the current position
+   * @returns {number}
+   */
+  currentFrameIndex() {
+    let low = 0;
+    let high = this.frames.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.frames[mid].offsetMs <= this.positionMs) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Frame to show at the current position
+   * @returns {{ offsetMs: number, seq: number, state: object, board: object }}
+   */
+  currentFrame() {
+    return this.frames[this.currentFrameIndex()];
+  }
+}
+
+/**
+ * Format a playback position as m:ss
+ * @param {number} ms - Position in ms
+ * @returns {string}
+ */
+export function formatPlaybackTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+export default ReplayPlayer;
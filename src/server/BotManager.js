@@ -0,0 +1,294 @@
+import logger from '../utils/logger.js';
+import { canMoveTo, validateBounds, validateWall } from '../game/rules.js';
+
+/**
+ * Bot tuning per difficulty:
+ * - reactionMs: how often a bot re-reads the board (picks a target, decides to fire)
+ * - moveIntervalMs: time between steps
+ * - fleeMoveIntervalMs: time between steps while running from "it" (slower, so "it" can catch up)
+ * - fireChance: probability of taking a clear shot when it has one
+ * - fleeRadius: distance (cells) at which a bot starts running from "it" in tag mode
+ */
+export const BOT_DIFFICULTIES = Object.freeze({
+  easy: Object.freeze({ reactionMs: 900, moveIntervalMs: 450, fleeMoveIntervalMs: 600, fireChance: 0.3, fleeRadius: 4 }),
+  normal: Object.freeze({ reactionMs: 500, moveIntervalMs: 300, fleeMoveIntervalMs: 400, fireChance: 0.6, fleeRadius: 6 }),
+  hard: Object.freeze({ reactionMs: 250, moveIntervalMs: 180, fleeMoveIntervalMs: 240, fireChance: 0.9, fleeRadius: 8 })
+});
+
+/** Longest shot a bot will take, in cells */
+const MAX_SHOT_DISTANCE = 15;
+
+const DIRECTIONS = [
+  { dx: 0, dy: -1 },
+  { dx: 1, dy: 0 },
+  { dx: 0, dy: 1 },
+  { dx: -1, dy: 0 }
+];
+
+/**
+ * Manhattan distance between two positions
+ * @param {{ x: number, y: number }} a
+ * @param {{ x: number, y: number }} b
+ * @returns {number}
+ */
+function distance(a, b) {
+  return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+}
+
+/**
+ * First step of a shortest path from one cell to another (pure, breadth-first search).
+ * Walls and cells in `blocked` are impassable; the goal itself may be blocked (e.g. the chased player).
+ * @param {{ width: number, height: number, getCell: (x: number, y: number) => string|null }} board - Board
+ * @param {{ x: number, y: number }} from - Start cell
+ * @param {{ x: number, y: number }} to - Goal cell
+ * @param {Array<{ x: number, y: number }>} [blocked] - Occupied cells (e.g. other players)
+ * @returns {{ dx: number, dy: number } | null} Direction of the first step, or null when already there or unreachable
+ */
+export function nextStepToward(board, from, to, blocked = []) {
+  if (from.x === to.x && from.y === to.y) return null;
+  const key = (x, y) => y * board.width + x;
+  const blockedKeys = new Set(blocked.map((cell) => key(cell.x, cell.y)));
+  const goalKey = key(to.x, to.y);
+  const firstStep = new Map([[key(from.x, from.y), null]]);
+  const queue = [from];
+
+  for (let head = 0; head < queue.length; head++) {
+    const cell = queue[head];
+    const step = firstStep.get(key(cell.x, cell.y));
+    for (const direction of DIRECTIONS) {
+      const x = cell.x + direction.dx;
+      const y = cell.y + direction.dy;
+      const cellKey = key(x, y);
+      if (firstStep.has(cellKey)) continue;
+      if (!validateBounds(x, y, board) || !validateWall(x, y, board)) continue;
+      const nextStep = step ?? direction;
+      if (cellKey === goalKey) return nextStep;
+      if (blockedKeys.has(cellKey)) continue;
+      firstStep.set(cellKey, nextStep);
+      queue.push({ x, y });
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a bullet fired from one cell would reach another: same row or column, no wall between
+ * and within MAX_SHOT_DISTANCE (pure)
+ * @param {object} board - Board
+ * @param {{ x: number, y: number }} from - Shooter
+ * @param {{ x: number, y: number }} to - Target
+ * @returns {{ dx: number, dy: number } | null} Fire direction, or null when there is no clear shot
+ */
+export function clearShot(board, from, to) {
+  if (from.x !== to.x && from.y !== to.y) return null;
+  if (from.x === to.x && from.y === to.y) return null;
+  if (distance(from, to) > MAX_SHOT_DISTANCE) return null;
+  const dx = Math.sign(to.x - from.x);
+  const dy = Math.sign(to.y - from.y);
+  for (let x = from.x + dx, y = from.y + dy; x !== to.x || y !== to.y; x += dx, y += dy) {
+    if (!validateWall(x, y, board)) return null;
+  }
+  return { dx, dy };
+}
+
+/**
+ * Server-side bots that fill a match up to `count` players. Bots are ordinary entries in
+ * GameServer.players (isBot: true), move with movePlayer and shoot with fireBullet; one bot
+ * steps aside for each human who joins, and bots come back when humans leave.
+ * Time and randomness come from the GameServer's clock and random source, so seeded servers stay reproducible.
+ * @param {import('./GameServer.js').GameServer} gameServer - Game to play in
+ * @param {{ count?: number, difficulty?: 'easy'|'normal'|'hard' }} [options] - Target player count filled with bots (0 disables) and bot difficulty
+ */
+export class BotManager {
+  constructor(gameServer, options = {}) {
+    this.gameServer = gameServer;
+    this.count = Number.isInteger(options.count) && options.count > 0 ? options.count : 0;
+    this.difficulty = BOT_DIFFICULTIES[options.difficulty] ? options.difficulty : 'normal';
+    this.settings = BOT_DIFFICULTIES[this.difficulty];
+    this.bots = new Map(); // botId -> { botId, nextDecisionAt, nextMoveAt, plan: { mode, targetId?, goal? } }
+    this.nextBotNumber = 1;
+    this.firedBullets = []; // Bullets fired since the last takeFiredBullets()
+  }
+
+  /**
+   * Add or remove bots so that humans plus bots make `count` players
+   * @param {number} [joiningHumans] - Humans about to be added (a bot steps aside for each before they spawn)
+   * @returns {boolean} true if a bot was removed (a spawn point may have been freed)
+   */
+  rebalance(joiningHumans = 0) {
+    const humans = this.gameServer.getAllPlayers().filter((p) => !p.isBot).length + joiningHumans;
+    const wanted = Math.max(0, this.count - humans);
+    while (this.bots.size < wanted) {
+      this._addBot();
+    }
+    let removed = false;
+    while (this.bots.size > wanted) {
+      const botId = [...this.bots.keys()].pop();
+      this._removeBot(botId);
+      removed = true;
+    }
+    return removed;
+  }
+
+  /**
+   * Rebalance, then let every bot on the board think and move if its reaction/move timers allow
+   * @param {number} [now] - Current time in ms (default gameServer clock)
+   * @returns {boolean} true if a bot moved or left (a spawn point may have been freed)
+   */
+  update(now = this.gameServer.clock.now()) {
+    let changed = this.rebalance();
+    if (!this.gameServer.isPlayActive()) return changed;
+
+    for (const bot of this.bots.values()) {
+      const player = this.gameServer.getPlayer(bot.botId);
+      if (!player || player.x === null || player.y === null) continue;
+
+      if (now >= bot.nextDecisionAt) {
+        bot.nextDecisionAt = now + this.settings.reactionMs;
+        this._decide(bot, player);
+      }
+      if (now >= bot.nextMoveAt) {
+        bot.nextMoveAt = now + (bot.plan.mode === 'flee' ? this.settings.fleeMoveIntervalMs : this.settings.moveIntervalMs);
+        if (this._move(bot, player)) changed = true;
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Bullets the bots fired since the previous call (the server announces them with BULLET_CREATE)
+   * @returns {object[]} GameServer bullets
+   */
+  takeFiredBullets() {
+    const fired = this.firedBullets;
+    this.firedBullets = [];
+    return fired;
+  }
+
+  /**
+   * Whether a player is one of this manager's bots
+   * @param {string} playerId - Player identifier
+   * @returns {boolean}
+   */
+  isBot(playerId) {
+    return this.bots.has(playerId);
+  }
+
+  _addBot() {
+    const number = this.nextBotNumber++;
+    const botId = `bot-${number}`;
+    const botName = `Bot ${number}`;
+    this.gameServer.addPlayer(null, botId, botName, { isBot: true });
+    this.gameServer.spawnPlayer(botId, botName);
+    this.bots.set(botId, { botId, nextDecisionAt: 0, nextMoveAt: 0, plan: { mode: 'wander' } });
+    logger.info(`Bot joined: ${botName} (${this.difficulty})`);
+  }
+
+  _removeBot(botId) {
+    this.bots.delete(botId);
+    this.gameServer.removePlayer(botId);
+    logger.info(`Bot left: ${botId}`);
+  }
+
+  /**
+   * Pick what to do until the next decision: chase, flee or wander; in free mode, fire if there is a clear shot.
+   * Targets are only re-picked (and the "it" player's position only re-read when fleeing) every reactionMs.
+   */
+  _decide(bot, player) {
+    const others = this.gameServer.getAllPlayers().filter(
+      (p) => p.playerId !== player.playerId && p.x !== null && p.y !== null && !p.disconnected
+    );
+    const nearest = others.reduce(
+      (best, p) => (best === null || distance(player, p) < distance(player, best) ? p : best),
+      null
+    );
+    const itPlayerId = this.gameServer.isTagMode() ? this.gameServer.getItPlayerId() : null;
+
+    const seen = (p) => ({ targetId: p.playerId, goal: { x: p.x, y: p.y } });
+    if (itPlayerId === player.playerId) {
+      bot.plan = nearest ? { mode: 'chase', ...seen(nearest) } : this._wanderPlan(bot);
+    } else if (itPlayerId) {
+      const it = others.find((p) => p.playerId === itPlayerId);
+      bot.plan = it && distance(player, it) <= this.settings.fleeRadius
+        ? { mode: 'flee', ...seen(it) }
+        : this._wanderPlan(bot);
+    } else {
+      bot.plan = nearest ? { mode: 'chase', ...seen(nearest) } : this._wanderPlan(bot);
+    }
+
+    // In tag mode "it" tags rather than shoots (a shot target respawns out of reach)
+    const target = bot.plan.mode === 'chase' && !itPlayerId ? this.gameServer.getPlayer(bot.plan.targetId) : null;
+    if (target && !this.gameServer.getPlayerBullet(player.playerId)) {
+      const shot = clearShot(this.gameServer.game.board, player, target);
+      if (shot && this.gameServer.random.next() < this.settings.fireChance) {
+        const fired = this.gameServer.fireBullet(player.playerId, shot.dx, shot.dy);
+        if (fired.success) this.firedBullets.push(fired.bullet);
+      }
+    }
+  }
+
+  /**
+   * Keep the current wander goal, or pick a random open cell
+   */
+  _wanderPlan(bot) {
+    if (bot.plan.mode === 'wander' && bot.plan.goal) return bot.plan;
+    const board = this.gameServer.game.board;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const goal = {
+        x: this.gameServer.random.int(board.width),
+        y: this.gameServer.random.int(board.height)
+      };
+      if (validateWall(goal.x, goal.y, board)) return { mode: 'wander', goal };
+    }
+    return { mode: 'wander' };
+  }
+
+  /**
+   * Take one step according to the plan (towards its goal, or away from it when fleeing)
+   * @returns {boolean} true if the bot moved
+   */
+  _move(bot, player) {
+    const { mode, targetId } = bot.plan;
+    let { goal } = bot.plan;
+    if (mode === 'chase') {
+      const target = this.gameServer.getPlayer(targetId);
+      if (target && target.x !== null && target.y !== null) goal = { x: target.x, y: target.y };
+    }
+    if (!goal) return false;
+    const players = this.gameServer.getAllPlayers();
+    let step;
+    if (mode === 'flee') {
+      step = this._fleeStep(player, goal, players);
+    } else {
+      const others = players.filter((p) => p.playerId !== player.playerId && p.x !== null && p.y !== null);
+      step = nextStepToward(this.gameServer.game.board, player, goal, others);
+      if (!step && mode === 'wander') {
+        bot.plan = { mode: 'wander' }; // Reached or unreachable: pick another goal next time
+      }
+    }
+
+    if (!step) return false;
+    return this.gameServer.movePlayer(player.playerId, step.dx, step.dy);
+  }
+
+  /**
+   * The open neighbouring cell farthest from the threat (null if none is farther than staying put)
+   */
+  _fleeStep(player, threat, players) {
+    const world = { board: this.gameServer.game.board, players };
+    let best = null;
+    let bestDistance = distance(player, threat);
+    for (const direction of DIRECTIONS) {
+      const cell = { x: player.x + direction.dx, y: player.y + direction.dy };
+      if (!canMoveTo(cell.x, cell.y, world, player.playerId)) continue;
+      const d = distance(cell, threat);
+      if (d > bestDistance) {
+        best = direction;
+        bestDistance = d;
+      }
+    }
+    return best;
+  }
+}
+
+export default BotManager;
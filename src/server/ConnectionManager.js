@@ -1,10 +1,15 @@
+import { systemClock } from '../utils/clock.js';
+
 /**
  * ConnectionManager class for managing WebSocket connections
+ * @param {{ now: () => number }} [clock] - Clock for connection timestamps (default wall clock)
  */
 export class ConnectionManager {
-  constructor() {
+  constructor(clock = systemClock) {
+    this.clock = clock;
     this.connections = new Map(); // clientId -> connection object
     this.playerIdMap = new Map(); // clientId -> playerId
+    this.roomMap = new Map(); // clientId -> room name
   }
 
   /**
@@ -18,8 +23,12 @@ export class ConnectionManager {
       clientId,
       ws,
       logger: options.logger ?? null,
-      connectedAt: Date.now(),
-      lastActivity: Date.now()
+      connectedAt: this.clock.now(),
+      lastActivity: this.clock.now(),
+      lastInputAt: this.clock.now(), // Last MOVE/FIRE (AFK detection)
+      missedPongs: 0, // Heartbeat pings sent without a pong since
+      rttMs: null, // Round-trip time reported by the client in PING
+      spectatorId: null // Set when the client joined as a spectator (no player)
     });
   }
 
@@ -30,6 +39,7 @@ export class ConnectionManager {
   removeConnection(clientId) {
     this.connections.delete(clientId);
     this.playerIdMap.delete(clientId);
+    this.roomMap.delete(clientId);
   }
 
   /**
@@ -67,6 +77,36 @@ export class ConnectionManager {
     return this.playerIdMap.get(clientId);
   }
 
+  /**
+   * Record which room a client joined
+   * @param {string} clientId - Client identifier
+   * @param {string} roomName - Room name
+   */
+  setRoom(clientId, roomName) {
+    this.roomMap.set(clientId, roomName);
+  }
+
+  /**
+   * Get the room a client joined
+   * @param {string} clientId - Client identifier
+   * @returns {string|undefined} Room name, or undefined before the client joined one
+   */
+  getRoom(clientId) {
+    return this.roomMap.get(clientId);
+  }
+
+  /**
+   * Get the connections whose client joined a room
+   * @param {string} roomName - Room name
+   * @param {string} [defaultRoomName] - Room that clients which have not joined one count as members of
+   * @returns {Array} Array of connection objects
+   */
+  getConnectionsInRoom(roomName, defaultRoomName) {
+    return this.getAllConnections().filter(
+      (connection) => (this.roomMap.get(connection.clientId) ?? defaultRoomName) === roomName
+    );
+  }
+
   /**
    * Get connection by playerId (for notifying a waiting player that they were spawned)
    * @param {string} playerId - Player identifier
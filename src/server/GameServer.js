@@ -1,21 +1,46 @@
 import Game from '../game/Game.js';
 import logger from '../utils/logger.js';
-import { isSpawnAvailable } from './spawnAvailability.js';
+import { canMoveTo, isSpawnAvailable, stepBullet } from '../game/rules.js';
+import MatchLifecycle, { MATCH_PHASES } from './MatchLifecycle.js';
+import { systemClock } from '../utils/clock.js';
+import { createRandom } from '../utils/random.js';
+import { pickPlayerColor } from './playerIdentity.js';
 
 const DEFAULT_SPAWN_CONFIG = {
   clearRadius: 3,
   waitMessage: 'Thank you for waiting. A spawn point is being selected for you.'
 };
 
+const DEFAULT_TAG_CONFIG = {
+  tagBackCooldownMs: 1000,
+  pointsPerSecond: 1
+};
+
+/** Bullet speed in cells per second (one cell per 250ms) */
+export const DEFAULT_BULLET_SPEED = 4;
+
+/** How long a shot player stays off the board */
+export const RESPAWN_DELAY_MS = 3000;
+
+/** How long after a move a player's velocity is still reported (one default broadcast interval) */
+export const DEFAULT_VELOCITY_HOLD_MS = 250;
+
+/** Pings are kept to the nearest PING_STEP_MS, so small jitter does not change the state */
+export const PING_STEP_MS = 10;
+
+/** Game modes: 'free' is movement + bullets only; 'tag' adds an "it" player and time-based scoring */
+export const GAME_MODES = Object.freeze(['free', 'tag']);
+
 /**
  * GameServer class for managing game state and players
  * @param {Game} [game] - Game instance
- * @param {{ spawnList?: Array<{x: number, y: number}>, spawnConfig?: { clearRadius: number, waitMessage: string } }} [options] - Spawn list (from board or fallback) and config
+ * @param {{ spawnList?: Array<{x: number, y: number}>, spawnConfig?: { clearRadius: number, waitMessage: string }, mode?: 'free'|'tag', tagConfig?: { tagBackCooldownMs: number, pointsPerSecond: number }, match?: { warmupSeconds?: number, durationSeconds?: number, endedSeconds?: number, intermissionSeconds?: number }, bulletSpeed?: number, velocityHoldMs?: number, clock?: { now: () => number }, random?: { next: () => number } }} [options] - Spawn list (from board or fallback), spawn config, game mode, tag config, match phase durations (omit match for an endless game), bullet speed in cells per second, how long after a move the player's velocity is still serialized (the server uses its broadcast interval), clock (default wall clock) and random source (see utils/random.js; seed it for reproducible simulations)
  */
 export class GameServer {
   constructor(game, options = {}) {
     this.game = game != null && typeof game.board !== 'undefined' ? game : new Game();
     this.players = new Map();
+    this.spectators = new Map(); // spectatorId -> { spectatorId, clientId, name }; never on the board
     const list = options.spawnList;
     const width = this.game.board.width;
     const height = this.game.board.height;
@@ -30,24 +55,47 @@ export class GameServer {
     this.bullets = new Map();
     this.scores = new Map();
     this.respawnQueue = [];
+    this.mode = GAME_MODES.includes(options.mode) ? options.mode : 'free';
+    this.tagConfig = { ...DEFAULT_TAG_CONFIG, ...options.tagConfig };
+    this.itPlayerId = null;
+    this.previousItPlayerId = null;
+    this.lastTagAt = null;
+    this.lastTagUpdateAt = null;
+    this.match = options.match ? new MatchLifecycle(options.match) : null;
+    this.bulletSpeed = options.bulletSpeed > 0 ? options.bulletSpeed : DEFAULT_BULLET_SPEED;
+    this.velocityHoldMs = options.velocityHoldMs ?? DEFAULT_VELOCITY_HOLD_MS;
+    this.clock = options.clock ?? systemClock;
+    this.random = options.random ?? createRandom();
   }
 
   /**
    * Add a player to the game
-   * @param {string} clientId - Client identifier
+   * @param {string|null} clientId - Client identifier (null for bots)
    * @param {string} playerId - Player identifier
    * @param {string} playerName - Player name
+   * @param {{ isBot?: boolean, color?: string|null, glyph?: string|null }} [options] - isBot marks a server-controlled
+   *   player (see BotManager); color (RRGGBB) and glyph draw the player on other clients' boards (default: the first
+   *   PLAYER_COLORS entry no one has, and the client's playerGlyph)
    */
-  addPlayer(clientId, playerId, playerName) {
+  addPlayer(clientId, playerId, playerName, options = {}) {
     const player = {
       playerId,
       clientId,
       playerName,
+      color: options.color ?? pickPlayerColor(this.getAllPlayers().map((p) => p.color)),
+      glyph: options.glyph ?? null,
+      isBot: options.isBot === true,
       x: null,
       y: null,
-      lastX: null,
-      lastY: null,
-      lastT: null
+      vx: 0, // Cells per second of the latest move (see movePlayer)
+      vy: 0,
+      lastMoveAt: null,
+      notItMs: 0,
+      kills: 0,
+      deaths: 0,
+      pingMs: null, // Round-trip time its client last reported (see setPlayerPing); null for bots
+      disconnected: false,
+      lastInputSeq: 0 // Highest MOVE seq processed (echoed to the client for reconciliation)
     };
     this.players.set(playerId, player);
     logger.debug(`Player added: ${playerId} (${playerName})`);
@@ -65,9 +113,37 @@ export class GameServer {
     }
     this.scores.delete(playerId);
     this.respawnQueue = this.respawnQueue.filter(r => r.playerId !== playerId);
+    if (this.previousItPlayerId === playerId) {
+      this.previousItPlayerId = null;
+    }
+    if (this.itPlayerId === playerId) {
+      this.itPlayerId = null;
+      this._assignItIfNeeded();
+    }
     logger.debug(`Player removed: ${playerId}`);
   }
 
+  /**
+   * Mark a player's connection as lost (slot kept for reconnection) or restored.
+   * A disconnected "it" player passes it on to a connected player, if there is one.
+   * @param {string} playerId - Player identifier
+   * @param {boolean} disconnected - true when the connection dropped, false on resume
+   * @param {string} [clientId] - New client identifier on resume
+   */
+  setPlayerDisconnected(playerId, disconnected, clientId) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    player.disconnected = disconnected;
+    if (clientId !== undefined) {
+      player.clientId = clientId;
+    }
+    if (disconnected && this.itPlayerId === playerId) {
+      this.itPlayerId = null;
+      this._assignItIfNeeded();
+    }
+    logger.debug(`Player ${playerId} ${disconnected ? 'disconnected (slot held)' : 'reconnected'}`);
+  }
+
   /**
    * Get player by playerId
    * @param {string} playerId - Player identifier
@@ -85,6 +161,34 @@ export class GameServer {
     return Array.from(this.players.values());
   }
 
+  /**
+   * Add a spectator: receives state but is not a player (no spawn, score or collisions)
+   * @param {string} clientId - Client identifier
+   * @param {string} spectatorId - Spectator identifier
+   * @param {string} name - Display name
+   */
+  addSpectator(clientId, spectatorId, name) {
+    this.spectators.set(spectatorId, { spectatorId, clientId, name });
+    logger.debug(`Spectator added: ${spectatorId} (${name})`);
+  }
+
+  /**
+   * Remove a spectator
+   * @param {string} spectatorId - Spectator identifier
+   */
+  removeSpectator(spectatorId) {
+    this.spectators.delete(spectatorId);
+    logger.debug(`Spectator removed: ${spectatorId}`);
+  }
+
+  /**
+   * Spectators as sent to clients (listed apart from players)
+   * @returns {Array<{ spectatorId: string, name: string }>}
+   */
+  getSpectators() {
+    return Array.from(this.spectators.values()).map(({ spectatorId, name }) => ({ spectatorId, name }));
+  }
+
   /**
    * Get all spawns that are currently available (clear circle, not occupied).
    * @returns {Array<{ x: number, y: number }>}
@@ -105,7 +209,7 @@ export class GameServer {
   _pickAvailableSpawn() {
     const available = this._getAvailableSpawns();
     if (available.length === 0) return null;
-    const index = Math.floor(Math.random() * available.length);
+    const index = Math.floor(this.random.next() * available.length);
     return available[index];
   }
 
@@ -127,10 +231,9 @@ export class GameServer {
     if (spawn) {
       player.x = spawn.x;
       player.y = spawn.y;
-      player.lastX = player.x;
-      player.lastY = player.y;
-      player.lastT = Date.now();
+      player.lastMoveAt = null;
       logger.debug(`Player spawned: ${playerId} at (${player.x}, ${player.y})`);
+      this._assignItIfNeeded();
       return { spawned: true };
     }
 
@@ -165,7 +268,7 @@ export class GameServer {
   }
 
   /**
-   * Validate a move for a player
+   * Validate a move for a player (shared rules in game/rules.js, also used by client prediction)
    * @param {string} playerId - Player identifier
    * @param {number} dx - Delta X (-1, 0, or 1)
    * @param {number} dy - Delta Y (-1, 0, or 1)
@@ -183,29 +286,10 @@ export class GameServer {
       return false;
     }
 
-    const newX = player.x + dx;
-    const newY = player.y + dy;
-
-    // Check bounds
-    if (newX < 0 || newX >= this.game.board.width || newY < 0 || newY >= this.game.board.height) {
-      return false;
-    }
-
-    // Check walls
-    if (this.game.board.isWall(newX, newY)) {
-      return false;
-    }
-
-    // Check player collisions
-    const allPlayers = this.getAllPlayers();
-    const occupied = allPlayers.some(p => 
-      p.playerId !== playerId && p.x === newX && p.y === newY
-    );
-    if (occupied) {
-      return false;
-    }
-
-    return true;
+    return canMoveTo(player.x + dx, player.y + dy, {
+      board: this.game.board,
+      players: this.getAllPlayers()
+    }, playerId);
   }
 
   /**
@@ -216,21 +300,169 @@ export class GameServer {
    * @returns {boolean} True if move was successful
    */
   movePlayer(playerId, dx, dy) {
+    if (!this.isPlayActive()) {
+      return false;
+    }
+
     if (!this.validateMove(playerId, dx, dy)) {
       return false;
     }
 
     const player = this.getPlayer(playerId);
-    player.lastX = player.x;
-    player.lastY = player.y;
-    player.lastT = Date.now();
+    const now = this.clock.now();
+    // Velocity from the time between this move and the previous one (see serializeState); 0 for the
+    // first move after standing still for more than velocityHoldMs, which says nothing about speed
+    const sincePreviousMs = player.lastMoveAt === null ? 0 : now - player.lastMoveAt;
+    const steady = sincePreviousMs > 0 && sincePreviousMs <= this.velocityHoldMs;
+    player.vx = steady ? (dx * 1000) / sincePreviousMs : 0;
+    player.vy = steady ? (dy * 1000) / sincePreviousMs : 0;
+    player.lastMoveAt = now;
     player.x += dx;
     player.y += dy;
 
     logger.debug(`Player ${playerId} moved to (${player.x}, ${player.y})`);
+
+    if (this.mode === 'tag') {
+      if (this.itPlayerId === playerId) {
+        this._tryTag(player);
+      } else {
+        this._tryRunIntoIt(player);
+      }
+    }
     return true;
   }
 
+  /**
+   * Record that a client input (MOVE seq) has been processed, whether or not the move was allowed
+   * @param {string} playerId - Player identifier
+   * @param {number} seq - Client input sequence number
+   */
+  acknowledgeInput(playerId, seq) {
+    const player = this.getPlayer(playerId);
+    if (!player || !Number.isInteger(seq)) return;
+    if (seq > player.lastInputSeq) {
+      player.lastInputSeq = seq;
+    }
+  }
+
+  /**
+   * Whether the server is running the tag game mode
+   * @returns {boolean}
+   */
+  isTagMode() {
+    return this.mode === 'tag';
+  }
+
+  /**
+   * Get the playerId of the player who is currently "it"
+   * @returns {string|null} Player identifier or null (free mode, or no spawned players)
+   */
+  getItPlayerId() {
+    return this.itPlayerId;
+  }
+
+  /**
+   * In tag mode, make the first spawned player "it" when nobody is.
+   * Connected players are preferred over players whose slot is held for reconnection.
+   * @param {string} [preferredId] - Player to pick first if they are on the board and connected
+   */
+  _assignItIfNeeded(preferredId) {
+    if (this.mode !== 'tag') return;
+    if (this.itPlayerId !== null && this.players.has(this.itPlayerId)) return;
+    const spawned = this.getAllPlayers().filter((p) => p.x !== null && p.y !== null);
+    const candidate =
+      spawned.find((p) => p.playerId === preferredId && !p.disconnected) ??
+      spawned.find((p) => !p.disconnected) ??
+      spawned[0];
+    this.itPlayerId = candidate ? candidate.playerId : null;
+    if (candidate) {
+      logger.debug(`Player ${candidate.playerId} is now it`);
+    }
+  }
+
+  /**
+   * Transfer "it" from the given player to an adjacent connected player, if any.
+   * The player who just passed "it" on cannot be tagged back until tagBackCooldownMs has elapsed.
+   * @param {object} itPlayer - Player object of the current "it" player
+   * @returns {string|null} playerId of the newly tagged player, or null if nobody was tagged
+   */
+  _tryTag(itPlayer) {
+    const now = this.clock.now();
+    const inCooldown = this._inTagBackCooldown(now);
+    const target = this.getAllPlayers().find((p) =>
+      p.playerId !== itPlayer.playerId &&
+      !p.disconnected &&
+      p.x !== null &&
+      p.y !== null &&
+      Math.abs(p.x - itPlayer.x) + Math.abs(p.y - itPlayer.y) === 1 &&
+      !(inCooldown && p.playerId === this.previousItPlayerId)
+    );
+    if (!target) return null;
+
+    this.previousItPlayerId = itPlayer.playerId;
+    this.itPlayerId = target.playerId;
+    this.lastTagAt = now;
+    logger.debug(`Player ${itPlayer.playerId} tagged ${target.playerId}`);
+    return target.playerId;
+  }
+
+  /**
+   * Transfer "it" to a player who moved next to the connected "it" player.
+   * Subject to the same tag-back cooldown as _tryTag.
+   * @param {object} mover - Player object of the (non-it) player who just moved
+   * @returns {boolean} true if the mover became it
+   */
+  _tryRunIntoIt(mover) {
+    const itPlayer = this.getPlayer(this.itPlayerId);
+    if (!itPlayer || itPlayer.disconnected || itPlayer.x === null || itPlayer.y === null) return false;
+    if (Math.abs(mover.x - itPlayer.x) + Math.abs(mover.y - itPlayer.y) !== 1) return false;
+    const now = this.clock.now();
+    if (this._inTagBackCooldown(now) && mover.playerId === this.previousItPlayerId) return false;
+
+    this.previousItPlayerId = itPlayer.playerId;
+    this.itPlayerId = mover.playerId;
+    this.lastTagAt = now;
+    logger.debug(`Player ${mover.playerId} ran into ${itPlayer.playerId} and is now it`);
+    return true;
+  }
+
+  /**
+   * Whether the last tag was recent enough that the previous it player cannot be tagged back yet
+   * @param {number} now - Current time in ms
+   * @returns {boolean}
+   */
+  _inTagBackCooldown(now) {
+    return this.lastTagAt !== null && now - this.lastTagAt < this.tagConfig.tagBackCooldownMs;
+  }
+
+  /**
+   * Accrue tag-mode points: every spawned, connected player who is not "it" earns
+   * pointsPerSecond for each full second spent not being it. No-op outside tag mode.
+   * @param {number} [now] - Current time in ms (default clock.now())
+   */
+  updateTagScores(now = this.clock.now()) {
+    if (this.mode !== 'tag') return;
+    if (this.lastTagUpdateAt === null) {
+      this.lastTagUpdateAt = now;
+      return;
+    }
+    const elapsed = Math.max(0, now - this.lastTagUpdateAt);
+    this.lastTagUpdateAt = now;
+    if (!this.isPlayActive()) return;
+
+    for (const player of this.players.values()) {
+      if (player.playerId === this.itPlayerId || player.x === null || player.y === null || player.disconnected) {
+        continue;
+      }
+      player.notItMs += elapsed;
+      const seconds = Math.floor(player.notItMs / 1000);
+      if (seconds > 0) {
+        player.notItMs -= seconds * 1000;
+        this.addScore(player.playerId, seconds * this.tagConfig.pointsPerSecond);
+      }
+    }
+  }
+
   fireBullet(playerId, dx, dy) {
     const player = this.getPlayer(playerId);
     if (!player) {
@@ -241,19 +473,24 @@ export class GameServer {
       return { success: false, error: 'Player not spawned' };
     }
 
+    if (!this.isPlayActive()) {
+      return { success: false, error: 'Match not in progress' };
+    }
+
     const existingBullet = this.getPlayerBullet(playerId);
     if (existingBullet) {
       return { success: false, error: 'Player already has active bullet' };
     }
 
-    const bulletId = `bullet-${playerId}-${Date.now()}`;
+    const bulletId = `bullet-${playerId}-${this.clock.now()}`;
     const bullet = {
       bulletId,
       playerId,
       x: player.x,
       y: player.y,
       dx,
-      dy
+      dy,
+      progress: 0 // Fraction of a cell travelled since the last step
     };
 
     this.bullets.set(bulletId, bullet);
@@ -280,46 +517,30 @@ export class GameServer {
     return false;
   }
 
-  updateBullets() {
+  /**
+   * Advance bullets. With dtMs, each bullet moves bulletSpeed cells per second (whole cells
+   * only; the remainder carries over to the next call). Without dtMs every bullet moves exactly one cell.
+   * @param {number} [dtMs] - Elapsed simulation time in ms
+   * @returns {{ destroyedBullets: string[], playerKills: Array<{ killerId: string, victimId: string }> }}
+   */
+  updateBullets(dtMs) {
     const destroyedBullets = [];
     const playerKills = [];
 
     for (const bullet of this.bullets.values()) {
-      const newX = bullet.x + bullet.dx;
-      const newY = bullet.y + bullet.dy;
-
-      if (newX < 0 || newX >= this.game.board.width || newY < 0 || newY >= this.game.board.height) {
-        destroyedBullets.push(bullet.bulletId);
-        continue;
+      let steps = 1;
+      if (dtMs !== undefined) {
+        bullet.progress += (this.bulletSpeed * dtMs) / 1000;
+        steps = Math.floor(bullet.progress);
+        bullet.progress -= steps;
       }
-
-      if (this.game.board.isWall(newX, newY)) {
+      for (let i = 0; i < steps; i++) {
+        const kill = this._stepBullet(bullet);
+        if (kill === null) continue;
         destroyedBullets.push(bullet.bulletId);
-        continue;
+        if (kill) playerKills.push(kill);
+        break;
       }
-
-      const hitPlayer = this.getAllPlayers().find(p =>
-        p.x === newX && p.y === newY
-      );
-
-      if (hitPlayer) {
-        destroyedBullets.push(bullet.bulletId);
-
-        if (hitPlayer.playerId !== bullet.playerId) {
-          playerKills.push({
-            killerId: bullet.playerId,
-            victimId: hitPlayer.playerId
-          });
-
-          hitPlayer.x = null;
-          hitPlayer.y = null;
-          this.scheduleRespawn(hitPlayer.playerId);
-        }
-        continue;
-      }
-
-      bullet.x = newX;
-      bullet.y = newY;
     }
 
     for (const bulletId of destroyedBullets) {
@@ -328,11 +549,45 @@ export class GameServer {
 
     for (const kill of playerKills) {
       this.addScore(kill.killerId, 1);
+      const killer = this.getPlayer(kill.killerId);
+      if (killer) killer.kills++;
+      this.getPlayer(kill.victimId).deaths++;
     }
 
     return { destroyedBullets, playerKills };
   }
 
+  /**
+   * Move a bullet one cell.
+   * @param {object} bullet - Bullet to move
+   * @returns {null|false|{ killerId: string, victimId: string }} null if it moved; false if it hit
+   *   the edge, a wall or its owner; the kill if it hit another player (who is queued for respawn)
+   */
+  _stepBullet(bullet) {
+    const step = stepBullet(bullet, this.game.board, this.getAllPlayers());
+    if (step.blocked) {
+      return false;
+    }
+
+    if (step.victimId) {
+      const victim = this.getPlayer(step.victimId);
+      victim.x = null;
+      victim.y = null;
+      victim.lastMoveAt = null;
+      this.scheduleRespawn(victim.playerId);
+      if (this.itPlayerId === victim.playerId) {
+        // An off-board it could not tag or be tagged until respawning: the shooter takes over
+        this.itPlayerId = null;
+        this._assignItIfNeeded(bullet.playerId);
+      }
+      return { killerId: bullet.playerId, victimId: victim.playerId };
+    }
+
+    bullet.x = step.x;
+    bullet.y = step.y;
+    return null;
+  }
+
   addScore(playerId, points) {
     const current = this.scores.get(playerId) || 0;
     this.scores.set(playerId, current + points);
@@ -351,16 +606,56 @@ export class GameServer {
     return result;
   }
 
+  /**
+   * Keep the round-trip time a player's client reported, rounded to PING_STEP_MS, for the scoreboard
+   * @param {string} playerId - Player identifier
+   * @param {number} rttMs - Round-trip time in ms
+   */
+  setPlayerPing(playerId, rttMs) {
+    const player = this.getPlayer(playerId);
+    if (player) {
+      player.pingMs = Math.round(rttMs / PING_STEP_MS) * PING_STEP_MS;
+    }
+  }
+
+  /**
+   * Pings of the players whose clients reported one (bots have none)
+   * @returns {Object<string, number>} playerId -> ping in ms
+   */
+  getAllPings() {
+    const result = {};
+    for (const player of this.players.values()) {
+      if (player.pingMs !== null) result[player.playerId] = player.pingMs;
+    }
+    return result;
+  }
+
   scheduleRespawn(playerId) {
     this.respawnQueue.push({
       playerId,
-      respawnAt: Date.now() + 3000
+      respawnAt: this.clock.now() + RESPAWN_DELAY_MS
     });
     logger.debug(`Player ${playerId} scheduled for respawn`);
   }
 
-  processRespawns() {
-    const now = Date.now();
+  /**
+   * How long until a player waiting to respawn is due back on the board (processRespawns pushes this
+   * back when no spawn is free)
+   * @param {string} playerId - Player identifier
+   * @param {number} [now] - Current time in ms (default clock.now())
+   * @returns {number|null} Milliseconds (0 when overdue), or null when the player is not waiting to respawn
+   */
+  getRespawnInMs(playerId, now = this.clock.now()) {
+    const respawn = this.respawnQueue.find((r) => r.playerId === playerId);
+    return respawn ? Math.max(0, respawn.respawnAt - now) : null;
+  }
+
+  /**
+   * Place players whose respawn time has come back on the board (retry later if no spawn is free)
+   * @param {number} [now] - Current time in ms (default clock.now())
+   * @returns {string[]} Player IDs that were respawned
+   */
+  processRespawns(now = this.clock.now()) {
     const respawned = [];
 
     const remaining = [];
@@ -376,7 +671,7 @@ export class GameServer {
             logger.debug(`Player ${respawn.playerId} respawned at (${spawn.x}, ${spawn.y})`);
           }
         } else {
-          respawn.respawnAt = now + 3000;
+          respawn.respawnAt = now + RESPAWN_DELAY_MS;
           remaining.push(respawn);
           logger.debug(`Player ${respawn.playerId} respawn delayed (no spawn available)`);
         }
@@ -385,39 +680,189 @@ export class GameServer {
       }
     }
     this.respawnQueue = remaining;
+    if (respawned.length > 0) this._assignItIfNeeded(); // Everyone may have been off the board
 
     return respawned;
   }
 
   /**
-   * Serialize game state for broadcasting
+   * Run one simulation step: match lifecycle, bullets, tag scoring and respawns.
+   * @param {number} dtMs - Simulation time elapsed since the previous tick
+   * @param {number} [now] - Current time in ms (default clock.now())
+   * @returns {{ match: object, bullets: { destroyedBullets: string[], playerKills: Array<object> }, respawned: string[] }}
+   *   match is the updateMatch() result; respawned lists players placed back on the board
+   */
+  tick(dtMs, now = this.clock.now()) {
+    const match = this.updateMatch(now);
+    const bullets = this.updateBullets(dtMs);
+    this.updateTagScores(now);
+    const respawned = this.processRespawns(now);
+    return { match, bullets, respawned };
+  }
+
+  /**
+   * Whether players may currently move, fire and score. Always true without a match lifecycle.
+   * @returns {boolean}
+   */
+  isPlayActive() {
+    return this.match === null || this.match.isPlayActive();
+  }
+
+  /**
+   * Final standings: players sorted by score (highest first)
+   * @returns {Array<{ rank: number, playerId: string, playerName: string, score: number }>}
+   */
+  getStandings() {
+    return this.getAllPlayers()
+      .map((p) => ({
+        playerId: p.playerId,
+        playerName: p.playerName,
+        score: this.getScore(p.playerId)
+      }))
+      .sort((a, b) => b.score - a.score)
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+  }
+
+  /**
+   * Reset scores, kill/death counts and tag accumulators (start of a match's scoring period)
+   */
+  resetScores() {
+    this.scores.clear();
+    for (const player of this.players.values()) {
+      player.notItMs = 0;
+      player.kills = 0;
+      player.deaths = 0;
+    }
+  }
+
+  /**
+   * Put every player back on a fresh spawn (new match or new board). Players that cannot be
+   * placed are left waiting and picked up by trySpawnWaitingPlayers.
+   * @returns {string[]} Player IDs that were waiting for a spawn before and are now placed
+   */
+  _respawnAllPlayers() {
+    const wasWaiting = new Set(
+      this.getAllPlayers().filter((p) => p.x === null && p.y === null).map((p) => p.playerId)
+    );
+    this.bullets.clear();
+    this.respawnQueue = [];
+    for (const player of this.players.values()) {
+      player.x = null;
+      player.y = null;
+    }
+    const spawned = [];
+    for (const player of this.getAllPlayers()) {
+      const result = this.spawnPlayer(player.playerId, player.playerName);
+      if (result.spawned && wasWaiting.has(player.playerId)) {
+        spawned.push(player.playerId);
+      }
+    }
+    return spawned;
+  }
+
+  /**
+   * Advance the match lifecycle. Starts the first match on first call.
+   * Scores reset when a match goes in progress and when a new match starts (after intermission).
+   * @param {number} [now] - Current time in ms (default clock.now())
+   * @returns {{ transitions: Array<{ from: string, to: string, matchNumber: number }>, ended: { matchNumber: number, standings: Array<object>, spectators: Array<object> } | null, newMatch: boolean, spawned: string[] }} spawned lists players placed for the new match who had been waiting for a spawn
+   */
+  updateMatch(now = this.clock.now()) {
+    const result = { transitions: [], ended: null, newMatch: false, spawned: [] };
+    if (!this.match) return result;
+
+    if (!this.match.isStarted()) {
+      this.match.start(now);
+      logger.info(`Match ${this.match.matchNumber} warmup started`);
+      return result;
+    }
+
+    result.transitions = this.match.update(now);
+    for (const { to, matchNumber } of result.transitions) {
+      if (to === MATCH_PHASES.IN_PROGRESS) {
+        this.resetScores();
+        logger.info(`Match ${matchNumber} started`);
+      } else if (to === MATCH_PHASES.ENDED) {
+        this.bullets.clear();
+        result.ended = { matchNumber, standings: this.getStandings(), spectators: this.getSpectators() };
+        logger.info(`Match ${matchNumber} ended`);
+      } else if (to === MATCH_PHASES.WARMUP) {
+        this.resetScores();
+        result.spawned = this._respawnAllPlayers();
+        result.newMatch = true;
+        logger.info(`Match ${matchNumber} warmup started`);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Serialize the static board. Sent once per client (CONNECT / BOARD_UPDATE), not in STATE_UPDATE.
+   * @returns {{ width: number, height: number, grid: string[][] }}
+   */
+  serializeBoard() {
+    return {
+      width: this.game.board.width,
+      height: this.game.board.height,
+      grid: this.game.board.serialize()
+    };
+  }
+
+  /**
+   * Serialize dynamic state plus the board, for the CONNECT payload
+   * @returns {object} Serialized game state including board
+   */
+  serializeStateWithBoard() {
+    return {
+      board: this.serializeBoard(),
+      ...this.serializeState()
+    };
+  }
+
+  /**
+   * Replace the board. Bullets and pending respawns are cleared and every player is
+   * placed on a spawn of the new board (or left waiting).
+   * @param {Board} board - New board
+   * @param {Array<{x: number, y: number}>} [spawnList] - Spawns for the new board (default: board center)
+   * @returns {string[]} Player IDs that were waiting for a spawn and are now placed
+   */
+  setBoard(board, spawnList) {
+    this.game.board = board;
+    this.spawnList =
+      spawnList != null && spawnList.length > 0
+        ? spawnList
+        : [{ x: Math.floor(board.width / 2), y: Math.floor(board.height / 2) }];
+    logger.info(`Board changed (${board.width}x${board.height})`);
+    return this._respawnAllPlayers();
+  }
+
+  /**
+   * Serialize dynamic game state (players, bullets, scores, spectators, mode, match) for broadcasting.
+   * The board is not included; see serializeBoard().
    * @returns {object} Serialized game state
    */
   serializeState() {
+    const now = this.clock.now();
     return {
-      board: {
-        width: this.game.board.width,
-        height: this.game.board.height,
-        grid: this.game.board.serialize()
-      },
       players: this.getAllPlayers().map(player => {
-        const now = Date.now();
-        let vx = 0;
-        let vy = 0;
-        if (player.lastX != null && player.lastY != null && player.lastT != null && (player.x !== player.lastX || player.y !== player.lastY)) {
-          const dtSec = (now - player.lastT) / 1000;
-          if (dtSec > 0) {
-            vx = (player.x - player.lastX) / dtSec;
-            vy = (player.y - player.lastY) / dtSec;
-          }
-        }
+        // The latest move's velocity while moves keep coming; 0 once the player has stood still for
+        // velocityHoldMs, so an idle player's entity stops changing between deltas
+        const moving = player.lastMoveAt !== null && now - player.lastMoveAt <= this.velocityHoldMs;
+        const vx = moving ? player.vx : 0;
+        const vy = moving ? player.vy : 0;
         return {
           playerId: player.playerId,
           x: player.x,
           y: player.y,
           playerName: player.playerName,
+          color: player.color,
+          glyph: player.glyph,
+          isIt: player.playerId === this.itPlayerId,
+          isBot: player.isBot,
+          kills: player.kills,
+          deaths: player.deaths,
           vx,
-          vy
+          vy,
+          lastInputSeq: player.lastInputSeq
         };
       }),
       bullets: Array.from(this.bullets.values()).map(bullet => ({
@@ -428,7 +873,12 @@ export class GameServer {
         dx: bullet.dx,
         dy: bullet.dy
       })),
-      scores: this.getAllScores()
+      scores: this.getAllScores(),
+      pings: this.getAllPings(),
+      spectators: this.getSpectators(),
+      mode: this.mode,
+      itPlayerId: this.itPlayerId,
+      match: this.match ? this.match.serialize(this.clock.now()) : null
     };
   }
 }
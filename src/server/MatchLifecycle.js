@@ -0,0 +1,144 @@
+/**
+ * Match phases, in order. After intermission a new match starts in warmup.
+ */
+export const MATCH_PHASES = Object.freeze({
+  WARMUP: 'warmup',
+  IN_PROGRESS: 'in_progress',
+  ENDED: 'ended',
+  INTERMISSION: 'intermission'
+});
+
+const NEXT_PHASE = {
+  [MATCH_PHASES.WARMUP]: MATCH_PHASES.IN_PROGRESS,
+  [MATCH_PHASES.IN_PROGRESS]: MATCH_PHASES.ENDED,
+  [MATCH_PHASES.ENDED]: MATCH_PHASES.INTERMISSION,
+  [MATCH_PHASES.INTERMISSION]: MATCH_PHASES.WARMUP
+};
+
+const DEFAULT_MATCH_CONFIG = {
+  warmupSeconds: 10,
+  durationSeconds: 180,
+  endedSeconds: 3,
+  intermissionSeconds: 10
+};
+
+/**
+ * Timed match lifecycle: warmup → in_progress → ended → intermission → (next match) warmup.
+ * Time is passed in by the caller so the lifecycle itself never reads the clock.
+ * @param {{ warmupSeconds?: number, durationSeconds?: number, endedSeconds?: number, intermissionSeconds?: number }} [config] - Phase durations in seconds
+ */
+export class MatchLifecycle {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_MATCH_CONFIG, ...config };
+    this.phase = null;
+    this.phaseStartedAt = null;
+    this.matchNumber = 0;
+  }
+
+  /**
+   * Start the first match (warmup phase).
+   * @param {number} now - Current time in ms
+   */
+  start(now) {
+    this.matchNumber = 1;
+    this.phase = MATCH_PHASES.WARMUP;
+    this.phaseStartedAt = now;
+  }
+
+  /**
+   * Whether start() has been called
+   * @returns {boolean}
+   */
+  isStarted() {
+    return this.phase !== null;
+  }
+
+  /**
+   * Duration of a phase in ms
+   * @param {string} phase - One of MATCH_PHASES
+   * @returns {number}
+   */
+  getPhaseDurationMs(phase) {
+    const seconds = {
+      [MATCH_PHASES.WARMUP]: this.config.warmupSeconds,
+      [MATCH_PHASES.IN_PROGRESS]: this.config.durationSeconds,
+      [MATCH_PHASES.ENDED]: this.config.endedSeconds,
+      [MATCH_PHASES.INTERMISSION]: this.config.intermissionSeconds
+    }[phase];
+    return Math.max(0, (seconds ?? 0) * 1000);
+  }
+
+  /**
+   * Time left in the current phase
+   * @param {number} now - Current time in ms
+   * @returns {number} Remaining ms (0 when not started)
+   */
+  getRemainingMs(now) {
+    if (!this.isStarted()) return 0;
+    const endsAt = this.phaseStartedAt + this.getPhaseDurationMs(this.phase);
+    return Math.max(0, endsAt - now);
+  }
+
+  /**
+   * Whether players may move, fire and score (warmup or in_progress)
+   * @returns {boolean}
+   */
+  isPlayActive() {
+    return this.phase === MATCH_PHASES.WARMUP || this.phase === MATCH_PHASES.IN_PROGRESS;
+  }
+
+  /**
+   * Advance through every phase whose duration has elapsed.
+   * @param {number} now - Current time in ms
+   * @returns {Array<{ from: string, to: string, matchNumber: number }>} Transitions that happened, in order
+   */
+  update(now) {
+    const transitions = [];
+    if (!this.isStarted()) return transitions;
+
+    while (now - this.phaseStartedAt >= this.getPhaseDurationMs(this.phase)) {
+      const from = this.phase;
+      const to = NEXT_PHASE[from];
+      this.phaseStartedAt += this.getPhaseDurationMs(from);
+      this.phase = to;
+      if (to === MATCH_PHASES.WARMUP) {
+        this.matchNumber += 1;
+      }
+      transitions.push({ from, to, matchNumber: this.matchNumber });
+      // Guard against all-zero durations spinning forever
+      if (transitions.length >= 4) break;
+    }
+    return transitions;
+  }
+
+  /**
+   * Time until the next match's warmup begins, while a match is over
+   * @param {number} now - Current time in ms
+   * @returns {number|null} ms during ended/intermission, otherwise null
+   */
+  getNextMatchInMs(now) {
+    if (this.phase === MATCH_PHASES.INTERMISSION) {
+      return this.getRemainingMs(now);
+    }
+    if (this.phase === MATCH_PHASES.ENDED) {
+      return this.getRemainingMs(now) + this.getPhaseDurationMs(MATCH_PHASES.INTERMISSION);
+    }
+    return null;
+  }
+
+  /**
+   * Serialize for STATE_UPDATE
+   * @param {number} now - Current time in ms
+   * @returns {{ phase: string|null, remainingMs: number, nextMatchInMs: number|null, matchNumber: number }}
+   */
+  serialize(now) {
+    return {
+      phase: this.phase,
+      remainingMs: this.getRemainingMs(now),
+      nextMatchInMs: this.getNextMatchInMs(now),
+      matchNumber: this.matchNumber
+    };
+  }
+}
+
+export default MatchLifecycle;
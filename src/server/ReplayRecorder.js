@@ -0,0 +1,118 @@
+import { createWriteStream, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { systemClock } from '../utils/clock.js';
+
+/** Bumped when the replay line format changes */
+export const REPLAY_FORMAT_VERSION = 1;
+
+/** Inbound payload fields never written to a replay: the server password or join code, and session resume tokens */
+const SECRET_PAYLOAD_KEYS = ['code', 'resumeToken'];
+
+/**
+ * Copy of a message without SECRET_PAYLOAD_KEYS in its payload (pure)
+ * @param {object} message - Parsed message
+ * @returns {object}
+ */
+function withoutSecrets(message) {
+  const payload = message?.payload;
+  if (!payload || typeof payload !== 'object' || !SECRET_PAYLOAD_KEYS.some((key) => key in payload)) {
+    return message;
+  }
+  const safePayload = { ...payload };
+  for (const key of SECRET_PAYLOAD_KEYS) delete safePayload[key];
+  return { ...message, payload: safePayload };
+}
+
+/**
+ * Default replay file path for a recording started at the given time
+ * @param {string} directory - Directory for replay files
+ * @param {number} [now] - Start time in ms (default Date.now())
+ * @returns {string} e.g. replays/match-2024-05-01T12-00-00-000Z.ndjson
+ */
+export function defaultReplayPath(directory, now = Date.now()) {
+  const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+  return join(directory, `match-${stamp}.ndjson`);
+}
+
+/**
+ * Records a match to a newline-delimited JSON replay file. One object per line, each with
+ * `kind` and `t` (ms, server clock):
+ * - `header`: format version, seed and game mode (first line)
+ * - `board`: the board (when recording starts and whenever it changes)
+ * - `in`: an inbound client message (`clientId`, `message`; passwords, join codes and resume tokens left out)
+ * - `state`: a broadcast state (`seq`, full `state`, not the per-client delta)
+ * @param {string} filePath - Replay file to write (parent directories are created)
+ * @param {{ clock?: { now: () => number } }} [options] - Clock for timestamps (default wall clock)
+ */
+export class ReplayRecorder {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.clock = options.clock ?? systemClock;
+    this.stream = null;
+  }
+
+  /**
+   * Create the file and write the header line
+   * @param {object} [header] - Extra header fields (e.g. seed, mode)
+   */
+  open(header = {}) {
+    if (this.stream) return;
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    this.stream = createWriteStream(this.filePath, { flags: 'w' });
+    this._write({ kind: 'header', version: REPLAY_FORMAT_VERSION, ...header });
+  }
+
+  /**
+   * Whether the recorder is open
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.stream !== null;
+  }
+
+  /**
+   * Record the board in play
+   * @param {{ width: number, height: number, grid: string[][] }} board - Serialized board
+   */
+  recordBoard(board) {
+    this._write({ kind: 'board', board });
+  }
+
+  /**
+   * Record an inbound client message, minus any code or resumeToken in its payload
+   * @param {string} clientId - Client identifier
+   * @param {object} message - Parsed message
+   */
+  recordInbound(clientId, message) {
+    this._write({ kind: 'in', clientId, message: withoutSecrets(message) });
+  }
+
+  /**
+   * Record a broadcast state
+   * @param {number} seq - StateSync seq
+   * @param {object} state - Serialized game state
+   */
+  recordState(seq, state) {
+    this._write({ kind: 'state', seq, state });
+  }
+
+  /**
+   * Flush and close the file
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.stream) return Promise.resolve();
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise((resolve) => {
+      stream.end(resolve);
+    });
+  }
+
+  _write(entry) {
+    if (!this.stream) return;
+    this.stream.write(`${JSON.stringify({ t: this.clock.now(), ...entry })}\n`);
+  }
+}
+
+export default ReplayRecorder;
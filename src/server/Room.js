@@ -0,0 +1,72 @@
+import GameServer from './GameServer.js';
+import StateSync from './StateSync.js';
+import BotManager from './BotManager.js';
+
+/** Name of the room clients join when CONNECT names none; it always exists */
+export const DEFAULT_ROOM_NAME = 'default';
+
+/** Room names: 1-32 letters, digits, '-' or '_' */
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Whether a room name is acceptable
+ * @param {unknown} name
+ * @returns {boolean}
+ */
+export function isValidRoomName(name) {
+  return typeof name === 'string' && ROOM_NAME_PATTERN.test(name);
+}
+
+/**
+ * One game inside a Server: its own GameServer (board, players, scores, match), StateSync
+ * (so STATE_UPDATE seqs and deltas are per room) and bots. The Server routes connections to
+ * rooms and runs the simulation and broadcast loops over every room.
+ * @param {string} name - Room name
+ * @param {import('../game/Game.js').Game} game - Game (board) for this room
+ * @param {object} options - GameServer options plus stateSync, bots, boardName (shown in LIST_ROOMS) and joinCode
+ *   (makes the room private: only clients that send the code may join)
+ */
+export class Room {
+  constructor(name, game, options = {}) {
+    this.name = name;
+    this.boardName = options.boardName ?? null;
+    this.joinCode = options.joinCode ?? null;
+    this.gameServer = new GameServer(game, options);
+    this.stateSync = new StateSync(options.stateSync);
+    this.bots = new BotManager(this.gameServer, options.bots);
+    this.lastTickAt = null; // Time of this room's previous simulation step
+  }
+
+  /**
+   * Listing entry for LIST_ROOMS
+   * @returns {{ name: string, board: string|null, mode: string, private: boolean, players: number, bots: number, spectators: number, phase: string|null }}
+   *   (never the join code)
+   */
+  summary() {
+    const players = this.gameServer.getAllPlayers();
+    const bots = players.filter((p) => p.isBot).length;
+    return {
+      name: this.name,
+      board: this.boardName,
+      mode: this.gameServer.mode,
+      private: this.joinCode !== null,
+      players: players.length - bots,
+      bots,
+      spectators: this.gameServer.getSpectators().length,
+      phase: this.gameServer.match?.phase ?? null
+    };
+  }
+
+  /**
+   * Whether no human is in the room (connected or holding a reconnect slot) and nobody is watching
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return (
+      this.gameServer.getAllPlayers().every((p) => p.isBot) &&
+      this.gameServer.getSpectators().length === 0
+    );
+  }
+}
+
+export default Room;
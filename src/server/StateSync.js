@@ -0,0 +1,86 @@
+import { diffStates } from '../network/stateDelta.js';
+
+const DEFAULT_STATE_SYNC_CONFIG = {
+  keyframeInterval: 20,
+  historySize: 32
+};
+
+/**
+ * Server side of delta-compressed STATE_UPDATEs.
+ * Every broadcast state is recorded under an increasing seq. Each client gets a delta against
+ * the last seq it acknowledged, or a full keyframe when it has no usable base, asked for one,
+ * or has gone keyframeInterval updates without one.
+ * @param {{ keyframeInterval?: number, historySize?: number }} [config] - Updates between keyframes; number of recorded states kept as delta bases
+ */
+export class StateSync {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_STATE_SYNC_CONFIG, ...config };
+    this.seq = 0;
+    this.history = new Map(); // seq -> state
+  }
+
+  /**
+   * Record a state about to be broadcast
+   * @param {object} state - Serialized game state
+   * @returns {number} seq assigned to the state
+   */
+  record(state) {
+    this.seq += 1;
+    this.history.set(this.seq, state);
+    while (this.history.size > this.config.historySize) {
+      this.history.delete(this.history.keys().next().value);
+    }
+    return this.seq;
+  }
+
+  /**
+   * Fresh per-client sync state (store it on the connection)
+   * @returns {{ ackedSeq: number|null, updatesSinceKeyframe: number, keyframeRequested: boolean }}
+   */
+  createClientState() {
+    return { ackedSeq: null, updatesSinceKeyframe: 0, keyframeRequested: true };
+  }
+
+  /**
+   * Build the STATE_UPDATE payload for one client
+   * @param {object} client - Per-client state from createClientState()
+   * @param {number} seq - seq returned by record()
+   * @returns {object} Keyframe `{ ...state, seq, keyframe: true }` or delta `{ seq, baseSeq, delta }`
+   */
+  buildPayload(client, seq) {
+    const state = this.history.get(seq);
+    const base = client.ackedSeq != null ? this.history.get(client.ackedSeq) : undefined;
+    const keyframeDue = client.updatesSinceKeyframe + 1 >= this.config.keyframeInterval;
+
+    if (!base || client.keyframeRequested || keyframeDue) {
+      client.keyframeRequested = false;
+      client.updatesSinceKeyframe = 0;
+      return { ...state, seq, keyframe: true };
+    }
+
+    client.updatesSinceKeyframe += 1;
+    return { seq, baseSeq: client.ackedSeq, delta: diffStates(base, state) };
+  }
+
+  /**
+   * Record a client acknowledgement. Older or unknown seqs are ignored.
+   * @param {object} client - Per-client state
+   * @param {number} seq - Acknowledged seq
+   */
+  acknowledge(client, seq) {
+    if (typeof seq !== 'number' || !this.history.has(seq)) return;
+    if (client.ackedSeq == null || seq > client.ackedSeq) {
+      client.ackedSeq = seq;
+    }
+  }
+
+  /**
+   * Send the client a keyframe on its next update
+   * @param {object} client - Per-client state
+   */
+  requestKeyframe(client) {
+    client.keyframeRequested = true;
+  }
+}
+
+export default StateSync;
@@ -6,9 +6,66 @@ import { parseBoardPath } from './parseBoardArgv.js';
 import { loadBoardFromFiles } from '../board/boardLoader.js';
 import Board from '../game/Board.js';
 import Game from '../game/Game.js';
-import { dirname, join } from 'path';
+import ReplayRecorder, { defaultReplayPath } from './ReplayRecorder.js';
+import { getPackageBoardsDir } from '../cli/packagePaths.js';
+import { basename, dirname, join, resolve } from 'path';
 import { existsSync } from 'fs';
 
+/** Board names a CONNECT may ask for: a file name in a boards directory, without .json */
+const BOARD_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Load a board file (with dimensions.json next to it, if any) as a Game and its spawn list
+ * @param {string} path - Board file path
+ * @param {object} config - Server config (spawnPoints.maxCount)
+ * @returns {{ game: Game, spawnList: Array<{x: number, y: number}> }}
+ * @throws {Error} If the board cannot be loaded
+ */
+function loadGame(path, config) {
+  const dimensionsPath =
+    path && existsSync(join(dirname(path), 'dimensions.json'))
+      ? join(dirname(path), 'dimensions.json')
+      : undefined;
+
+  const boardData = loadBoardFromFiles(path, dimensionsPath);
+  const board = new Board(boardData);
+  const game = new Game(board);
+
+  const maxCount = config.spawnPoints?.maxCount ?? 25;
+  const rawSpawns = boardData.spawnPoints ?? [];
+  const spawnList =
+    rawSpawns.length > 0
+      ? rawSpawns.slice(0, maxCount)
+      : [
+          {
+            x: Math.floor(board.width / 2),
+            y: Math.floor(board.height / 2)
+          }
+        ];
+  return { game, spawnList };
+}
+
+/**
+ * Board loader for rooms created by CONNECT: looks for <name>.json next to the server's board,
+ * then in the package boards directory
+ * @param {string} defaultPath - The server's board file
+ * @param {object} config - Server config
+ * @returns {(boardName: string) => { game: Game, spawnList: Array<{x: number, y: number}> }}
+ */
+function createBoardLoader(defaultPath, config) {
+  return (boardName) => {
+    if (typeof boardName !== 'string' || !BOARD_NAME_PATTERN.test(boardName)) {
+      throw new Error('Board names are letters, digits, - or _');
+    }
+    const candidates = [join(dirname(defaultPath), `${boardName}.json`), join(getPackageBoardsDir(), `${boardName}.json`)];
+    const path = candidates.find((candidate) => existsSync(candidate));
+    if (!path) {
+      throw new Error(`Unknown board: ${boardName}`);
+    }
+    return loadGame(path, config);
+  };
+}
+
 // Configure logger for server mode (console + files)
 configureLogger('server');
 
@@ -30,34 +87,16 @@ async function startServer(port, boardPath, injectedConfig) {
   const path =
     boardPath ?? parseBoardPath(process.argv, config.board?.defaultPath);
 
-  const dimensionsPath =
-    path && existsSync(join(dirname(path), 'dimensions.json'))
-      ? join(dirname(path), 'dimensions.json')
-      : undefined;
-
-  let boardData;
+  let game;
+  let spawnList;
   try {
-    boardData = loadBoardFromFiles(path, dimensionsPath);
+    ({ game, spawnList } = loadGame(path, config));
   } catch (err) {
     logger.error(err.message);
     process.exit(1);
     return null;
   }
 
-  const board = new Board(boardData);
-  const game = new Game(board);
-
-  const maxCount = config.spawnPoints?.maxCount ?? 25;
-  const rawSpawns = boardData.spawnPoints ?? [];
-  const spawnList =
-    rawSpawns.length > 0
-      ? rawSpawns.slice(0, maxCount)
-      : [
-          {
-            x: Math.floor(board.width / 2),
-            y: Math.floor(board.height / 2)
-          }
-        ];
   const spawnConfig = {
     clearRadius: config.spawnPoints?.clearRadius ?? 3,
     waitMessage:
@@ -65,9 +104,51 @@ async function startServer(port, boardPath, injectedConfig) {
       'Thank you for waiting. A spawn point is being selected for you.'
   };
 
+  const tagConfig = {
+    tagBackCooldownMs: config.tag?.tagBackCooldownMs ?? 1000,
+    pointsPerSecond: config.tag?.pointsPerSecond ?? 1
+  };
+
+  const matchConfig =
+    config.match?.enabled !== true
+      ? undefined // One endless game unless matches are turned on
+      : {
+          warmupSeconds: config.match?.warmupSeconds ?? 10,
+          durationSeconds: config.match?.durationSeconds ?? 180,
+          endedSeconds: config.match?.endedSeconds ?? 3,
+          intermissionSeconds: config.match?.intermissionSeconds ?? 10
+        };
+
+  const recorder = config.replay?.enabled
+    ? new ReplayRecorder(defaultReplayPath(resolve(process.cwd(), config.replay.directory ?? 'replays')))
+    : null;
+
   const server = new Server(serverPort, game, {
     spawnList,
     spawnConfig,
+    mode: config.game?.mode ?? 'free',
+    tagConfig,
+    match: matchConfig,
+    bulletSpeed: config.simulation?.bulletSpeed ?? 4,
+    tickRateHz: config.simulation?.tickRateHz ?? 20,
+    seed: config.simulation?.seed ?? null,
+    broadcastRateHz: config.broadcast?.rateHz ?? 4,
+    reconnectGraceMs: (config.reconnect?.gracePeriodSeconds ?? 30) * 1000,
+    heartbeatIntervalMs: (config.heartbeat?.intervalSeconds ?? 10) * 1000,
+    maxMissedPongs: config.heartbeat?.maxMissedPongs ?? 2,
+    afkTimeoutMs: (config.afk?.timeoutSeconds ?? 300) * 1000,
+    recorder,
+    bots: { count: config.bots?.count ?? 0, difficulty: config.bots?.difficulty ?? 'normal' },
+    stateSync: { keyframeInterval: config.stateSync?.keyframeInterval ?? 20 },
+    boardName: basename(path, '.json'),
+    loadBoard: createBoardLoader(path, config),
+    maxRooms: config.rooms?.maxRooms ?? 8,
+    password: config.access?.password ?? null,
+    chat: {
+      maxLength: config.chat?.maxLength ?? 200,
+      maxMessages: config.chat?.maxMessages ?? 5,
+      windowMs: (config.chat?.windowSeconds ?? 10) * 1000
+    },
     keyRepeatIntervalMs: serverConfig.input?.keyRepeatIntervalMs ?? 100
   });
 
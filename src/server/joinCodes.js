@@ -0,0 +1,42 @@
+import { createHash, randomInt, timingSafeEqual } from 'crypto';
+
+/** Join code characters: no 0/O or 1/I/L, so codes survive being read out or typed from a screenshot */
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/** Characters in a generated join code */
+export const JOIN_CODE_LENGTH = 6;
+
+/**
+ * New join code for a private room. Uses crypto rather than the server's (possibly seeded)
+ * random source, so codes stay unguessable.
+ * @returns {string} e.g. 'K7MQ2X'
+ */
+export function generateJoinCode() {
+  let code = '';
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_ALPHABET[randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Join code as typed by a player, in the form codes are generated in (trimmed, upper case)
+ * @param {unknown} code
+ * @returns {string} '' when code is not a string
+ */
+export function normalizeJoinCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Compare a secret (server password or join code) with what a client sent, in constant time
+ * @param {string} expected - The secret
+ * @param {unknown} given - Value from the client
+ * @returns {boolean}
+ */
+export function secretsMatch(expected, given) {
+  if (typeof given !== 'string') return false;
+  // Hashing first gives equal-length buffers, as timingSafeEqual requires
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(expected), digest(given));
+}
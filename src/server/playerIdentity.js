@@ -0,0 +1,78 @@
+/** Longest player name the server accepts */
+export const PLAYER_NAME_MAX_LENGTH = 16;
+
+/** Letters, digits, spaces and a little punctuation */
+const PLAYER_NAME_PATTERN = /^[\p{L}\p{N} _.'-]+$/u;
+
+/**
+ * Colors handed to players who do not ask for one, in order. Red (the "it" color), green (the
+ * default local player color) and yellow (bullets) are left out so nobody looks like them.
+ */
+export const PLAYER_COLORS = Object.freeze([
+  '00BFFF', 'FF8C00', 'FF00FF', '00CED1', 'FF69B4', '9370DB', 'C0C0C0', '7FFFD4'
+]);
+
+/**
+ * Player name as requested in CONNECT, tidied up (trimmed, inner spaces collapsed)
+ * @param {unknown} name
+ * @returns {string|null} null when missing, too long or using other characters
+ */
+export function normalizePlayerName(name) {
+  if (typeof name !== 'string') return null;
+  const tidy = name.trim().replace(/\s+/g, ' ');
+  if (!tidy || tidy.length > PLAYER_NAME_MAX_LENGTH || !PLAYER_NAME_PATTERN.test(tidy)) return null;
+  return tidy;
+}
+
+/**
+ * The name, or the name with the lowest free number appended (" 2", " 3", ...) when someone in
+ * the room already has it (case-insensitive), shortened to fit PLAYER_NAME_MAX_LENGTH
+ * @param {string} name - Normalized name
+ * @param {string[]} takenNames - Names in use
+ * @returns {string}
+ */
+export function uniquePlayerName(name, takenNames) {
+  const taken = new Set(takenNames.map((other) => other.toLowerCase()));
+  if (!taken.has(name.toLowerCase())) return name;
+  for (let n = 2; ; n++) {
+    const suffix = ` ${n}`;
+    const candidate = name.slice(0, PLAYER_NAME_MAX_LENGTH - suffix.length).trimEnd() + suffix;
+    if (!taken.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+/**
+ * Color as requested in CONNECT
+ * @param {unknown} color - 'RRGGBB', with or without '#'
+ * @returns {string|null} Upper-case RRGGBB, or null when not a color
+ */
+export function normalizePlayerColor(color) {
+  if (typeof color !== 'string') return null;
+  const match = /^#?([0-9A-Fa-f]{6})$/.exec(color.trim());
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Glyph as requested in CONNECT: one visible character that takes one terminal column and is
+ * not the wall glyph
+ * @param {unknown} glyph
+ * @returns {string|null}
+ */
+export function normalizePlayerGlyph(glyph) {
+  if (typeof glyph !== 'string') return null;
+  const chars = [...glyph];
+  if (chars.length !== 1 || glyph === '#') return null;
+  // Wide (CJK, emoji) characters would shift the rest of the board row
+  if (!/^[\p{L}\p{N}\p{P}\p{S}]$/u.test(glyph) || glyph.codePointAt(0) >= 0x2e80) return null;
+  return glyph;
+}
+
+/**
+ * First PLAYER_COLORS entry nobody uses yet (cycling through them once all are taken)
+ * @param {string[]} usedColors - Colors of the players already in the room
+ * @returns {string}
+ */
+export function pickPlayerColor(usedColors) {
+  const used = new Set(usedColors);
+  return PLAYER_COLORS.find((color) => !used.has(color)) ?? PLAYER_COLORS[usedColors.length % PLAYER_COLORS.length];
+}
@@ -1,31 +1,192 @@
 import { WebSocketServer } from 'ws';
 import { randomUUID } from 'crypto';
 import ConnectionManager from './ConnectionManager.js';
-import GameServer from './GameServer.js';
+import Room, { DEFAULT_ROOM_NAME, isValidRoomName } from './Room.js';
+import { generateJoinCode, normalizeJoinCode, secretsMatch } from './joinCodes.js';
+import { normalizePlayerColor, normalizePlayerGlyph, normalizePlayerName, uniquePlayerName } from './playerIdentity.js';
 import Game from '../game/Game.js';
+import Board from '../game/Board.js';
 import MessageHandler from '../network/MessageHandler.js';
 import MessageTypes from '../network/MessageTypes.js';
+import { CLOSE_CODES } from '../network/closeCodes.js';
 import logger from '../utils/logger.js';
 import createClientLogger from '../utils/clientLogger.js';
+import { systemClock } from '../utils/clock.js';
+import { createRandom } from '../utils/random.js';
 
 /**
  * WebSocket Server class
  * @param {number} port - Port to listen on
  * @param {Game} [game] - Game instance
- * @param {{ spawnList?: Array<{x: number, y: number}>, spawnConfig?: object, keyRepeatIntervalMs?: number }} [options] - Spawn list and config for GameServer; keyRepeatIntervalMs sent to clients for key-repeat throttling
+ * @param {{ spawnList?: Array<{x: number, y: number}>, spawnConfig?: object, mode?: 'free'|'tag', tagConfig?: object, match?: object, bulletSpeed?: number, keyRepeatIntervalMs?: number, stateSync?: { keyframeInterval?: number, historySize?: number }, tickRateHz?: number, broadcastRateHz?: number, reconnectGraceMs?: number, heartbeatIntervalMs?: number, maxMissedPongs?: number, afkTimeoutMs?: number, clock?: { now: () => number }, random?: object, seed?: number|string, recorder?: import('./ReplayRecorder.js').ReplayRecorder, bots?: { count?: number, difficulty?: 'easy'|'normal'|'hard' }, boardName?: string, loadBoard?: (boardName: string) => { game: Game, spawnList: Array<{x: number, y: number}> }, maxRooms?: number, password?: string|null, chat?: { maxLength?: number, maxMessages?: number, windowMs?: number } }} [options] - Spawn list, config, game mode, tag config, match durations and bullet speed for GameServer; keyRepeatIntervalMs sent to clients for key-repeat throttling; stateSync tunes delta STATE_UPDATEs; tickRateHz is the simulation rate and broadcastRateHz the STATE_UPDATE rate; reconnectGraceMs is how long a disconnected player's slot is held for resume (0 removes players immediately); heartbeat pings go out every heartbeatIntervalMs and connections missing maxMissedPongs pongs are terminated; players without MOVE/FIRE for afkTimeoutMs are kicked (0 disables); clock and random (or seed) drive the simulation, so a seeded server with a ManualClock replays a match exactly from its input log; recorder (optional) writes inbound messages and broadcast states to a replay file; bots fill the match up to bots.count players (see BotManager); boardName names the board in LIST_ROOMS, loadBoard loads another board for a room created by CONNECT (throws for unknown names; without it new rooms copy the default board) maxRooms caps the number of rooms (default room included); password (optional) must be sent as the CONNECT code to join (a private room's join code also lets a client in); chat caps CHAT text at maxLength characters and each client at maxMessages per windowMs
  */
 export class Server {
   constructor(port, game, options = {}) {
     this.port = port;
     this.wss = null;
-    this.connectionManager = new ConnectionManager();
-    this.gameServer = new GameServer(
-      game != null ? game : new Game(),
-      options
-    );
+    this.clock = options.clock ?? systemClock;
+    this.random = options.random ?? createRandom(options.seed);
+    this.connectionManager = new ConnectionManager(this.clock);
     this.broadcastInterval = null;
-    this.broadcastIntervalMs = 250; // 250ms = 4 updates per second
+    this.broadcastIntervalMs = 1000 / (options.broadcastRateHz > 0 ? options.broadcastRateHz : 4); // 4 updates per second
+    // Velocities are reported for one broadcast after a move, then drop to 0 (stable deltas)
+    this.roomOptions = { ...options, clock: this.clock, random: this.random, velocityHoldMs: this.broadcastIntervalMs };
+    this.loadBoard = options.loadBoard ?? null;
+    this.maxRooms = options.maxRooms ?? 8;
+    this.password = options.password || null;
+    this.rooms = new Map(); // room name -> Room
+    this.defaultRoom = this.createRoom(DEFAULT_ROOM_NAME, game != null ? game : new Game());
+    this.simulationInterval = null;
+    this.simulationIntervalMs = 1000 / (options.tickRateHz > 0 ? options.tickRateHz : 20); // 20 ticks per second
     this.keyRepeatIntervalMs = options.keyRepeatIntervalMs ?? 100;
+    this.reconnectGraceMs = options.reconnectGraceMs ?? 30000;
+    this.sessions = new Map(); // playerId -> { resumeToken, disconnectedAt, roomName }
+    this.heartbeatInterval = null;
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs ?? 10000;
+    this.maxMissedPongs = options.maxMissedPongs ?? 2;
+    this.afkTimeoutMs = options.afkTimeoutMs ?? 300000;
+    this.recorder = options.recorder ?? null;
+    this.chatMaxLength = options.chat?.maxLength ?? 200;
+    this.chatMaxMessages = options.chat?.maxMessages ?? 5;
+    this.chatWindowMs = options.chat?.windowMs ?? 10000;
+    this.broadcastTimings = { count: 0, totalMs: 0, maxMs: 0 };
+  }
+
+  /** GameServer of the default room */
+  get gameServer() {
+    return this.defaultRoom.gameServer;
+  }
+
+  /** StateSync of the default room */
+  get stateSync() {
+    return this.defaultRoom.stateSync;
+  }
+
+  /** Bots of the default room */
+  get bots() {
+    return this.defaultRoom.bots;
+  }
+
+  /**
+   * Create a room and add it to the server
+   * @param {string} name - Room name
+   * @param {Game} game - Game (board) for the room
+   * @param {{ boardName?: string, spawnList?: Array<{x: number, y: number}> }} [overrides] - Replace the server's board name and spawn list
+   * @returns {Room}
+   */
+  createRoom(name, game, overrides = {}) {
+    const room = new Room(name, game, { ...this.roomOptions, ...overrides });
+    this.rooms.set(name, room);
+    if (name !== DEFAULT_ROOM_NAME) {
+      logger.info('Room created', { room: name, board: room.boardName });
+    }
+    return room;
+  }
+
+  /**
+   * Remove a room nobody is playing in or watching (the default room always stays)
+   * @param {Room} room
+   */
+  closeRoomIfEmpty(room) {
+    if (room === this.defaultRoom || !room.isEmpty() || this.rooms.get(room.name) !== room) return;
+    this.rooms.delete(room.name);
+    logger.info('Room closed', { room: room.name });
+  }
+
+  /**
+   * Room a client joined (the default room until it joins one)
+   * @param {string} clientId - Client identifier
+   * @returns {Room}
+   */
+  roomFor(clientId) {
+    return this.rooms.get(this.connectionManager.getRoom(clientId)) ?? this.defaultRoom;
+  }
+
+  /**
+   * Private room whose join code matches what a client sent
+   * @param {unknown} code - Code from CONNECT
+   * @returns {Room|null}
+   */
+  findRoomByJoinCode(code) {
+    const normalized = normalizeJoinCode(code);
+    if (!normalized) return null;
+    return [...this.rooms.values()].find((room) => room.joinCode !== null && secretsMatch(room.joinCode, normalized)) ?? null;
+  }
+
+  /**
+   * Find the room CONNECT asks for, creating it if needed, and check the client may join it.
+   * A private room's join code (code) leads straight to that room; otherwise code must be the
+   * server password, if one is set, and private rooms cannot be joined by name. Without a board
+   * a new room plays a copy of the default room's board; with one it is loaded with loadBoard.
+   * private: true makes a new room private (named private-xxxx when no room is given).
+   * @param {{ room?: string, board?: string, code?: string, private?: boolean }} [payload] - CONNECT payload
+   * @returns {{ room: Room } | { error: string, unauthorized?: boolean }}
+   */
+  resolveRoom(payload) {
+    const byCode = this.findRoomByJoinCode(payload?.code);
+    if (byCode) return { room: byCode };
+    if (this.password !== null && !secretsMatch(this.password, payload?.code)) {
+      const error = payload?.code ? 'Wrong password or join code' : 'This server needs a password (--code)';
+      return { error, unauthorized: true };
+    }
+
+    const makePrivate = payload?.private === true;
+    const name = payload?.room ?? (makePrivate ? `private-${randomUUID().substring(0, 4)}` : DEFAULT_ROOM_NAME);
+    if (!isValidRoomName(name)) {
+      return { error: 'Room names are 1-32 letters, digits, - or _' };
+    }
+    const existing = this.rooms.get(name);
+    if (existing?.joinCode) {
+      return { error: `Room ${name} is private: join it with its code (--code)`, unauthorized: true };
+    }
+    if (existing) return { room: existing };
+    if (this.rooms.size >= this.maxRooms) {
+      return { error: `The server already has ${this.maxRooms} rooms` };
+    }
+
+    const joinCode = makePrivate ? this.createJoinCode() : null;
+    const boardName = payload?.board;
+    if (boardName === undefined || boardName === null) {
+      const game = new Game(new Board(this.gameServer.serializeBoard()));
+      return {
+        room: this.createRoom(name, game, {
+          boardName: this.defaultRoom.boardName,
+          spawnList: this.gameServer.spawnList,
+          joinCode
+        })
+      };
+    }
+    if (!this.loadBoard) {
+      return { error: 'This server cannot load other boards' };
+    }
+    try {
+      const { game, spawnList } = this.loadBoard(boardName);
+      return { room: this.createRoom(name, game, { boardName, spawnList, joinCode }) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Join code no open room uses yet
+   * @returns {string}
+   */
+  createJoinCode() {
+    let code = generateJoinCode();
+    while (this.findRoomByJoinCode(code)) {
+      code = generateJoinCode();
+    }
+    return code;
+  }
+
+  /**
+   * Room fields for CONNECT responses: the room name, plus its join code when private
+   * (so players can pass it on)
+   * @param {Room} room
+   * @returns {{ room: string, joinCode?: string }}
+   */
+  roomInfo(room) {
+    return room.joinCode !== null ? { room: room.name, joinCode: room.joinCode } : { room: room.name };
   }
 
   log(clientId) {
@@ -36,19 +197,19 @@ export class Server {
     return {
       info: (message, ...args) => {
         connectionLog.info(message, ...args);
-        clientLog.info(message, ...args);
+        clientLog?.info(message, ...args);
       },
       error: (message, ...args) => {
         connectionLog.error(message, ...args);
-        clientLog.error(message, ...args);
+        clientLog?.error(message, ...args);
       },
       warn: (message, ...args) => {
         connectionLog.warn(message, ...args);
-        clientLog.warn(message, ...args);
+        clientLog?.warn(message, ...args);
       },
       debug: (message, ...args) => {
         connectionLog.debug(message, ...args);
-        clientLog.debug(message, ...args);
+        clientLog?.debug(message, ...args);
       }
     }
   }
@@ -67,7 +228,10 @@ export class Server {
 
         this.wss.on('listening', () => {
           logger.info(`WebSocket server listening on port ${this.port}`);
+          this.startRecording();
+          this.startSimulation();
           this.startBroadcasting();
+          this.startHeartbeat();
           resolve();
         });
 
@@ -83,12 +247,14 @@ export class Server {
   }
 
   /**
-   * Stop the server and close all connections
+   * Stop the server, close all connections and finish the replay file
    */
   async stop() {
-    return new Promise((resolve) => {
-      // Stop broadcasting
+    await new Promise((resolve) => {
+      // Stop simulating and broadcasting
+      this.stopSimulation();
       this.stopBroadcasting();
+      this.stopHeartbeat();
 
       if (!this.wss) {
         resolve();
@@ -106,6 +272,241 @@ export class Server {
         resolve();
       });
     });
+    await this.recorder?.close();
+  }
+
+  /**
+   * Open the replay file (if recording) and record the starting board
+   */
+  startRecording() {
+    if (!this.recorder || this.recorder.isRecording()) return;
+    this.recorder.open({ seed: this.random.seed, mode: this.gameServer.mode });
+    this.recorder.recordBoard(this.gameServer.serializeBoard());
+    logger.info(`Recording replay to ${this.recorder.filePath}`);
+  }
+
+  /**
+   * Start the heartbeat: ping every connection, reap dead ones and kick idle players
+   */
+  startHeartbeat() {
+    if (this.heartbeatInterval || this.heartbeatIntervalMs <= 0) {
+      return;
+    }
+
+    this.heartbeatInterval = setInterval(() => {
+      this.checkHeartbeats();
+      this.kickIdlePlayers();
+    }, this.heartbeatIntervalMs);
+
+    logger.debug('Started heartbeat');
+  }
+
+  /**
+   * Stop the heartbeat
+   */
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+      logger.debug('Stopped heartbeat');
+    }
+  }
+
+  /**
+   * Terminate connections that missed maxMissedPongs pongs in a row (half-open sockets),
+   * then ping the rest. A pong resets the count (see onConnection).
+   */
+  checkHeartbeats() {
+    this.connectionManager.getAllConnections().forEach(connection => {
+      if (!connection.ws) return;
+      if (connection.missedPongs >= this.maxMissedPongs) {
+        this.log(connection.clientId).warn('Connection unresponsive, terminating', {
+          missedPongs: connection.missedPongs
+        });
+        connection.ws.terminate();
+        return;
+      }
+      connection.missedPongs += 1;
+      try {
+        connection.ws.ping();
+      } catch (error) {
+        this.log(connection.clientId).error('Error sending ping', error);
+      }
+    });
+  }
+
+  /**
+   * Kick players who have not sent MOVE/FIRE for afkTimeoutMs (time spent off the board does not count).
+   * Their slot is not held for resume.
+   * @param {number} [now] - Current time in ms (default clock.now())
+   */
+  kickIdlePlayers(now = this.clock.now()) {
+    if (this.afkTimeoutMs <= 0) return;
+    this.connectionManager.getAllConnections().forEach(connection => {
+      const playerId = this.connectionManager.getPlayerId(connection.clientId);
+      if (!playerId) return;
+      const player = this.roomFor(connection.clientId).gameServer.getPlayer(playerId);
+      if (player && (player.x === null || player.y === null)) {
+        // Waiting for a spawn or respawn cannot count as idle
+        connection.lastInputAt = now;
+        return;
+      }
+      if (now - connection.lastInputAt < this.afkTimeoutMs) return;
+      const minutes = Math.round(this.afkTimeoutMs / 60000);
+      const reason = minutes >= 1 ? `Idle for more than ${minutes} min` : 'Idle for too long';
+      this.kickClient(connection.clientId, reason);
+    });
+  }
+
+  /**
+   * Turn a client away before it joins (e.g. a bad room name, the room limit or a wrong password):
+   * tell it why and close its connection (no reconnect)
+   * @param {string} clientId - Client identifier
+   * @param {string} reason - Reason shown to the player
+   * @param {number} [closeCode] - CLOSE_CODES.REJECTED (default) or CLOSE_CODES.UNAUTHORIZED
+   */
+  rejectClient(clientId, reason, closeCode = CLOSE_CODES.REJECTED) {
+    const connection = this.connectionManager.getConnection(clientId);
+    if (!connection) return;
+    this.log(clientId).info('Rejecting client', { reason });
+    try {
+      connection.ws.send(JSON.stringify(MessageHandler.createMessage(MessageTypes.KICK, { reason, rejected: true })));
+      connection.ws.close(closeCode, reason);
+    } catch (error) {
+      this.log(clientId).error('Error rejecting client', error);
+    }
+  }
+
+  /**
+   * Remove a client's player, tell it why and close its connection (no reconnect)
+   * @param {string} clientId - Client identifier
+   * @param {string} reason - Reason shown to the player
+   */
+  kickClient(clientId, reason) {
+    const connection = this.connectionManager.getConnection(clientId);
+    if (!connection) return;
+    const playerId = this.connectionManager.getPlayerId(clientId);
+    if (playerId) {
+      // No slot is held for a kicked player
+      this.sessions.delete(playerId);
+    }
+    this.log(clientId).info('Kicking client', { playerId, reason });
+    try {
+      connection.ws.send(JSON.stringify(MessageHandler.createMessage(MessageTypes.KICK, { reason })));
+      connection.ws.close(CLOSE_CODES.KICKED, reason);
+    } catch (error) {
+      this.log(clientId).error('Error kicking client', error);
+    }
+  }
+
+  /**
+   * Start the fixed-rate simulation loop (runs whether or not clients are connected)
+   */
+  startSimulation() {
+    if (this.simulationInterval) {
+      return; // Already simulating
+    }
+
+    const now = this.clock.now();
+    this.rooms.forEach((room) => {
+      room.lastTickAt = now;
+    });
+    this.simulationInterval = setInterval(() => {
+      this.tick();
+    }, this.simulationIntervalMs);
+
+    logger.debug('Started simulation loop');
+  }
+
+  /**
+   * Stop the simulation loop
+   */
+  stopSimulation() {
+    if (this.simulationInterval) {
+      clearInterval(this.simulationInterval);
+      this.simulationInterval = null;
+      logger.debug('Stopped simulation loop');
+    }
+  }
+
+  /**
+   * Step every room (see tickRoom) after removing players whose reconnect grace has run out
+   * @param {number} [now] - Current time in ms (default clock.now())
+   */
+  tick(now = this.clock.now()) {
+    this.expireDisconnectedPlayers(now);
+    this.rooms.forEach((room) => this.tickRoom(room, now));
+  }
+
+  /**
+   * Let a room's bots act, advance its simulation by the time elapsed since its previous tick and
+   * send the one-off messages it produces (BULLET_CREATE for bot shots, BULLET_DESTROY, PLAYER_KILL,
+   * PLAYER_RESPAWN, MATCH_END, CONNECT for players placed back on the board)
+   * @param {Room} room
+   * @param {number} now - Current time in ms
+   */
+  tickRoom(room, now) {
+    const dtMs = room.lastTickAt === null ? this.simulationIntervalMs : Math.max(0, now - room.lastTickAt);
+    room.lastTickAt = now;
+
+    if (room.bots.update(now)) {
+      // A bot moved off a spawn or left
+      this.spawnWaitingPlayers(room);
+    }
+    for (const bullet of room.bots.takeFiredBullets()) {
+      this.broadcastBulletCreate(room, bullet);
+    }
+
+    const { match, bullets, respawned } = room.gameServer.tick(dtMs, now);
+    for (const bulletId of bullets.destroyedBullets) {
+      this.broadcastToRoom(room, MessageHandler.createMessage(MessageTypes.BULLET_DESTROY, { bulletId }));
+    }
+    for (const kill of bullets.playerKills) {
+      this.broadcastKill(room, kill);
+    }
+    for (const playerId of respawned) {
+      const { x, y } = room.gameServer.getPlayer(playerId);
+      this.broadcastToRoom(room, MessageHandler.createMessage(MessageTypes.PLAYER_RESPAWN, { playerId, x, y }));
+    }
+    if (match.ended) {
+      this.broadcastToRoom(
+        room,
+        MessageHandler.createMessage(MessageTypes.MATCH_END, match.ended)
+      );
+    }
+    this.sendSpawnedStates([...match.spawned, ...respawned]);
+  }
+
+  /**
+   * Tell a room who shot whom and when the victim comes back (clients show it in their kill feed)
+   * @param {Room} room
+   * @param {{ killerId: string, victimId: string }} kill - From GameServer.updateBullets
+   */
+  broadcastKill(room, kill) {
+    const nameOf = (playerId) => room.gameServer.getPlayer(playerId)?.playerName ?? null;
+    this.broadcastToRoom(
+      room,
+      MessageHandler.createMessage(MessageTypes.PLAYER_KILL, {
+        killerId: kill.killerId,
+        killerName: nameOf(kill.killerId),
+        victimId: kill.victimId,
+        victimName: nameOf(kill.victimId),
+        respawnInMs: room.gameServer.getRespawnInMs(kill.victimId)
+      })
+    );
+  }
+
+  /**
+   * Tell a room about a new bullet without waiting for the next state broadcast
+   * @param {Room} room
+   * @param {object} bullet - From GameServer.fireBullet
+   */
+  broadcastBulletCreate(room, bullet) {
+    const { bulletId, playerId, x, y, dx, dy } = bullet;
+    this.broadcastToRoom(
+      room,
+      MessageHandler.createMessage(MessageTypes.BULLET_CREATE, { bulletId, playerId, x, y, dx, dy })
+    );
   }
 
   /**
@@ -135,7 +536,7 @@ export class Server {
   }
 
   /**
-   * Broadcast game state to all connected clients
+   * Broadcast each room's game state to the clients in it (simulation runs separately, see tick())
    */
   broadcastState() {
     const connections = this.connectionManager.getAllConnections();
@@ -143,23 +544,109 @@ export class Server {
       return; // No clients connected
     }
 
-    this.gameServer.updateBullets();
+    const startedAt = performance.now();
+    this.rooms.forEach((room) => {
+      const members = this.getRoomConnections(room);
+      if (members.length === 0) return;
+      const state = room.gameServer.serializeState();
+      const seq = room.stateSync.record(state);
+      if (room === this.defaultRoom) {
+        // Replays cover the default room only
+        this.recorder?.recordState(seq, state);
+      }
+      this.sendStateUpdates(room, members, seq);
+    });
 
-    const respawned = this.gameServer.processRespawns();
-    for (const playerId of respawned) {
-      const conn = this.connectionManager.getConnectionByPlayerId(playerId);
-      if (conn) {
-        this.sendSpawnedStateToClient(conn.clientId);
+    const durationMs = performance.now() - startedAt;
+    this.broadcastTimings.count += 1;
+    this.broadcastTimings.totalMs += durationMs;
+    this.broadcastTimings.maxMs = Math.max(this.broadcastTimings.maxMs, durationMs);
+  }
+
+  /**
+   * Process and load figures for SERVER_STATS (e.g. for `ascii-tag loadtest`)
+   * @returns {{ uptimeMs: number, cpuUserMicros: number, cpuSystemMicros: number, rssBytes: number, heapUsedBytes: number, connections: number, rooms: number, players: number, broadcasts: number, broadcastAvgMs: number, broadcastMaxMs: number }}
+   *   CPU time is cumulative for the process (compare two samples against uptimeMs for a percentage); players counts every room;
+   *   broadcast timings cover serializing and sending every room's STATE_UPDATEs since the server started
+   */
+  getServerStats() {
+    const cpu = process.cpuUsage();
+    const memory = process.memoryUsage();
+    const { count, totalMs, maxMs } = this.broadcastTimings;
+    return {
+      uptimeMs: Math.round(process.uptime() * 1000),
+      cpuUserMicros: cpu.user,
+      cpuSystemMicros: cpu.system,
+      rssBytes: memory.rss,
+      heapUsedBytes: memory.heapUsed,
+      connections: this.connectionManager.getAllConnections().length,
+      rooms: this.rooms.size,
+      players: [...this.rooms.values()].reduce((sum, room) => sum + room.gameServer.getAllPlayers().length, 0),
+      broadcasts: count,
+      broadcastAvgMs: count === 0 ? 0 : totalMs / count,
+      broadcastMaxMs: maxMs
+    };
+  }
+
+  /**
+   * Send each client in a room the room's recorded state as a delta against its last acknowledged
+   * state, or as a full keyframe when needed (see StateSync)
+   * @param {Room} room
+   * @param {Array} connections - Connections in the room
+   * @param {number} seq - seq of the recorded state
+   */
+  sendStateUpdates(room, connections, seq) {
+    connections.forEach(connection => {
+      if (!connection.ws || connection.ws.readyState !== 1) return; // OPEN
+      if (!connection.stateSync) {
+        connection.stateSync = room.stateSync.createClientState();
       }
-    }
+      const stateUpdate = MessageHandler.createMessage(
+        MessageTypes.STATE_UPDATE,
+        room.stateSync.buildPayload(connection.stateSync, seq)
+      );
+      try {
+        connection.ws.send(JSON.stringify(stateUpdate));
+      } catch (error) {
+        const log = this.log(connection.clientId);
+        log.error('Error sending state update to client', error);
+      }
+    });
+  }
 
-    const gameState = this.gameServer.serializeState();
-    const stateUpdate = MessageHandler.createMessage(
-      MessageTypes.STATE_UPDATE,
-      gameState
-    );
+  /**
+   * Connections of the clients in a room (clients that have not joined one count as the default room's)
+   * @param {Room} room
+   * @returns {Array}
+   */
+  getRoomConnections(room) {
+    return this.connectionManager.getConnectionsInRoom(room.name, DEFAULT_ROOM_NAME);
+  }
 
-    const messageStr = JSON.stringify(stateUpdate);
+  /**
+   * Send a message to every connected client
+   * @param {object} message - Message object (from MessageHandler.createMessage)
+   */
+  broadcastMessage(message) {
+    this.sendToConnections(this.connectionManager.getAllConnections(), message);
+  }
+
+  /**
+   * Send a message to every client in a room
+   * @param {Room} room
+   * @param {object} message - Message object (from MessageHandler.createMessage)
+   */
+  broadcastToRoom(room, message) {
+    this.sendToConnections(this.getRoomConnections(room), message);
+  }
+
+  /**
+   * Send a message to each open connection
+   * @param {Array} connections - Connection objects
+   * @param {object} message - Message object (from MessageHandler.createMessage)
+   */
+  sendToConnections(connections, message) {
+    const messageStr = JSON.stringify(message);
 
     connections.forEach(connection => {
       if (connection.ws && connection.ws.readyState === 1) { // OPEN
@@ -173,6 +660,29 @@ export class Server {
     });
   }
 
+  /**
+   * Switch a room to a new board and tell the clients in it (BOARD_UPDATE carries the board;
+   * STATE_UPDATE never does).
+   * @param {Board} board - New board
+   * @param {Array<{x: number, y: number}>} [spawnList] - Spawns for the new board
+   * @param {string} [roomName] - Room to change (default: the default room)
+   */
+  changeBoard(board, spawnList, roomName = DEFAULT_ROOM_NAME) {
+    const room = this.rooms.get(roomName);
+    if (!room) return;
+    const spawned = room.gameServer.setBoard(board, spawnList);
+    if (room === this.defaultRoom) {
+      this.recorder?.recordBoard(room.gameServer.serializeBoard());
+    }
+    this.broadcastToRoom(
+      room,
+      MessageHandler.createMessage(MessageTypes.BOARD_UPDATE, {
+        board: room.gameServer.serializeBoard()
+      })
+    );
+    this.sendSpawnedStates(spawned);
+  }
+
   /**
    * Handle new WebSocket connection
    * @param {WebSocket} ws - WebSocket connection
@@ -190,6 +700,13 @@ export class Server {
     // Don't send initial CONNECT message - wait for client to send CONNECT first
     // The client will send CONNECT, and we'll respond with full game state
 
+    ws.on('pong', () => {
+      const connection = this.connectionManager.getConnection(clientId);
+      if (connection) {
+        connection.missedPongs = 0;
+      }
+    });
+
     // Set up message handler
     ws.on('message', (data) => {
       this.handleMessage(clientId, data);
@@ -221,19 +738,34 @@ export class Server {
     try {
       const message = MessageHandler.parseMessage(data.toString());
       log.debug('Message received', { type: message.type });
+      this.recorder?.recordInbound(clientId, message);
 
       // Update last activity
       if (connection) {
-        connection.lastActivity = Date.now();
+        connection.lastActivity = this.clock.now();
       }
 
       // Route message to appropriate handler
       if (message.type === MessageTypes.CONNECT) {
         this.handleConnect(clientId, message);
       } else if (message.type === MessageTypes.MOVE) {
+        if (connection) connection.lastInputAt = this.clock.now();
         this.handleMove(clientId, message);
       } else if (message.type === MessageTypes.FIRE) {
+        if (connection) connection.lastInputAt = this.clock.now();
         this.handleFire(clientId, message);
+      } else if (message.type === MessageTypes.STATE_ACK) {
+        this.handleStateAck(clientId, message);
+      } else if (message.type === MessageTypes.KEYFRAME_REQUEST) {
+        this.handleKeyframeRequest(clientId);
+      } else if (message.type === MessageTypes.PING) {
+        this.handlePing(clientId, message);
+      } else if (message.type === MessageTypes.SERVER_STATS) {
+        this.handleServerStats(clientId, message);
+      } else if (message.type === MessageTypes.LIST_ROOMS) {
+        this.handleListRooms(clientId, message);
+      } else if (message.type === MessageTypes.CHAT) {
+        this.handleChat(clientId, message);
       } else {
         log.warn('Unknown message type', { type: message.type });
       }
@@ -243,52 +775,220 @@ export class Server {
   }
 
   /**
-   * Handle CONNECT message
+   * Handle CONNECT message: resume a session, or join the room it names ({ room, board }, creating
+   * the room if needed) as a player or spectator. { name, color, glyph } ask for how the player shows
+   * up to others; invalid values fall back to the defaults and taken names are numbered.
    * @param {string} clientId - Client identifier
    * @param {object} message - CONNECT message
    */
   handleConnect(clientId, message) {
-    const playerId = randomUUID();
-    const playerName = `Player ${playerId.substring(0, 8)}`;
+    const payload = message.payload ?? {};
+    if (this.connectionManager.getConnection(clientId)?.spectatorId) return; // Already spectating
+
+    if (payload.spectator !== true && payload.resumeToken && this.resumeSession(clientId, payload.resumeToken)) {
+      return;
+    }
+
+    const resolved = this.resolveRoom(payload);
+    if (resolved.error) {
+      this.rejectClient(clientId, resolved.error, resolved.unauthorized ? CLOSE_CODES.UNAUTHORIZED : CLOSE_CODES.REJECTED);
+      return;
+    }
+    const { room } = resolved;
+    this.connectionManager.setRoom(clientId, room.name);
 
-    this.gameServer.addPlayer(clientId, playerId, playerName);
-    const result = this.gameServer.spawnPlayer(playerId, playerName);
+    if (payload.spectator === true) {
+      this.handleSpectatorConnect(clientId, payload.name);
+      return;
+    }
+
+    // A bot steps aside (if any are filling the match) before the new player looks for a spawn
+    room.bots.rebalance(1);
+
+    const playerId = this.random.uuid();
+    const playerName = this.chooseName(room, payload.name, `Player ${playerId.substring(0, 8)}`);
+
+    room.gameServer.addPlayer(clientId, playerId, playerName, {
+      color: normalizePlayerColor(payload.color),
+      glyph: normalizePlayerGlyph(payload.glyph)
+    });
+    const result = room.gameServer.spawnPlayer(playerId, playerName);
 
     this.connectionManager.setPlayerId(clientId, playerId);
+    // Not from this.random: resume tokens must stay unguessable on seeded servers too
+    this.sessions.set(playerId, { resumeToken: randomUUID(), disconnectedAt: null, roomName: room.name });
 
     const connection = this.connectionManager.getConnection(clientId);
     if (!connection || !connection.ws) return;
 
     if (result.spawned) {
-      const gameState = this.gameServer.serializeState();
+      const gameState = room.gameServer.serializeStateWithBoard();
       const response = MessageHandler.createMessage(MessageTypes.CONNECT, {
         clientId,
         playerId,
         playerName,
+        ...this.roomInfo(room),
         gameState,
+        resumeToken: this.getResumeToken(playerId),
         keyRepeatIntervalMs: this.keyRepeatIntervalMs
       });
       connection.ws.send(JSON.stringify(response));
-      this.log(clientId).info('Player joined', { playerId, playerName });
+      this.log(clientId).info('Player joined', { playerId, playerName, room: room.name });
     } else {
-      const waitMessage = this.gameServer.getSpawnWaitMessage();
+      const waitMessage = room.gameServer.getSpawnWaitMessage();
       const response = MessageHandler.createMessage(MessageTypes.CONNECT, {
         clientId,
         playerId,
         playerName,
+        ...this.roomInfo(room),
         gameState: null,
         waitingForSpawn: true,
         message: waitMessage,
+        resumeToken: this.getResumeToken(playerId),
         keyRepeatIntervalMs: this.keyRepeatIntervalMs
       });
       connection.ws.send(JSON.stringify(response));
       this.log(clientId).info('Player waiting for spawn', {
         playerId,
-        playerName
+        playerName,
+        room: room.name
       });
     }
   }
 
+  /**
+   * Join a client as a spectator of its room: it gets the board and STATE_UPDATEs but no player,
+   * so it takes no spawn point and never blocks one
+   * @param {string} clientId - Client identifier
+   * @param {unknown} [requestedName] - Name from CONNECT (see chooseName)
+   */
+  handleSpectatorConnect(clientId, requestedName) {
+    const connection = this.connectionManager.getConnection(clientId);
+    if (!connection || !connection.ws) return;
+    if (connection.spectatorId) return; // Already spectating
+
+    const room = this.roomFor(clientId);
+    const spectatorId = this.random.uuid();
+    const name = this.chooseName(room, requestedName, `Spectator ${spectatorId.substring(0, 8)}`);
+    room.gameServer.addSpectator(clientId, spectatorId, name);
+    connection.spectatorId = spectatorId;
+
+    const response = MessageHandler.createMessage(MessageTypes.CONNECT, {
+      clientId,
+      spectator: true,
+      spectatorId,
+      playerName: name,
+      ...this.roomInfo(room),
+      gameState: room.gameServer.serializeStateWithBoard(),
+      keyRepeatIntervalMs: this.keyRepeatIntervalMs
+    });
+    connection.ws.send(JSON.stringify(response));
+    this.log(clientId).info('Spectator joined', { spectatorId, name, room: room.name });
+  }
+
+  /**
+   * Name for a client joining a room: the name it asked for (see normalizePlayerName), numbered
+   * when a player or spectator in the room already has it, or the fallback
+   * @param {Room} room
+   * @param {unknown} requestedName - Name from CONNECT
+   * @param {string} fallback - Name for clients that asked for none (or an invalid one)
+   * @returns {string}
+   */
+  chooseName(room, requestedName, fallback) {
+    const name = normalizePlayerName(requestedName);
+    if (!name) {
+      if (requestedName != null) logger.warn('Requested player name refused', { name: String(requestedName) });
+      return fallback;
+    }
+    const taken = [
+      ...room.gameServer.getAllPlayers().map((player) => player.playerName),
+      ...room.gameServer.getSpectators().map((spectator) => spectator.name)
+    ];
+    return uniquePlayerName(name, taken);
+  }
+
+  /**
+   * Resume token issued to a player in CONNECT responses
+   * @param {string} playerId - Player identifier
+   * @returns {string|null}
+   */
+  getResumeToken(playerId) {
+    return this.sessions.get(playerId)?.resumeToken ?? null;
+  }
+
+  /**
+   * Reattach a client to the player slot identified by a resume token and send it CONNECT
+   * (resumed: true) with the player's current state, in the room the player was in. A
+   * connection still attached to that player (e.g. a half-open socket) is dropped.
+   * @param {string} clientId - New client identifier
+   * @param {string} resumeToken - Token from an earlier CONNECT response
+   * @returns {boolean} false if the token is unknown or the slot has expired (join as a new player)
+   */
+  resumeSession(clientId, resumeToken) {
+    const entry = [...this.sessions.entries()].find(([, session]) => session.resumeToken === resumeToken);
+    if (!entry) return false;
+    const [playerId, session] = entry;
+    const room = this.rooms.get(session.roomName);
+    const player = room?.gameServer.getPlayer(playerId);
+    if (!player) {
+      this.sessions.delete(playerId);
+      return false;
+    }
+
+    const previous = this.connectionManager.getConnectionByPlayerId(playerId);
+    if (previous && previous.clientId !== clientId) {
+      this.connectionManager.removeConnection(previous.clientId);
+      previous.ws?.close();
+    }
+
+    session.disconnectedAt = null;
+    room.gameServer.setPlayerDisconnected(playerId, false, clientId);
+    this.connectionManager.setPlayerId(clientId, playerId);
+    this.connectionManager.setRoom(clientId, room.name);
+
+    const connection = this.connectionManager.getConnection(clientId);
+    if (!connection || !connection.ws) return true;
+
+    const spawned = player.x !== null && player.y !== null;
+    const response = MessageHandler.createMessage(MessageTypes.CONNECT, {
+      clientId,
+      playerId,
+      playerName: player.playerName,
+      ...this.roomInfo(room),
+      gameState: spawned ? room.gameServer.serializeStateWithBoard() : null,
+      ...(spawned ? {} : { waitingForSpawn: true, message: room.gameServer.getSpawnWaitMessage() }),
+      resumeToken,
+      resumed: true,
+      keyRepeatIntervalMs: this.keyRepeatIntervalMs
+    });
+    connection.ws.send(JSON.stringify(response));
+    this.log(clientId).info('Player resumed session', { playerId, playerName: player.playerName });
+    return true;
+  }
+
+  /**
+   * Remove players whose reconnection grace period has run out
+   * @param {number} [now] - Current time in ms (default clock.now())
+   */
+  expireDisconnectedPlayers(now = this.clock.now()) {
+    const affectedRooms = new Set();
+    for (const [playerId, session] of this.sessions) {
+      if (session.disconnectedAt === null || now - session.disconnectedAt < this.reconnectGraceMs) {
+        continue;
+      }
+      this.sessions.delete(playerId);
+      const room = this.rooms.get(session.roomName);
+      if (!room) continue;
+      room.gameServer.removePlayer(playerId);
+      logger.info('Reconnection grace period expired, player removed', { playerId, room: room.name });
+      affectedRooms.add(room);
+    }
+    affectedRooms.forEach((room) => {
+      this.spawnWaitingPlayers(room);
+      this.closeRoomIfEmpty(room);
+    });
+  }
+
   /**
    * Send CONNECT payload with gameState to a client (e.g. after deferred spawn)
    * @param {string} clientId - Client identifier
@@ -298,15 +998,18 @@ export class Server {
     if (!connection || !connection.ws) return;
     const playerId = this.connectionManager.getPlayerId(clientId);
     if (!playerId) return;
-    const player = this.gameServer.getPlayer(playerId);
+    const room = this.roomFor(clientId);
+    const player = room.gameServer.getPlayer(playerId);
     if (!player || player.x === null || player.y === null) return;
 
-    const gameState = this.gameServer.serializeState();
+    const gameState = room.gameServer.serializeStateWithBoard();
     const response = MessageHandler.createMessage(MessageTypes.CONNECT, {
       clientId,
       playerId,
       playerName: player.playerName,
+      ...this.roomInfo(room),
       gameState,
+      resumeToken: this.getResumeToken(playerId),
       keyRepeatIntervalMs: this.keyRepeatIntervalMs
     });
     connection.ws.send(JSON.stringify(response));
@@ -316,10 +1019,23 @@ export class Server {
     });
   }
 
+  /**
+   * Send CONNECT with gameState to the clients of players that were just placed on the board
+   * @param {string[]} playerIds - Player identifiers
+   */
+  sendSpawnedStates(playerIds) {
+    for (const playerId of playerIds) {
+      const conn = this.connectionManager.getConnectionByPlayerId(playerId);
+      if (conn) {
+        this.sendSpawnedStateToClient(conn.clientId);
+      }
+    }
+  }
+
   /**
    * Handle MOVE message
    * @param {string} clientId - Client identifier
-   * @param {object} message - MOVE message
+   * @param {object} message - MOVE message ({ dx, dy, seq })
    */
   handleMove(clientId, message) {
     const log = this.log(clientId);
@@ -330,7 +1046,11 @@ export class Server {
       return;
     }
 
-    const { dx, dy } = message.payload;
+    const { dx, dy, seq } = message.payload;
+    const room = this.roomFor(clientId);
+
+    // Acknowledge the input even if the move is rejected, so the client stops replaying it
+    room.gameServer.acknowledgeInput(playerId, seq);
 
     // Validate dx, dy are numbers and in range
     if (typeof dx !== 'number' || typeof dy !== 'number') {
@@ -344,16 +1064,10 @@ export class Server {
     }
 
     // Attempt move
-    const moved = this.gameServer.movePlayer(playerId, dx, dy);
+    const moved = room.gameServer.movePlayer(playerId, dx, dy);
     if (moved) {
       // A spawn may have been freed; try to spawn any waiting players
-      const spawnedIds = this.gameServer.trySpawnWaitingPlayers();
-      for (const pid of spawnedIds) {
-        const conn = this.connectionManager.getConnectionByPlayerId(pid);
-        if (conn) {
-          this.sendSpawnedStateToClient(conn.clientId);
-        }
-      }
+      this.spawnWaitingPlayers(room);
     }
     // State will be broadcast in next periodic update
   }
@@ -384,14 +1098,173 @@ export class Server {
       return;
     }
 
-    const result = this.gameServer.fireBullet(playerId, dx, dy);
+    const room = this.roomFor(clientId);
+    const result = room.gameServer.fireBullet(playerId, dx, dy);
     if (result.success) {
       log.debug('Bullet fired', { bulletId: result.bullet.bulletId, dx, dy });
+      this.broadcastBulletCreate(room, result.bullet);
     } else {
       log.debug('Bullet fire failed', { error: result.error });
     }
   }
 
+  /**
+   * Handle STATE_ACK: the client has applied the STATE_UPDATE with this seq
+   * @param {string} clientId - Client identifier
+   * @param {object} message - STATE_ACK message ({ seq })
+   */
+  handleStateAck(clientId, message) {
+    const connection = this.connectionManager.getConnection(clientId);
+    if (!connection?.stateSync) return;
+    this.roomFor(clientId).stateSync.acknowledge(connection.stateSync, message.payload?.seq);
+  }
+
+  /**
+   * Handle PING: answer with PONG echoing sentAt, and keep the client's reported RTT (also as its
+   * player's ping on the scoreboard)
+   * @param {string} clientId - Client identifier
+   * @param {object} message - PING message ({ sentAt, rttMs })
+   */
+  handlePing(clientId, message) {
+    const connection = this.connectionManager.getConnection(clientId);
+    if (!connection || !connection.ws) return;
+    if (typeof message.payload?.rttMs === 'number') {
+      connection.rttMs = message.payload.rttMs;
+      const playerId = this.connectionManager.getPlayerId(clientId);
+      if (playerId) this.roomFor(clientId).gameServer.setPlayerPing(playerId, connection.rttMs);
+    }
+    const pong = MessageHandler.createMessage(MessageTypes.PONG, { sentAt: message.payload?.sentAt ?? null });
+    connection.ws.send(JSON.stringify(pong));
+  }
+
+  /**
+   * Whether a client may ask for server-wide figures (SERVER_STATS, LIST_ROOMS). Without a server
+   * password anyone may; with one, only clients that joined a room or send the password as the
+   * request's code. Anyone else is turned away like a CONNECT without the password.
+   * @param {string} clientId - Client identifier
+   * @param {{ code?: string }} [payload] - Request payload
+   * @returns {boolean}
+   */
+  authorizeQuery(clientId, payload) {
+    if (this.password === null || this.connectionManager.getRoom(clientId)) return true;
+    if (secretsMatch(this.password, payload?.code)) return true;
+    const reason = payload?.code ? 'Wrong password' : 'This server needs a password (--code)';
+    this.rejectClient(clientId, reason, CLOSE_CODES.UNAUTHORIZED);
+    return false;
+  }
+
+  /**
+   * Handle SERVER_STATS: answer with the server's process and broadcast figures (see getServerStats).
+   * Needs the server password as code when one is set (see authorizeQuery).
+   * @param {string} clientId - Client identifier
+   * @param {object} [message] - SERVER_STATS message ({ code })
+   */
+  handleServerStats(clientId, message) {
+    const connection = this.connectionManager.getConnection(clientId);
+    if (!connection || !connection.ws) return;
+    if (!this.authorizeQuery(clientId, message?.payload)) return;
+    const response = MessageHandler.createMessage(MessageTypes.SERVER_STATS, this.getServerStats());
+    connection.ws.send(JSON.stringify(response));
+  }
+
+  /**
+   * Handle LIST_ROOMS: answer with every room's name, board, mode and head counts (works before CONNECT,
+   * with the server password as code when one is set; see authorizeQuery)
+   * @param {string} clientId - Client identifier
+   * @param {object} [message] - LIST_ROOMS message ({ code })
+   */
+  handleListRooms(clientId, message) {
+    const connection = this.connectionManager.getConnection(clientId);
+    if (!connection || !connection.ws) return;
+    if (!this.authorizeQuery(clientId, message?.payload)) return;
+    const response = MessageHandler.createMessage(MessageTypes.LIST_ROOMS, {
+      rooms: [...this.rooms.values()].map((room) => room.summary()),
+      maxRooms: this.maxRooms
+    });
+    connection.ws.send(JSON.stringify(response));
+  }
+
+  /**
+   * Handle CHAT: pass the text on to everyone in the sender's room (players and spectators) as
+   * { playerId, playerName, text }, after stripping control characters. Text over chatMaxLength and
+   * messages beyond chatMaxMessages per chatWindowMs are refused with a { system: true, text } CHAT
+   * to the sender only.
+   * @param {string} clientId - Client identifier
+   * @param {object} message - CHAT message ({ text })
+   */
+  handleChat(clientId, message) {
+    const connection = this.connectionManager.getConnection(clientId);
+    const log = this.log(clientId);
+    const sender = connection ? this.chatSender(connection) : null;
+    if (!sender) {
+      log.warn('Cannot chat: client has not joined a room');
+      return;
+    }
+
+    const raw = message.payload?.text;
+    if (typeof raw !== 'string') {
+      log.warn('Invalid chat: text is not a string');
+      return;
+    }
+    const text = raw.replace(/[\x00-\x1f\x7f-\x9f]/g, ' ').trim();
+    if (!text) return;
+    if (text.length > this.chatMaxLength) {
+      this.sendChatNotice(connection, `Message too long (max ${this.chatMaxLength} characters)`);
+      return;
+    }
+
+    const now = this.clock.now();
+    connection.chatSentAt = (connection.chatSentAt ?? []).filter((sentAt) => now - sentAt < this.chatWindowMs);
+    if (connection.chatSentAt.length >= this.chatMaxMessages) {
+      const seconds = Math.round(this.chatWindowMs / 1000);
+      this.sendChatNotice(connection, `Slow down: at most ${this.chatMaxMessages} messages every ${seconds}s`);
+      return;
+    }
+    connection.chatSentAt.push(now);
+
+    log.info('Chat', { playerName: sender.playerName, text });
+    this.broadcastToRoom(
+      this.roomFor(clientId),
+      MessageHandler.createMessage(MessageTypes.CHAT, { ...sender, text })
+    );
+  }
+
+  /**
+   * Who a connection chats as: its player, or its spectator (flagged spectator: true)
+   * @param {object} connection - Connection object
+   * @returns {{ playerId: string, playerName: string, spectator?: boolean }|null} null before CONNECT
+   */
+  chatSender(connection) {
+    const { gameServer } = this.roomFor(connection.clientId);
+    if (connection.spectatorId) {
+      const spectator = gameServer.spectators.get(connection.spectatorId);
+      return spectator ? { playerId: spectator.spectatorId, playerName: spectator.name, spectator: true } : null;
+    }
+    const playerId = this.connectionManager.getPlayerId(connection.clientId);
+    const player = playerId ? gameServer.getPlayer(playerId) : null;
+    return player ? { playerId: player.playerId, playerName: player.playerName } : null;
+  }
+
+  /**
+   * Send a server notice to one client's chat log
+   * @param {object} connection - Connection object
+   * @param {string} text - Notice text
+   */
+  sendChatNotice(connection, text) {
+    this.sendToConnections([connection], MessageHandler.createMessage(MessageTypes.CHAT, { system: true, text }));
+  }
+
+  /**
+   * Handle KEYFRAME_REQUEST: the client could not apply a delta, send it full state next
+   * @param {string} clientId - Client identifier
+   */
+  handleKeyframeRequest(clientId) {
+    const connection = this.connectionManager.getConnection(clientId);
+    if (!connection?.stateSync) return;
+    this.log(clientId).debug('Keyframe requested');
+    this.roomFor(clientId).stateSync.requestKeyframe(connection.stateSync);
+  }
+
   /**
    * Handle client disconnection
    * @param {string} clientId - Client identifier
@@ -400,20 +1273,39 @@ export class Server {
     const log = this.log(clientId);
     log.info('Client disconnected');
 
+    const room = this.roomFor(clientId);
+    const spectatorId = this.connectionManager.getConnection(clientId)?.spectatorId;
+    if (spectatorId) {
+      room.gameServer.removeSpectator(spectatorId);
+    }
+
     const playerId = this.connectionManager.getPlayerId(clientId);
+    const session = playerId ? this.sessions.get(playerId) : undefined;
+    if (session && this.reconnectGraceMs > 0) {
+      // Keep the player's slot (score, name, position) so the client can resume
+      session.disconnectedAt = this.clock.now();
+      room.gameServer.setPlayerDisconnected(playerId, true);
+      this.connectionManager.removeConnection(clientId);
+      log.info('Holding player slot for reconnection', { playerId, graceMs: this.reconnectGraceMs });
+      return;
+    }
+
     if (playerId) {
-      this.gameServer.removePlayer(playerId);
+      room.gameServer.removePlayer(playerId);
+      this.sessions.delete(playerId);
     }
     this.connectionManager.removeConnection(clientId);
 
-    // Try to spawn any players waiting for a spawn
-    const spawnedIds = this.gameServer.trySpawnWaitingPlayers();
-    for (const pid of spawnedIds) {
-      const conn = this.connectionManager.getConnectionByPlayerId(pid);
-      if (conn) {
-        this.sendSpawnedStateToClient(conn.clientId);
-      }
-    }
+    this.spawnWaitingPlayers(room);
+    this.closeRoomIfEmpty(room);
+  }
+
+  /**
+   * Try to spawn any players waiting for a spawn in a room and send them their state
+   * @param {Room} [room] - Room (default: the default room)
+   */
+  spawnWaitingPlayers(room = this.defaultRoom) {
+    this.sendSpawnedStates(room.gameServer.trySpawnWaitingPlayers());
   }
 }
 
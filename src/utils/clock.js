@@ -0,0 +1,47 @@
+/**
+ * Clocks for the server simulation. Anything that reads the time takes a clock
+ * ({ now(): number }, ms) so tests and replays can control it.
+ */
+
+/** Wall clock (Date.now()) */
+export const systemClock = Object.freeze({
+  now: () => Date.now()
+});
+
+/**
+ * Clock that only moves when told to (tests, replays)
+ * @param {number} [startMs] - Initial time in ms (default 0)
+ */
+export class ManualClock {
+  constructor(startMs = 0) {
+    this.currentMs = startMs;
+  }
+
+  /**
+   * Current time in ms
+   * @returns {number}
+   */
+  now() {
+    return this.currentMs;
+  }
+
+  /**
+   * Move the clock forward
+   * @param {number} ms - Milliseconds to advance
+   * @returns {number} New time
+   */
+  advance(ms) {
+    this.currentMs += ms;
+    return this.currentMs;
+  }
+
+  /**
+   * Jump to a time
+   * @param {number} ms - New time in ms
+   */
+  set(ms) {
+    this.currentMs = ms;
+  }
+}
+
+export default systemClock;
@@ -0,0 +1,72 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Random sources for the server simulation: { next(): number in [0, 1), int(max), uuid() }.
+ * Seeded sources (mulberry32) give the same sequence every run, so a match can be replayed from
+ * its seed and input log. Without a seed, Math.random() and crypto UUIDs are used.
+ */
+
+/**
+ * mulberry32 PRNG
+ * @param {number} seed - 32-bit seed
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hash a string seed to 32 bits (FNV-1a) so seeds can be given as text
+ * @param {string} text
+ * @returns {number}
+ */
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a random source
+ * @param {number|string|null} [seed] - Seed for a reproducible sequence; null/undefined for a non-deterministic source
+ * @returns {{ seed: number|null, next: () => number, int: (max: number) => number, uuid: () => string }}
+ */
+export function createRandom(seed) {
+  if (seed === null || seed === undefined) {
+    return {
+      seed: null,
+      next: () => Math.random(),
+      int: (max) => Math.floor(Math.random() * max),
+      uuid: () => randomUUID()
+    };
+  }
+
+  const numericSeed = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+  const next = mulberry32(numericSeed);
+  const hex = (digits) => {
+    let out = '';
+    for (let i = 0; i < digits; i++) {
+      out += Math.floor(next() * 16).toString(16);
+    }
+    return out;
+  };
+  return {
+    seed: numericSeed,
+    next,
+    int: (max) => Math.floor(next() * max),
+    // Same shape as a v4 UUID
+    uuid: () => `${hex(8)}-${hex(4)}-4${hex(3)}-${'89ab'[Math.floor(next() * 4)]}${hex(3)}-${hex(12)}`
+  };
+}
+
+export default createRandom;
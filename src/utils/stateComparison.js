@@ -12,7 +12,9 @@ import logger from './logger.js';
  *       joined: Array<{ playerId: string, pos: {x, y}, playerName: string }>,
  *       left: Array<{ playerId: string, pos: {x, y} }>
  *     },
- *     scoreChanged: boolean
+ *     scoreChanged: boolean,
+ *     itChanged: boolean (tag mode: itPlayerId differs),
+ *     matchChanged: boolean (match phase or displayed whole seconds differ)
  *   }
  * 
  * @example
@@ -35,7 +37,9 @@ export function compareStates(previousState, currentState) {
       created: [],
       destroyed: []
     },
-    scoreChanged: false
+    scoreChanged: false,
+    itChanged: false,
+    matchChanged: false
   };
 
   // Handle null/undefined states
@@ -183,6 +187,14 @@ export function compareStates(previousState, currentState) {
   const prevScore = previousState.score ?? 0;
   const currScore = currentState.score ?? 0;
   changes.scoreChanged = prevScore !== currScore;
+  changes.itChanged = (previousState.itPlayerId ?? null) !== (currentState.itPlayerId ?? null);
+
+  // Compare match clock at whole-second resolution (what the status bar shows)
+  const prevMatch = previousState.match ?? null;
+  const currMatch = currentState.match ?? null;
+  changes.matchChanged =
+    (prevMatch?.phase ?? null) !== (currMatch?.phase ?? null) ||
+    Math.ceil((prevMatch?.remainingMs ?? 0) / 1000) !== Math.ceil((currMatch?.remainingMs ?? 0) / 1000);
 
   return changes;
 }
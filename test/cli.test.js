@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, existsSync, mkdtempSync, mkdirSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
 import { fileURLToPath, pathToFileURL } from 'url';
 import { dirname, join } from 'path';
 import { spawnSync } from 'child_process';
@@ -106,9 +107,88 @@ describe('CLI subcommand parsing (Phase 2)', () => {
     expect(parseArgs(['node', 'cli.js', 'init']).subcommand).toBe('init');
   });
 
+  it('"client --spectate" -> subcommand client, spectate true', async () => {
+    const { parseArgs } = await import(pathToFileURL(join(repoRoot, 'src', 'cli.js')).href);
+    expect(parseArgs(['node', 'cli.js', 'client', '--spectate']).spectate).toBe(true);
+    expect(parseArgs(['node', 'cli.js', '--spectate'])).toMatchObject({ subcommand: 'client', spectate: true });
+    expect(parseArgs(['node', 'cli.js', 'client']).spectate).toBe(false);
+  });
+
+  it('"replay foo.ndjson" -> subcommand replay, replayPath foo.ndjson', async () => {
+    const { parseArgs } = await import(pathToFileURL(join(repoRoot, 'src', 'cli.js')).href);
+    const r = parseArgs(['node', 'cli.js', 'replay', 'foo.ndjson']);
+    expect(r.subcommand).toBe('replay');
+    expect(r.replayPath).toBe('foo.ndjson');
+  });
+
+  it('"replay" without a file exits 1 with usage', () => {
+    const { status, stderr } = runCli(['replay']);
+    expect(status).toBe(1);
+    expect(stderr).toMatch(/Usage: ascii-tag replay <file>/);
+  });
+
+  it('"bot chaser.js" -> subcommand bot, scriptPath chaser.js', async () => {
+    const { parseArgs } = await import(pathToFileURL(join(repoRoot, 'src', 'cli.js')).href);
+    expect(parseArgs(['node', 'cli.js', 'bot', 'chaser.js'])).toMatchObject({ subcommand: 'bot', scriptPath: 'chaser.js' });
+  });
+
+  it('"bot" without a script exits 1 with usage', () => {
+    const { status, stderr } = runCli(['bot']);
+    expect(status).toBe(1);
+    expect(stderr).toMatch(/Usage: ascii-tag bot <script.js>/);
+  });
+
+  it('"client --room arena --board classic" and "bot x.js --room arena" carry the room', async () => {
+    const { parseArgs } = await import(pathToFileURL(join(repoRoot, 'src', 'cli.js')).href);
+    expect(parseArgs(['node', 'cli.js', 'client', '--room', 'arena', '--board', 'classic']))
+      .toMatchObject({ subcommand: 'client', room: 'arena', roomBoard: 'classic', boardPath: undefined });
+    expect(parseArgs(['node', 'cli.js', 'bot', 'x.js', '--room', 'arena'])).toMatchObject({ subcommand: 'bot', room: 'arena' });
+    expect(parseArgs(['node', 'cli.js', 'rooms']).subcommand).toBe('rooms');
+  });
+
+  it('"client --code ABC123 --private" -> join code and private flag', async () => {
+    const { parseArgs } = await import(pathToFileURL(join(repoRoot, 'src', 'cli.js')).href);
+    expect(parseArgs(['node', 'cli.js', 'client', '--code', 'ABC123'])).toMatchObject({ code: 'ABC123', private: false });
+    expect(parseArgs(['node', 'cli.js', '--private']).private).toBe(true);
+    expect(parseArgs(['node', 'cli.js', 'bot', 'x.js', '--code', 'secret']).code).toBe('secret');
+  });
+
+  it('"client --name Ann" -> requested player name', async () => {
+    const { parseArgs } = await import(pathToFileURL(join(repoRoot, 'src', 'cli.js')).href);
+    expect(parseArgs(['node', 'cli.js', '--name', 'Ann']).name).toBe('Ann');
+    expect(parseArgs(['node', 'cli.js', 'client']).name).toBeUndefined();
+  });
+
+  it('"loadtest --clients 50 --duration 10" -> subcommand loadtest with options and defaults', async () => {
+    const { parseArgs } = await import(pathToFileURL(join(repoRoot, 'src', 'cli.js')).href);
+    expect(parseArgs(['node', 'cli.js', 'loadtest', '--clients', '50', '--duration', '10', '--out', 'r.json']))
+      .toMatchObject({ subcommand: 'loadtest', clients: 50, durationSeconds: 10, outPath: 'r.json' });
+    expect(parseArgs(['node', 'cli.js', 'loadtest'])).toMatchObject({ clients: 10, durationSeconds: 30, outPath: undefined });
+  });
+
+  it('"loadtest --clients many" exits 1 with usage', () => {
+    const { status, stderr } = runCli(['loadtest', '--clients', 'many']);
+    expect(status).toBe(1);
+    expect(stderr).toMatch(/Usage: ascii-tag loadtest/);
+  });
+
   it('unknown subcommand exits 1 with stderr message', () => {
     const { status, stderr } = runCli(['unknown']);
     expect(status).toBe(1);
     expect(stderr).toMatch(/unknown|Unknown|error|Error/i);
   });
 });
+
+describe('CLI client keymap check', () => {
+  it('refuses to start with conflicting key bindings', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'ascii-tag-keymap-'));
+    mkdirSync(join(tmpDir, '.ascii-tag'));
+    writeFileSync(
+      join(tmpDir, '.ascii-tag', 'client.json'),
+      JSON.stringify({ websocket: { url: 'ws://localhost:1' }, logging: { level: 'info' }, keymap: { bindings: { help: ['h'] } } })
+    );
+    const r = spawnSync(nodePath, [cliPath, 'client'], { cwd: tmpDir, encoding: 'utf-8', timeout: 5000 });
+    expect(r.status).toBe(1);
+    expect(r.stderr).toContain('Invalid keymap in .ascii-tag/client.json: Keymap conflict: "h" is bound to both fireLeft and help');
+  });
+});
@@ -8,7 +8,7 @@ import {
 } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
-import { ensureClientConfig, ensureServerConfig } from '../../src/cli/ensureConfig.js';
+import { ensureClientConfig, ensureServerConfig, clientConfigPath } from '../../src/cli/ensureConfig.js';
 
 describe('ensureConfig (Phase 3.2)', () => {
   let tmpDir;
@@ -36,6 +36,10 @@ describe('ensureConfig (Phase 3.2)', () => {
     expect(stderrChunks.join('')).toContain('.ascii-tag/client.json');
   });
 
+  it('clientConfigPath points at .ascii-tag/client.json in cwd', () => {
+    expect(clientConfigPath(tmpDir)).toBe(join(tmpDir, '.ascii-tag', 'client.json'));
+  });
+
   it('when client config exists, returns parsed content without writing', () => {
     const dir = join(tmpDir, '.ascii-tag');
     mkdirSync(dir, { recursive: true });
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mkdtempSync, writeFileSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  SETTINGS_FIELDS,
+  readSetting,
+  parseSettingValue,
+  applySetting,
+  saveSetting
+} from '../../src/config/clientSettings.js';
+
+const field = (section, key) => SETTINGS_FIELDS.find((f) => f.section === section && f.key === key);
+
+describe('clientSettings', () => {
+  it('covers the rendering, prediction and statusBar options', () => {
+    expect(new Set(SETTINGS_FIELDS.map((f) => f.section))).toEqual(new Set(['rendering', 'prediction', 'statusBar']));
+  });
+
+  it('reads values with defaults for missing keys', () => {
+    expect(readSetting({ rendering: { playerGlyph: '@' } }, field('rendering', 'playerGlyph'))).toBe('@');
+    expect(readSetting({}, field('prediction', 'enabled'))).toBe(true);
+  });
+
+  it('parses typed values by type', () => {
+    expect(parseSettingValue(field('rendering', 'playerGlyph'), '☻')).toEqual({ value: '☻' });
+    expect(parseSettingValue(field('rendering', 'spaceGlyph'), ' ')).toEqual({ value: ' ' });
+    expect(parseSettingValue(field('rendering', 'playerGlyph'), 'ab').error).toMatch(/one character/);
+    expect(parseSettingValue(field('rendering', 'playerColor'), '#ff8800')).toEqual({ value: 'FF8800' });
+    expect(parseSettingValue(field('rendering', 'playerColor'), 'orange').error).toMatch(/hex color/);
+    expect(parseSettingValue(field('prediction', 'enabled'), 'off')).toEqual({ value: false });
+    expect(parseSettingValue(field('rendering', 'resizeDebounceMs'), '300')).toEqual({ value: 300 });
+    expect(parseSettingValue(field('rendering', 'resizeDebounceMs'), '0').error).toMatch(/1 to 5000/);
+    expect(parseSettingValue(field('statusBar', 'widthThreshold'), '2.5').error).toBeDefined();
+  });
+
+  it('applies in place, creating the section', () => {
+    const rendering = { playerGlyph: '@' };
+    const config = { rendering };
+    applySetting(config, field('rendering', 'playerColor'), 'FF0000');
+    applySetting(config, field('statusBar', 'widthThreshold'), 30);
+    expect(rendering).toEqual({ playerGlyph: '@', playerColor: 'FF0000' });
+    expect(config.statusBar).toEqual({ widthThreshold: 30 });
+  });
+
+  describe('saveSetting', () => {
+    let path;
+
+    beforeEach(() => {
+      path = join(mkdtempSync(join(tmpdir(), 'ascii-tag-settings-')), 'client.json');
+    });
+
+    it('changes only that key and keeps unknown keys', () => {
+      writeFileSync(path, JSON.stringify({
+        websocket: { url: 'ws://example.com:3000' },
+        rendering: { playerGlyph: '@', customThing: 1 },
+        myPlugin: { on: true }
+      }));
+      saveSetting(path, field('rendering', 'playerGlyph'), '&');
+      saveSetting(path, field('prediction', 'enabled'), false);
+      expect(JSON.parse(readFileSync(path, 'utf-8'))).toEqual({
+        websocket: { url: 'ws://example.com:3000' },
+        rendering: { playerGlyph: '&', customThing: 1 },
+        myPlugin: { on: true },
+        prediction: { enabled: false }
+      });
+    });
+
+    it('does not overwrite a file it cannot parse', () => {
+      writeFileSync(path, '{ broken');
+      expect(() => saveSetting(path, field('prediction', 'enabled'), false)).toThrow(/Could not read/);
+      expect(readFileSync(path, 'utf-8')).toBe('{ broken');
+    });
+  });
+});
@@ -0,0 +1,283 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createBoardView,
+  validateBounds,
+  validateWall,
+  validateEntityCollision,
+  validatePlayerCollision,
+  canMoveTo,
+  stepBullet,
+  isSpawnAvailable
+} from '../../src/game/rules.js';
+import Board from '../../src/game/Board.js';
+
+describe('rules', () => {
+  const makeBoard = (width, height, walls = []) => {
+    const grid = [];
+    for (let y = 0; y < height; y++) {
+      grid[y] = [];
+      for (let x = 0; x < width; x++) {
+        grid[y][x] = walls.some(([wx, wy]) => wx === x && wy === y)
+          ? '#'
+          : ' ';
+      }
+    }
+    return {
+      width,
+      height,
+      getCell(x, y) {
+        return grid[y][x];
+      }
+    };
+  };
+
+  describe('isSpawnAvailable', () => {
+    it('returns true when no players and no walls in circle', () => {
+      const board = makeBoard(10, 10);
+      const players = [];
+      expect(isSpawnAvailable({ x: 5, y: 5 }, board, players, 3)).toBe(true);
+    });
+
+    it('returns false when spawn cell itself is a wall', () => {
+      const board = makeBoard(10, 10, [[5, 5]]);
+      const players = [];
+      expect(isSpawnAvailable({ x: 5, y: 5 }, board, players, 3)).toBe(false);
+    });
+
+    it('returns true when a wall is in the radius but not on the spawn cell', () => {
+      const board = makeBoard(10, 10, [[6, 5]]);
+      const players = [];
+      expect(isSpawnAvailable({ x: 5, y: 5 }, board, players, 3)).toBe(true);
+    });
+
+    it('returns false when another player is within Manhattan R', () => {
+      const board = makeBoard(10, 10);
+      const players = [{ playerId: 'p1', x: 5, y: 5 }];
+      expect(isSpawnAvailable({ x: 6, y: 5 }, board, players, 3)).toBe(false);
+    });
+
+    it('spawn at edge: returns true when full disk is in bounds and clear (e.g. (1,1) R=1)', () => {
+      const board = makeBoard(5, 5);
+      const players = [];
+      expect(isSpawnAvailable({ x: 1, y: 1 }, board, players, 1)).toBe(true);
+    });
+
+    it('spawn at edge: returns false when circle extends out of bounds', () => {
+      const board = makeBoard(5, 5);
+      const players = [];
+      expect(isSpawnAvailable({ x: 0, y: 0 }, board, players, 3)).toBe(false);
+    });
+
+    it('radius 0: only the spawn cell itself must be clear', () => {
+      const board = makeBoard(5, 5);
+      const players = [];
+      expect(isSpawnAvailable({ x: 2, y: 2 }, board, players, 0)).toBe(true);
+    });
+
+    it('radius 0: returns false if spawn cell has wall', () => {
+      const board = makeBoard(5, 5, [[2, 2]]);
+      const players = [];
+      expect(isSpawnAvailable({ x: 2, y: 2 }, board, players, 0)).toBe(false);
+    });
+
+    it('ignores waiting players (x/y null) for occupancy', () => {
+      const board = makeBoard(10, 10);
+      const players = [{ playerId: 'p1', x: null, y: null }];
+      expect(isSpawnAvailable({ x: 5, y: 5 }, board, players, 3)).toBe(true);
+    });
+  });
+
+  describe('createBoardView', () => {
+    it('reads cells from a serialized board and returns null outside it', () => {
+      const view = createBoardView({ width: 2, height: 1, grid: [['.', '#']] });
+      expect(view.width).toBe(2);
+      expect(view.getCell(1, 0)).toBe('#');
+      expect(view.getCell(2, 0)).toBeNull();
+      expect(view.getCell(0, -1)).toBeNull();
+    });
+  });
+
+  describe('validateBounds', () => {
+    it('should return true for valid bounds within board', () => {
+      const board = { width: 20, height: 20 };
+      expect(validateBounds(10, 10, board)).toBe(true);
+    });
+
+    it('should return false for negative x', () => {
+      const board = { width: 20, height: 20 };
+      expect(validateBounds(-1, 10, board)).toBe(false);
+    });
+
+    it('should return false for negative y', () => {
+      const board = { width: 20, height: 20 };
+      expect(validateBounds(10, -1, board)).toBe(false);
+    });
+
+    it('should return false for x too large', () => {
+      const board = { width: 20, height: 20 };
+      expect(validateBounds(20, 10, board)).toBe(false);
+    });
+
+    it('should return false for y too large', () => {
+      const board = { width: 20, height: 20 };
+      expect(validateBounds(10, 20, board)).toBe(false);
+    });
+
+    it('should return true for edge case (0, 0)', () => {
+      const board = { width: 20, height: 20 };
+      expect(validateBounds(0, 0, board)).toBe(true);
+    });
+
+    it('should return true for edge case (width-1, height-1)', () => {
+      const board = { width: 20, height: 20 };
+      expect(validateBounds(19, 19, board)).toBe(true);
+    });
+
+    it('should return false for null board', () => {
+      expect(validateBounds(10, 10, null)).toBe(false);
+    });
+  });
+
+  describe('validateWall', () => {
+    it('should return true for non-wall cell', () => {
+      const board = {
+        getCell: () => '.'
+      };
+      expect(validateWall(10, 10, board)).toBe(true);
+    });
+
+    it('should return false for wall cell', () => {
+      const board = {
+        getCell: () => '#'
+      };
+      expect(validateWall(10, 10, board)).toBe(false);
+    });
+
+    it('should return false for null cell (out of bounds)', () => {
+      const board = {
+        getCell: () => null
+      };
+      expect(validateWall(10, 10, board)).toBe(false);
+    });
+
+    it('should return false for null board', () => {
+      expect(validateWall(10, 10, null)).toBe(false);
+    });
+
+    it('should return false for board without getCell', () => {
+      const board = {};
+      expect(validateWall(10, 10, board)).toBe(false);
+    });
+  });
+
+  describe('validateEntityCollision', () => {
+    it('should return true when no entities', () => {
+      expect(validateEntityCollision(10, 10, [])).toBe(true);
+    });
+
+    it('should return true when entities is null', () => {
+      expect(validateEntityCollision(10, 10, null)).toBe(true);
+    });
+
+    it('should return true for non-solid entity at position', () => {
+      const entities = [
+        { entityId: 'e1', x: 10, y: 10, solid: false }
+      ];
+      expect(validateEntityCollision(10, 10, entities)).toBe(true);
+    });
+
+    it('should return false for solid entity at position', () => {
+      const entities = [
+        { entityId: 'e1', x: 10, y: 10, solid: true }
+      ];
+      expect(validateEntityCollision(10, 10, entities)).toBe(false);
+    });
+
+    it('should return true for entity at different position', () => {
+      const entities = [
+        { entityId: 'e1', x: 5, y: 5, solid: true }
+      ];
+      expect(validateEntityCollision(10, 10, entities)).toBe(true);
+    });
+  });
+
+  describe('validatePlayerCollision', () => {
+    it('should return true when no players', () => {
+      expect(validatePlayerCollision(10, 10, [], 'player1')).toBe(true);
+    });
+
+    it('should return true when players is null', () => {
+      expect(validatePlayerCollision(10, 10, null, 'player1')).toBe(true);
+    });
+
+    it('should return false for other player at position', () => {
+      const players = [
+        { playerId: 'player1', x: 10, y: 10 },
+        { playerId: 'player2', x: 10, y: 10 }
+      ];
+      expect(validatePlayerCollision(10, 10, players, 'player1')).toBe(false);
+    });
+
+    it('should return true for local player at position (excluded)', () => {
+      const players = [
+        { playerId: 'player1', x: 10, y: 10 }
+      ];
+      expect(validatePlayerCollision(10, 10, players, 'player1')).toBe(true);
+    });
+
+    it('should return true for player at different position', () => {
+      const players = [
+        { playerId: 'player1', x: 5, y: 5 },
+        { playerId: 'player2', x: 5, y: 5 }
+      ];
+      expect(validatePlayerCollision(10, 10, players, 'player1')).toBe(true);
+    });
+  });
+
+  describe('canMoveTo', () => {
+    const board = new Board({ width: 10, height: 10 });
+    board.initialize(); // Walls on the perimeter
+
+    it('allows a free cell', () => {
+      expect(canMoveTo(5, 5, { board, players: [] }, 'p1')).toBe(true);
+    });
+
+    it('rejects out of bounds, walls, solid entities and other players', () => {
+      const players = [{ playerId: 'p1', x: 5, y: 5 }, { playerId: 'p2', x: 6, y: 5 }];
+      const entities = [{ x: 4, y: 5, solid: true }];
+      expect(canMoveTo(-1, 5, { board, players }, 'p1')).toBe(false);
+      expect(canMoveTo(0, 5, { board, players }, 'p1')).toBe(false);
+      expect(canMoveTo(4, 5, { board, players, entities }, 'p1')).toBe(false);
+      expect(canMoveTo(6, 5, { board, players }, 'p1')).toBe(false);
+    });
+
+    it('gives the same answer for a Board and a view over its serialized grid', () => {
+      const view = createBoardView({ width: board.width, height: board.height, grid: board.serialize() });
+      for (const [x, y] of [[0, 0], [1, 1], [9, 5], [5, 5], [10, 5]]) {
+        expect(canMoveTo(x, y, { board: view }, 'p1')).toBe(canMoveTo(x, y, { board }, 'p1'));
+      }
+    });
+  });
+
+  describe('stepBullet', () => {
+    const board = new Board({ width: 10, height: 10 });
+    board.initialize();
+
+    it('moves one cell in its direction', () => {
+      const bullet = { playerId: 'p1', x: 5, y: 5, dx: 1, dy: 0 };
+      expect(stepBullet(bullet, board, [])).toEqual({ x: 6, y: 5 });
+      expect(bullet.x).toBe(5); // Not mutated
+    });
+
+    it('is blocked by walls and its owner', () => {
+      expect(stepBullet({ playerId: 'p1', x: 8, y: 5, dx: 1, dy: 0 }, board, []).blocked).toBe(true);
+      const owner = [{ playerId: 'p1', x: 6, y: 5 }];
+      expect(stepBullet({ playerId: 'p1', x: 5, y: 5, dx: 1, dy: 0 }, board, owner).blocked).toBe(true);
+    });
+
+    it('reports the player it hits', () => {
+      const players = [{ playerId: 'p2', x: 6, y: 5 }];
+      expect(stepBullet({ playerId: 'p1', x: 5, y: 5, dx: 1, dy: 0 }, board, players)).toEqual({ x: 6, y: 5, victimId: 'p2' });
+    });
+  });
+});
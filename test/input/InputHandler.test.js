@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import InputHandler from '../../src/input/InputHandler.js';
+import { loadKeymap } from '../../src/input/keymap.js';
 
 describe('InputHandler', () => {
   let inputHandler;
@@ -85,6 +86,40 @@ describe('InputHandler', () => {
       expect(quitCallback).toHaveBeenCalled();
     });
 
+    it('should map N to toggle network stats', () => {
+      const toggleCallback = vi.fn();
+      inputHandler.onToggleNetStats(toggleCallback);
+      inputHandler.handleInput(Buffer.from('n'));
+      inputHandler.handleInput(Buffer.from('N'));
+      expect(toggleCallback).toHaveBeenCalledTimes(2);
+    });
+
+    it('should pass unmapped keys to the key callback', () => {
+      const keyCallback = vi.fn();
+      inputHandler.onKey(keyCallback);
+      inputHandler.handleInput(Buffer.from(' '));
+      inputHandler.handleInput(Buffer.from('w'));
+      expect(keyCallback).toHaveBeenCalledTimes(1);
+      expect(keyCallback).toHaveBeenCalledWith(' ');
+    });
+
+    it('should pass typed keys to the key callback during text entry, except arrows', () => {
+      const keyCallback = vi.fn();
+      inputHandler.onKey(keyCallback);
+      inputHandler.setTextEntry(true);
+      inputHandler.handleInput(Buffer.from('w'));
+      inputHandler.handleInput(Buffer.from('q'));
+      inputHandler.handleInput(Buffer.from('\x1b'));
+      inputHandler.handleInput(Buffer.from('\x1b[A'));
+      expect(keyCallback.mock.calls).toEqual([['w'], ['q'], ['\x1b']]);
+      expect(quitCallback).not.toHaveBeenCalled();
+      expect(moveCallback).toHaveBeenCalledWith(0, -1);
+
+      inputHandler.setTextEntry(false);
+      inputHandler.handleInput(Buffer.from('q'));
+      expect(quitCallback).toHaveBeenCalledTimes(1);
+    });
+
     it('should ignore unknown keys', () => {
       inputHandler.handleInput(Buffer.from('x'));
       expect(moveCallback).not.toHaveBeenCalled();
@@ -92,6 +127,55 @@ describe('InputHandler', () => {
     });
   });
 
+  describe('keymap', () => {
+    it('should map the help and settings keys', () => {
+      const helpCallback = vi.fn();
+      const settingsCallback = vi.fn();
+      inputHandler.onHelp(helpCallback);
+      inputHandler.onSettings(settingsCallback);
+      inputHandler.handleInput(Buffer.from('?'));
+      inputHandler.handleInput(Buffer.from('O'));
+      expect(helpCallback).toHaveBeenCalledTimes(1);
+      expect(settingsCallback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should open chat with Enter, or pass Enter on as a key without a chat callback', () => {
+      const keyCallback = vi.fn();
+      inputHandler.onKey(keyCallback);
+      inputHandler.handleInput(Buffer.from('\r'));
+      expect(keyCallback).toHaveBeenCalledWith('\r');
+
+      const chatCallback = vi.fn();
+      inputHandler.onChat(chatCallback);
+      inputHandler.handleInput(Buffer.from('\r'));
+      expect(chatCallback).toHaveBeenCalledWith('\r');
+      expect(keyCallback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should call the scoreboard callback on every press of the scoreboard key', () => {
+      const scoreboardCallback = vi.fn();
+      inputHandler.onScoreboard(scoreboardCallback);
+      inputHandler.handleInput(Buffer.from('p'));
+      inputHandler.handleInput(Buffer.from('p'));
+      expect(scoreboardCallback).toHaveBeenCalledTimes(2);
+    });
+
+    it('should follow a custom keymap', () => {
+      const fireCallback = vi.fn();
+      const keyCallback = vi.fn();
+      const handler = new InputHandler(loadKeymap({ preset: 'arrows+ijkl' }));
+      handler.onMove(moveCallback);
+      handler.onFire(fireCallback);
+      handler.onKey(keyCallback);
+      handler.handleInput(Buffer.from('i'));
+      handler.handleInput(Buffer.from('j'));
+      handler.handleInput(Buffer.from('w'));
+      expect(fireCallback.mock.calls).toEqual([[0, -1], [-1, 0]]);
+      expect(moveCallback).not.toHaveBeenCalled();
+      expect(keyCallback).toHaveBeenCalledWith('w');
+    });
+  });
+
   describe('callbacks', () => {
     it('should handle errors in move callback gracefully', () => {
       const errorCallback = vi.fn(() => {
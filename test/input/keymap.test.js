@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { ACTIONS, PRESETS, DEFAULT_PRESET, parseKey, keyLabel, loadKeymap } from '../../src/input/keymap.js';
+
+describe('keymap', () => {
+  it('binds every action in every preset without conflicts', () => {
+    for (const preset of Object.keys(PRESETS)) {
+      const keymap = loadKeymap({ preset });
+      expect(Object.keys(keymap.bindings)).toEqual(Object.keys(ACTIONS));
+    }
+    expect(loadKeymap().bindings).toEqual(loadKeymap({ preset: DEFAULT_PRESET }).bindings);
+  });
+
+  it('parses key names and single characters', () => {
+    expect(parseKey('up')).toBe('\x1b[A');
+    expect(parseKey('ESC')).toBe('\x1b');
+    expect(parseKey('W')).toBe('w');
+    expect(parseKey('?')).toBe('?');
+    expect(() => parseKey('ctrl+x')).toThrow(/Unknown key "ctrl\+x"/);
+    expect(() => parseKey(3)).toThrow(/Invalid key/);
+  });
+
+  it('labels keys for help', () => {
+    expect(keyLabel('up')).toBe('Up');
+    expect(keyLabel('esc')).toBe('Esc');
+    expect(keyLabel('w')).toBe('W');
+  });
+
+  it('looks up actions from raw input, letters in either case', () => {
+    const keymap = loadKeymap();
+    expect(keymap.actionFor('\x1b[A')).toBe('moveUp');
+    expect(keymap.actionFor('W')).toBe('moveUp');
+    expect(keymap.actionFor('h')).toBe('fireLeft');
+    expect(keymap.actionFor('?')).toBe('help');
+    expect(keymap.actionFor('x')).toBeNull();
+
+    const ijkl = loadKeymap({ preset: 'arrows+ijkl' });
+    expect(ijkl.actionFor('i')).toBe('fireUp');
+    expect(ijkl.actionFor('h')).toBe('help');
+    expect(ijkl.actionFor('w')).toBeNull();
+  });
+
+  it('replaces an action\'s keys with overrides', () => {
+    const keymap = loadKeymap({ bindings: { fireLeft: 'f', help: ['h', '?'], netStats: [] } });
+    expect(keymap.actionFor('f')).toBe('fireLeft');
+    expect(keymap.actionFor('h')).toBe('help');
+    expect(keymap.actionFor('n')).toBeNull();
+    expect(keymap.describe().map((entry) => entry.label)).not.toContain('Network stats');
+    expect(keymap.describe()).toContainEqual({ label: 'Help', keys: 'H / ?' });
+  });
+
+  it('reports conflicts, unknown presets and unknown actions at load time', () => {
+    expect(() => loadKeymap({ bindings: { help: ['h'] } }))
+      .toThrow('Keymap conflict: "h" is bound to both fireLeft and help');
+    expect(() => loadKeymap({ bindings: { settings: ['W'] } })).toThrow(/"W" is bound to both moveUp and settings/);
+    expect(() => loadKeymap({ preset: 'emacs' })).toThrow(/Unknown keymap preset "emacs"/);
+    expect(() => loadKeymap({ bindings: { jump: ['x'] } })).toThrow(/Unknown keymap action "jump"/);
+  });
+});
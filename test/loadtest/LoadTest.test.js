@@ -0,0 +1,116 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import LoadTest, { percentile, summarize, summarizeServerStats, formatLoadTestTable } from '../../src/loadtest/LoadTest.js';
+import Server from '../../src/server/server.js';
+import { createRandom } from '../../src/utils/random.js';
+
+/** SERVER_STATS sample with the given cumulative figures */
+function sample(uptimeMs, cpuMs, broadcasts, broadcastAvgMs, rssBytes = 1000) {
+  return {
+    uptimeMs,
+    cpuUserMicros: cpuMs * 1000,
+    cpuSystemMicros: 0,
+    rssBytes,
+    heapUsedBytes: rssBytes / 2,
+    connections: 1,
+    players: 1,
+    broadcasts,
+    broadcastAvgMs,
+    broadcastMaxMs: 9
+  };
+}
+
+describe('percentile and summarize', () => {
+  it('uses nearest rank', () => {
+    const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    expect(percentile(sorted, 50)).toBe(5);
+    expect(percentile(sorted, 95)).toBe(10);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  it('summarizes unsorted values', () => {
+    expect(summarize([3, 1, 2])).toEqual({ samples: 3, avg: 2, p50: 2, p95: 3, p99: 3, max: 3 });
+    expect(summarize([])).toMatchObject({ samples: 0, avg: null, max: null });
+  });
+});
+
+describe('summarizeServerStats', () => {
+  it('derives CPU percentages and broadcast averages for the test window', () => {
+    const stats = summarizeServerStats([
+      sample(1000, 100, 10, 1),
+      sample(2000, 300, 14, 1.5, 3000),
+      sample(3000, 400, 18, 2)
+    ]);
+    expect(stats).toEqual({
+      cpuPercentAvg: 15,
+      cpuPercentMax: 20,
+      rssBytesMax: 3000,
+      heapUsedBytesMax: 1500,
+      broadcastAvgMs: 3.3,
+      broadcastMaxMs: 9
+    });
+  });
+
+  it('needs two samples', () => {
+    expect(summarizeServerStats([sample(1000, 100, 1, 1)])).toBeNull();
+  });
+});
+
+describe('formatLoadTestTable', () => {
+  it('lines up labels and shows missing server stats', () => {
+    const lines = formatLoadTestTable({
+      url: 'ws://localhost:3000',
+      clients: 2,
+      durationSeconds: 5,
+      connections: { connected: 2, spawned: 1, failed: 0, dropped: 0 },
+      inputs: { moves: 10, fires: 2 },
+      broadcastLatencyMs: summarize([1, 2]),
+      stateUpdateBytes: { ...summarize([100, 300]), totalBytes: 400 },
+      server: null
+    });
+    expect(lines[0]).toBe('Target             ws://localhost:3000, 2 clients for 5 s');
+    expect(lines).toContain('Inputs sent        10 MOVE, 2 FIRE');
+    expect(lines.at(-1)).toBe('Server             no SERVER_STATS received');
+  });
+});
+
+describe('LoadTest', () => {
+  const TEST_PORT = 3040;
+  let server;
+
+  afterEach(async () => {
+    if (server) await server.stop();
+    server = null;
+  });
+
+  it('drives clients against a live server and reports what it measured', async () => {
+    server = new Server(TEST_PORT, undefined, {
+      spawnList: [{ x: 5, y: 5 }, { x: 15, y: 5 }, { x: 25, y: 5 }],
+      spawnConfig: { clearRadius: 1 },
+      mode: 'free',
+      broadcastRateHz: 20,
+      keyRepeatIntervalMs: 50
+    });
+    await server.start();
+
+    const loadTest = new LoadTest(`ws://localhost:${TEST_PORT}`, {
+      clients: 3,
+      durationMs: 1200,
+      statsIntervalMs: 200,
+      random: createRandom(1)
+    });
+    const report = await loadTest.run();
+
+    expect(report.connections).toEqual({ connected: 3, spawned: 3, failed: 0, dropped: 0 });
+    expect(report.inputs.moves + report.inputs.fires).toBeGreaterThan(10);
+    expect(report.broadcastLatencyMs.samples).toBeGreaterThan(10);
+    expect(report.stateUpdateBytes.totalBytes).toBeGreaterThan(0);
+    expect(report.server.rssBytesMax).toBeGreaterThan(0);
+  });
+
+  it('counts clients that cannot connect as failed', async () => {
+    const loadTest = new LoadTest(`ws://localhost:${TEST_PORT + 1}`, { clients: 2, durationMs: 300 });
+    const report = await loadTest.run();
+    expect(report.connections).toMatchObject({ connected: 0, failed: 2 });
+    expect(report.server).toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import MainMenu, { MAIN_MENU_ITEMS, normalizeServerAddress, savedServers } from '../../src/menu/MainMenu.js';
+
+const config = {
+  websocket: { url: 'ws://localhost:3000' },
+  servers: [
+    { name: 'LAN', url: 'ws://192.168.1.20:3000' },
+    { name: 'Again', url: 'ws://localhost:3000' }
+  ],
+  rendering: { playerGlyph: '@' },
+  prediction: { enabled: true },
+  logging: { level: 'info' }
+};
+
+/** Text of the view's lines */
+function texts(menu) {
+  return menu.view().lines.map((line) => line.text);
+}
+
+describe('normalizeServerAddress', () => {
+  it('turns host:port into a ws:// URL', () => {
+    expect(normalizeServerAddress('example.com:3000')).toBe('ws://example.com:3000');
+    expect(normalizeServerAddress(' 10.0.0.5:80 ')).toBe('ws://10.0.0.5:80');
+    expect(normalizeServerAddress('[::1]:3000')).toBe('ws://[::1]:3000');
+  });
+
+  it('keeps ws:// and wss:// URLs', () => {
+    expect(normalizeServerAddress('wss://tag.example.com')).toBe('wss://tag.example.com');
+    expect(normalizeServerAddress('WS://localhost:3000')).toBe('WS://localhost:3000');
+  });
+
+  it('rejects anything else', () => {
+    expect(normalizeServerAddress('')).toBeNull();
+    expect(normalizeServerAddress('example.com')).toBeNull();
+    expect(normalizeServerAddress('example.com:0')).toBeNull();
+    expect(normalizeServerAddress('example.com:70000')).toBeNull();
+    expect(normalizeServerAddress('http://example.com:3000')).toBeNull();
+  });
+});
+
+describe('savedServers', () => {
+  it('lists the configured URL first and drops repeats', () => {
+    expect(savedServers(config)).toEqual([
+      { name: 'Default', url: 'ws://localhost:3000' },
+      { name: 'LAN', url: 'ws://192.168.1.20:3000' }
+    ]);
+    expect(savedServers({ websocket: { url: 'ws://a:1' } })).toHaveLength(1);
+  });
+});
+
+describe('MainMenu', () => {
+  it('starts on the main entries with the first selected and wraps the selection', () => {
+    const menu = new MainMenu(config);
+    expect(texts(menu).slice(0, MAIN_MENU_ITEMS.length)).toEqual([
+      '> Connect',
+      '  Spectate',
+      '  Settings',
+      '  Help',
+      '  Quit'
+    ]);
+    menu.move(-1);
+    expect(MAIN_MENU_ITEMS[menu.selected]).toBe('Quit');
+    menu.move(1);
+    expect(menu.selected).toBe(0);
+  });
+
+  it('connects to a saved server', () => {
+    const menu = new MainMenu(config);
+    expect(menu.key('\r')).toBeNull();
+    expect(menu.screen).toBe('servers');
+    menu.move(1);
+    expect(menu.key('\r')).toEqual({ type: 'connect', url: 'ws://192.168.1.20:3000', spectate: false });
+  });
+
+  it('spectates a typed host:port and reports a bad address', () => {
+    const menu = new MainMenu(config);
+    menu.move(1); // Spectate
+    menu.key('\r');
+    menu.move(-1); // "Enter host:port..."
+    menu.key('\r');
+    expect(menu.textEntry).toBe(true);
+
+    menu.key('example.com');
+    menu.key('x');
+    menu.key('\x7f');
+    expect(menu.key('\r')).toBeNull();
+    expect(texts(menu)).toContain('Not a server address: example.com');
+    menu.key(':3001');
+    expect(texts(menu)).toContain('> example.com:3001_');
+    expect(menu.key('\r')).toEqual({ type: 'connect', url: 'ws://example.com:3001', spectate: true });
+  });
+
+  it('goes back a screen with Q / ESC and quits from the main screen', () => {
+    const menu = new MainMenu(config);
+    menu.move(1);
+    menu.key('\r');
+    menu.move(-1);
+    menu.key('\r');
+    expect(menu.key('\x1b')).toBeNull();
+    expect(menu.screen).toBe('servers');
+    expect(menu.back()).toBeNull();
+    expect(menu.screen).toBe('main');
+    expect(MAIN_MENU_ITEMS[menu.selected]).toBe('Spectate');
+    expect(menu.back()).toEqual({ type: 'quit' });
+  });
+
+  it('quits from the Quit entry and on Ctrl+C', () => {
+    const menu = new MainMenu(config);
+    menu.move(-1);
+    expect(menu.key(' ')).toEqual({ type: 'quit' });
+    expect(new MainMenu(config).key('\x03')).toEqual({ type: 'quit' });
+  });
+
+  it('edits settings and shows help', () => {
+    const settingsConfig = { ...config, prediction: { enabled: true } };
+    const menu = new MainMenu(settingsConfig);
+    menu.move(1);
+    menu.move(1);
+    menu.key('\r');
+    expect(menu.screen).toBe('settings');
+    expect(texts(menu).some((text) => /^> Player glyph\s+@$/.test(text))).toBe(true);
+    menu.move(-1);
+    menu.move(-1); // Prediction
+    const action = menu.adjust(1);
+    expect(action).toMatchObject({ type: 'setting', value: false });
+    expect(action.field.key).toBe('enabled');
+    expect(settingsConfig.prediction.enabled).toBe(false);
+    expect(menu.back()).toBeNull();
+    expect(menu.screen).toBe('main');
+    expect(MAIN_MENU_ITEMS[menu.selected]).toBe('Settings');
+    menu.move(1);
+    menu.key('\r');
+    expect(menu.screen).toBe('help');
+    expect(texts(menu).some((text) => text.startsWith('Move'))).toBe(true);
+  });
+
+  it('shows the notice on the main screen only', () => {
+    const menu = new MainMenu(config, { notice: 'Last session: Disconnected from server' });
+    expect(texts(menu)).toContain('Last session: Disconnected from server');
+    menu.key('\r');
+    expect(texts(menu)).not.toContain('Last session: Disconnected from server');
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import SettingsEditor, { formatSettingValue } from '../../src/menu/SettingsEditor.js';
+import { SETTINGS_FIELDS } from '../../src/config/clientSettings.js';
+
+const indexOf = (section, key) => SETTINGS_FIELDS.findIndex((f) => f.section === section && f.key === key);
+
+function editorAt(config, section, key) {
+  const editor = new SettingsEditor(config);
+  editor.selected = indexOf(section, key);
+  return editor;
+}
+
+describe('formatSettingValue', () => {
+  it('shows booleans as on/off and a space glyph by name', () => {
+    expect(formatSettingValue({ type: 'boolean' }, false)).toBe('off');
+    expect(formatSettingValue({ type: 'glyph' }, ' ')).toBe('(space)');
+    expect(formatSettingValue({ type: 'number' }, 25)).toBe('25');
+  });
+});
+
+describe('SettingsEditor', () => {
+  it('lists every option with the selected one marked', () => {
+    const editor = new SettingsEditor({ rendering: { playerGlyph: '@' } });
+    const lines = editor.lines();
+    expect(lines.filter((line) => /^[> ] /.test(line))).toHaveLength(SETTINGS_FIELDS.length);
+    expect(lines[2]).toMatch(/^> Player glyph\s+@$/);
+    editor.move(-1);
+    expect(editor.field).toBe(SETTINGS_FIELDS.at(-1));
+  });
+
+  it('toggles booleans with Enter or Left/Right and applies them to the config', () => {
+    const config = { prediction: { enabled: true } };
+    const editor = editorAt(config, 'prediction', 'enabled');
+    expect(editor.key('\r')).toMatchObject({ type: 'change', value: false });
+    expect(config.prediction.enabled).toBe(false);
+    expect(editor.adjust(1)).toMatchObject({ value: true });
+  });
+
+  it('steps numbers within their range', () => {
+    const config = { statusBar: { widthThreshold: 195 } };
+    const editor = editorAt(config, 'statusBar', 'widthThreshold');
+    expect(editor.adjust(1)).toMatchObject({ value: 200 });
+    expect(editor.adjust(1)).toBeNull();
+    expect(editor.adjust(-1)).toMatchObject({ value: 195 });
+  });
+
+  it('edits a glyph in a text field, rejecting bad values', () => {
+    const config = { rendering: { playerGlyph: '@' } };
+    const editor = editorAt(config, 'rendering', 'playerGlyph');
+    editor.key('\r');
+    expect(editor.textEntry).toBe(true);
+    editor.key('x');
+    editor.key('y');
+    expect(editor.key('\r')).toBeNull();
+    expect(editor.lines()).toContain('Player glyph must be one character');
+    editor.key('\x7f');
+    expect(editor.key('\r')).toMatchObject({ type: 'change', value: 'x' });
+    expect(editor.textEntry).toBe(false);
+    expect(config.rendering.playerGlyph).toBe('x');
+  });
+
+  it('cancels a text field with ESC, then closes', () => {
+    const config = { rendering: { playerColor: '00FF00' } };
+    const editor = editorAt(config, 'rendering', 'playerColor');
+    editor.key('\r');
+    editor.key('F');
+    expect(editor.key('\x1b')).toBeNull();
+    expect(editor.textEntry).toBe(false);
+    expect(config.rendering.playerColor).toBe('00FF00');
+    expect(editor.back()).toEqual({ type: 'close' });
+  });
+});
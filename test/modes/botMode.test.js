@@ -0,0 +1,83 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { BotRunner, loadBotScript } from '../../src/modes/botMode.js';
+
+/** Stand-in for a BotClient on the board at (1, 1) */
+function fakeBot(overrides = {}) {
+  return {
+    spawned: true,
+    playerId: 'me',
+    state: { players: [{ playerId: 'me', x: 1, y: 1 }] },
+    board: { width: 3, height: 3, getCell: () => ' ' },
+    actions: [],
+    get me() { return this.state.players[0]; },
+    move(dx, dy) { this.actions.push(['move', dx, dy]); return true; },
+    fire(dx, dy) { this.actions.push(['fire', dx, dy]); return true; },
+    ...overrides
+  };
+}
+
+describe('BotRunner', () => {
+  it('passes the view to the decision function and applies the returned action', async () => {
+    const bot = fakeBot();
+    const views = [];
+    const runner = new BotRunner(bot, (view) => {
+      views.push(view);
+      return { move: { dx: 1, dy: 0 }, fire: { dx: 0, dy: -1 } };
+    });
+
+    expect(await runner.tick()).toBe(true);
+    expect(views[0]).toMatchObject({ playerId: 'me', me: { x: 1, y: 1 }, tick: 1, state: bot.state, board: bot.board });
+    expect(bot.actions).toEqual([['move', 1, 0], ['fire', 0, -1]]);
+  });
+
+  it('skips ticks until the bot is on the board', async () => {
+    let calls = 0;
+    const waiting = new BotRunner(fakeBot({ spawned: false }), () => { calls += 1; });
+    const dead = new BotRunner(fakeBot({ state: { players: [{ playerId: 'me', x: null, y: null }] } }), () => { calls += 1; });
+
+    expect(await waiting.tick()).toBe(false);
+    expect(await dead.tick()).toBe(false);
+    expect(calls).toBe(0);
+  });
+
+  it('keeps going when a decision throws', async () => {
+    let calls = 0;
+    const runner = new BotRunner(fakeBot(), () => {
+      calls += 1;
+      throw new Error('boom');
+    });
+    await runner.tick();
+    await runner.tick();
+    expect(calls).toBe(2);
+  });
+});
+
+describe('loadBotScript', () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it('loads the default export and optional setup', async () => {
+    dir = mkdtempSync(join(tmpdir(), 'ascii-tag-bot-test-'));
+    const path = join(dir, 'bot.mjs');
+    writeFileSync(path, 'export function setup() {}\nexport default function tick() { return { move: { dx: 1, dy: 0 } }; }\n');
+
+    const { decide, setup } = await loadBotScript(path);
+    expect(decide()).toEqual({ move: { dx: 1, dy: 0 } });
+    expect(typeof setup).toBe('function');
+  });
+
+  it('rejects a module without a decision function', async () => {
+    dir = mkdtempSync(join(tmpdir(), 'ascii-tag-bot-test-'));
+    const path = join(dir, 'bot.mjs');
+    writeFileSync(path, 'export const name = "nope";\n');
+
+    await expect(loadBotScript(path)).rejects.toThrow(/must export a default/);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, vi } from 'vitest';
+import { mkdtempSync, writeFileSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import menuMode, { sessionNotice } from '../../src/modes/menuMode.js';
+
+const config = {
+  websocket: { url: 'ws://localhost:3000' },
+  servers: [],
+  rendering: {},
+  statusBar: { widthThreshold: 25 }
+};
+
+/** InputHandler stand-in that remembers its callbacks */
+function fakeInput() {
+  return {
+    callbacks: {},
+    running: false,
+    textEntry: false,
+    start: vi.fn(function () { this.running = true; }),
+    stop: vi.fn(function () { this.running = false; }),
+    setTextEntry(enabled) { this.textEntry = enabled; },
+    onMove(cb) { this.callbacks.move = cb; },
+    onFire(cb) { this.callbacks.fire = cb; },
+    onQuit(cb) { this.callbacks.quit = cb; },
+    onKey(cb) { this.callbacks.key = cb; },
+    onRender(cb) { this.callbacks.render = cb; },
+    onToggleNetStats(cb) { this.callbacks.netStats = cb; }
+  };
+}
+
+function fakeRenderer() {
+  return {
+    frames: [],
+    render(canvas) { this.frames.push(canvas.grid.map((row) => row.map((c) => c.character).join('').trim())); },
+    clearScreen: vi.fn(),
+    hideCursor: vi.fn(),
+    showCursor: vi.fn()
+  };
+}
+
+describe('sessionNotice', () => {
+  it('explains how the session ended unless the player quit', () => {
+    expect(sessionNotice({ reason: 'Disconnected from server' })).toBe('Last session: Disconnected from server');
+    expect(sessionNotice({ reason: 'Quit by user' })).toBeNull();
+    expect(sessionNotice(undefined)).toBeNull();
+  });
+});
+
+describe('menuMode', () => {
+  it('runs a session for the chosen server and returns to the menu afterwards', async () => {
+    const input = fakeInput();
+    const renderer = fakeRenderer();
+    const runSession = vi.fn(async () => {
+      expect(input.running).toBe(false);
+      return { reason: 'Disconnected from server', showReason: false };
+    });
+
+    const done = menuMode(config, { runSession, inputHandler: input, renderer });
+    await vi.waitFor(() => expect(input.running).toBe(true));
+    expect(renderer.frames.at(-1)).toContain('> Connect');
+
+    input.callbacks.key('\r'); // Connect -> servers
+    input.callbacks.key('\r'); // Default server
+    await vi.waitFor(() => expect(runSession).toHaveBeenCalledTimes(1));
+    expect(runSession.mock.calls[0][0].websocket.url).toBe('ws://localhost:3000');
+    expect(runSession.mock.calls[0][1]).toEqual({ spectate: false, configPath: null });
+
+    await vi.waitFor(() => expect(input.running).toBe(true));
+    expect(renderer.frames.at(-1)).toContain('Last session: Disconnected from server');
+
+    input.callbacks.quit();
+    await done;
+    expect(input.running).toBe(false);
+    expect(renderer.showCursor).toHaveBeenCalled();
+  });
+
+  it('switches the input to text entry on the address screen', async () => {
+    const input = fakeInput();
+    const runSession = vi.fn();
+    const done = menuMode(config, { runSession, inputHandler: input, renderer: fakeRenderer() });
+    await vi.waitFor(() => expect(input.running).toBe(true));
+
+    input.callbacks.key('\r');
+    input.callbacks.move(0, 1); // "Enter host:port..."
+    input.callbacks.key('\r');
+    expect(input.textEntry).toBe(true);
+    input.callbacks.key('\x1b');
+    expect(input.textEntry).toBe(false);
+
+    input.callbacks.key('\x03');
+    await done;
+    expect(runSession).not.toHaveBeenCalled();
+  });
+
+  it('saves settings changed on the Settings screen to configPath', async () => {
+    const configPath = join(mkdtempSync(join(tmpdir(), 'ascii-tag-menu-')), 'client.json');
+    writeFileSync(configPath, JSON.stringify({ websocket: config.websocket, extra: 1 }));
+    const menuConfig = { ...config, prediction: { enabled: true } };
+    const input = fakeInput();
+    const renderer = fakeRenderer();
+    const done = menuMode(menuConfig, { configPath, runSession: vi.fn(), inputHandler: input, renderer });
+    await vi.waitFor(() => expect(input.running).toBe(true));
+
+    input.callbacks.move(0, 1);
+    input.callbacks.move(0, 1);
+    input.callbacks.key('\r'); // Settings
+    input.callbacks.move(0, -1);
+    input.callbacks.move(0, -1); // Prediction
+    input.callbacks.move(1, 0);
+    expect(renderer.frames.at(-1)).toContain('Saved to client.json');
+    expect(JSON.parse(readFileSync(configPath, 'utf-8'))).toEqual({
+      websocket: config.websocket,
+      extra: 1,
+      prediction: { enabled: false }
+    });
+
+    input.callbacks.key('\x03');
+    await done;
+  });
+});
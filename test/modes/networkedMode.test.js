@@ -1,11 +1,15 @@
 import { describe, it, expect } from 'vitest';
 import {
   getServerPlayerPosition,
-  validateBounds,
-  validateWall,
-  validateEntityCollision,
-  validatePlayerCollision,
-  validateMovement
+  getLocalScore,
+  isMatchOver,
+  validateMovement,
+  reconcileInputs,
+  nextFollowTarget,
+  formatChatLines,
+  scoreboardEntries,
+  formatKillFeedLine,
+  respawnCountdownLines
 } from '../../src/modes/networkedMode.js';
 
 describe('networkedMode helper functions', () => {
@@ -49,140 +53,31 @@ describe('networkedMode helper functions', () => {
     });
   });
 
-  describe('validateBounds', () => {
-    it('should return true for valid bounds within board', () => {
-      const board = { width: 20, height: 20 };
-      expect(validateBounds(10, 10, board)).toBe(true);
+  describe('getLocalScore', () => {
+    it('should read the local player score from the scores map', () => {
+      const state = { scores: { player1: 7, player2: 3 } };
+      expect(getLocalScore(state, 'player1')).toBe(7);
     });
 
-    it('should return false for negative x', () => {
-      const board = { width: 20, height: 20 };
-      expect(validateBounds(-1, 10, board)).toBe(false);
+    it('should return 0 when the local player has no score yet', () => {
+      expect(getLocalScore({ scores: {} }, 'player1')).toBe(0);
     });
 
-    it('should return false for negative y', () => {
-      const board = { width: 20, height: 20 };
-      expect(validateBounds(10, -1, board)).toBe(false);
-    });
-
-    it('should return false for x too large', () => {
-      const board = { width: 20, height: 20 };
-      expect(validateBounds(20, 10, board)).toBe(false);
-    });
-
-    it('should return false for y too large', () => {
-      const board = { width: 20, height: 20 };
-      expect(validateBounds(10, 20, board)).toBe(false);
-    });
-
-    it('should return true for edge case (0, 0)', () => {
-      const board = { width: 20, height: 20 };
-      expect(validateBounds(0, 0, board)).toBe(true);
-    });
-
-    it('should return true for edge case (width-1, height-1)', () => {
-      const board = { width: 20, height: 20 };
-      expect(validateBounds(19, 19, board)).toBe(true);
-    });
-
-    it('should return false for null board', () => {
-      expect(validateBounds(10, 10, null)).toBe(false);
+    it('should return 0 when state is null', () => {
+      expect(getLocalScore(null, 'player1')).toBe(0);
     });
   });
 
-  describe('validateWall', () => {
-    it('should return true for non-wall cell', () => {
-      const board = {
-        getCell: () => '.'
-      };
-      expect(validateWall(10, 10, board)).toBe(true);
-    });
-
-    it('should return false for wall cell', () => {
-      const board = {
-        getCell: () => '#'
-      };
-      expect(validateWall(10, 10, board)).toBe(false);
-    });
-
-    it('should return false for null cell (out of bounds)', () => {
-      const board = {
-        getCell: () => null
-      };
-      expect(validateWall(10, 10, board)).toBe(false);
+  describe('isMatchOver', () => {
+    it('should be true during ended and intermission phases', () => {
+      expect(isMatchOver({ match: { phase: 'ended' } })).toBe(true);
+      expect(isMatchOver({ match: { phase: 'intermission' } })).toBe(true);
     });
 
-    it('should return false for null board', () => {
-      expect(validateWall(10, 10, null)).toBe(false);
-    });
-
-    it('should return false for board without getCell', () => {
-      const board = {};
-      expect(validateWall(10, 10, board)).toBe(false);
-    });
-  });
-
-  describe('validateEntityCollision', () => {
-    it('should return true when no entities', () => {
-      expect(validateEntityCollision(10, 10, [])).toBe(true);
-    });
-
-    it('should return true when entities is null', () => {
-      expect(validateEntityCollision(10, 10, null)).toBe(true);
-    });
-
-    it('should return true for non-solid entity at position', () => {
-      const entities = [
-        { entityId: 'e1', x: 10, y: 10, solid: false }
-      ];
-      expect(validateEntityCollision(10, 10, entities)).toBe(true);
-    });
-
-    it('should return false for solid entity at position', () => {
-      const entities = [
-        { entityId: 'e1', x: 10, y: 10, solid: true }
-      ];
-      expect(validateEntityCollision(10, 10, entities)).toBe(false);
-    });
-
-    it('should return true for entity at different position', () => {
-      const entities = [
-        { entityId: 'e1', x: 5, y: 5, solid: true }
-      ];
-      expect(validateEntityCollision(10, 10, entities)).toBe(true);
-    });
-  });
-
-  describe('validatePlayerCollision', () => {
-    it('should return true when no players', () => {
-      expect(validatePlayerCollision(10, 10, [], 'player1')).toBe(true);
-    });
-
-    it('should return true when players is null', () => {
-      expect(validatePlayerCollision(10, 10, null, 'player1')).toBe(true);
-    });
-
-    it('should return false for other player at position', () => {
-      const players = [
-        { playerId: 'player1', x: 10, y: 10 },
-        { playerId: 'player2', x: 10, y: 10 }
-      ];
-      expect(validatePlayerCollision(10, 10, players, 'player1')).toBe(false);
-    });
-
-    it('should return true for local player at position (excluded)', () => {
-      const players = [
-        { playerId: 'player1', x: 10, y: 10 }
-      ];
-      expect(validatePlayerCollision(10, 10, players, 'player1')).toBe(true);
-    });
-
-    it('should return true for player at different position', () => {
-      const players = [
-        { playerId: 'player1', x: 5, y: 5 },
-        { playerId: 'player2', x: 5, y: 5 }
-      ];
-      expect(validatePlayerCollision(10, 10, players, 'player1')).toBe(true);
+    it('should be false during play or without a match', () => {
+      expect(isMatchOver({ match: { phase: 'in_progress' } })).toBe(false);
+      expect(isMatchOver({ match: null })).toBe(false);
+      expect(isMatchOver(null)).toBe(false);
     });
   });
 
@@ -313,4 +208,141 @@ describe('networkedMode helper functions', () => {
       expect(predictedPos).toEqual({ x: 11, y: 10 });
     });
   });
+
+  describe('reconcileInputs', () => {
+    const makeState = (grid) => ({
+      board: { width: 20, height: 20, grid },
+      players: [{ playerId: 'player1', x: 10, y: 10 }],
+      entities: []
+    });
+    const openGrid = () => Array(20).fill(null).map(() => Array(20).fill('.'));
+    const inputs = [
+      { seq: 1, dx: 1, dy: 0 },
+      { seq: 2, dx: 1, dy: 0 },
+      { seq: 3, dx: 0, dy: 1 }
+    ];
+
+    it('drops acknowledged inputs and replays the rest from the server position', () => {
+      const result = reconcileInputs({ x: 11, y: 10 }, 1, inputs, makeState(openGrid()), 'player1');
+      expect(result.pendingInputs.map(i => i.seq)).toEqual([2, 3]);
+      expect(result.position).toEqual({ x: 12, y: 11 });
+    });
+
+    it('returns the server position when every input is acknowledged', () => {
+      const result = reconcileInputs({ x: 12, y: 11 }, 3, inputs, makeState(openGrid()), 'player1');
+      expect(result.pendingInputs).toEqual([]);
+      expect(result.position).toEqual({ x: 12, y: 11 });
+    });
+
+    it('corrects a rejected move immediately (server position without it)', () => {
+      // Server rejected seq 1 (still at 10,10) and has processed it
+      const result = reconcileInputs({ x: 10, y: 10 }, 1, inputs.slice(0, 1), makeState(openGrid()), 'player1');
+      expect(result.position).toEqual({ x: 10, y: 10 });
+    });
+
+    it('skips replayed inputs that would be invalid', () => {
+      const grid = openGrid();
+      grid[10][11] = '#';
+      const result = reconcileInputs({ x: 10, y: 10 }, 0, inputs, makeState(grid), 'player1');
+      expect(result.position).toEqual({ x: 10, y: 11 });
+    });
+
+    it('falls back to the server position when the server does not report lastInputSeq', () => {
+      const result = reconcileInputs({ x: 10, y: 10 }, undefined, inputs, makeState(openGrid()), 'player1');
+      expect(result).toEqual({ position: { x: 10, y: 10 }, pendingInputs: [] });
+    });
+  });
+
+  describe('nextFollowTarget', () => {
+    const players = [
+      { playerId: 'a', x: 1, y: 1 },
+      { playerId: 'b', x: null, y: null },
+      { playerId: 'c', x: 3, y: 3 }
+    ];
+
+    it('follows the first player on the board when nobody is followed', () => {
+      expect(nextFollowTarget(players, null, 0)).toBe('a');
+    });
+
+    it('cycles through players on the board, skipping those waiting to spawn', () => {
+      expect(nextFollowTarget(players, 'a', 1)).toBe('c');
+      expect(nextFollowTarget(players, 'c', 1)).toBe('a');
+      expect(nextFollowTarget(players, 'a', -1)).toBe('c');
+    });
+
+    it('keeps the current player with step 0 and moves on when they leave', () => {
+      expect(nextFollowTarget(players, 'c', 0)).toBe('c');
+      expect(nextFollowTarget(players, 'gone', 0)).toBe('a');
+    });
+
+    it('returns null when nobody is on the board', () => {
+      expect(nextFollowTarget([], 'a', 1)).toBeNull();
+      expect(nextFollowTarget(undefined, null, 0)).toBeNull();
+    });
+  });
+
+  describe('formatChatLines', () => {
+    const messages = [
+      { playerId: 'me', playerName: 'Ann', text: 'hi' },
+      { playerId: 'p2', playerName: 'Bob', text: 'hello' },
+      { playerId: 's1', playerName: 'Spectator s1', text: 'gg', spectator: true },
+      { system: true, text: 'Slow down' }
+    ];
+
+    it('shows names, colors our own lines, spectators and notices', () => {
+      expect(formatChatLines(messages, 'me', null)).toEqual([
+        { text: 'Ann: hi', color: '00FF00' },
+        { text: 'Bob: hello' },
+        { text: 'Spectator s1: gg', color: '808080' },
+        { text: '* Slow down', color: 'FFFF00' }
+      ]);
+    });
+
+    it('adds the line being typed last', () => {
+      expect(formatChatLines([], null, 'on my w').at(-1)).toEqual({ text: 'Say: on my w_', color: '00FFFF' });
+      expect(formatChatLines([], null, '')).toEqual([{ text: 'Say: _', color: '00FFFF' }]);
+    });
+  });
+
+  describe('scoreboardEntries', () => {
+    it('lists every player by score, then kills, with defaults for missing fields', () => {
+      const state = {
+        players: [
+          { playerId: 'p1', playerName: 'Ann', kills: 1, deaths: 2 },
+          { playerId: 'p2', playerName: 'Bob', kills: 3, deaths: 0 },
+          { playerId: 'b1', playerName: 'Bot b1', isBot: true, x: null, y: null }
+        ],
+        scores: { p1: 3, p2: 3, b1: 5 },
+        pings: { p1: 40 }
+      };
+      expect(scoreboardEntries(state)).toEqual([
+        { playerId: 'b1', playerName: 'Bot b1', score: 5, kills: 0, deaths: 0, pingMs: null, isBot: true },
+        { playerId: 'p2', playerName: 'Bob', score: 3, kills: 3, deaths: 0, pingMs: null, isBot: false },
+        { playerId: 'p1', playerName: 'Ann', score: 3, kills: 1, deaths: 2, pingMs: 40, isBot: false }
+      ]);
+      expect(scoreboardEntries(null)).toEqual([]);
+    });
+  });
+
+  describe('formatKillFeedLine', () => {
+    const kill = { killerId: 'p1', killerName: 'Ann', victimId: 'p2', victimName: 'Bob' };
+
+    it('reads "A shot B", colored when we are in it', () => {
+      expect(formatKillFeedLine(kill, 'p3')).toEqual({ text: 'Ann shot Bob' });
+      expect(formatKillFeedLine(kill, 'p1')).toEqual({ text: 'Ann shot Bob', color: '00FF00' });
+      expect(formatKillFeedLine(kill, 'p2')).toEqual({ text: 'Ann shot Bob', color: 'FF0000' });
+    });
+
+    it('falls back to player IDs without names', () => {
+      expect(formatKillFeedLine({ killerId: 'p1', victimId: 'p2' }, null).text).toBe('p1 shot p2');
+    });
+  });
+
+  describe('respawnCountdownLines', () => {
+    it('names the killer and counts whole seconds down', () => {
+      expect(respawnCountdownLines('Ann', 2100)).toEqual(['Shot by Ann', 'Respawning in 3s']);
+      expect(respawnCountdownLines(null, 1000)).toEqual(['You were shot', 'Respawning in 1s']);
+      expect(respawnCountdownLines('Ann', -200)[1]).toBe('Respawning...');
+    });
+  });
 });
@@ -0,0 +1,50 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { fetchRooms, formatRoomList } from '../../src/modes/roomsMode.js';
+import Server from '../../src/server/server.js';
+
+describe('formatRoomList', () => {
+  it('lines up columns and marks private rooms and missing boards and phases', () => {
+    const lines = formatRoomList([
+      { name: 'default', board: 'classic', mode: 'tag', players: 3, bots: 1, spectators: 0, phase: 'playing' },
+      { name: 'side', board: null, mode: 'free', private: true, players: 12, bots: 0, spectators: 2, phase: null }
+    ]);
+    expect(lines).toEqual([
+      'ROOM            BOARD    MODE  PLAYERS  BOTS  WATCHING  PHASE',
+      'default         classic  tag   3        1     0         playing',
+      'side (private)  --       free  12       0     2         --'
+    ]);
+  });
+});
+
+describe('fetchRooms', () => {
+  const TEST_PORT = 3042;
+  let server;
+
+  afterEach(async () => {
+    if (server) await server.stop();
+    server = null;
+  });
+
+  it('lists the rooms of a live server without joining', async () => {
+    server = new Server(TEST_PORT, undefined, { boardName: 'classic', maxRooms: 4 });
+    await server.start();
+
+    const { rooms, maxRooms } = await fetchRooms(`ws://localhost:${TEST_PORT}`);
+    expect(maxRooms).toBe(4);
+    expect(rooms).toEqual([expect.objectContaining({ name: 'default', board: 'classic', players: 0 })]);
+    expect(server.gameServer.getAllPlayers()).toHaveLength(0);
+  });
+
+  it('sends the server password when one is given', async () => {
+    server = new Server(TEST_PORT, undefined, { password: 'hunter2' });
+    await server.start();
+
+    const { rooms } = await fetchRooms(`ws://localhost:${TEST_PORT}`, { code: 'hunter2' });
+    expect(rooms).toHaveLength(1);
+    await expect(fetchRooms(`ws://localhost:${TEST_PORT}`)).rejects.toThrow('Could not reach');
+  });
+
+  it('fails when the server cannot be reached', async () => {
+    await expect(fetchRooms(`ws://localhost:${TEST_PORT + 1}`)).rejects.toThrow('Could not reach');
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import BotClient, { diffPlayerEvents } from '../../src/network/BotClient.js';
+import MessageTypes from '../../src/network/MessageTypes.js';
+
+const BOARD = { width: 4, height: 3, grid: [['#', '#', '#', '#'], ['#', ' ', ' ', '#'], ['#', '#', '#', '#']] };
+
+/** Stand-in for WebSocketClient: records sent messages, lets tests emit events */
+function fakeClient() {
+  const handlers = new Map();
+  return {
+    sent: [],
+    connected: false,
+    connect() { this.connected = true; this.emit('connect'); },
+    disconnect() { this.connected = false; },
+    isConnected() { return this.connected; },
+    send(message) { this.sent.push(message); },
+    on(event, callback) { handlers.set(event, [...(handlers.get(event) ?? []), callback]); },
+    emit(event, data) { (handlers.get(event) ?? []).forEach((handler) => handler(data)); }
+  };
+}
+
+function connectMessage(payload) {
+  return { type: MessageTypes.CONNECT, payload, timestamp: 0 };
+}
+
+function stateMessage(seq, players) {
+  return { type: MessageTypes.STATE_UPDATE, payload: { seq, keyframe: true, players, bullets: [] }, timestamp: 0 };
+}
+
+/** Bot that has joined and spawned at (1, 1), alongside 'p2' at (2, 1) */
+function spawnedBot() {
+  const client = fakeClient();
+  const bot = new BotClient('ws://test', { client });
+  bot.connect();
+  client.emit('message', connectMessage({
+    playerId: 'me',
+    playerName: 'Me',
+    resumeToken: 'token',
+    keyRepeatIntervalMs: 50,
+    gameState: { board: BOARD, players: [{ playerId: 'me', x: 1, y: 1 }, { playerId: 'p2', x: 2, y: 1 }], bullets: [] }
+  }));
+  return { bot, client };
+}
+
+describe('diffPlayerEvents', () => {
+  it('reports players leaving and re-entering the board', () => {
+    const before = { players: [{ playerId: 'a', x: 1, y: 1 }, { playerId: 'b', x: null, y: null }] };
+    const after = { players: [{ playerId: 'a', x: null, y: null }, { playerId: 'b', x: 2, y: 1 }, { playerId: 'c', x: 3, y: 1 }] };
+    expect(diffPlayerEvents(before, after)).toEqual({
+      kills: [{ playerId: 'a', x: 1, y: 1 }],
+      respawns: [{ playerId: 'b', x: 2, y: 1 }]
+    });
+    expect(diffPlayerEvents(null, after)).toEqual({ kills: [], respawns: [] });
+  });
+});
+
+describe('BotClient', () => {
+  it('sends CONNECT on connect and emits spawned with the state', () => {
+    const client = fakeClient();
+    const bot = new BotClient('ws://test', { client });
+    const spawned = [];
+    bot.on('spawned', (event) => spawned.push(event));
+    bot.on('state', () => spawned.push('state'));
+    bot.connect();
+    expect(client.sent[0]).toMatchObject({ type: MessageTypes.CONNECT, payload: {} });
+
+    client.emit('message', connectMessage({
+      playerId: 'me',
+      playerName: 'Me',
+      gameState: { board: BOARD, players: [{ playerId: 'me', x: 1, y: 1 }], bullets: [] }
+    }));
+    expect(spawned).toHaveLength(2);
+    expect(spawned[1]).toBe('state');
+    expect(spawned[0]).toMatchObject({ playerId: 'me', playerName: 'Me' });
+    expect(bot.me).toMatchObject({ x: 1, y: 1 });
+    expect(bot.keyRepeatIntervalMs).toBeNull();
+    expect(bot.board.getCell(0, 0)).toBe('#');
+  });
+
+  it('emits waiting and ignores actions until spawned', () => {
+    const client = fakeClient();
+    const bot = new BotClient('ws://test', { client });
+    const waiting = [];
+    bot.on('waiting', (event) => waiting.push(event));
+    bot.connect();
+    client.emit('message', connectMessage({ playerId: 'me', gameState: null, waitingForSpawn: true, message: 'Wait' }));
+
+    expect(waiting).toEqual([{ playerId: 'me', message: 'Wait' }]);
+    expect(bot.move(1, 0)).toBe(false);
+    expect(bot.fire(1, 0)).toBe(false);
+    expect(client.sent).toHaveLength(1);
+  });
+
+  it('sends sequenced MOVEs and FIREs', () => {
+    const { bot, client } = spawnedBot();
+    expect(bot.keyRepeatIntervalMs).toBe(50);
+    bot.move(1, 0);
+    bot.move(0, 1);
+    bot.fire(-1, 0);
+
+    expect(client.sent.slice(1).map((m) => [m.type, m.payload])).toEqual([
+      [MessageTypes.MOVE, { dx: 1, dy: 0, seq: 1 }],
+      [MessageTypes.MOVE, { dx: 0, dy: 1, seq: 2 }],
+      [MessageTypes.FIRE, { dx: -1, dy: 0 }]
+    ]);
+  });
+
+  it('acknowledges state updates and emits state, kill and respawn', () => {
+    const { bot, client } = spawnedBot();
+    const events = [];
+    for (const name of ['state', 'kill', 'respawn']) {
+      bot.on(name, (data) => events.push([name, data]));
+    }
+
+    client.emit('message', stateMessage(1, [{ playerId: 'me', x: null, y: null }, { playerId: 'p2', x: 2, y: 1 }]));
+    client.emit('message', stateMessage(2, [{ playerId: 'me', x: 1, y: 1 }, { playerId: 'p2', x: 2, y: 1 }]));
+
+    expect(events.map(([name]) => name)).toEqual(['kill', 'state', 'respawn', 'state']);
+    expect(events[0][1]).toEqual({ playerId: 'me', x: 1, y: 1, self: true });
+    expect(events[1][1].board).toBe(BOARD);
+    expect(client.sent.filter((m) => m.type === MessageTypes.STATE_ACK).map((m) => m.payload.seq)).toEqual([1, 2]);
+  });
+
+  it('requests a keyframe when a delta base is missing', () => {
+    const { client } = spawnedBot();
+    client.emit('message', { type: MessageTypes.STATE_UPDATE, payload: { seq: 5, baseSeq: 4, delta: {} }, timestamp: 0 });
+    expect(client.sent.at(-1).type).toBe(MessageTypes.KEYFRAME_REQUEST);
+  });
+
+  it('names its room and join code in CONNECT', () => {
+    const client = fakeClient();
+    new BotClient('ws://test', { client, room: 'arena', code: 'K7MQ2X' }).connect();
+    expect(client.sent[0].payload).toEqual({ room: 'arena', code: 'K7MQ2X' });
+  });
+
+  it('resumes its session after reconnecting', () => {
+    const { client } = spawnedBot();
+    client.emit('reconnecting', { attempt: 1, delayMs: 10 });
+    client.emit('connect');
+    expect(client.sent.at(-1)).toMatchObject({ type: MessageTypes.CONNECT, payload: { resumeToken: 'token' } });
+  });
+});
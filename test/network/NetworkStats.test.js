@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import NetworkStats, { formatBytes, formatNetStatsLines } from '../../src/network/NetworkStats.js';
+import MessageTypes from '../../src/network/MessageTypes.js';
+
+describe('NetworkStats', () => {
+  it('reports null RTT before the first PONG', () => {
+    const stats = new NetworkStats();
+    expect(stats.snapshot(0).rttMs).toBeNull();
+  });
+
+  it('smooths RTT samples and tracks jitter', () => {
+    const stats = new NetworkStats();
+    stats.recordRtt(100);
+    expect(stats.snapshot(0)).toMatchObject({ rttMs: 100, jitterMs: 0 });
+
+    stats.recordRtt(180);
+    const snapshot = stats.snapshot(0);
+    expect(snapshot.rttMs).toBe(110); // 100 + 80/8
+    expect(snapshot.jitterMs).toBe(5); // 80/16
+  });
+
+  it('ignores invalid RTT samples', () => {
+    const stats = new NetworkStats();
+    stats.recordRtt(-5);
+    stats.recordRtt(undefined);
+    expect(stats.snapshot(0).rttMs).toBeNull();
+  });
+
+  it('counts messages, state updates and bytes over the last second', () => {
+    const stats = new NetworkStats();
+    stats.recordMessage(100, MessageTypes.STATE_UPDATE, 0);
+    stats.recordMessage(50, MessageTypes.PONG, 400);
+    stats.recordMessage(100, MessageTypes.STATE_UPDATE, 900);
+
+    expect(stats.snapshot(950)).toMatchObject({
+      updatesPerSec: 2,
+      messagesPerSec: 3,
+      bytesPerSec: 250,
+      bytesReceived: 250
+    });
+
+    // First message falls out of the window; totals keep it
+    expect(stats.snapshot(1000)).toMatchObject({
+      updatesPerSec: 1,
+      messagesPerSec: 2,
+      bytesPerSec: 150,
+      bytesReceived: 250
+    });
+  });
+});
+
+describe('formatBytes', () => {
+  it('uses B, KB and MB', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(2048)).toBe('2.0 KB');
+    expect(formatBytes(3 * 1024 * 1024)).toBe('3.0 MB');
+  });
+});
+
+describe('formatNetStatsLines', () => {
+  it('formats a snapshot with FPS', () => {
+    const lines = formatNetStatsLines(
+      { rttMs: 42, jitterMs: 3, updatesPerSec: 4, messagesPerSec: 5, bytesPerSec: 1536, bytesReceived: 10240 },
+      30
+    );
+    expect(lines).toEqual([
+      'RTT     42 ms',
+      'Jitter  3 ms',
+      'Updates 4/s',
+      'FPS     30',
+      'Recv    1.5 KB/s (10.0 KB)'
+    ]);
+  });
+
+  it('shows -- until RTT is known', () => {
+    const lines = formatNetStatsLines(
+      { rttMs: null, jitterMs: 0, updatesPerSec: 0, messagesPerSec: 0, bytesPerSec: 0, bytesReceived: 0 },
+      0
+    );
+    expect(lines[0]).toBe('RTT     --');
+  });
+});
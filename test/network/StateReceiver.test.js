@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import StateReceiver from '../../src/network/StateReceiver.js';
+import { diffStates } from '../../src/network/stateDelta.js';
+
+const stateA = { players: [{ playerId: 'p1', x: 1, y: 1 }], bullets: [], scores: { p1: 0 } };
+const stateB = { players: [{ playerId: 'p1', x: 2, y: 1 }], bullets: [], scores: { p1: 1 } };
+
+describe('StateReceiver', () => {
+  let receiver;
+
+  beforeEach(() => {
+    receiver = new StateReceiver();
+  });
+
+  it('passes through plain states without seq', () => {
+    expect(receiver.receive(stateA)).toEqual({ state: stateA });
+  });
+
+  it('strips seq and keyframe from keyframes', () => {
+    const result = receiver.receive({ ...stateA, seq: 1, keyframe: true });
+    expect(result).toEqual({ state: stateA, seq: 1 });
+  });
+
+  it('applies deltas against an earlier state', () => {
+    receiver.receive({ ...stateA, seq: 1, keyframe: true });
+
+    const result = receiver.receive({ seq: 2, baseSeq: 1, delta: diffStates(stateA, stateB) });
+    expect(result).toEqual({ state: stateB, seq: 2 });
+  });
+
+  it('applies a delta whose base is older than the latest state', () => {
+    receiver.receive({ ...stateA, seq: 1, keyframe: true });
+    receiver.receive({ seq: 2, baseSeq: 1, delta: {} });
+
+    const result = receiver.receive({ seq: 3, baseSeq: 1, delta: diffStates(stateA, stateB) });
+    expect(result.state).toEqual(stateB);
+  });
+
+  it('ignores out-of-order updates', () => {
+    receiver.receive({ ...stateA, seq: 2, keyframe: true });
+    expect(receiver.receive({ ...stateB, seq: 1, keyframe: true })).toEqual({ stale: true });
+  });
+
+  it('asks for one keyframe when the delta base is missing', () => {
+    expect(receiver.receive({ seq: 5, baseSeq: 4, delta: {} })).toEqual({ needKeyframe: true });
+    expect(receiver.receive({ seq: 6, baseSeq: 4, delta: {} })).toEqual({});
+
+    const result = receiver.receive({ ...stateB, seq: 7, keyframe: true });
+    expect(result.state).toEqual(stateB);
+    expect(receiver.receive({ seq: 8, baseSeq: 3, delta: {} })).toEqual({ needKeyframe: true });
+  });
+
+  it('evicts states beyond historySize', () => {
+    receiver = new StateReceiver({ historySize: 2 });
+    receiver.receive({ ...stateA, seq: 1, keyframe: true });
+    receiver.receive({ seq: 2, baseSeq: 1, delta: {} });
+    receiver.receive({ seq: 3, baseSeq: 2, delta: {} });
+
+    expect(receiver.receive({ seq: 4, baseSeq: 1, delta: {} })).toEqual({ needKeyframe: true });
+  });
+
+  it('reset forgets previous states', () => {
+    receiver.receive({ ...stateA, seq: 3, keyframe: true });
+    receiver.reset();
+
+    expect(receiver.receive({ ...stateB, seq: 1, keyframe: true }).state).toEqual(stateB);
+  });
+});
@@ -50,6 +50,99 @@ describe('WebSocketClient', () => {
     });
   });
 
+  describe('reconnect', () => {
+    it('doubles the delay per attempt up to maxDelayMs', () => {
+      client = new WebSocketClient('ws://localhost:3000', {
+        reconnect: { initialDelayMs: 100, maxDelayMs: 500 }
+      });
+      expect([1, 2, 3, 4].map((n) => client.getReconnectDelay(n))).toEqual([100, 200, 400, 500]);
+    });
+
+    it('does not reconnect before a connection was ever established', () => {
+      expect(client.shouldReconnect()).toBe(false);
+    });
+
+    it('does not reconnect after disconnect() or past maxAttempts', () => {
+      client = new WebSocketClient('ws://localhost:3000', { reconnect: { maxAttempts: 2 } });
+      client.hasConnected = true;
+      expect(client.shouldReconnect()).toBe(true);
+
+      client.reconnectAttempts = 2;
+      expect(client.shouldReconnect()).toBe(false);
+
+      client.reconnectAttempts = 0;
+      client.disconnect();
+      expect(client.shouldReconnect()).toBe(false);
+    });
+
+    it('emits reconnecting, drops queued messages and retries after the delay', () => {
+      vi.useFakeTimers();
+      try {
+        client = new WebSocketClient('ws://localhost:3000', { reconnect: { initialDelayMs: 100 } });
+        const connectSpy = vi.spyOn(client, 'connect').mockImplementation(() => {});
+        const reconnecting = vi.fn();
+        client.on('reconnecting', reconnecting);
+        client.messageQueue.push({ type: 'MOVE' });
+
+        client.scheduleReconnect();
+
+        expect(reconnecting).toHaveBeenCalledWith({ attempt: 1, delayMs: 100 });
+        expect(client.messageQueue).toEqual([]);
+        vi.advanceTimersByTime(99);
+        expect(connectSpy).not.toHaveBeenCalled();
+        vi.advanceTimersByTime(1);
+        expect(connectSpy).toHaveBeenCalledTimes(1);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('disconnect() cancels a pending reconnect', () => {
+      vi.useFakeTimers();
+      try {
+        const connectSpy = vi.spyOn(client, 'connect').mockImplementation(() => {});
+        client.scheduleReconnect();
+        client.disconnect();
+        vi.advanceTimersByTime(10000);
+        expect(connectSpy).not.toHaveBeenCalled();
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('ping', () => {
+    it('sends PINGs with sentAt every pingIntervalMs while connected', () => {
+      vi.useFakeTimers();
+      try {
+        client = new WebSocketClient('ws://localhost:3000', { pingIntervalMs: 1000 });
+        client.connected = true;
+        client.ws = { readyState: 1, send: vi.fn(), close: vi.fn() };
+
+        client.startPing();
+        expect(client.ws.send).toHaveBeenCalledTimes(1);
+        const ping = JSON.parse(client.ws.send.mock.calls[0][0]);
+        expect(ping.type).toBe('PING');
+        expect(typeof ping.payload.sentAt).toBe('number');
+
+        vi.advanceTimersByTime(2000);
+        expect(client.ws.send).toHaveBeenCalledTimes(3);
+
+        client.stopPing();
+        vi.advanceTimersByTime(2000);
+        expect(client.ws.send).toHaveBeenCalledTimes(3);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('does not ping when pingIntervalMs is 0', () => {
+      client = new WebSocketClient('ws://localhost:3000', { pingIntervalMs: 0 });
+      client.startPing();
+      expect(client.pingTimer).toBeNull();
+    });
+  });
+
   describe('isConnected', () => {
     it('should return false when not connected', () => {
       expect(client.isConnected()).toBe(false);
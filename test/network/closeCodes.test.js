@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import CLOSE_CODES, { isServerCloseCode } from '../../src/network/closeCodes.js';
+
+describe('closeCodes', () => {
+  it('uses application close codes', () => {
+    for (const code of Object.values(CLOSE_CODES)) {
+      expect(isServerCloseCode(code)).toBe(true);
+    }
+  });
+
+  it('does not treat normal or abnormal closes as server closes', () => {
+    expect(isServerCloseCode(1000)).toBe(false);
+    expect(isServerCloseCode(1006)).toBe(false);
+    expect(isServerCloseCode(undefined)).toBe(false);
+  });
+});
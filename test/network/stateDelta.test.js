@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { diffStates, applyDelta } from '../../src/network/stateDelta.js';
+
+function makeState(overrides = {}) {
+  return {
+    players: [
+      { playerId: 'p1', x: 1, y: 1, playerName: 'One', isIt: true, vx: 0, vy: 0 },
+      { playerId: 'p2', x: 5, y: 5, playerName: 'Two', isIt: false, vx: 0, vy: 0 }
+    ],
+    bullets: [{ bulletId: 'b1', playerId: 'p1', x: 2, y: 1, dx: 1, dy: 0 }],
+    scores: { p1: 0, p2: 3 },
+    mode: 'tag',
+    itPlayerId: 'p1',
+    match: { phase: 'in_progress', remainingMs: 5000, nextMatchInMs: null, matchNumber: 1 },
+    ...overrides
+  };
+}
+
+describe('stateDelta', () => {
+  it('returns an empty delta for identical states', () => {
+    expect(diffStates(makeState(), makeState())).toEqual({});
+  });
+
+  it('includes only moved players', () => {
+    const base = makeState();
+    const next = makeState();
+    next.players[1] = { ...next.players[1], x: 6 };
+
+    const delta = diffStates(base, next);
+    expect(delta.players).toEqual({ changed: [next.players[1]] });
+    expect(delta.bullets).toBeUndefined();
+    expect(delta.fields).toBeUndefined();
+  });
+
+  it('records joined and left players, created and destroyed bullets', () => {
+    const base = makeState();
+    const next = makeState({
+      players: [base.players[0], { playerId: 'p3', x: 9, y: 9, playerName: 'Three', isIt: false, vx: 0, vy: 0 }],
+      bullets: [{ bulletId: 'b2', playerId: 'p2', x: 4, y: 5, dx: -1, dy: 0 }]
+    });
+
+    const delta = diffStates(base, next);
+    expect(delta.players.changed.map((p) => p.playerId)).toEqual(['p3']);
+    expect(delta.players.removed).toEqual(['p2']);
+    expect(delta.bullets.changed.map((b) => b.bulletId)).toEqual(['b2']);
+    expect(delta.bullets.removed).toEqual(['b1']);
+  });
+
+  it('records score changes and removed scores', () => {
+    const base = makeState();
+    const next = makeState({ scores: { p1: 2 } });
+
+    const delta = diffStates(base, next);
+    expect(delta.scores).toEqual({ changed: { p1: 2 }, removed: ['p2'] });
+  });
+
+  it('records changed top-level fields', () => {
+    const base = makeState();
+    const next = makeState({ itPlayerId: 'p2', match: { ...base.match, remainingMs: 4750 } });
+
+    const delta = diffStates(base, next);
+    expect(delta.fields).toEqual({ itPlayerId: 'p2', match: next.match });
+  });
+
+  it('applyDelta rebuilds the next state', () => {
+    const base = makeState();
+    const next = makeState({
+      players: [
+        { ...base.players[0], x: 2 },
+        { playerId: 'p3', x: 9, y: 9, playerName: 'Three', isIt: false, vx: 0, vy: 0 }
+      ],
+      bullets: [],
+      scores: { p1: 1, p3: 0 },
+      itPlayerId: 'p3'
+    });
+
+    expect(applyDelta(base, diffStates(base, next))).toEqual(next);
+  });
+
+  it('applyDelta does not mutate the base state', () => {
+    const base = makeState();
+    const snapshot = JSON.parse(JSON.stringify(base));
+    const next = makeState({ scores: { p1: 5 }, bullets: [] });
+
+    applyDelta(base, diffStates(base, next));
+    expect(base).toEqual(snapshot);
+  });
+
+  it('applyDelta keeps existing entity order and appends new entities', () => {
+    const base = makeState();
+    const next = makeState({
+      players: [
+        { playerId: 'p0', x: 3, y: 3, playerName: 'Zero', isIt: false, vx: 0, vy: 0 },
+        base.players[0],
+        { ...base.players[1], y: 6 }
+      ]
+    });
+
+    const rebuilt = applyDelta(base, diffStates(base, next));
+    expect(rebuilt.players.map((p) => p.playerId)).toEqual(['p1', 'p2', 'p0']);
+    expect(rebuilt.players[1].y).toBe(6);
+  });
+});
@@ -40,6 +40,29 @@ describe('Canvas', () => {
       expect(content.character).toBe('#');
     });
 
+    it('should use it glyph and color for the it player', () => {
+      canvas.config.itGlyph = '☺';
+      canvas.config.itColor = 'FF0000';
+      const players = [
+        { playerId: 'p1', x: 10, y: 10, playerName: 'Player 1', isIt: true }
+      ];
+      const content = canvas.getCellContent(10, 10, board, players);
+      expect(content).toEqual({ character: '☺', color: 'FF0000' });
+    });
+
+    it('should draw a player in their own color and glyph, unless they are it', () => {
+      canvas.config.itGlyph = '☺';
+      canvas.config.itColor = 'FF0000';
+      const players = [
+        { playerId: 'p1', x: 10, y: 10, color: '00BFFF', glyph: '@' },
+        { playerId: 'p2', x: 11, y: 10, color: 'FF8C00', glyph: null },
+        { playerId: 'p3', x: 12, y: 10, color: 'FF00FF', glyph: '@', isIt: true }
+      ];
+      expect(canvas.getCellContent(10, 10, board, players)).toEqual({ character: '@', color: '00BFFF' });
+      expect(canvas.getCellContent(11, 10, board, players)).toEqual({ character: '☻', color: 'FF8C00' });
+      expect(canvas.getCellContent(12, 10, board, players)).toEqual({ character: '☺', color: 'FF0000' });
+    });
+
     it('should prioritize player over board cell', () => {
       const players = [
         { playerId: 'p1', x: 5, y: 5, playerName: 'Player 1' }
@@ -66,6 +89,143 @@ describe('Canvas', () => {
     });
   });
 
+  describe('renderOverlay', () => {
+    it('draws a centered box and leaves other cells untouched', () => {
+      Message.apply(canvas, { terminalColumns: 20, terminalRows: 7 });
+      canvas.clearScreen();
+      canvas.grid[0][0] = { character: 'X', color: 'FFFFFF' };
+
+      expect(canvas.renderOverlay(['Hi'])).toBe(true);
+
+      expect(canvas.grid[0][0].character).toBe('X');
+      const rows = canvas.grid.map((row) => row.map((c) => c.character).join(''));
+      expect(rows[2]).toBe('       ------       ');
+      expect(rows[3]).toBe('       | Hi |       ');
+      expect(rows[4]).toBe('       ------       ');
+      expect(canvas.grid[3][9]).toEqual({ character: 'H', color: Canvas.OVERLAY_COLOR });
+    });
+
+    it('truncates lines wider than the grid', () => {
+      Message.apply(canvas, { terminalColumns: 10, terminalRows: 5 });
+      canvas.renderOverlay(['a very long message']);
+      const rows = canvas.grid.map((row) => row.map((c) => c.character).join(''));
+      expect(rows[2]).toBe('| a very |');
+    });
+
+    it('draws in the top-right corner with a custom color', () => {
+      Message.apply(canvas, { terminalColumns: 12, terminalRows: 5 });
+      canvas.clearScreen();
+
+      canvas.renderOverlay(['Hi'], { anchor: 'top-right', color: '00FFFF' });
+
+      const rows = canvas.grid.map((row) => row.map((c) => c.character).join(''));
+      expect(rows[0]).toBe('      ------');
+      expect(rows[1]).toBe('      | Hi |');
+      expect(rows[2]).toBe('      ------');
+      expect(canvas.grid[1][8]).toEqual({ character: 'H', color: '00FFFF' });
+    });
+
+    it('returns false when grid is null', () => {
+      canvas.grid = null;
+      expect(canvas.renderOverlay(['Hi'])).toBe(false);
+    });
+  });
+
+  describe('renderHelpOverlay', () => {
+    it('lists the bindings with aligned labels', () => {
+      Message.apply(canvas, { terminalColumns: 40, terminalRows: 12 });
+      canvas.clearScreen();
+
+      canvas.renderHelpOverlay([
+        { label: 'Move up', keys: 'Up / W' },
+        { label: 'Help', keys: '?' }
+      ]);
+
+      const rows = canvas.grid.map((row) => row.map((c) => c.character).join(''));
+      expect(rows[3]).toBe('       | Keys                   |       ');
+      expect(rows[5]).toBe('       | Move up  Up / W        |       ');
+      expect(rows[6]).toBe('       | Help     ?             |       ');
+      expect(rows[8]).toBe('       | Press any key to close |       ');
+      expect(canvas.grid[5][9].color).toBe(Canvas.HELP_COLOR);
+    });
+  });
+
+  describe('renderScoreboardOverlay', () => {
+    it('lists players in a table and marks our own row', () => {
+      Message.apply(canvas, { terminalColumns: 60, terminalRows: 12 });
+      canvas.clearScreen();
+
+      canvas.renderScoreboardOverlay([
+        { playerId: 'p1', playerName: 'Ann', score: 12, kills: 4, deaths: 1, pingMs: 35 },
+        { playerId: 'p2', playerName: 'Bot b2', score: 3, kills: 1, deaths: 4, pingMs: null, isBot: true },
+        { playerId: 'p3', playerName: 'Cy', score: 0, kills: 0, deaths: 0, pingMs: null }
+      ], { localPlayerId: 'p1' });
+
+      const rows = canvas.grid.map((row) => row.map((c) => c.character).join('').trim());
+      expect(rows[3]).toBe('| Scoreboard                            |');
+      expect(rows[5]).toBe('|   Name    Score  Kills  Deaths   Ping |');
+      expect(rows[6]).toBe('| > Ann        12      4       1   35ms |');
+      expect(rows[7]).toBe('|   Bot b2      3      1       4    bot |');
+      expect(rows[8]).toBe('|   Cy          0      0       0     -- |');
+      expect(canvas.grid[6][10].color).toBe(Canvas.SCOREBOARD_COLOR);
+    });
+  });
+
+  describe('renderKillFeed', () => {
+    it('writes the lines inside the top-left corner of the board', () => {
+      canvas.renderTitle('Game');
+      canvas.renderBoard(board, []);
+
+      expect(canvas.renderKillFeed([{ text: 'Ann shot Bob' }, { text: 'Bob shot Ann', color: 'FF0000' }])).toBe(true);
+
+      const rows = canvas.grid.map((row) => row.map((c) => c.character).join(''));
+      expect(rows[2]).toBe('#'.repeat(20));
+      expect(rows[3].slice(0, 15)).toBe('# Ann shot Bob ');
+      expect(rows[4].slice(1, 15)).toBe(' Bob shot Ann ');
+      expect(canvas.grid[3][2].color).toBe(Canvas.KILL_FEED_COLOR);
+      expect(canvas.grid[4][2].color).toBe('FF0000');
+    });
+
+    it('needs a board to draw over', () => {
+      expect(canvas.renderKillFeed([{ text: 'Ann shot Bob' }])).toBe(false);
+    });
+  });
+
+  describe('tintBoard', () => {
+    it('recolors the board rows only', () => {
+      canvas.renderTitle('Game');
+      canvas.renderBoard(board, []);
+      canvas.renderStatusBar(0, null, 20, 20);
+
+      expect(canvas.tintBoard('FF0000')).toBe(true);
+
+      expect(canvas.grid[0][0].color).toBe(Canvas.TITLE_COLOR);
+      expect(canvas.grid[2].every((cell) => cell.color === 'FF0000')).toBe(true);
+      expect(canvas.grid[21].every((cell) => cell.color === 'FF0000')).toBe(true);
+      expect(canvas.grid[22][0].color).toBe(Canvas.STATUS_BAR_COLOR);
+      expect(canvas.grid[2][0].character).toBe('#');
+    });
+  });
+
+  describe('renderTextScreen', () => {
+    it('puts the lines under the title as one centered block', () => {
+      canvas.renderBoard(board, []);
+      canvas.renderTextScreen('Menu', [
+        { text: '> Connect', color: '00FFFF' },
+        { text: '  Quit' }
+      ]);
+
+      const rows = canvas.grid.map((row) => row.map((c) => c.character).join(''));
+      expect(rows).toHaveLength(4);
+      expect(rows.every((row) => row.length === 60)).toBe(true);
+      expect(rows[0].trim()).toBe('Menu');
+      expect(rows[2]).toBe(`${' '.repeat(25)}> Connect`.padEnd(60));
+      expect(rows[3]).toBe(`${' '.repeat(25)}  Quit`.padEnd(60));
+      expect(canvas.grid[2][25]).toEqual({ character: '>', color: '00FFFF' });
+      expect(canvas.grid[3][27].color).toBe('FFFFFF');
+    });
+  });
+
   describe('clearContentRegion', () => {
     it('is no-op when region is null', () => {
       Message.apply(canvas, { terminalColumns: 10, terminalRows: 5 });
@@ -257,6 +417,60 @@ describe('Canvas', () => {
     });
   });
 
+  describe('renderChatPanel', () => {
+    const small = () => {
+      const b = new Board({ width: 4, height: 2 });
+      b.initialize();
+      return b;
+    };
+    const text = () => canvas.grid.map((row) => row.map((c) => c.character).join(''));
+
+    it('boxes the newest lines under the status bar, wrapping long ones', () => {
+      canvas.renderBoard(small(), []);
+      canvas.renderStatusBar(0, null, 20, 2);
+      const statusBarEnd = canvas.grid.length;
+
+      expect(canvas.renderChatPanel([
+        { text: 'Ann: first' },
+        { text: 'Bob: this one wraps around', color: '00FF00' }
+      ], { rows: 2, terminalRows: 40 })).toBe(true);
+
+      expect(text().slice(statusBarEnd)).toEqual([
+        '--------------------',
+        '| Bob: this one    |',
+        '| wraps around     |',
+        '--------------------'
+      ]);
+      expect(canvas.grid[statusBarEnd + 1][2].color).toBe('00FF00');
+      expect(canvas.grid[statusBarEnd + 1][0].color).toBe(Canvas.STATUS_BAR_COLOR);
+    });
+
+    it('keeps its height, survives status bar redraws and fits the terminal', () => {
+      canvas.renderBoard(small(), []);
+      canvas.renderStatusBar(0, null, 20, 2);
+      const statusBarEnd = canvas.grid.length;
+
+      canvas.renderChatPanel([{ text: 'hi' }], { rows: 3, terminalRows: 40 });
+      expect(canvas.grid).toHaveLength(statusBarEnd + 5);
+      canvas.renderStatusBar(1, null, 20, 2);
+      expect(text()[statusBarEnd + 1]).toBe('| hi               |');
+      expect(canvas.grid).toHaveLength(statusBarEnd + 5);
+
+      canvas.renderChatPanel([{ text: 'hi' }], { rows: 3, terminalRows: statusBarEnd + 3 });
+      expect(canvas.grid).toHaveLength(statusBarEnd + 3);
+
+      canvas.renderChatPanel([]);
+      expect(canvas.grid).toHaveLength(statusBarEnd);
+    });
+
+    it('keeps lines set before the status bar for its first draw', () => {
+      expect(canvas.renderChatPanel([{ text: 'early' }], { rows: 1, terminalRows: 40 })).toBe(false);
+      canvas.renderBoard(small(), []);
+      canvas.renderStatusBar(0, null, 20, 2);
+      expect(text().at(-2)).toBe('| early            |');
+    });
+  });
+
   describe('updateCell', () => {
     it('writes cell to this.grid at (x, y)', () => {
       canvas.renderBoard(board, []);
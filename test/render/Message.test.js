@@ -28,4 +28,53 @@ describe('Message', () => {
       expect(canvas.grid[0].length).toBe(80);
     });
   });
+
+  describe('match results', () => {
+    const standings = [
+      { rank: 1, playerId: 'p2', playerName: 'Bob', score: 12 },
+      { rank: 2, playerId: 'p1', playerName: 'Alice', score: 7 }
+    ];
+
+    it('writes title, standings and countdown into canvas.grid', () => {
+      Message.applyMatchResults(canvas, {
+        matchNumber: 3,
+        standings,
+        localPlayerId: 'p1',
+        remainingMs: 9500,
+        terminalColumns: 60,
+        terminalRows: 20
+      });
+      expect(canvas.grid.length).toBe(20);
+      expect(canvas.grid[0].length).toBe(60);
+      const text = canvas.grid.map(row => row.map(c => c.character).join('').trim());
+      expect(text).toContain('=== Match 3 results ===');
+      expect(text.some(line => line.includes('1. Bob') && line.endsWith('12'))).toBe(true);
+      expect(text).toContain('Next match in 10s');
+    });
+
+    it('highlights the local player row', () => {
+      Message.applyMatchResults(canvas, {
+        standings,
+        localPlayerId: 'p1',
+        terminalColumns: 60,
+        terminalRows: 20
+      });
+      const row = canvas.grid.find(r => r.map(c => c.character).join('').includes('Alice'));
+      const firstCol = row.findIndex(c => c.character !== ' ');
+      expect(row[firstCol].character).toBe('>');
+      expect(row[firstCol].color).toBe(Message.RESULTS_LOCAL_ROW_COLOR);
+    });
+
+    it('lists spectators below the standings, not ranked', () => {
+      Message.applyMatchResults(canvas, {
+        standings,
+        spectators: [{ spectatorId: 's1', name: 'Carol' }, { spectatorId: 's2', name: 'Dave' }],
+        terminalColumns: 60,
+        terminalRows: 20
+      });
+      const text = canvas.grid.map(row => row.map(c => c.character).join('').trim());
+      expect(text).toContain('Spectators: Carol, Dave');
+      expect(text.some(line => /^\s*\d+\. Carol/.test(line))).toBe(false);
+    });
+  });
 });
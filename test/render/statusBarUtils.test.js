@@ -7,7 +7,8 @@ import {
   padToWidth,
   formatBoxTopBottom,
   formatBoxRow,
-  getStatusBarHeight
+  getStatusBarHeight,
+  formatMatchClock
 } from '../../src/render/statusBarUtils.js';
 
 describe('wrapAtSpaces', () => {
@@ -53,12 +54,49 @@ describe('buildLine1', () => {
     expect(result).toContain('Position: (?, ?)');
     expect(result).toContain('Score: 5');
   });
+
+  it('appends the it player in tag mode', () => {
+    expect(buildLine1(3, { x: 1, y: 2 }, { itLabel: 'Alice' })).toBe('Score: 3 | Position: (1, 2) | IT: Alice');
+  });
+
+  it('appends the match clock when present', () => {
+    expect(buildLine1(3, { x: 1, y: 2 }, { timeLabel: 'Time 2:05' })).toBe('Score: 3 | Position: (1, 2) | Time 2:05');
+  });
+
+  it('leads with the followed player when spectating', () => {
+    expect(buildLine1(3, { x: 1, y: 2 }, { watchingLabel: 'Alice' })).toBe('Watching: Alice | Score: 3 | Position: (1, 2)');
+  });
+});
+
+describe('formatMatchClock', () => {
+  it('returns null without a match', () => {
+    expect(formatMatchClock(null)).toBeNull();
+    expect(formatMatchClock({ phase: null, remainingMs: 0 })).toBeNull();
+  });
+
+  it('formats remaining time as m:ss, rounding up to the next second', () => {
+    expect(formatMatchClock({ phase: 'in_progress', remainingMs: 125000 })).toBe('Time 2:05');
+    expect(formatMatchClock({ phase: 'in_progress', remainingMs: 59001 })).toBe('Time 1:00');
+  });
+
+  it('labels each phase', () => {
+    expect(formatMatchClock({ phase: 'warmup', remainingMs: 8000 })).toBe('Warmup 0:08');
+    expect(formatMatchClock({ phase: 'intermission', remainingMs: 0 })).toBe('Next match 0:00');
+  });
 });
 
 describe('buildLine2', () => {
   it('returns fixed instructions string', () => {
     expect(buildLine2()).toBe('Arrow keys/WASD to move, Q/ESC to quit');
   });
+
+  it('shows follow-camera controls when spectating', () => {
+    expect(buildLine2({ watchingLabel: 'Alice' })).toBe('Arrow keys/WASD/Tab to switch player, Q/ESC to quit');
+  });
+
+  it('leads with the join code in a private room', () => {
+    expect(buildLine2({ joinCodeLabel: 'K7MQ2X' })).toBe('Join code: K7MQ2X | Arrow keys/WASD to move, Q/ESC to quit');
+  });
 });
 
 describe('buildSimplifiedLine', () => {
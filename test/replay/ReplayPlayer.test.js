@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import ReplayPlayer, { parseReplay, formatPlaybackTime, REPLAY_SPEEDS } from '../../src/replay/ReplayPlayer.js';
+
+const boardA = { width: 2, height: 1, grid: [[' ', ' ']] };
+const boardB = { width: 3, height: 1, grid: [[' ', '#', ' ']] };
+
+function replayText() {
+  return [
+    { t: 0, kind: 'header', version: 1, seed: 7 },
+    { t: 0, kind: 'board', board: boardA },
+    { t: 1000, kind: 'state', seq: 1, state: { players: [{ playerId: 'p1', x: 0, y: 0 }] } },
+    { t: 1100, kind: 'in', clientId: 'c1', message: { type: 'MOVE' } },
+    { t: 2000, kind: 'state', seq: 2, state: { players: [{ playerId: 'p1', x: 1, y: 0 }] } },
+    { t: 2500, kind: 'board', board: boardB },
+    { t: 3000, kind: 'state', seq: 3, state: { players: [] } }
+  ].map((entry) => JSON.stringify(entry)).join('\n') + '\n';
+}
+
+describe('parseReplay', () => {
+  it('builds frames relative to the first state with the board in play', () => {
+    const replay = parseReplay(replayText());
+    expect(replay.header.seed).toBe(7);
+    expect(replay.frames.map((f) => [f.offsetMs, f.seq])).toEqual([[0, 1], [1000, 2], [2000, 3]]);
+    expect(replay.frames[1].board).toEqual(boardA);
+    expect(replay.frames[2].board).toEqual(boardB);
+    expect(replay.inbound).toEqual([{ offsetMs: 100, clientId: 'c1', message: { type: 'MOVE' } }]);
+  });
+
+  it('rejects invalid JSON with the line number', () => {
+    expect(() => parseReplay('{"kind":"header"}\nnot json\n')).toThrow(/line 2/);
+  });
+
+  it('rejects files without states', () => {
+    expect(() => parseReplay(JSON.stringify({ t: 0, kind: 'header' }))).toThrow(/no recorded states/);
+  });
+});
+
+describe('ReplayPlayer', () => {
+  it('advances by elapsed time scaled by speed and pauses at the end', () => {
+    const player = new ReplayPlayer(parseReplay(replayText()));
+    expect(player.durationMs).toBe(2000);
+    player.update(500);
+    expect(player.currentFrame().seq).toBe(1);
+    player.faster();
+    expect(player.speed).toBe(2);
+    player.update(300);
+    expect(player.positionMs).toBe(1100);
+    expect(player.currentFrame().seq).toBe(2);
+    player.update(10000);
+    expect(player.positionMs).toBe(2000);
+    expect(player.playing).toBe(false);
+    expect(player.currentFrame().seq).toBe(3);
+  });
+
+  it('does not advance while paused and restarts when played from the end', () => {
+    const player = new ReplayPlayer(parseReplay(replayText()));
+    player.togglePause();
+    player.update(500);
+    expect(player.positionMs).toBe(0);
+    player.seekTo(5000);
+    expect(player.positionMs).toBe(2000);
+    player.togglePause();
+    expect(player.playing).toBe(true);
+    expect(player.positionMs).toBe(0);
+  });
+
+  it('clamps seeking and speed changes', () => {
+    const player = new ReplayPlayer(parseReplay(replayText()));
+    player.seekBy(-5000);
+    expect(player.positionMs).toBe(0);
+    for (let i = 0; i < 10; i++) player.faster();
+    expect(player.speed).toBe(REPLAY_SPEEDS[REPLAY_SPEEDS.length - 1]);
+    for (let i = 0; i < 10; i++) player.slower();
+    expect(player.speed).toBe(REPLAY_SPEEDS[0]);
+  });
+});
+
+describe('formatPlaybackTime', () => {
+  it('formats as m:ss', () => {
+    expect(formatPlaybackTime(0)).toBe('0:00');
+    expect(formatPlaybackTime(65400)).toBe('1:05');
+  });
+});
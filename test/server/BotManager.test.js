@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import BotManager, { BOT_DIFFICULTIES, nextStepToward, clearShot } from '../../src/server/BotManager.js';
+import GameServer from '../../src/server/GameServer.js';
+import Game from '../../src/game/Game.js';
+import Board from '../../src/game/Board.js';
+import { ManualClock } from '../../src/utils/clock.js';
+import { createRandom } from '../../src/utils/random.js';
+
+/** Board from rows of characters ('#' is a wall) */
+function boardFrom(rows) {
+  return new Board({ width: rows[0].length, height: rows.length, grid: rows.map((row) => row.split('')) });
+}
+
+const OPEN_ROWS = [
+  '##########',
+  '#        #',
+  '#        #',
+  '#        #',
+  '#        #',
+  '##########'
+];
+
+/** GameServer on a small open board, free mode, no match lifecycle */
+function createGameServer(options = {}) {
+  return new GameServer(new Game(boardFrom(OPEN_ROWS)), {
+    spawnList: [{ x: 1, y: 1 }, { x: 8, y: 1 }, { x: 1, y: 4 }, { x: 8, y: 4 }],
+    spawnConfig: { clearRadius: 0 },
+    clock: new ManualClock(0),
+    random: createRandom(1),
+    ...options
+  });
+}
+
+/** Add a human and put it on a given cell */
+function addHuman(gameServer, playerId, x, y) {
+  gameServer.addPlayer(`client-${playerId}`, playerId, playerId);
+  const player = gameServer.getPlayer(playerId);
+  player.x = x;
+  player.y = y;
+  return player;
+}
+
+describe('nextStepToward', () => {
+  const board = boardFrom([
+    '#######',
+    '#  #  #',
+    '#  #  #',
+    '#     #',
+    '#######'
+  ]);
+
+  it('routes around walls', () => {
+    expect(nextStepToward(board, { x: 2, y: 1 }, { x: 4, y: 1 })).toEqual({ dx: 0, dy: 1 });
+  });
+
+  it('treats blocked cells as impassable except the goal', () => {
+    expect(nextStepToward(board, { x: 1, y: 3 }, { x: 2, y: 3 }, [{ x: 2, y: 3 }])).toEqual({ dx: 1, dy: 0 });
+    expect(nextStepToward(board, { x: 1, y: 3 }, { x: 3, y: 3 }, [{ x: 2, y: 3 }])).toBeNull();
+  });
+
+  it('returns null when already there or the goal is unreachable', () => {
+    expect(nextStepToward(board, { x: 1, y: 1 }, { x: 1, y: 1 })).toBeNull();
+    expect(nextStepToward(board, { x: 1, y: 1 }, { x: 3, y: 1 })).toBeNull();
+  });
+});
+
+describe('clearShot', () => {
+  const board = boardFrom([
+    '#######',
+    '#  #  #',
+    '#     #',
+    '#######'
+  ]);
+
+  it('fires along a clear row or column', () => {
+    expect(clearShot(board, { x: 1, y: 2 }, { x: 5, y: 2 })).toEqual({ dx: 1, dy: 0 });
+    expect(clearShot(board, { x: 2, y: 2 }, { x: 2, y: 1 })).toEqual({ dx: 0, dy: -1 });
+  });
+
+  it('does not fire through walls or off-axis', () => {
+    expect(clearShot(board, { x: 1, y: 1 }, { x: 5, y: 1 })).toBeNull();
+    expect(clearShot(board, { x: 1, y: 1 }, { x: 2, y: 2 })).toBeNull();
+  });
+});
+
+describe('BotManager', () => {
+  it('fills the match with bots that live in GameServer.players', () => {
+    const gameServer = createGameServer();
+    const bots = new BotManager(gameServer, { count: 3 });
+    bots.rebalance();
+
+    const players = gameServer.getAllPlayers();
+    expect(players).toHaveLength(3);
+    expect(players.every((p) => p.isBot && p.x !== null)).toBe(true);
+    expect(gameServer.serializeState().players.every((p) => p.isBot)).toBe(true);
+  });
+
+  it('steps a bot aside for each human and refills when humans leave', () => {
+    const gameServer = createGameServer();
+    const bots = new BotManager(gameServer, { count: 3 });
+    bots.rebalance();
+
+    expect(bots.rebalance(1)).toBe(true);
+    addHuman(gameServer, 'human', 4, 2);
+    expect(gameServer.getAllPlayers().filter((p) => p.isBot)).toHaveLength(2);
+
+    gameServer.removePlayer('human');
+    bots.rebalance();
+    expect(gameServer.getAllPlayers().filter((p) => p.isBot)).toHaveLength(3);
+  });
+
+  it('does nothing with count 0 and falls back to normal difficulty', () => {
+    const gameServer = createGameServer();
+    const bots = new BotManager(gameServer, { difficulty: 'impossible' });
+    bots.update(0);
+    expect(gameServer.getAllPlayers()).toHaveLength(0);
+    expect(bots.settings).toBe(BOT_DIFFICULTIES.normal);
+  });
+
+  it('chases the nearest player', () => {
+    const gameServer = createGameServer({ spawnList: [{ x: 1, y: 1 }] });
+    const bots = new BotManager(gameServer, { count: 2 });
+    addHuman(gameServer, 'human', 5, 3);
+    bots.update(0);
+
+    expect(gameServer.getPlayer('bot-1')).toMatchObject({ x: 2, y: 1 });
+  });
+
+  it('fires at a player with a clear shot, only when it reacts', () => {
+    const gameServer = createGameServer({ spawnList: [{ x: 1, y: 2 }], random: { next: () => 0, int: () => 0, uuid: () => 'id' } });
+    const bots = new BotManager(gameServer, { count: 2, difficulty: 'easy' });
+    addHuman(gameServer, 'human', 6, 2);
+
+    bots.update(0);
+    expect(gameServer.getPlayerBullet('bot-1')).toMatchObject({ dx: 1, dy: 0 });
+
+    gameServer.bullets.clear();
+    bots.update(BOT_DIFFICULTIES.easy.reactionMs - 1);
+    expect(gameServer.getPlayerBullet('bot-1')).toBeNull();
+    bots.update(BOT_DIFFICULTIES.easy.reactionMs);
+    expect(gameServer.getPlayerBullet('bot-1')).not.toBeNull();
+  });
+
+  it('hands over the bullets it fired once, for BULLET_CREATE', () => {
+    const gameServer = createGameServer({ spawnList: [{ x: 1, y: 2 }], random: { next: () => 0, int: () => 0, uuid: () => 'id' } });
+    const bots = new BotManager(gameServer, { count: 2, difficulty: 'easy' });
+    addHuman(gameServer, 'human', 6, 2);
+
+    bots.update(0);
+    expect(bots.takeFiredBullets()).toEqual([gameServer.getPlayerBullet('bot-1')]);
+    expect(bots.takeFiredBullets()).toEqual([]);
+  });
+
+  it('runs from "it" in tag mode', () => {
+    const gameServer = createGameServer({ mode: 'tag', spawnList: [{ x: 4, y: 2 }] });
+    const bots = new BotManager(gameServer, { count: 2 });
+    addHuman(gameServer, 'human', 2, 2);
+    gameServer.itPlayerId = 'human';
+
+    bots.update(0);
+    const bot = gameServer.getPlayer('bot-1');
+    expect(Math.abs(bot.x - 2) + Math.abs(bot.y - 2)).toBe(3);
+  });
+
+  it('tags instead of shooting when it is "it"', () => {
+    const gameServer = createGameServer({ mode: 'tag', spawnList: [{ x: 1, y: 2 }], random: { next: () => 0, int: () => 0, uuid: () => 'id' } });
+    const bots = new BotManager(gameServer, { count: 2 });
+    addHuman(gameServer, 'human', 3, 2);
+    bots.rebalance();
+    gameServer.itPlayerId = 'bot-1';
+
+    bots.update(0);
+    expect(gameServer.getPlayerBullet('bot-1')).toBeNull();
+    expect(gameServer.getItPlayerId()).toBe('human');
+  });
+});
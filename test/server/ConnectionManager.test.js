@@ -24,6 +24,14 @@ describe('ConnectionManager', () => {
       expect(connection.ws).toBe(mockWebSocket);
     });
 
+    it('should start heartbeat and idle tracking fresh', () => {
+      connectionManager.addConnection('test-client-id', mockWebSocket);
+
+      const connection = connectionManager.getConnection('test-client-id');
+      expect(connection.missedPongs).toBe(0);
+      expect(typeof connection.lastInputAt).toBe('number');
+    });
+
     it('should store connection with clientId', () => {
       const clientId = 'test-client-id';
       connectionManager.addConnection(clientId, mockWebSocket);
@@ -118,4 +126,22 @@ describe('ConnectionManager', () => {
       expect(connectionManager.getPlayerId(clientId)).toBe(playerId2);
     });
   });
+
+  describe('rooms', () => {
+    it('tracks room membership and treats clients without a room as default members', () => {
+      connectionManager.addConnection('a', mockWebSocket);
+      connectionManager.addConnection('b', mockWebSocket);
+      connectionManager.addConnection('c', mockWebSocket);
+      connectionManager.setRoom('a', 'red');
+      connectionManager.setRoom('b', 'default');
+
+      expect(connectionManager.getRoom('a')).toBe('red');
+      expect(connectionManager.getRoom('c')).toBeUndefined();
+      expect(connectionManager.getConnectionsInRoom('red', 'default').map((c) => c.clientId)).toEqual(['a']);
+      expect(connectionManager.getConnectionsInRoom('default', 'default').map((c) => c.clientId)).toEqual(['b', 'c']);
+
+      connectionManager.removeConnection('a');
+      expect(connectionManager.getRoom('a')).toBeUndefined();
+    });
+  });
 });
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import GameServer from '../../src/server/GameServer.js';
 import Game from '../../src/game/Game.js';
+import { ManualClock } from '../../src/utils/clock.js';
 
 describe('GameServer bullets', () => {
   let gameServer;
@@ -232,6 +233,48 @@ describe('GameServer bullets', () => {
       expect(gameServer.respawnQueue).toHaveLength(1);
       expect(gameServer.respawnQueue[0].playerId).toBe('player-2');
     });
+
+    it('should count kills and deaths until scores are reset', () => {
+      gameServer.addPlayer('client-1', 'player-1', 'Player 1');
+      gameServer.addPlayer('client-2', 'player-2', 'Player 2');
+      gameServer.spawnPlayer('player-1', 'Player 1');
+      gameServer.spawnPlayer('player-2', 'Player 2');
+
+      const player1 = gameServer.getPlayer('player-1');
+      const player2 = gameServer.getPlayer('player-2');
+      player1.x = 5;
+      player1.y = 5;
+      player2.x = 6;
+      player2.y = 5;
+
+      gameServer.fireBullet('player-1', 1, 0);
+      gameServer.updateBullets();
+
+      const [shooter, victim] = gameServer.serializeState().players;
+      expect(shooter).toMatchObject({ playerId: 'player-1', kills: 1, deaths: 0 });
+      expect(victim).toMatchObject({ playerId: 'player-2', kills: 0, deaths: 1 });
+
+      gameServer.resetScores();
+      expect(player1.kills).toBe(0);
+      expect(player2.deaths).toBe(0);
+    });
+  });
+
+  describe('setPlayerPing', () => {
+    it('should keep the ping to the nearest 10ms in its own state field', () => {
+      gameServer.addPlayer('client-1', 'player-1', 'Player 1');
+      gameServer.addPlayer('client-2', 'player-2', 'Player 2');
+      expect(gameServer.serializeState().pings).toEqual({});
+
+      gameServer.setPlayerPing('player-1', 41.6);
+      gameServer.setPlayerPing('nobody', 10);
+      const state = gameServer.serializeState();
+      expect(state.pings).toEqual({ 'player-1': 40 });
+      expect(state.players[0]).not.toHaveProperty('pingMs');
+
+      gameServer.setPlayerPing('player-1', 44.9);
+      expect(gameServer.serializeState().pings).toEqual(state.pings);
+    });
   });
 
   describe('scoring', () => {
@@ -258,6 +301,8 @@ describe('GameServer bullets', () => {
 
   describe('respawn', () => {
     it('should respawn player after delay', () => {
+      const clock = new ManualClock(1000);
+      gameServer = new GameServer(new Game(), { spawnList: [{ x: 5, y: 5 }], clock });
       gameServer.addPlayer('client-1', 'player-1', 'Player 1');
       gameServer.spawnPlayer('player-1', 'Player 1');
       const player = gameServer.getPlayer('player-1');
@@ -266,8 +311,10 @@ describe('GameServer bullets', () => {
       player.y = null;
       gameServer.scheduleRespawn('player-1');
 
-      gameServer.respawnQueue[0].respawnAt = Date.now() - 1;
+      clock.advance(2999);
+      expect(gameServer.processRespawns()).toEqual([]);
 
+      clock.advance(1);
       const respawned = gameServer.processRespawns();
       
       expect(respawned).toContain('player-1');
@@ -276,8 +323,10 @@ describe('GameServer bullets', () => {
     });
 
     it('should retry respawn if spawn point occupied', () => {
+      const clock = new ManualClock(1000);
       gameServer = new GameServer(new Game(), {
-        spawnList: [{ x: 5, y: 5 }]
+        spawnList: [{ x: 5, y: 5 }],
+        clock
       });
 
       gameServer.addPlayer('client-1', 'player-1', 'Player 1');
@@ -289,12 +338,31 @@ describe('GameServer bullets', () => {
       expect(player1.y).toBe(5);
 
       gameServer.scheduleRespawn('player-2');
-      gameServer.respawnQueue[0].respawnAt = Date.now() - 1;
+      clock.advance(3000);
 
       gameServer.processRespawns();
 
       expect(gameServer.respawnQueue.length).toBeGreaterThan(0);
       expect(gameServer.respawnQueue[0].playerId).toBe('player-2');
+      expect(gameServer.respawnQueue[0].respawnAt).toBe(clock.now() + 3000);
+    });
+
+    it('reports the time left until a respawn, including retries', () => {
+      const clock = new ManualClock(1000);
+      gameServer = new GameServer(new Game(), { spawnList: [{ x: 5, y: 5 }], clock });
+      gameServer.addPlayer('client-1', 'player-1', 'Player 1');
+      gameServer.addPlayer('client-2', 'player-2', 'Player 2');
+      gameServer.spawnPlayer('player-1', 'Player 1');
+      expect(gameServer.getRespawnInMs('player-2')).toBeNull();
+
+      gameServer.scheduleRespawn('player-2');
+      clock.advance(1000);
+      expect(gameServer.getRespawnInMs('player-2')).toBe(2000);
+
+      clock.advance(2000);
+      gameServer.processRespawns(); // The only spawn is taken
+      expect(gameServer.getRespawnInMs('player-2')).toBe(3000);
+      expect(gameServer.getRespawnInMs('player-2', clock.now() + 4000)).toBe(0);
     });
   });
 
@@ -324,6 +392,58 @@ describe('GameServer bullets', () => {
     });
   });
 
+  describe('updateBullets with elapsed time', () => {
+    let player;
+
+    beforeEach(() => {
+      gameServer = new GameServer(new Game(), { spawnList: [{ x: 5, y: 5 }], bulletSpeed: 10 });
+      gameServer.addPlayer('client-1', 'player-1', 'Player 1');
+      gameServer.spawnPlayer('player-1', 'Player 1');
+      player = gameServer.getPlayer('player-1');
+      gameServer.fireBullet('player-1', 1, 0);
+    });
+
+    it('moves bulletSpeed cells per second', () => {
+      gameServer.updateBullets(300);
+      expect(gameServer.getPlayerBullet('player-1').x).toBe(player.x + 3);
+    });
+
+    it('carries partial cells over to the next update', () => {
+      gameServer.updateBullets(50);
+      expect(gameServer.getPlayerBullet('player-1').x).toBe(player.x);
+
+      gameServer.updateBullets(50);
+      expect(gameServer.getPlayerBullet('player-1').x).toBe(player.x + 1);
+    });
+
+    it('stops at a wall part-way through a multi-cell step', () => {
+      const board = gameServer.game.board;
+      const result = gameServer.updateBullets((board.width * 1000) / 10);
+      expect(result.destroyedBullets.length).toBe(1);
+      expect(gameServer.getPlayerBullet('player-1')).toBeNull();
+    });
+
+    it('defaults to 4 cells per second', () => {
+      const defaults = new GameServer(new Game(), { spawnList: [{ x: 5, y: 5 }] });
+      expect(defaults.bulletSpeed).toBe(4);
+    });
+  });
+
+  describe('tick', () => {
+    it('advances bullets by elapsed time and processes respawns', () => {
+      gameServer = new GameServer(new Game(), { spawnList: [{ x: 5, y: 5 }] });
+      gameServer.addPlayer('client-1', 'player-1', 'Player 1');
+      gameServer.spawnPlayer('player-1', 'Player 1');
+      gameServer.fireBullet('player-1', 1, 0);
+
+      const result = gameServer.tick(500);
+
+      expect(gameServer.getPlayerBullet('player-1').x).toBe(7);
+      expect(result.respawned).toEqual([]);
+      expect(result.match).toEqual({ transitions: [], ended: null, newMatch: false, spawned: [] });
+    });
+  });
+
   describe('removePlayer cleanup', () => {
     it('should remove player bullet when player leaves', () => {
       gameServer.addPlayer('client-1', 'player-1', 'Player 1');
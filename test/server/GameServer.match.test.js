@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import GameServer from '../../src/server/GameServer.js';
+import Game from '../../src/game/Game.js';
+import Board from '../../src/game/Board.js';
+
+describe('GameServer match lifecycle', () => {
+  let gameServer;
+
+  beforeEach(() => {
+    const board = new Board({ width: 20, height: 20 });
+    board.initialize();
+    gameServer = new GameServer(new Game(board), {
+      spawnList: [{ x: 5, y: 5 }, { x: 12, y: 5 }],
+      match: { warmupSeconds: 5, durationSeconds: 60, endedSeconds: 2, intermissionSeconds: 10 }
+    });
+    gameServer.addPlayer('client-1', 'player-1', 'Player 1');
+    gameServer.spawnPlayer('player-1', 'Player 1');
+    gameServer.addPlayer('client-2', 'player-2', 'Player 2');
+    gameServer.spawnPlayer('player-2', 'Player 2');
+  });
+
+  it('has no match state without match options', () => {
+    const gs = new GameServer(gameServer.game);
+    expect(gs.updateMatch(0)).toEqual({ transitions: [], ended: null, newMatch: false, spawned: [] });
+    expect(gs.serializeState().match).toBeNull();
+    expect(gs.isPlayActive()).toBe(true);
+  });
+
+  it('starts warmup on the first update and serializes the match', () => {
+    gameServer.updateMatch(0);
+    const state = gameServer.serializeState();
+    expect(state.match.phase).toBe('warmup');
+    expect(state.match.matchNumber).toBe(1);
+  });
+
+  it('resets scores when the match goes in progress', () => {
+    gameServer.updateMatch(0);
+    gameServer.addScore('player-1', 3);
+    gameServer.updateMatch(5000);
+    expect(gameServer.getScore('player-1')).toBe(0);
+  });
+
+  it('returns final standings sorted by score when the match ends', () => {
+    gameServer.updateMatch(0);
+    gameServer.updateMatch(5000);
+    gameServer.addScore('player-2', 4);
+    gameServer.addScore('player-1', 1);
+
+    const result = gameServer.updateMatch(65000);
+    expect(result.ended.matchNumber).toBe(1);
+    expect(result.ended.standings).toEqual([
+      { rank: 1, playerId: 'player-2', playerName: 'Player 2', score: 4 },
+      { rank: 2, playerId: 'player-1', playerName: 'Player 1', score: 1 }
+    ]);
+  });
+
+  it('freezes movement and firing once the match has ended', () => {
+    gameServer.updateMatch(0);
+    gameServer.updateMatch(65000);
+
+    expect(gameServer.movePlayer('player-1', 1, 0)).toBe(false);
+    expect(gameServer.fireBullet('player-1', 1, 0)).toEqual({
+      success: false,
+      error: 'Match not in progress'
+    });
+  });
+
+  it('starts a new match with scores reset and players respawned', () => {
+    gameServer.updateMatch(0);
+    gameServer.updateMatch(5000);
+    gameServer.addScore('player-1', 5);
+    gameServer.updateMatch(65000);
+    gameServer.updateMatch(67000);
+
+    const result = gameServer.updateMatch(77000);
+    expect(result.newMatch).toBe(true);
+    expect(gameServer.getScore('player-1')).toBe(0);
+    expect(gameServer.match.matchNumber).toBe(2);
+    for (const player of gameServer.getAllPlayers()) {
+      expect(player.x).not.toBeNull();
+      expect(player.y).not.toBeNull();
+    }
+    expect(gameServer.movePlayer('player-1', 1, 0)).toBe(true);
+  });
+});
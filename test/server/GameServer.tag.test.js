@@ -0,0 +1,251 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import GameServer from '../../src/server/GameServer.js';
+import Game from '../../src/game/Game.js';
+import Board from '../../src/game/Board.js';
+
+describe('GameServer tag mode', () => {
+  let gameServer;
+
+  beforeEach(() => {
+    const board = new Board({ width: 20, height: 20 });
+    board.initialize();
+    gameServer = new GameServer(new Game(board), {
+      spawnList: [{ x: 5, y: 5 }, { x: 12, y: 5 }, { x: 5, y: 12 }],
+      spawnConfig: { clearRadius: 0 },
+      mode: 'tag',
+      tagConfig: { tagBackCooldownMs: 1000, pointsPerSecond: 1 }
+    });
+  });
+
+  function addAndPlace(playerId, x, y) {
+    gameServer.addPlayer(`client-${playerId}`, playerId, playerId);
+    gameServer.spawnPlayer(playerId, playerId);
+    const player = gameServer.getPlayer(playerId);
+    player.x = x;
+    player.y = y;
+    return player;
+  }
+
+  describe('mode', () => {
+    it('defaults to free mode with no it player', () => {
+      const gs = new GameServer(gameServer.game);
+      expect(gs.isTagMode()).toBe(false);
+      gs.addPlayer('client-1', 'player-1', 'Player 1');
+      gs.spawnPlayer('player-1', 'Player 1');
+      expect(gs.getItPlayerId()).toBeNull();
+    });
+
+    it('ignores unknown modes', () => {
+      const gs = new GameServer(gameServer.game, { mode: 'capture-the-flag' });
+      expect(gs.mode).toBe('free');
+    });
+  });
+
+  describe('it assignment', () => {
+    it('makes the first spawned player it', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 12, 5);
+      expect(gameServer.getItPlayerId()).toBe('player-1');
+    });
+
+    it('does not make a waiting (unspawned) player it', () => {
+      gameServer.addPlayer('client-1', 'player-1', 'Player 1');
+      expect(gameServer.getItPlayerId()).toBeNull();
+    });
+
+    it('reassigns it when the it player leaves', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 12, 5);
+      gameServer.removePlayer('player-1');
+      expect(gameServer.getItPlayerId()).toBe('player-2');
+    });
+
+    it('passes it to a connected player when the it player disconnects', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 12, 5);
+      gameServer.setPlayerDisconnected('player-1', true);
+      expect(gameServer.getItPlayerId()).toBe('player-2');
+    });
+
+    it('keeps it on a disconnected player when nobody else is connected', () => {
+      addAndPlace('player-1', 5, 5);
+      gameServer.setPlayerDisconnected('player-1', true);
+      expect(gameServer.getItPlayerId()).toBe('player-1');
+    });
+
+    it('clears it when the last player leaves', () => {
+      addAndPlace('player-1', 5, 5);
+      gameServer.removePlayer('player-1');
+      expect(gameServer.getItPlayerId()).toBeNull();
+    });
+  });
+
+  describe('tagging in movePlayer', () => {
+    it('transfers it when the it player moves next to another player', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 7, 5);
+
+      expect(gameServer.movePlayer('player-1', 1, 0)).toBe(true);
+      expect(gameServer.getItPlayerId()).toBe('player-2');
+    });
+
+    it('transfers it to a non-it player who moves next to the it player', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 7, 5);
+
+      gameServer.movePlayer('player-2', -1, 0);
+      expect(gameServer.getItPlayerId()).toBe('player-2');
+    });
+
+    it('does not let the previous it player run back into it during the cooldown', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 7, 5);
+      gameServer.movePlayer('player-1', 1, 0);
+      expect(gameServer.getItPlayerId()).toBe('player-2');
+
+      // player-1 steps away and back next to player-2 (now it)
+      gameServer.movePlayer('player-1', -1, 0);
+      gameServer.movePlayer('player-1', 1, 0);
+      expect(gameServer.getItPlayerId()).toBe('player-2');
+
+      gameServer.lastTagAt -= 1000;
+      gameServer.movePlayer('player-1', -1, 0);
+      gameServer.movePlayer('player-1', 1, 0);
+      expect(gameServer.getItPlayerId()).toBe('player-1');
+    });
+
+    it('does not tag a disconnected adjacent player', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 7, 5);
+      gameServer.setPlayerDisconnected('player-2', true);
+
+      gameServer.movePlayer('player-1', 1, 0);
+      expect(gameServer.getItPlayerId()).toBe('player-1');
+    });
+
+    it('does not tag diagonal neighbours', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 7, 6);
+
+      gameServer.movePlayer('player-1', 1, 0);
+      expect(gameServer.getItPlayerId()).toBe('player-1');
+    });
+
+    it('prevents an immediate tag-back during the cooldown', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 7, 5);
+      gameServer.movePlayer('player-1', 1, 0);
+      expect(gameServer.getItPlayerId()).toBe('player-2');
+
+      // player-2 (now it) steps away and back next to player-1
+      gameServer.movePlayer('player-2', 0, 1);
+      gameServer.movePlayer('player-2', 0, -1);
+      expect(gameServer.getItPlayerId()).toBe('player-2');
+    });
+
+    it('allows a tag-back once the cooldown has elapsed', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 7, 5);
+      gameServer.movePlayer('player-1', 1, 0);
+      gameServer.lastTagAt -= 1000;
+
+      gameServer.movePlayer('player-2', 0, 1);
+      gameServer.movePlayer('player-2', 0, -1);
+      expect(gameServer.getItPlayerId()).toBe('player-1');
+    });
+  });
+
+  describe('shooting it', () => {
+    it('makes the shooter it, so tagging goes on while the old it waits to respawn', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 8, 5);
+      addAndPlace('player-3', 8, 7);
+      expect(gameServer.getItPlayerId()).toBe('player-1');
+
+      gameServer.fireBullet('player-2', -1, 0);
+      gameServer.updateBullets();
+      gameServer.updateBullets();
+      gameServer.updateBullets();
+      expect(gameServer.getPlayer('player-1').x).toBeNull();
+      expect(gameServer.getItPlayerId()).toBe('player-2');
+
+      gameServer.movePlayer('player-2', 0, 1);
+      expect(gameServer.getItPlayerId()).toBe('player-3');
+    });
+
+    it('passes it to another player when the shooter is off the board, or to the first one back', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 8, 5);
+      gameServer.fireBullet('player-2', -1, 0);
+      gameServer.getPlayer('player-2').x = null; // e.g. shot at the same time
+      gameServer.getPlayer('player-2').y = null;
+      gameServer.updateBullets();
+      gameServer.updateBullets();
+      gameServer.updateBullets();
+      expect(gameServer.getItPlayerId()).toBeNull();
+
+      gameServer.respawnQueue[0].respawnAt = 0;
+      expect(gameServer.processRespawns()).toEqual(['player-1']);
+      expect(gameServer.getItPlayerId()).toBe('player-1');
+    });
+  });
+
+  describe('updateTagScores', () => {
+    it('awards points per full second to players who are not it', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 12, 5);
+
+      gameServer.updateTagScores(10000);
+      gameServer.updateTagScores(12500);
+
+      expect(gameServer.getScore('player-1')).toBe(0);
+      expect(gameServer.getScore('player-2')).toBe(2);
+
+      gameServer.updateTagScores(13000);
+      expect(gameServer.getScore('player-2')).toBe(3);
+    });
+
+    it('does not award points to players waiting to respawn', () => {
+      addAndPlace('player-1', 5, 5);
+      const victim = addAndPlace('player-2', 12, 5);
+      victim.x = null;
+      victim.y = null;
+
+      gameServer.updateTagScores(0);
+      gameServer.updateTagScores(5000);
+      expect(gameServer.getScore('player-2')).toBe(0);
+    });
+
+    it('does not award points to disconnected players', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 12, 5);
+      gameServer.setPlayerDisconnected('player-2', true);
+
+      gameServer.updateTagScores(0);
+      gameServer.updateTagScores(5000);
+      expect(gameServer.getScore('player-2')).toBe(0);
+    });
+
+    it('is a no-op in free mode', () => {
+      const gs = new GameServer(gameServer.game);
+      gs.addPlayer('client-1', 'player-1', 'Player 1');
+      gs.spawnPlayer('player-1', 'Player 1');
+      gs.updateTagScores(0);
+      gs.updateTagScores(5000);
+      expect(gs.getScore('player-1')).toBe(0);
+    });
+  });
+
+  describe('serializeState', () => {
+    it('includes mode, itPlayerId and isIt per player', () => {
+      addAndPlace('player-1', 5, 5);
+      addAndPlace('player-2', 12, 5);
+
+      const state = gameServer.serializeState();
+      expect(state.mode).toBe('tag');
+      expect(state.itPlayerId).toBe('player-1');
+      expect(state.players.find(p => p.playerId === 'player-1').isIt).toBe(true);
+      expect(state.players.find(p => p.playerId === 'player-2').isIt).toBe(false);
+    });
+  });
+});
@@ -2,6 +2,7 @@ import { describe, it, expect, beforeEach } from 'vitest';
 import GameServer from '../../src/server/GameServer.js';
 import Game from '../../src/game/Game.js';
 import Board from '../../src/game/Board.js';
+import { ManualClock } from '../../src/utils/clock.js';
 
 describe('GameServer', () => {
   let gameServer;
@@ -60,6 +61,17 @@ describe('GameServer', () => {
       expect(player.clientId).toBe(clientId);
       expect(player.playerName).toBe(playerName);
     });
+
+    it('gives each player a color of their own unless they asked for one', () => {
+      gameServer.addPlayer('client-1', 'player-1', 'Ann');
+      gameServer.addPlayer('client-2', 'player-2', 'Bob');
+      gameServer.addPlayer('client-3', 'player-3', 'Cy', { color: 'ABCDEF', glyph: '@' });
+
+      const [ann, bob, cy] = gameServer.serializeState().players;
+      expect(ann.color).not.toBe(bob.color);
+      expect(ann.glyph).toBeNull();
+      expect(cy).toMatchObject({ color: 'ABCDEF', glyph: '@' });
+    });
   });
 
   describe('removePlayer', () => {
@@ -213,11 +225,6 @@ describe('GameServer', () => {
       const state = gameServer.serializeState();
 
       expect(state).toBeDefined();
-      expect(state.board).toBeDefined();
-      expect(state.board.width).toBe(20);
-      expect(state.board.height).toBe(20);
-      expect(state.board.grid).toBeDefined();
-      expect(Array.isArray(state.board.grid)).toBe(true);
       expect(state.players).toBeDefined();
       expect(Array.isArray(state.players)).toBe(true);
       expect(state.scores).toBeDefined();
@@ -235,10 +242,54 @@ describe('GameServer', () => {
       expect(state.players[0].playerId).toBe('player-1');
     });
 
-    it('should include board grid in serialized state', () => {
+    it('should not include the static board', () => {
+      const state = gameServer.serializeState();
+      expect(state.board).toBeUndefined();
+    });
+
+    it('should list spectators apart from players', () => {
+      gameServer.addSpectator('client-2', 'spectator-1', 'Spectator 1');
+
       const state = gameServer.serializeState();
+      expect(state.players).toEqual([]);
+      expect(state.spectators).toEqual([{ spectatorId: 'spectator-1', name: 'Spectator 1' }]);
+
+      gameServer.removeSpectator('spectator-1');
+      expect(gameServer.serializeState().spectators).toEqual([]);
+    });
+  });
+
+  describe('serializeBoard', () => {
+    it('should return board dimensions and grid', () => {
+      const board = gameServer.serializeBoard();
+      expect(board.width).toBe(20);
+      expect(board.height).toBe(20);
+      expect(board.grid.length).toBe(20);
+      expect(board.grid[0].length).toBe(20);
+    });
+
+    it('serializeStateWithBoard combines board and dynamic state', () => {
+      gameServer.addPlayer('client-1', 'player-1', 'Player 1');
+      gameServer.spawnPlayer('player-1', 'Player 1');
+
+      const state = gameServer.serializeStateWithBoard();
       expect(state.board.grid.length).toBe(20);
-      expect(state.board.grid[0].length).toBe(20);
+      expect(state.players.length).toBe(1);
+    });
+  });
+
+  describe('setBoard', () => {
+    it('should replace the board and respawn players on the new spawns', () => {
+      gameServer.addPlayer('client-1', 'player-1', 'Player 1');
+      gameServer.spawnPlayer('player-1', 'Player 1');
+
+      const board = new Board({ width: 30, height: 20 });
+      board.initialize();
+      gameServer.setBoard(board, [{ x: 15, y: 5 }]);
+
+      expect(gameServer.serializeBoard().width).toBe(30);
+      const player = gameServer.getPlayer('player-1');
+      expect({ x: player.x, y: player.y }).toEqual({ x: 15, y: 5 });
     });
   });
 
@@ -336,5 +387,50 @@ describe('GameServer', () => {
       expect(success).toBe(false);
       expect(player.x).toBe(oldX); // Position unchanged
     });
+
+    it('reports velocity from steady moves but not from the first move after standing still', () => {
+      const clock = new ManualClock(1000);
+      const gs = new GameServer(gameServer.game, { clock, velocityHoldMs: 250 });
+      gs.addPlayer('client-1', 'player-1', 'Player 1');
+      gs.spawnPlayer('player-1', 'Player 1');
+      const velocity = () => {
+        const { vx, vy } = gs.serializeState().players[0];
+        return { vx, vy };
+      };
+
+      gs.movePlayer('player-1', 1, 0);
+      clock.advance(100);
+      gs.movePlayer('player-1', 1, 0);
+      expect(velocity()).toEqual({ vx: 10, vy: 0 });
+
+      clock.advance(100000);
+      gs.movePlayer('player-1', 0, 1);
+      expect(velocity()).toEqual({ vx: 0, vy: 0 });
+      clock.advance(200);
+      gs.movePlayer('player-1', 0, 1);
+      expect(velocity()).toEqual({ vx: 0, vy: 5 });
+    });
+  });
+
+  describe('acknowledgeInput', () => {
+    beforeEach(() => {
+      gameServer.addPlayer('client-1', 'player-1', 'Player 1');
+      gameServer.spawnPlayer('player-1', 'Player 1');
+    });
+
+    it('tracks the highest input seq and serializes it as lastInputSeq', () => {
+      expect(gameServer.serializeState().players[0].lastInputSeq).toBe(0);
+
+      gameServer.acknowledgeInput('player-1', 3);
+      gameServer.acknowledgeInput('player-1', 2); // Out of order
+      gameServer.acknowledgeInput('player-1', 'x');
+
+      expect(gameServer.getPlayer('player-1').lastInputSeq).toBe(3);
+      expect(gameServer.serializeState().players[0].lastInputSeq).toBe(3);
+    });
+
+    it('ignores unknown players', () => {
+      expect(() => gameServer.acknowledgeInput('nobody', 1)).not.toThrow();
+    });
   });
 });
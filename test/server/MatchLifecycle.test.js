@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import MatchLifecycle, { MATCH_PHASES } from '../../src/server/MatchLifecycle.js';
+
+describe('MatchLifecycle', () => {
+  let match;
+
+  beforeEach(() => {
+    match = new MatchLifecycle({
+      warmupSeconds: 5,
+      durationSeconds: 60,
+      endedSeconds: 2,
+      intermissionSeconds: 10
+    });
+  });
+
+  it('is not started until start() is called', () => {
+    expect(match.isStarted()).toBe(false);
+    expect(match.update(1000)).toEqual([]);
+    expect(match.serialize(1000).phase).toBeNull();
+  });
+
+  it('starts the first match in warmup', () => {
+    match.start(0);
+    expect(match.phase).toBe(MATCH_PHASES.WARMUP);
+    expect(match.matchNumber).toBe(1);
+    expect(match.getRemainingMs(1000)).toBe(4000);
+  });
+
+  it('moves through warmup → in_progress → ended → intermission → warmup', () => {
+    match.start(0);
+
+    expect(match.update(5000)).toEqual([{ from: 'warmup', to: 'in_progress', matchNumber: 1 }]);
+    expect(match.getRemainingMs(5000)).toBe(60000);
+
+    expect(match.update(65000)).toEqual([{ from: 'in_progress', to: 'ended', matchNumber: 1 }]);
+    expect(match.update(67000)).toEqual([{ from: 'ended', to: 'intermission', matchNumber: 1 }]);
+    expect(match.update(77000)).toEqual([{ from: 'intermission', to: 'warmup', matchNumber: 2 }]);
+    expect(match.matchNumber).toBe(2);
+  });
+
+  it('reports several transitions when updates are late', () => {
+    match.start(0);
+    const transitions = match.update(66000);
+    expect(transitions.map(t => t.to)).toEqual(['in_progress', 'ended']);
+    expect(match.getRemainingMs(66000)).toBe(1000);
+  });
+
+  it('only allows play during warmup and in_progress', () => {
+    match.start(0);
+    expect(match.isPlayActive()).toBe(true);
+    match.update(5000);
+    expect(match.isPlayActive()).toBe(true);
+    match.update(65000);
+    expect(match.isPlayActive()).toBe(false);
+    match.update(67000);
+    expect(match.isPlayActive()).toBe(false);
+  });
+
+  it('serializes phase, remaining time and time until the next match', () => {
+    match.start(0);
+    expect(match.serialize(1000)).toEqual({
+      phase: 'warmup',
+      remainingMs: 4000,
+      nextMatchInMs: null,
+      matchNumber: 1
+    });
+
+    match.update(65500);
+    expect(match.serialize(65500).nextMatchInMs).toBe(11500);
+  });
+});
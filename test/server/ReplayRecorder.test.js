@@ -0,0 +1,69 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ReplayRecorder, { REPLAY_FORMAT_VERSION, defaultReplayPath } from '../../src/server/ReplayRecorder.js';
+import { ManualClock } from '../../src/utils/clock.js';
+
+describe('ReplayRecorder', () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it('writes one JSON object per line with the clock time', async () => {
+    dir = mkdtempSync(join(tmpdir(), 'ascii-tag-replay-'));
+    const clock = new ManualClock(1000);
+    const filePath = join(dir, 'nested', 'match.ndjson');
+    const recorder = new ReplayRecorder(filePath, { clock });
+
+    recorder.open({ seed: 42, mode: 'tag' });
+    recorder.recordBoard({ width: 2, height: 1, grid: [[' ', '#']] });
+    clock.advance(50);
+    recorder.recordInbound('client-1', { type: 'MOVE', payload: { dx: 1, dy: 0 } });
+    recorder.recordState(1, { players: [] });
+    expect(recorder.isRecording()).toBe(true);
+    await recorder.close();
+    expect(recorder.isRecording()).toBe(false);
+
+    const lines = readFileSync(filePath, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines).toEqual([
+      { t: 1000, kind: 'header', version: REPLAY_FORMAT_VERSION, seed: 42, mode: 'tag' },
+      { t: 1000, kind: 'board', board: { width: 2, height: 1, grid: [[' ', '#']] } },
+      { t: 1050, kind: 'in', clientId: 'client-1', message: { type: 'MOVE', payload: { dx: 1, dy: 0 } } },
+      { t: 1050, kind: 'state', seq: 1, state: { players: [] } }
+    ]);
+  });
+
+  it('leaves codes and resume tokens out of recorded messages', async () => {
+    dir = mkdtempSync(join(tmpdir(), 'ascii-tag-replay-'));
+    const filePath = join(dir, 'match.ndjson');
+    const recorder = new ReplayRecorder(filePath, { clock: new ManualClock(0) });
+    const connect = { type: 'CONNECT', payload: { room: 'side', code: 'hunter2', resumeToken: 'secret-token' } };
+
+    recorder.open();
+    recorder.recordInbound('client-1', connect);
+    recorder.recordInbound('client-2', { type: 'LIST_ROOMS', payload: { code: 'hunter2' } });
+    await recorder.close();
+
+    const lines = readFileSync(filePath, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines[1].message).toEqual({ type: 'CONNECT', payload: { room: 'side' } });
+    expect(lines[2].message).toEqual({ type: 'LIST_ROOMS', payload: {} });
+    expect(readFileSync(filePath, 'utf-8')).not.toMatch(/hunter2|secret-token/);
+    expect(connect.payload.code).toBe('hunter2'); // The live message is untouched
+  });
+
+  it('ignores records before open and after close', async () => {
+    const recorder = new ReplayRecorder(join(tmpdir(), 'never-written.ndjson'));
+    expect(() => recorder.recordState(1, {})).not.toThrow();
+    await expect(recorder.close()).resolves.toBeUndefined();
+  });
+
+  it('names default files after the start time', () => {
+    expect(defaultReplayPath('replays', Date.UTC(2024, 4, 1, 12, 0, 0))).toBe(
+      join('replays', 'match-2024-05-01T12-00-00-000Z.ndjson')
+    );
+  });
+});
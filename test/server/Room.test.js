@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import Room, { DEFAULT_ROOM_NAME, isValidRoomName } from '../../src/server/Room.js';
+import Game from '../../src/game/Game.js';
+import Board from '../../src/game/Board.js';
+
+function createRoom(options = {}) {
+  const game = new Game(new Board({ width: 20, height: 10 }).empty());
+  return new Room('arena', game, { spawnList: [{ x: 2, y: 2 }, { x: 12, y: 2 }], spawnConfig: { clearRadius: 1 }, ...options });
+}
+
+describe('isValidRoomName', () => {
+  it('accepts short names of letters, digits, - and _', () => {
+    expect(isValidRoomName(DEFAULT_ROOM_NAME)).toBe(true);
+    expect(isValidRoomName('team_2-b')).toBe(true);
+    expect(isValidRoomName('')).toBe(false);
+    expect(isValidRoomName('a b')).toBe(false);
+    expect(isValidRoomName('x'.repeat(33))).toBe(false);
+    expect(isValidRoomName(7)).toBe(false);
+  });
+});
+
+describe('Room', () => {
+  it('summarizes humans, bots and spectators separately', () => {
+    const room = createRoom({ boardName: 'classic', bots: { count: 2 } });
+    room.gameServer.addPlayer('client-1', 'p1', 'Alice');
+    room.gameServer.spawnPlayer('p1', 'Alice');
+    room.gameServer.addSpectator('client-2', 's1', 'Watcher');
+    room.bots.update(0);
+
+    expect(room.summary()).toEqual({
+      name: 'arena',
+      board: 'classic',
+      mode: 'free',
+      private: false,
+      players: 1,
+      bots: 1,
+      spectators: 1,
+      phase: null
+    });
+  });
+
+  it('is empty when only bots are left', () => {
+    const room = createRoom({ bots: { count: 1 } });
+    room.bots.update(0);
+    expect(room.isEmpty()).toBe(true);
+
+    room.gameServer.addSpectator('client-1', 's1', 'Watcher');
+    expect(room.isEmpty()).toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import StateSync from '../../src/server/StateSync.js';
+import GameServer from '../../src/server/GameServer.js';
+import Game from '../../src/game/Game.js';
+import Board from '../../src/game/Board.js';
+import { ManualClock } from '../../src/utils/clock.js';
+
+const stateA = { players: [{ playerId: 'p1', x: 1, y: 1 }], bullets: [], scores: { p1: 0 } };
+const stateB = { players: [{ playerId: 'p1', x: 2, y: 1 }], bullets: [], scores: { p1: 0 } };
+
+describe('StateSync', () => {
+  let sync;
+  let client;
+
+  beforeEach(() => {
+    sync = new StateSync({ keyframeInterval: 4, historySize: 8 });
+    client = sync.createClientState();
+  });
+
+  it('sends a keyframe until the client acknowledges a state', () => {
+    const seq1 = sync.record(stateA);
+    expect(sync.buildPayload(client, seq1)).toEqual({ ...stateA, seq: seq1, keyframe: true });
+
+    const seq2 = sync.record(stateB);
+    expect(sync.buildPayload(client, seq2).keyframe).toBe(true);
+  });
+
+  it('sends a delta against the last acknowledged state', () => {
+    const seq1 = sync.record(stateA);
+    sync.buildPayload(client, seq1);
+    sync.acknowledge(client, seq1);
+
+    const seq2 = sync.record(stateB);
+    const payload = sync.buildPayload(client, seq2);
+    expect(payload.keyframe).toBeUndefined();
+    expect(payload.seq).toBe(seq2);
+    expect(payload.baseSeq).toBe(seq1);
+    expect(payload.delta.players.changed).toEqual([stateB.players[0]]);
+  });
+
+  it('sends a keyframe every keyframeInterval updates', () => {
+    const seq1 = sync.record(stateA);
+    sync.buildPayload(client, seq1);
+    sync.acknowledge(client, seq1);
+
+    const kinds = [];
+    for (let i = 0; i < 4; i++) {
+      kinds.push(sync.buildPayload(client, sync.record(stateA)).keyframe === true);
+    }
+    expect(kinds).toEqual([false, false, false, true]);
+  });
+
+  it('sends a keyframe after a request', () => {
+    const seq1 = sync.record(stateA);
+    sync.buildPayload(client, seq1);
+    sync.acknowledge(client, seq1);
+
+    sync.requestKeyframe(client);
+    expect(sync.buildPayload(client, sync.record(stateB)).keyframe).toBe(true);
+  });
+
+  it('ignores stale and unknown acknowledgements', () => {
+    const seq1 = sync.record(stateA);
+    const seq2 = sync.record(stateB);
+    sync.acknowledge(client, seq2);
+    sync.acknowledge(client, seq1);
+    sync.acknowledge(client, 99);
+    expect(client.ackedSeq).toBe(seq2);
+  });
+
+  it('falls back to a keyframe when the acknowledged state was evicted', () => {
+    const seq1 = sync.record(stateA);
+    sync.acknowledge(client, seq1);
+    client.keyframeRequested = false;
+    for (let i = 0; i < 8; i++) sync.record(stateA);
+
+    expect(sync.buildPayload(client, sync.seq).keyframe).toBe(true);
+  });
+
+  it('sends an empty delta once a player has stopped moving', () => {
+    const board = new Board({ width: 20, height: 20 });
+    board.initialize();
+    const clock = new ManualClock(1000);
+    const gameServer = new GameServer(new Game(board), {
+      clock,
+      spawnList: [{ x: 5, y: 5 }],
+      spawnConfig: { clearRadius: 0 },
+      velocityHoldMs: 100
+    });
+    gameServer.addPlayer('client-1', 'p1', 'P1');
+    gameServer.spawnPlayer('p1', 'P1');
+    clock.advance(50);
+    gameServer.movePlayer('p1', 1, 0);
+    clock.advance(200);
+
+    sync.acknowledge(client, sync.record(gameServer.serializeState()));
+    client.keyframeRequested = false;
+    clock.advance(100);
+    const payload = sync.buildPayload(client, sync.record(gameServer.serializeState()));
+
+    expect(payload.keyframe).toBeUndefined();
+    expect(payload.delta).toEqual({});
+  });
+});
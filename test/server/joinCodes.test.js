@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { generateJoinCode, normalizeJoinCode, secretsMatch, JOIN_CODE_LENGTH } from '../../src/server/joinCodes.js';
+
+describe('join codes', () => {
+  it('generates codes without look-alike characters', () => {
+    for (let i = 0; i < 50; i++) {
+      const code = generateJoinCode();
+      expect(code).toHaveLength(JOIN_CODE_LENGTH);
+      expect(code).toMatch(/^[A-HJKMNP-Z2-9]+$/);
+    }
+  });
+
+  it('normalizes typed codes', () => {
+    expect(normalizeJoinCode(' k7mq2x ')).toBe('K7MQ2X');
+    expect(normalizeJoinCode(undefined)).toBe('');
+  });
+
+  it('compares secrets of any length', () => {
+    expect(secretsMatch('hunter2', 'hunter2')).toBe(true);
+    expect(secretsMatch('hunter2', 'hunter')).toBe(false);
+    expect(secretsMatch('hunter2', null)).toBe(false);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizePlayerName,
+  uniquePlayerName,
+  normalizePlayerColor,
+  normalizePlayerGlyph,
+  pickPlayerColor,
+  PLAYER_COLORS
+} from '../../src/server/playerIdentity.js';
+
+describe('player identity', () => {
+  it('tidies names and refuses unusable ones', () => {
+    expect(normalizePlayerName('  Ann   the  Bold ')).toBe('Ann the Bold');
+    expect(normalizePlayerName("O'Brien-2")).toBe("O'Brien-2");
+    expect(normalizePlayerName('Zoë')).toBe('Zoë');
+    expect(normalizePlayerName('')).toBeNull();
+    expect(normalizePlayerName('a'.repeat(17))).toBeNull();
+    expect(normalizePlayerName('evil\x1b[2J')).toBeNull();
+    expect(normalizePlayerName('<b>')).toBeNull();
+    expect(normalizePlayerName(42)).toBeNull();
+  });
+
+  it('numbers names that are taken, ignoring case', () => {
+    expect(uniquePlayerName('Ann', ['Bob'])).toBe('Ann');
+    expect(uniquePlayerName('Ann', ['ann'])).toBe('Ann 2');
+    expect(uniquePlayerName('Ann', ['Ann', 'Ann 2'])).toBe('Ann 3');
+    expect(uniquePlayerName('Abcdefghijklmnop', ['Abcdefghijklmnop'])).toBe('Abcdefghijklmn 2');
+  });
+
+  it('accepts RRGGBB colors with or without #', () => {
+    expect(normalizePlayerColor('#ff8800')).toBe('FF8800');
+    expect(normalizePlayerColor('00BFFF')).toBe('00BFFF');
+    expect(normalizePlayerColor('orange')).toBeNull();
+    expect(normalizePlayerColor(null)).toBeNull();
+  });
+
+  it('accepts one narrow visible character as a glyph', () => {
+    expect(normalizePlayerGlyph('@')).toBe('@');
+    expect(normalizePlayerGlyph('☺')).toBe('☺');
+    expect(normalizePlayerGlyph('#')).toBeNull();
+    expect(normalizePlayerGlyph(' ')).toBeNull();
+    expect(normalizePlayerGlyph('ab')).toBeNull();
+    expect(normalizePlayerGlyph('\x1b')).toBeNull();
+    expect(normalizePlayerGlyph('😀')).toBeNull();
+    expect(normalizePlayerGlyph('漢')).toBeNull();
+  });
+
+  it('hands out unused colors first', () => {
+    expect(pickPlayerColor([])).toBe(PLAYER_COLORS[0]);
+    expect(pickPlayerColor([PLAYER_COLORS[0], 'ABCDEF'])).toBe(PLAYER_COLORS[1]);
+    expect(PLAYER_COLORS).toContain(pickPlayerColor([...PLAYER_COLORS]));
+  });
+});
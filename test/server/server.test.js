@@ -4,6 +4,24 @@ import Server from '../../src/server/server.js';
 import Game from '../../src/game/Game.js';
 import Board from '../../src/game/Board.js';
 import MessageTypes from '../../src/network/MessageTypes.js';
+import { ManualClock } from '../../src/utils/clock.js';
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/** Minimal stand-in for a ws WebSocket that records what the server does with it */
+function fakeWs() {
+  return {
+    readyState: 1,
+    sent: [],
+    pings: 0,
+    terminated: false,
+    closed: null,
+    send(data) { this.sent.push(JSON.parse(data)); },
+    ping() { this.pings += 1; },
+    terminate() { this.terminated = true; },
+    close(code, reason) { this.closed = { code, reason }; }
+  };
+}
 
 describe('Server', () => {
   let server;
@@ -36,8 +54,752 @@ describe('Server', () => {
 
       expect(s.gameServer.game).toBe(game);
       expect(s.gameServer.game.board.width).toBe(4);
-      expect(s.gameServer.serializeState().board.width).toBe(4);
-      expect(s.gameServer.serializeState().board.height).toBe(4);
+      expect(s.gameServer.serializeBoard().width).toBe(4);
+      expect(s.gameServer.serializeBoard().height).toBe(4);
+    });
+  });
+
+  describe('board updates', () => {
+
+    it('broadcastState does not include the board', () => {
+      const ws = fakeWs();
+      server.connectionManager.addConnection('client-1', ws);
+
+      server.broadcastState();
+
+      const update = ws.sent.find((m) => m.type === MessageTypes.STATE_UPDATE);
+      expect(update).toBeDefined();
+      expect(update.payload.board).toBeUndefined();
+    });
+
+    it('broadcastState sends a keyframe, then deltas once acknowledged', () => {
+      const ws = fakeWs();
+      server.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+
+      server.broadcastState();
+      const first = ws.sent.find((m) => m.type === MessageTypes.STATE_UPDATE);
+      expect(first.payload.keyframe).toBe(true);
+
+      server.handleMessage('client-1', JSON.stringify({
+        type: MessageTypes.STATE_ACK,
+        payload: { seq: first.payload.seq },
+        timestamp: Date.now()
+      }));
+      ws.sent = [];
+      server.broadcastState();
+
+      const second = ws.sent.find((m) => m.type === MessageTypes.STATE_UPDATE);
+      expect(second.payload.keyframe).toBeUndefined();
+      expect(second.payload.baseSeq).toBe(first.payload.seq);
+      expect(second.payload.delta).toBeDefined();
+    });
+
+    it('changeBoard broadcasts BOARD_UPDATE with the new board', () => {
+      const ws = fakeWs();
+      server.connectionManager.addConnection('client-1', ws);
+      const board = new Board({ width: 30, height: 20 });
+      board.initialize();
+
+      server.changeBoard(board, [{ x: 15, y: 5 }]);
+
+      const update = ws.sent.find((m) => m.type === MessageTypes.BOARD_UPDATE);
+      expect(update.payload.board.width).toBe(30);
+      expect(update.payload.board.grid.length).toBe(20);
+    });
+  });
+
+  describe('session resume', () => {
+
+    function connectClient(s, clientId, payload = {}) {
+      const ws = fakeWs();
+      s.connectionManager.addConnection(clientId, ws, { logger: silentLogger });
+      s.handleConnect(clientId, { type: MessageTypes.CONNECT, payload });
+      return ws.sent.find((m) => m.type === MessageTypes.CONNECT).payload;
+    }
+
+    let s;
+    beforeEach(() => {
+      s = new Server(TEST_PORT + 103, undefined, { spawnList: [{ x: 5, y: 5 }], reconnectGraceMs: 1000 });
+    });
+
+    it('issues a resume token in CONNECT', () => {
+      const payload = connectClient(s, 'client-1');
+      expect(typeof payload.resumeToken).toBe('string');
+    });
+
+    it('keeps the player slot on disconnect and resumes it with the token', () => {
+      const first = connectClient(s, 'client-1');
+      s.gameServer.addScore(first.playerId, 7);
+
+      s.onDisconnect('client-1');
+      expect(s.gameServer.getPlayer(first.playerId).disconnected).toBe(true);
+
+      const resumed = connectClient(s, 'client-2', { resumeToken: first.resumeToken });
+      expect(resumed.resumed).toBe(true);
+      expect(resumed.playerId).toBe(first.playerId);
+      expect(resumed.gameState.scores[first.playerId]).toBe(7);
+      expect(s.connectionManager.getPlayerId('client-2')).toBe(first.playerId);
+      expect(s.gameServer.getPlayer(first.playerId).disconnected).toBe(false);
+    });
+
+    it('removes the player once the grace period expires', () => {
+      const first = connectClient(s, 'client-1');
+      s.onDisconnect('client-1');
+
+      s.expireDisconnectedPlayers(Date.now() + 1000);
+
+      expect(s.gameServer.getPlayer(first.playerId)).toBeUndefined();
+      const fresh = connectClient(s, 'client-2', { resumeToken: first.resumeToken });
+      expect(fresh.resumed).toBeUndefined();
+      expect(fresh.playerId).not.toBe(first.playerId);
+    });
+
+    it('replaces a connection still attached to the resumed player', () => {
+      const first = connectClient(s, 'client-1');
+      connectClient(s, 'client-2', { resumeToken: first.resumeToken });
+
+      expect(s.connectionManager.getConnection('client-1')).toBeUndefined();
+      expect(s.connectionManager.getPlayerId('client-2')).toBe(first.playerId);
+    });
+
+    it('removes players immediately when the grace period is 0', () => {
+      s = new Server(TEST_PORT + 104, undefined, { spawnList: [{ x: 5, y: 5 }], reconnectGraceMs: 0 });
+      const first = connectClient(s, 'client-1');
+      s.onDisconnect('client-1');
+      expect(s.gameServer.getPlayer(first.playerId)).toBeUndefined();
+    });
+  });
+
+  describe('heartbeat and AFK', () => {
+
+    it('pings connections and terminates ones that miss maxMissedPongs', () => {
+      const s = new Server(TEST_PORT + 105, undefined, { maxMissedPongs: 2 });
+      const ws = fakeWs();
+      s.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+
+      s.checkHeartbeats();
+      s.checkHeartbeats();
+      expect(ws.pings).toBe(2);
+      expect(ws.terminated).toBe(false);
+
+      s.checkHeartbeats();
+      expect(ws.terminated).toBe(true);
+    });
+
+    it('a pong resets the missed count', () => {
+      const s = new Server(TEST_PORT + 106, undefined, { maxMissedPongs: 1 });
+      const ws = fakeWs();
+      s.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+
+      s.checkHeartbeats();
+      s.connectionManager.getConnection('client-1').missedPongs = 0; // pong received
+      s.checkHeartbeats();
+      expect(ws.terminated).toBe(false);
+    });
+
+    it('kicks idle players with a KICK message and close code, without holding their slot', () => {
+      const clock = new ManualClock(1000);
+      const s = new Server(TEST_PORT + 107, undefined, { spawnList: [{ x: 5, y: 5 }], afkTimeoutMs: 60000, clock });
+      const ws = fakeWs();
+      s.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+      s.handleConnect('client-1', { type: MessageTypes.CONNECT, payload: {} });
+      const playerId = s.connectionManager.getPlayerId('client-1');
+
+      clock.advance(59000);
+      s.kickIdlePlayers();
+      expect(ws.closed).toBeNull();
+
+      clock.advance(1000);
+      s.kickIdlePlayers();
+      const kick = ws.sent.find((m) => m.type === MessageTypes.KICK);
+      expect(kick.payload.reason).toBe('Idle for more than 1 min');
+      expect(ws.closed.code).toBe(4000);
+
+      s.onDisconnect('client-1');
+      expect(s.gameServer.getPlayer(playerId)).toBeUndefined();
+    });
+
+    it('does not count MOVE input as idle time', () => {
+      const clock = new ManualClock(1000);
+      const s = new Server(TEST_PORT + 108, undefined, { spawnList: [{ x: 5, y: 5 }], afkTimeoutMs: 60000, clock });
+      const ws = fakeWs();
+      s.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+      s.handleConnect('client-1', { type: MessageTypes.CONNECT, payload: {} });
+
+      clock.advance(59000);
+      s.handleMessage('client-1', JSON.stringify({ type: MessageTypes.MOVE, payload: { dx: 1, dy: 0 }, timestamp: Date.now() }));
+      clock.advance(30000);
+      s.kickIdlePlayers();
+      expect(ws.closed).toBeNull();
+    });
+  });
+
+  describe('deterministic simulation', () => {
+    /** Run a short match from a seed and a fixed input log; returns every broadcast state */
+    function runScripted(seed) {
+      const clock = new ManualClock(0);
+      const s = new Server(TEST_PORT + 110, undefined, {
+        seed,
+        clock,
+        spawnList: [{ x: 5, y: 5 }, { x: 15, y: 5 }, { x: 25, y: 5 }, { x: 35, y: 5 }],
+        spawnConfig: { clearRadius: 1 },
+        tickRateHz: 20
+      });
+      for (const clientId of ['client-1', 'client-2']) {
+        s.connectionManager.addConnection(clientId, fakeWs(), { logger: silentLogger });
+        s.handleConnect(clientId, { type: MessageTypes.CONNECT, payload: {} });
+      }
+      const inputs = [
+        { at: 100, clientId: 'client-1', type: MessageTypes.MOVE, payload: { dx: 1, dy: 0, seq: 1 } },
+        { at: 150, clientId: 'client-2', type: MessageTypes.FIRE, payload: { dx: -1, dy: 0 } },
+        { at: 300, clientId: 'client-1', type: MessageTypes.MOVE, payload: { dx: 0, dy: 1, seq: 2 } }
+      ];
+      const states = [];
+      for (let t = 50; t <= 4000; t += 50) {
+        clock.set(t);
+        for (const input of inputs.filter((i) => i.at === t)) {
+          s.handleMessage(input.clientId, JSON.stringify({ type: input.type, payload: input.payload, timestamp: t }));
+        }
+        s.tick();
+        states.push(JSON.stringify(s.gameServer.serializeState()));
+      }
+      return states;
+    }
+
+    it('replays identically from the same seed and input log', () => {
+      expect(runScripted(42)).toEqual(runScripted(42));
+    });
+
+    it('differs with another seed', () => {
+      expect(runScripted(42)).not.toEqual(runScripted(7));
+    });
+  });
+
+  describe('spectators', () => {
+    it('joins a spectator with the full state but no player or spawn', () => {
+      const s = new Server(TEST_PORT + 112, undefined, { spawnList: [{ x: 5, y: 5 }] });
+      const ws = fakeWs();
+      s.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+      s.handleConnect('client-1', { type: MessageTypes.CONNECT, payload: { spectator: true } });
+
+      expect(ws.sent).toHaveLength(1);
+      const { payload } = ws.sent[0];
+      expect(payload.spectator).toBe(true);
+      expect(payload.playerId).toBeUndefined();
+      expect(payload.gameState.board).toBeDefined();
+      expect(s.gameServer.getAllPlayers()).toHaveLength(0);
+      expect(s.gameServer.serializeState().spectators).toEqual([
+        { spectatorId: payload.spectatorId, name: payload.playerName }
+      ]);
+    });
+
+    it('does not take the only spawn point', () => {
+      const s = new Server(TEST_PORT + 113, undefined, { spawnList: [{ x: 5, y: 5 }] });
+      s.connectionManager.addConnection('spectator', fakeWs(), { logger: silentLogger });
+      s.handleConnect('spectator', { type: MessageTypes.CONNECT, payload: { spectator: true } });
+      const ws = fakeWs();
+      s.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+      s.handleConnect('client-1', { type: MessageTypes.CONNECT, payload: {} });
+
+      expect(ws.sent[0].payload.waitingForSpawn).toBeUndefined();
+      expect(ws.sent[0].payload.gameState.players).toHaveLength(1);
+    });
+
+    it('ignores spectator MOVE and removes the spectator on disconnect', () => {
+      const s = new Server(TEST_PORT + 114, undefined, { spawnList: [{ x: 5, y: 5 }], reconnectGraceMs: 30000 });
+      s.connectionManager.addConnection('client-1', fakeWs(), { logger: silentLogger });
+      s.handleConnect('client-1', { type: MessageTypes.CONNECT, payload: { spectator: true } });
+      s.handleMessage('client-1', JSON.stringify({ type: MessageTypes.MOVE, payload: { dx: 1, dy: 0, seq: 1 }, timestamp: Date.now() }));
+      expect(s.gameServer.getAllPlayers()).toHaveLength(0);
+
+      s.onDisconnect('client-1');
+      expect(s.gameServer.serializeState().spectators).toEqual([]);
+      expect(s.sessions.size).toBe(0);
+    });
+  });
+
+  describe('bots', () => {
+    it('fills the match on tick and makes room when a human joins', () => {
+      const clock = new ManualClock(0);
+      const s = new Server(TEST_PORT + 115, undefined, {
+        clock,
+        spawnList: [{ x: 5, y: 5 }, { x: 15, y: 5 }],
+        spawnConfig: { clearRadius: 1 },
+        bots: { count: 2 }
+      });
+      s.tick();
+      expect(s.gameServer.getAllPlayers().filter((p) => p.isBot)).toHaveLength(2);
+
+      const ws = fakeWs();
+      s.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+      s.handleConnect('client-1', { type: MessageTypes.CONNECT, payload: {} });
+
+      expect(ws.sent[0].payload.waitingForSpawn).toBeUndefined();
+      const players = s.gameServer.getAllPlayers();
+      expect(players.filter((p) => p.isBot)).toHaveLength(1);
+      expect(players.filter((p) => !p.isBot)).toHaveLength(1);
+    });
+  });
+
+  describe('server stats', () => {
+    it('answers SERVER_STATS with process figures and broadcast timings', () => {
+      const ws = fakeWs();
+      server.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+      server.broadcastState();
+      server.broadcastState();
+      ws.sent = [];
+
+      server.handleMessage('client-1', JSON.stringify({ type: MessageTypes.SERVER_STATS, payload: {}, timestamp: 0 }));
+
+      expect(ws.sent).toHaveLength(1);
+      expect(ws.sent[0].type).toBe(MessageTypes.SERVER_STATS);
+      expect(ws.sent[0].payload).toMatchObject({ connections: 1, players: 0, broadcasts: 2 });
+      expect(ws.sent[0].payload.rssBytes).toBeGreaterThan(0);
+      expect(ws.sent[0].payload.broadcastMaxMs).toBeGreaterThanOrEqual(ws.sent[0].payload.broadcastAvgMs);
+    });
+  });
+
+  describe('rooms', () => {
+    const connect = (s, clientId, payload) => {
+      const ws = fakeWs();
+      s.connectionManager.addConnection(clientId, ws, { logger: silentLogger });
+      s.handleConnect(clientId, { type: MessageTypes.CONNECT, payload });
+      return ws;
+    };
+
+    it('joins a named room with its own game and sends each room only its own state', () => {
+      const s = new Server(TEST_PORT + 116, undefined, { spawnList: [{ x: 5, y: 5 }], spawnConfig: { clearRadius: 1 } });
+      const lobby = connect(s, 'client-1', {});
+      const other = connect(s, 'client-2', { room: 'other' });
+
+      expect(lobby.sent[0].payload.room).toBe('default');
+      expect(other.sent[0].payload.room).toBe('other');
+      expect(other.sent[0].payload.gameState.players).toHaveLength(1);
+      expect(s.gameServer.getAllPlayers()).toHaveLength(1);
+      expect(s.rooms.get('other').gameServer.getAllPlayers()).toHaveLength(1);
+      expect(s.connectionManager.getRoom('client-2')).toBe('other');
+
+      s.broadcastState();
+      const playersIn = (ws) => ws.sent.at(-1).payload.players.map((p) => p.playerId);
+      expect(playersIn(lobby)).toEqual([lobby.sent[0].payload.playerId]);
+      expect(playersIn(other)).toEqual([other.sent[0].payload.playerId]);
+    });
+
+    it('lists rooms with their boards and head counts', () => {
+      const s = new Server(TEST_PORT + 117, undefined, {
+        spawnList: [{ x: 5, y: 5 }],
+        boardName: 'classic',
+        loadBoard: (name) => {
+          if (name !== 'small') throw new Error(`Unknown board: ${name}`);
+          return { game: new Game(new Board({ width: 10, height: 10 }).empty()), spawnList: [{ x: 2, y: 2 }] };
+        }
+      });
+      connect(s, 'client-1', { room: 'arena', board: 'small' });
+      connect(s, 'client-2', { room: 'arena', spectator: true });
+      const ws = connect(s, 'client-3', { room: 'nowhere', board: 'missing' });
+      expect(ws.sent[0]).toMatchObject({ type: MessageTypes.KICK, payload: { reason: 'Unknown board: missing', rejected: true } });
+      expect(ws.closed.code).toBe(4001);
+
+      const lister = fakeWs();
+      s.connectionManager.addConnection('lister', lister, { logger: silentLogger });
+      s.handleMessage('lister', JSON.stringify({ type: MessageTypes.LIST_ROOMS, payload: {}, timestamp: 0 }));
+
+      expect(lister.sent[0].payload.rooms).toEqual([
+        { name: 'default', board: 'classic', mode: 'free', private: false, players: 0, bots: 0, spectators: 0, phase: null },
+        { name: 'arena', board: 'small', mode: 'free', private: false, players: 1, bots: 0, spectators: 1, phase: null }
+      ]);
+      expect(s.rooms.get('arena').gameServer.serializeBoard().width).toBe(10);
+    });
+
+    it('rejects bad room names and rooms beyond maxRooms', () => {
+      const s = new Server(TEST_PORT + 118, undefined, { maxRooms: 2 });
+      expect(connect(s, 'client-1', { room: 'no spaces' }).sent[0].payload.rejected).toBe(true);
+      expect(connect(s, 'client-2', { room: 'second' }).sent[0].type).toBe(MessageTypes.CONNECT);
+      const ws = connect(s, 'client-3', { room: 'third' });
+      expect(ws.sent[0].payload).toMatchObject({ reason: 'The server already has 2 rooms', rejected: true });
+      expect(s.rooms.has('third')).toBe(false);
+    });
+
+    it('resumes into the same room and closes a room once it is empty', () => {
+      const clock = new ManualClock(0);
+      const s = new Server(TEST_PORT + 119, undefined, { spawnList: [{ x: 5, y: 5 }], reconnectGraceMs: 1000, clock });
+      const first = connect(s, 'client-1', { room: 'side' });
+      s.onDisconnect('client-1');
+      expect(s.rooms.has('side')).toBe(true); // Slot held for resume
+
+      const resumed = connect(s, 'client-2', { resumeToken: first.sent[0].payload.resumeToken });
+      expect(resumed.sent[0].payload).toMatchObject({ resumed: true, room: 'side' });
+      s.onDisconnect('client-2');
+
+      clock.advance(1000);
+      s.tick();
+      expect(s.rooms.has('side')).toBe(false);
+      expect(s.rooms.has('default')).toBe(true);
+    });
+  });
+
+  describe('access', () => {
+    const connect = (s, clientId, payload) => {
+      const ws = fakeWs();
+      s.connectionManager.addConnection(clientId, ws, { logger: silentLogger });
+      s.handleConnect(clientId, { type: MessageTypes.CONNECT, payload });
+      return ws;
+    };
+
+    it('turns away clients without the server password', () => {
+      const s = new Server(TEST_PORT + 120, undefined, { spawnList: [{ x: 5, y: 5 }], password: 'hunter2' });
+      const missing = connect(s, 'client-1', {});
+      expect(missing.sent[0]).toMatchObject({
+        type: MessageTypes.KICK,
+        payload: { reason: 'This server needs a password (--code)', rejected: true }
+      });
+      expect(missing.closed.code).toBe(4002);
+      expect(connect(s, 'client-2', { code: 'hunter3' }).sent[0].payload.reason).toBe('Wrong password or join code');
+      expect(connect(s, 'client-3', { spectator: true }).closed.code).toBe(4002);
+      expect(s.gameServer.getAllPlayers()).toHaveLength(0);
+
+      expect(connect(s, 'client-4', { code: 'hunter2' }).sent[0].type).toBe(MessageTypes.CONNECT);
+    });
+
+    it('creates private rooms that only their join code opens', () => {
+      const s = new Server(TEST_PORT + 121, undefined, { spawnList: [{ x: 5, y: 5 }], spawnConfig: { clearRadius: 1 } });
+      const owner = connect(s, 'client-1', { room: 'secret', private: true });
+      const { joinCode, room } = owner.sent[0].payload;
+      expect(room).toBe('secret');
+      expect(joinCode).toMatch(/^[A-Z2-9]{6}$/);
+      expect(s.rooms.get('secret').summary().private).toBe(true);
+
+      const byName = connect(s, 'client-2', { room: 'secret' });
+      expect(byName.sent[0].payload.reason).toBe('Room secret is private: join it with its code (--code)');
+      expect(byName.closed.code).toBe(4002);
+
+      const byCode = connect(s, 'client-3', { code: ` ${joinCode.toLowerCase()} ` });
+      expect(byCode.sent[0].payload).toMatchObject({ room: 'secret', joinCode });
+      expect(s.rooms.get('secret').gameServer.getAllPlayers()).toHaveLength(2);
+    });
+
+    it('lets a private room code past the server password and names unnamed private rooms', () => {
+      const s = new Server(TEST_PORT + 122, undefined, { spawnList: [{ x: 5, y: 5 }], password: 'hunter2' });
+      const owner = connect(s, 'client-1', { code: 'hunter2', private: true });
+      expect(owner.sent[0].payload.room).toMatch(/^private-[0-9a-f]{4}$/);
+
+      const friend = connect(s, 'client-2', { code: owner.sent[0].payload.joinCode });
+      expect(friend.sent[0].payload.room).toBe(owner.sent[0].payload.room);
+    });
+
+    it('answers LIST_ROOMS only with the server password or after joining', () => {
+      const s = new Server(TEST_PORT + 133, undefined, { spawnList: [{ x: 5, y: 5 }], password: 'hunter2' });
+      const list = (clientId, payload) => {
+        const ws = fakeWs();
+        s.connectionManager.addConnection(clientId, ws, { logger: silentLogger });
+        s.handleMessage(clientId, JSON.stringify({ type: MessageTypes.LIST_ROOMS, payload, timestamp: 0 }));
+        return ws;
+      };
+
+      const stranger = list('stranger', {});
+      expect(stranger.sent).toEqual([
+        expect.objectContaining({ type: MessageTypes.KICK, payload: { reason: 'This server needs a password (--code)', rejected: true } })
+      ]);
+      expect(stranger.closed.code).toBe(4002);
+      expect(list('guesser', { code: 'hunter3' }).sent[0].payload.reason).toBe('Wrong password');
+      expect(list('lister', { code: 'hunter2' }).sent[0].type).toBe(MessageTypes.LIST_ROOMS);
+
+      const player = connect(s, 'player', { code: 'hunter2' });
+      s.handleMessage('player', JSON.stringify({ type: MessageTypes.LIST_ROOMS, payload: {}, timestamp: 0 }));
+      expect(player.sent.at(-1).type).toBe(MessageTypes.LIST_ROOMS);
+      expect(player.closed).toBeNull();
+    });
+
+    it('answers SERVER_STATS only with the server password or after joining', () => {
+      const s = new Server(TEST_PORT + 134, undefined, { spawnList: [{ x: 5, y: 5 }], password: 'hunter2' });
+      const stats = (ws, clientId, payload) => {
+        s.handleMessage(clientId, JSON.stringify({ type: MessageTypes.SERVER_STATS, payload, timestamp: 0 }));
+        return ws.sent.at(-1);
+      };
+
+      const stranger = fakeWs();
+      s.connectionManager.addConnection('stranger', stranger, { logger: silentLogger });
+      expect(stats(stranger, 'stranger', {})).toMatchObject({ type: MessageTypes.KICK, payload: { rejected: true } });
+      expect(stranger.closed.code).toBe(4002);
+
+      const monitor = fakeWs();
+      s.connectionManager.addConnection('monitor', monitor, { logger: silentLogger });
+      expect(stats(monitor, 'monitor', { code: 'hunter2' }).type).toBe(MessageTypes.SERVER_STATS);
+
+      const player = connect(s, 'player', { code: 'hunter2' });
+      expect(stats(player, 'player', {}).type).toBe(MessageTypes.SERVER_STATS);
+    });
+  });
+
+  describe('replay recording', () => {
+    it('records inbound messages, broadcast states and board changes', () => {
+      const entries = [];
+      const recorder = {
+        recordInbound: (clientId, message) => entries.push({ kind: 'in', clientId, type: message.type }),
+        recordState: (seq, state) => entries.push({ kind: 'state', seq, players: state.players.length }),
+        recordBoard: (board) => entries.push({ kind: 'board', width: board.width })
+      };
+      const s = new Server(TEST_PORT + 111, undefined, { spawnList: [{ x: 5, y: 5 }], recorder });
+      s.connectionManager.addConnection('client-1', fakeWs(), { logger: silentLogger });
+      s.handleMessage('client-1', JSON.stringify({ type: MessageTypes.CONNECT, payload: {}, timestamp: Date.now() }));
+      s.broadcastState();
+      s.changeBoard(new Board({ width: 20, height: 10 }).empty(), [{ x: 2, y: 2 }]);
+
+      expect(entries).toEqual([
+        { kind: 'in', clientId: 'client-1', type: MessageTypes.CONNECT },
+        { kind: 'state', seq: 1, players: 1 },
+        { kind: 'board', width: 20 }
+      ]);
+    });
+  });
+
+  describe('input acknowledgement', () => {
+    it('acknowledges MOVE seq even when the move is rejected', () => {
+      const s = new Server(TEST_PORT + 109, undefined, { spawnList: [{ x: 5, y: 5 }] });
+      const ws = fakeWs();
+      s.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+      s.handleConnect('client-1', { type: MessageTypes.CONNECT, payload: {} });
+      const playerId = s.connectionManager.getPlayerId('client-1');
+
+      s.handleMessage('client-1', JSON.stringify({ type: MessageTypes.MOVE, payload: { dx: 1, dy: 0, seq: 6 }, timestamp: Date.now() }));
+      // Out of range, so rejected
+      s.handleMessage('client-1', JSON.stringify({ type: MessageTypes.MOVE, payload: { dx: 5, dy: 0, seq: 7 }, timestamp: Date.now() }));
+
+      const player = s.gameServer.serializeState().players.find((p) => p.playerId === playerId);
+      expect(player.lastInputSeq).toBe(7);
+      expect(player.x).toBe(6);
+    });
+  });
+
+  describe('ping', () => {
+    it('answers PING with PONG echoing sentAt and keeps the reported RTT', () => {
+      const ws = fakeWs();
+      server.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+
+      server.handleMessage('client-1', JSON.stringify({ type: MessageTypes.PING, payload: { sentAt: 1234, rttMs: 56 }, timestamp: Date.now() }));
+
+      expect(ws.sent).toHaveLength(1);
+      expect(ws.sent[0].type).toBe(MessageTypes.PONG);
+      expect(ws.sent[0].payload.sentAt).toBe(1234);
+      expect(server.connectionManager.getConnection('client-1').rttMs).toBe(56);
+    });
+
+    it('does not count PING as input', () => {
+      const ws = fakeWs();
+      server.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+      const connection = server.connectionManager.getConnection('client-1');
+      connection.lastInputAt = 1;
+
+      server.handleMessage('client-1', JSON.stringify({ type: MessageTypes.PING, payload: { sentAt: 1 }, timestamp: Date.now() }));
+      expect(connection.lastInputAt).toBe(1);
+    });
+
+    it("shows a player's reported RTT as its ping in the game state", () => {
+      const s = new Server(TEST_PORT + 129, undefined, { spawnList: [{ x: 5, y: 5 }] });
+      const ws = fakeWs();
+      s.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+      s.handleConnect('client-1', { type: MessageTypes.CONNECT, payload: {} });
+
+      s.handleMessage('client-1', JSON.stringify({ type: MessageTypes.PING, payload: { sentAt: 1, rttMs: 73 }, timestamp: Date.now() }));
+      const { players, pings } = s.gameServer.serializeState();
+      expect(pings).toEqual({ [players[0].playerId]: 70 });
+    });
+  });
+
+  describe('kills', () => {
+    it('broadcasts PLAYER_KILL with both names when a bullet kills a player', () => {
+      const s = new Server(TEST_PORT + 130, undefined, { spawnList: [{ x: 5, y: 5 }, { x: 7, y: 5 }], spawnConfig: { clearRadius: 1 } });
+      const ws = fakeWs();
+      s.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+      s.handleConnect('client-1', { type: MessageTypes.CONNECT, payload: { name: 'Ann' } });
+      const shooterId = s.connectionManager.getPlayerId('client-1');
+      s.gameServer.addPlayer(null, 'victim-1', 'Bob');
+      Object.assign(s.gameServer.getPlayer(shooterId), { x: 5, y: 5 });
+      Object.assign(s.gameServer.getPlayer('victim-1'), { x: 6, y: 5 });
+
+      s.tick(1000);
+      s.gameServer.fireBullet(shooterId, 1, 0);
+      s.tick(1250); // One cell at 4 cells per second
+
+      const kills = ws.sent.filter((m) => m.type === MessageTypes.PLAYER_KILL).map((m) => m.payload);
+      expect(kills).toEqual([{ killerId: shooterId, killerName: 'Ann', victimId: 'victim-1', victimName: 'Bob', respawnInMs: 3000 }]);
+    });
+  });
+
+  describe('event messages', () => {
+    const events = (ws, type) => ws.sent.filter((m) => m.type === type).map((m) => m.payload);
+
+    it('broadcasts BULLET_CREATE when a player fires and BULLET_DESTROY when the bullet stops', () => {
+      const s = new Server(TEST_PORT + 131, undefined, { spawnList: [{ x: 1, y: 1 }, { x: 9, y: 9 }], spawnConfig: { clearRadius: 1 } });
+      const shooter = fakeWs();
+      const watcher = fakeWs();
+      s.connectionManager.addConnection('client-1', shooter, { logger: silentLogger });
+      s.connectionManager.addConnection('client-2', watcher, { logger: silentLogger });
+      s.handleConnect('client-1', { type: MessageTypes.CONNECT, payload: {} });
+      s.handleConnect('client-2', { type: MessageTypes.CONNECT, payload: { spectator: true } });
+      const playerId = s.connectionManager.getPlayerId('client-1');
+      Object.assign(s.gameServer.getPlayer(playerId), { x: 1, y: 1 });
+
+      s.handleMessage('client-1', JSON.stringify({ type: MessageTypes.FIRE, payload: { dx: -1, dy: 0 }, timestamp: Date.now() }));
+      const [created] = events(watcher, MessageTypes.BULLET_CREATE);
+      expect(created).toMatchObject({ playerId, x: 1, y: 1, dx: -1, dy: 0 });
+      expect(events(shooter, MessageTypes.BULLET_CREATE)).toEqual([created]);
+
+      s.tick(1000);
+      s.tick(1250); // Into the wall at x = 0
+      expect(events(watcher, MessageTypes.BULLET_DESTROY)).toEqual([{ bulletId: created.bulletId }]);
+    });
+
+    it('broadcasts PLAYER_RESPAWN with the new position', () => {
+      const clock = new ManualClock(0);
+      const s = new Server(TEST_PORT + 132, undefined, { spawnList: [{ x: 5, y: 5 }], clock });
+      const ws = fakeWs();
+      s.connectionManager.addConnection('client-1', ws, { logger: silentLogger });
+      s.handleConnect('client-1', { type: MessageTypes.CONNECT, payload: { spectator: true } });
+      s.gameServer.addPlayer(null, 'p1', 'Ann');
+      s.gameServer.scheduleRespawn('p1');
+
+      clock.advance(3000);
+      s.tick();
+      expect(events(ws, MessageTypes.PLAYER_RESPAWN)).toEqual([{ playerId: 'p1', x: 5, y: 5 }]);
+    });
+  });
+
+  describe('player names and colors', () => {
+    const connect = (s, clientId, payload = {}) => {
+      const ws = fakeWs();
+      s.connectionManager.addConnection(clientId, ws, { logger: silentLogger });
+      s.handleConnect(clientId, { type: MessageTypes.CONNECT, payload });
+      return ws.sent[0].payload;
+    };
+
+    it('uses the requested name, color and glyph, numbering taken names', () => {
+      const s = new Server(TEST_PORT + 127, undefined, { spawnList: [{ x: 5, y: 5 }, { x: 9, y: 9 }], spawnConfig: { clearRadius: 1 } });
+      const first = connect(s, 'client-1', { name: ' Ann ', color: '#00bfff', glyph: '@' });
+      expect(first.playerName).toBe('Ann');
+      expect(s.gameServer.getPlayer(first.playerId)).toMatchObject({ color: '00BFFF', glyph: '@' });
+
+      expect(connect(s, 'client-2', { name: 'ANN' }).playerName).toBe('ANN 2');
+      expect(connect(s, 'client-3', { name: 'ann', spectator: true }).playerName).toBe('ann 3');
+    });
+
+    it('falls back to the default name, a free color and no glyph for bad requests', () => {
+      const s = new Server(TEST_PORT + 128, undefined, { spawnList: [{ x: 5, y: 5 }] });
+      const joined = connect(s, 'client-1', { name: '\x1b[31m', color: 'red', glyph: '##' });
+      expect(joined.playerName).toBe(`Player ${joined.playerId.substring(0, 8)}`);
+      const player = s.gameServer.getPlayer(joined.playerId);
+      expect(player.color).toMatch(/^[0-9A-F]{6}$/);
+      expect(player.glyph).toBeNull();
+    });
+  });
+
+  describe('chat', () => {
+    const connect = (s, clientId, payload = {}) => {
+      const ws = fakeWs();
+      s.connectionManager.addConnection(clientId, ws, { logger: silentLogger });
+      s.handleConnect(clientId, { type: MessageTypes.CONNECT, payload });
+      ws.sent.length = 0;
+      return ws;
+    };
+    const chat = (s, clientId, text) => {
+      s.handleMessage(clientId, JSON.stringify({ type: MessageTypes.CHAT, payload: { text }, timestamp: Date.now() }));
+    };
+    const chats = (ws) => ws.sent.filter((m) => m.type === MessageTypes.CHAT).map((m) => m.payload);
+
+    it('passes chat to players and spectators in the same room only', () => {
+      const s = new Server(TEST_PORT + 123, undefined, { spawnList: [{ x: 5, y: 5 }, { x: 9, y: 9 }], spawnConfig: { clearRadius: 1 } });
+      const alice = connect(s, 'client-1');
+      const watcher = connect(s, 'client-2', { spectator: true });
+      const elsewhere = connect(s, 'client-3', { room: 'other' });
+      const playerId = s.connectionManager.getPlayerId('client-1');
+
+      chat(s, 'client-1', '  hello\x1b[2J there  ');
+      const expected = { playerId, playerName: `Player ${playerId.substring(0, 8)}`, text: 'hello [2J there' };
+      expect(chats(alice)).toEqual([expected]);
+      expect(chats(watcher)).toEqual([expected]);
+      expect(chats(elsewhere)).toEqual([]);
+
+      chat(s, 'client-2', 'gg');
+      expect(chats(alice)[1]).toMatchObject({ spectator: true, text: 'gg' });
+    });
+
+    it('ignores empty text and clients that have not joined', () => {
+      const s = new Server(TEST_PORT + 124, undefined, { spawnList: [{ x: 5, y: 5 }] });
+      const player = connect(s, 'client-1');
+      const lurker = fakeWs();
+      s.connectionManager.addConnection('client-2', lurker, { logger: silentLogger });
+
+      chat(s, 'client-1', '   ');
+      chat(s, 'client-1', 42);
+      chat(s, 'client-2', 'hi');
+      expect(chats(player)).toEqual([]);
+      expect(chats(lurker)).toEqual([]);
+    });
+
+    it('refuses text over the length limit with a notice to the sender', () => {
+      const s = new Server(TEST_PORT + 125, undefined, { spawnList: [{ x: 5, y: 5 }, { x: 9, y: 9 }], spawnConfig: { clearRadius: 1 }, chat: { maxLength: 5 } });
+      const sender = connect(s, 'client-1');
+      const other = connect(s, 'client-2');
+
+      chat(s, 'client-1', 'toolong');
+      expect(chats(sender)).toEqual([{ system: true, text: 'Message too long (max 5 characters)' }]);
+      expect(chats(other)).toEqual([]);
+    });
+
+    it('rate-limits each sender over a sliding window', () => {
+      const clock = new ManualClock(0);
+      const s = new Server(TEST_PORT + 126, undefined, {
+        spawnList: [{ x: 5, y: 5 }, { x: 9, y: 9 }],
+        spawnConfig: { clearRadius: 1 },
+        clock,
+        chat: { maxMessages: 2, windowMs: 1000 }
+      });
+      const sender = connect(s, 'client-1');
+      connect(s, 'client-2');
+
+      chat(s, 'client-1', 'one');
+      clock.advance(400);
+      chat(s, 'client-1', 'two');
+      chat(s, 'client-1', 'three');
+      expect(chats(sender).map((m) => m.text)).toEqual(['one', 'two', 'Slow down: at most 2 messages every 1s']);
+
+      chat(s, 'client-2', 'others still can');
+      expect(chats(sender).at(-1).text).toBe('others still can');
+
+      clock.advance(600); // 'one' leaves the window
+      chat(s, 'client-1', 'four');
+      expect(chats(sender).at(-1)).toMatchObject({ text: 'four' });
+      expect(chats(sender).at(-1).system).toBeUndefined();
+    });
+  });
+
+  describe('simulation loop', () => {
+    it('uses configured tick and broadcast rates', () => {
+      const s = new Server(TEST_PORT + 101, undefined, { tickRateHz: 50, broadcastRateHz: 10 });
+      expect(s.simulationIntervalMs).toBe(20);
+      expect(s.broadcastIntervalMs).toBe(100);
+    });
+
+    it('defaults to 20 Hz simulation and 4 Hz broadcast', () => {
+      expect(server.simulationIntervalMs).toBe(50);
+      expect(server.broadcastIntervalMs).toBe(250);
+    });
+
+    it('tick simulates with no clients connected', () => {
+      const s = new Server(TEST_PORT + 102, undefined, {
+        spawnList: [{ x: 5, y: 5 }],
+        match: { warmupSeconds: 1, durationSeconds: 10 }
+      });
+      s.gameServer.addPlayer('client-1', 'player-1', 'Player 1');
+      s.gameServer.spawnPlayer('player-1', 'Player 1');
+
+      s.tick(1000);
+      s.gameServer.fireBullet('player-1', 1, 0);
+      s.tick(1250);
+      s.tick(2000);
+
+      expect(s.gameServer.match.phase).toBe('in_progress');
+      expect(s.gameServer.getPlayerBullet('player-1').x).toBe(5 + 4);
     });
   });
 
@@ -20,9 +20,18 @@ describe('Server startup with board from JSON', () => {
     expect(server.gameServer).toBeDefined();
     expect(server.gameServer.game.board.width).toBe(60);
     expect(server.gameServer.game.board.height).toBe(25);
-    const state = server.gameServer.serializeState();
-    expect(state.board.grid.length).toBe(25);
-    expect(state.board.grid[0].length).toBe(60);
+    const board = server.gameServer.serializeBoard();
+    expect(board.grid.length).toBe(25);
+    expect(board.grid[0].length).toBe(60);
+  });
+
+  it('names the board and loads other boards by name for new rooms', async () => {
+    server = await startServer(TEST_PORT, 'boards/classic.json');
+
+    expect(server.defaultRoom.boardName).toBe('classic');
+    expect(server.loadBoard('classic').game.board.width).toBe(60);
+    expect(() => server.loadBoard('missing-board')).toThrow('Unknown board: missing-board');
+    expect(() => server.loadBoard('../classic')).toThrow('Board names are letters, digits, - or _');
   });
 
   it('on missing board file: logs error and exits with code 1', async () => {
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { systemClock, ManualClock } from '../../src/utils/clock.js';
+
+describe('clock', () => {
+  it('systemClock reads the wall clock', () => {
+    const before = Date.now();
+    const now = systemClock.now();
+    expect(now).toBeGreaterThanOrEqual(before);
+    expect(now).toBeLessThanOrEqual(Date.now());
+  });
+
+  it('ManualClock only moves when advanced or set', () => {
+    const clock = new ManualClock(100);
+    expect(clock.now()).toBe(100);
+    expect(clock.advance(50)).toBe(150);
+    expect(clock.now()).toBe(150);
+    clock.set(10);
+    expect(clock.now()).toBe(10);
+  });
+
+  it('ManualClock starts at 0 by default', () => {
+    expect(new ManualClock().now()).toBe(0);
+  });
+});
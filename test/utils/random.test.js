@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom } from '../../src/utils/random.js';
+
+describe('random', () => {
+  const take = (random, n) => Array.from({ length: n }, () => random.next());
+
+  it('repeats the same sequence for the same seed', () => {
+    expect(take(createRandom(42), 10)).toEqual(take(createRandom(42), 10));
+    expect(createRandom('match-1').uuid()).toBe(createRandom('match-1').uuid());
+  });
+
+  it('gives different sequences for different seeds', () => {
+    expect(take(createRandom(1), 5)).not.toEqual(take(createRandom(2), 5));
+  });
+
+  it('returns floats in [0, 1) and ints below max', () => {
+    const random = createRandom(7);
+    for (const value of take(random, 200)) {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+    for (let i = 0; i < 200; i++) {
+      const value = random.int(3);
+      expect([0, 1, 2]).toContain(value);
+    }
+  });
+
+  it('generates v4-shaped UUIDs', () => {
+    const uuidV4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+    expect(createRandom(3).uuid()).toMatch(uuidV4);
+    expect(createRandom().uuid()).toMatch(uuidV4);
+  });
+
+  it('reports the numeric seed (null when unseeded)', () => {
+    expect(createRandom(5).seed).toBe(5);
+    expect(typeof createRandom('abc').seed).toBe('number');
+    expect(createRandom().seed).toBeNull();
+  });
+});
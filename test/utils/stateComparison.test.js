@@ -292,6 +292,34 @@ describe('stateComparison', () => {
       });
     });
 
+    describe('tag mode', () => {
+      it('should detect when it moves to another player', () => {
+        const previousState = { players: [], itPlayerId: 'player-1' };
+        const currentState = { players: [], itPlayerId: 'player-2' };
+
+        expect(compareStates(previousState, currentState).itChanged).toBe(true);
+      });
+
+      it('should not flag itChanged when it is unchanged or absent', () => {
+        expect(compareStates({ players: [], itPlayerId: 'player-1' }, { players: [], itPlayerId: 'player-1' }).itChanged).toBe(false);
+        expect(compareStates({ players: [] }, { players: [] }).itChanged).toBe(false);
+      });
+    });
+
+    describe('match clock', () => {
+      it('should flag matchChanged when the displayed second changes', () => {
+        const prev = { players: [], match: { phase: 'in_progress', remainingMs: 10000 } };
+        expect(compareStates(prev, { players: [], match: { phase: 'in_progress', remainingMs: 9000 } }).matchChanged).toBe(true);
+        expect(compareStates(prev, { players: [], match: { phase: 'in_progress', remainingMs: 10000 } }).matchChanged).toBe(false);
+      });
+
+      it('should flag matchChanged when the phase changes', () => {
+        const prev = { players: [], match: { phase: 'in_progress', remainingMs: 0 } };
+        const curr = { players: [], match: { phase: 'ended', remainingMs: 0 } };
+        expect(compareStates(prev, curr).matchChanged).toBe(true);
+      });
+    });
+
     describe('edge cases', () => {
       it('should handle currentState === null', () => {
         const previousState = {